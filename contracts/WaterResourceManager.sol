@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint32, externalEuint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
 
 /**
@@ -55,6 +55,7 @@ contract WaterResourceManager is SepoliaConfig {
         uint256 timestamp;
         uint256 requestTimeout; // Timeout protection
         address requester;
+        euint32 allocatedAmount; // This period's allocation, readable by the region manager
     }
 
     struct DecryptionRequest {
@@ -78,31 +79,56 @@ contract WaterResourceManager is SepoliaConfig {
     event WaterRequested(uint32 indexed regionId, uint32 indexed periodId, address requester);
     event WaterAllocated(uint32 indexed regionId, uint32 indexed periodId, uint32 amount);
     event AllocationCompleted(uint32 indexed periodId, uint32 totalRegions);
-    event EmergencyAllocation(uint32 indexed regionId, uint32 amount);
+    event EmergencyAllocation(uint32 indexed regionId);
     event DecryptionRequested(uint256 indexed requestId, uint32 indexed periodId);
     event DecryptionFailed(uint32 indexed periodId, uint256 timestamp);
     event RefundProcessed(uint32 indexed regionId, uint32 indexed periodId, uint256 amount);
     event TimeoutProtectionTriggered(uint32 indexed periodId);
 
+    // Each error has a stable code, message and suggested fix in lib/errorCatalog.js
+    error NotAuthorized(address caller);
+    error NotRegionManager(uint32 regionId, address caller);
+    error RegionNotActive(uint32 regionId);
+    error InvalidRegionId(uint32 regionId);
+    error NotDuringAllocationPeriod(uint32 periodId);
+    error InvalidRegionName();
+    error InvalidManagerAddress();
+    error InvalidPriorityLevel(uint32 priorityLevel);
+    error AllocationPeriodAlreadyActive(uint32 periodId);
+    error InvalidDuration(uint256 durationHours);
+    error NotRegisteredRegionManager(address account);
+    error RequestAlreadySubmitted(uint32 regionId, uint32 periodId);
+    error NoParticipatingRegions(uint32 periodId);
+    error DistributionAlreadyCompleted(uint32 periodId);
+    error DecryptionAlreadyRequested(uint32 periodId, uint256 requestId);
+    error InvalidDecryptionRequest(uint256 requestId);
+    error DecryptionAlreadyProcessed(uint256 requestId);
+    error NoDecryptionRequest(uint32 periodId);
+    error DecryptionTimeoutNotReached(uint32 periodId, uint256 availableAt);
+    error AllocationExceedsAvailable(uint32 regionId, uint32 allocatedAmount, uint32 remainingWater);
+    error InvalidPeriodId(uint32 periodId);
+    error NoDecryptionFailure(uint32 periodId);
+    error RefundAlreadyClaimed(uint32 regionId, uint32 periodId);
+
     modifier onlyAuthority() {
-        require(msg.sender == authority, "Not authorized");
+        if (msg.sender != authority) revert NotAuthorized(msg.sender);
         _;
     }
 
     modifier onlyRegionManager(uint32 regionId) {
-        require(regions[regionId].manager == msg.sender, "Not region manager");
-        require(regions[regionId].isActive, "Region not active");
+        if (regions[regionId].manager != msg.sender) revert NotRegionManager(regionId, msg.sender);
+        if (!regions[regionId].isActive) revert RegionNotActive(regionId);
         _;
     }
 
     modifier validRegion(uint32 regionId) {
-        require(regionId > 0 && regionId < nextRegionId, "Invalid region ID");
-        require(regions[regionId].isActive, "Region not active");
+        if (regionId == 0 || regionId >= nextRegionId) revert InvalidRegionId(regionId);
+        if (!regions[regionId].isActive) revert RegionNotActive(regionId);
         _;
     }
 
     modifier duringAllocationPeriod() {
-        require(isAllocationPeriodActive(), "Not during allocation period");
+        if (!isAllocationPeriodActive()) revert NotDuringAllocationPeriod(currentAllocationPeriod);
         _;
     }
 
@@ -125,9 +151,9 @@ contract WaterResourceManager is SepoliaConfig {
         uint32 _priorityLevel,
         address _manager
     ) external onlyAuthority returns (uint32 regionId) {
-        require(bytes(name).length > 0, "Invalid region name");
-        require(_manager != address(0), "Invalid manager address");
-        require(_priorityLevel > 0 && _priorityLevel <= 10, "Priority must be 1-10");
+        if (bytes(name).length == 0) revert InvalidRegionName();
+        if (_manager == address(0)) revert InvalidManagerAddress();
+        if (_priorityLevel == 0 || _priorityLevel > 10) revert InvalidPriorityLevel(_priorityLevel);
 
         regionId = nextRegionId++;
 
@@ -142,7 +168,8 @@ contract WaterResourceManager is SepoliaConfig {
             priorityLevel: encryptedPriority,
             isActive: true,
             lastUpdateTime: block.timestamp,
-            manager: _manager
+            manager: _manager,
+            lockedAmount: 0
         });
 
         regionManagers[_manager] = regionId;
@@ -155,14 +182,24 @@ contract WaterResourceManager is SepoliaConfig {
         emit RegionRegistered(regionId, name, _manager);
     }
 
-    function startAllocationPeriod(uint32 _totalAvailableWater, uint256 _durationHours) external onlyAuthority {
-        require(!isAllocationPeriodActive(), "Allocation period already active");
-        require(_totalAvailableWater > 0, "Invalid water amount");
-        require(_durationHours > 0 && _durationHours <= 168, "Duration must be 1-168 hours");
+    /**
+     * @dev Start an allocation period with an encrypted total
+     * The total stays private until processAllocation decrypts it; a total of 0
+     * decrypts to a failed period whose participants are refunded
+     * @param _totalAvailableWater Handle of the total, encrypted client-side
+     * @param inputProof Proof binding the handle to this contract and the sender
+     */
+    function startAllocationPeriod(
+        externalEuint32 _totalAvailableWater,
+        bytes calldata inputProof,
+        uint256 _durationHours
+    ) external onlyAuthority {
+        if (isAllocationPeriodActive()) revert AllocationPeriodAlreadyActive(currentAllocationPeriod);
+        if (_durationHours == 0 || _durationHours > 168) revert InvalidDuration(_durationHours);
 
         currentAllocationPeriod++;
 
-        euint32 encryptedTotalWater = FHE.asEuint32(_totalAvailableWater);
+        euint32 encryptedTotalWater = FHE.fromExternal(_totalAvailableWater, inputProof);
 
         AllocationPeriod storage newPeriod = allocationPeriods[currentAllocationPeriod];
         newPeriod.startTime = block.timestamp;
@@ -178,25 +215,29 @@ contract WaterResourceManager is SepoliaConfig {
 
     /**
      * @dev Submit water request with timeout protection
-     * Input validation: validates all parameters before storage
+     * Both values are encrypted client-side under one input proof, so they never
+     * appear in calldata. Input validation happens on the ciphertexts: an amount
+     * above type(uint32).max / 2 is stored as 0 and the score is clamped to 1-100
      * Timeout protection: tracks request deadline for refund eligibility
      */
     function submitWaterRequest(
-        uint32 _requestedAmount,
-        uint32 _justificationScore
+        externalEuint32 _requestedAmount,
+        externalEuint32 _justificationScore,
+        bytes calldata inputProof
     ) external duringAllocationPeriod {
         uint32 regionId = regionManagers[msg.sender];
-        require(regionId > 0, "Not a registered region manager");
-
-        // Input validation: check value constraints
-        require(_requestedAmount > 0 && _requestedAmount <= type(uint32).max / 2, "Invalid requested amount");
-        require(_justificationScore >= 1 && _justificationScore <= 100, "Justification score must be 1-100");
+        if (regionId == 0) revert NotRegisteredRegionManager(msg.sender);
 
         AllocationPeriod storage period = allocationPeriods[currentAllocationPeriod];
-        require(!period.regionParticipated[regionId], "Region already submitted request");
+        if (period.regionParticipated[regionId]) revert RequestAlreadySubmitted(regionId, currentAllocationPeriod);
 
-        euint32 encryptedRequest = FHE.asEuint32(_requestedAmount);
-        euint32 encryptedJustification = FHE.asEuint32(_justificationScore);
+        euint32 requestedAmount = FHE.fromExternal(_requestedAmount, inputProof);
+        euint32 encryptedRequest = FHE.select(
+            FHE.le(requestedAmount, type(uint32).max / 2),
+            requestedAmount,
+            FHE.asEuint32(0)
+        );
+        euint32 encryptedJustification = FHE.min(FHE.max(FHE.fromExternal(_justificationScore, inputProof), 1), 100);
 
         // Timeout protection: set deadline for request validity
         uint256 requestDeadline = block.timestamp + REQUEST_TIMEOUT;
@@ -208,7 +249,8 @@ contract WaterResourceManager is SepoliaConfig {
             refundClaimed: false,
             timestamp: block.timestamp,
             requestTimeout: requestDeadline,
-            requester: msg.sender
+            requester: msg.sender,
+            allocatedAmount: euint32.wrap(0)
         });
 
         regions[regionId].waterDemand = encryptedRequest;
@@ -232,9 +274,12 @@ contract WaterResourceManager is SepoliaConfig {
      */
     function processAllocation() external onlyAuthority duringAllocationPeriod {
         AllocationPeriod storage period = allocationPeriods[currentAllocationPeriod];
-        require(period.participatingRegions > 0, "No participating regions");
-        require(!period.distributionCompleted, "Distribution already completed");
-        require(period.decryptionRequestId == 0, "Decryption already requested");
+        if (period.participatingRegions == 0) revert NoParticipatingRegions(currentAllocationPeriod);
+        if (period.distributionCompleted) revert DistributionAlreadyCompleted(currentAllocationPeriod);
+        // Request IDs start at 0, so the request time is what marks a requested decryption
+        if (period.decryptionRequestTime != 0) {
+            revert DecryptionAlreadyRequested(currentAllocationPeriod, period.decryptionRequestId);
+        }
 
         // Timeout protection: record request time
         period.decryptionRequestTime = block.timestamp;
@@ -266,19 +311,20 @@ contract WaterResourceManager is SepoliaConfig {
      */
     function processAllocationCallback(
         uint256 requestId,
-        uint32 totalWater,
-        bytes[] memory signatures
+        bytes memory cleartexts,
+        bytes memory decryptionProof
     ) external {
-        // Verify signatures from Gateway relayer
-        FHE.checkSignatures(requestId, abi.encode(signatures), abi.encodePacked(msg.sender));
+        // Verify the KMS signatures over the decrypted result
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        uint32 totalWater = abi.decode(cleartexts, (uint32));
 
         DecryptionRequest storage decryptReq = decryptionRequests[requestId];
-        require(decryptReq.periodId > 0, "Invalid decryption request");
-        require(!decryptReq.completed, "Decryption already processed");
+        if (decryptReq.periodId == 0) revert InvalidDecryptionRequest(requestId);
+        if (decryptReq.completed) revert DecryptionAlreadyProcessed(requestId);
 
         uint32 periodId = uint32(decryptReq.periodId);
         AllocationPeriod storage period = allocationPeriods[periodId];
-        require(!period.distributionCompleted, "Distribution already completed");
+        if (period.distributionCompleted) revert DistributionAlreadyCompleted(periodId);
 
         decryptReq.completed = true;
 
@@ -302,12 +348,10 @@ contract WaterResourceManager is SepoliaConfig {
      */
     function claimDecryptionTimeout(uint32 periodId) external {
         AllocationPeriod storage period = allocationPeriods[periodId];
-        require(period.decryptionRequestId > 0, "No decryption request");
-        require(!period.distributionCompleted, "Already distributed");
-        require(
-            block.timestamp >= period.decryptionRequestTime + DECRYPTION_TIMEOUT,
-            "Timeout not reached"
-        );
+        if (period.decryptionRequestTime == 0) revert NoDecryptionRequest(periodId);
+        if (period.distributionCompleted) revert DistributionAlreadyCompleted(periodId);
+        uint256 timeoutAt = period.decryptionRequestTime + DECRYPTION_TIMEOUT;
+        if (block.timestamp < timeoutAt) revert DecryptionTimeoutNotReached(periodId, timeoutAt);
 
         period.decryptionFailed = true;
 
@@ -336,12 +380,15 @@ contract WaterResourceManager is SepoliaConfig {
                 uint32 allocatedAmount = _calculateObfuscatedAllocation(regionId, remainingWater, i);
 
                 // Overflow protection: check bounds before subtraction
-                require(allocatedAmount <= remainingWater, "Overflow protection: allocation exceeds available");
+                if (allocatedAmount > remainingWater) {
+                    revert AllocationExceedsAvailable(regionId, allocatedAmount, remainingWater);
+                }
 
                 if (allocatedAmount > 0) {
                     euint32 encryptedAllocation = FHE.asEuint32(allocatedAmount);
                     regions[regionId].allocatedAmount = encryptedAllocation;
                     regions[regionId].lockedAmount = allocatedAmount;
+                    request.allocatedAmount = encryptedAllocation;
 
                     FHE.allowThis(encryptedAllocation);
                     FHE.allow(encryptedAllocation, regions[regionId].manager);
@@ -414,16 +461,16 @@ contract WaterResourceManager is SepoliaConfig {
      * @param periodId ID of the failed allocation period
      */
     function claimDecryptionFailureRefund(uint32 periodId) external {
-        require(periodId > 0 && periodId <= currentAllocationPeriod, "Invalid period ID");
+        if (periodId == 0 || periodId > currentAllocationPeriod) revert InvalidPeriodId(periodId);
 
         AllocationPeriod storage period = allocationPeriods[periodId];
-        require(period.decryptionFailed, "No decryption failure for this period");
+        if (!period.decryptionFailed) revert NoDecryptionFailure(periodId);
 
         uint32 regionId = regionManagers[msg.sender];
-        require(regionId > 0, "Not a registered region manager");
+        if (regionId == 0) revert NotRegisteredRegionManager(msg.sender);
 
         WaterRequest storage request = waterRequests[periodId][regionId];
-        require(!request.refundClaimed, "Refund already claimed");
+        if (request.refundClaimed) revert RefundAlreadyClaimed(regionId, periodId);
 
         request.refundClaimed = true;
 
@@ -435,24 +482,29 @@ contract WaterResourceManager is SepoliaConfig {
     /**
      * @dev Emergency water allocation with access control
      * Access control: only authority can trigger emergency allocation
-     * Input validation: validates emergency amounts
+     * Input validation: caps the encrypted amount
      */
     function emergencyWaterAllocation(
         uint32 regionId,
-        uint32 emergencyAmount
+        externalEuint32 emergencyAmount,
+        bytes calldata inputProof
     ) external onlyAuthority validRegion(regionId) {
-        // Input validation: check emergency amount constraints
-        require(emergencyAmount > 0 && emergencyAmount <= type(uint32).max / 2, "Invalid emergency amount");
-
-        euint32 encryptedEmergencyAmount = FHE.asEuint32(emergencyAmount);
+        // The amount is only known to the authority and the region manager, so
+        // lockedAmount keeps the last plaintext allocation and the event has no amount.
+        // Amounts above type(uint32).max / 2 are stored as 0, as for requests
+        euint32 amount = FHE.fromExternal(emergencyAmount, inputProof);
+        euint32 encryptedEmergencyAmount = FHE.select(
+            FHE.le(amount, type(uint32).max / 2),
+            amount,
+            FHE.asEuint32(0)
+        );
         regions[regionId].allocatedAmount = encryptedEmergencyAmount;
-        regions[regionId].lockedAmount = emergencyAmount;
         regions[regionId].lastUpdateTime = block.timestamp;
 
         FHE.allowThis(encryptedEmergencyAmount);
         FHE.allow(encryptedEmergencyAmount, regions[regionId].manager);
 
-        emit EmergencyAllocation(regionId, emergencyAmount);
+        emit EmergencyAllocation(regionId);
     }
 
     /**
@@ -576,7 +628,7 @@ contract WaterResourceManager is SepoliaConfig {
      * Audit hint: manager changes should be tracked for security
      */
     function updateRegionManager(uint32 regionId, address newManager) external onlyAuthority validRegion(regionId) {
-        require(newManager != address(0), "Invalid manager address");
+        if (newManager == address(0)) revert InvalidManagerAddress();
 
         address oldManager = regions[regionId].manager;
         regions[regionId].manager = newManager;
@@ -600,7 +652,7 @@ contract WaterResourceManager is SepoliaConfig {
      */
     function canClaimTimeoutRefund(uint32 periodId, address manager) external view returns (bool) {
         uint32 regionId = regionManagers[manager];
-        require(regionId > 0, "Not a registered region manager");
+        if (regionId == 0) revert NotRegisteredRegionManager(manager);
 
         AllocationPeriod storage period = allocationPeriods[periodId];
         WaterRequest storage request = waterRequests[periodId][regionId];
@@ -609,4 +661,4 @@ contract WaterResourceManager is SepoliaConfig {
                period.decryptionRequestTime > 0 &&
                block.timestamp >= period.decryptionRequestTime + DECRYPTION_TIMEOUT;
     }
-}
\ No newline at end of file
+}
\ No newline at end of file
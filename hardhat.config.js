@@ -1,9 +1,15 @@
-import "@nomicfoundation/hardhat-toolbox";
-import "@nomicfoundation/hardhat-verify";
-import "dotenv/config";
+require("@fhevm/hardhat-plugin");
+require("@nomicfoundation/hardhat-toolbox");
+require("@nomicfoundation/hardhat-verify");
+require("dotenv/config");
+const { extendProvider } = require("hardhat/config");
+const { trackRevertedBlocks } = require("./lib/MockGateway");
+
+// Lets syncMockCoprocessor() catch the FHEVM mock coprocessor up after evm_revert
+extendProvider((provider, config, network) => (network === "hardhat" ? trackRevertedBlocks(provider) : provider));
 
 /** @type import('hardhat/config').HardhatUserConfig */
-export default {
+module.exports = {
   solidity: {
     version: "0.8.24",
     settings: {
@@ -16,11 +22,11 @@ export default {
   },
   networks: {
     hardhat: {
-      chainId: 1337,
+      chainId: 31337,
     },
     localhost: {
       url: "http://127.0.0.1:8545",
-      chainId: 1337,
+      chainId: 31337,
     },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "https://ethereum-sepolia-rpc.publicnode.com",
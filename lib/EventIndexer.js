@@ -0,0 +1,176 @@
+/**
+ * Resumable indexer for every WaterResourceManager event.
+ *
+ * Backfills from a start block (normally the deployment block) in batches,
+ * then follows new blocks. Progress is kept in an EventStore cursor together
+ * with the hashes of the last few indexed blocks; when one of those hashes no
+ * longer matches the chain, the events after the common ancestor are dropped
+ * and re-indexed.
+ */
+
+const DEFAULT_OPTIONS = {
+  startBlock: 0,
+  batchSize: 2000,
+  confirmations: 0,
+  reorgDepth: 12,
+  pollInterval: 5000,
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+class EventIndexer {
+  /**
+   * @param {WaterResourceClient} client Client for the indexed contract
+   * @param {EventStore} store
+   * @param {Object} [options]
+   * @param {number} [options.startBlock=0] First block to index when there is no cursor
+   * @param {number} [options.batchSize=2000] Blocks per eth_getLogs query
+   * @param {number} [options.confirmations=0] Stay this many blocks behind the head
+   * @param {number} [options.reorgDepth=12] Number of recent block hashes kept for reorg checks
+   * @param {number} [options.pollInterval=5000] Delay between syncs in follow mode (ms)
+   * @param {Object} [options.provider] Defaults to the client's runner provider
+   * @param {function(string): void} [options.log]
+   */
+  constructor(client, store, options = {}) {
+    this.client = client;
+    this.store = store;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.provider = options.provider || client.contract.runner.provider || client.contract.runner;
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * Index everything from the cursor up to the current (confirmed) head
+   * @returns {Promise<{fromBlock: number, toBlock: number, added: number, removed: number}>}
+   */
+  async syncOnce() {
+    let cursor = this.store.readCursor();
+    if (cursor && cursor.contractAddress.toLowerCase() !== this.client.address.toLowerCase()) {
+      throw new Error(
+        `Store at ${this.store.directory} indexes ${cursor.contractAddress}, not ${this.client.address}`
+      );
+    }
+
+    let removed = 0;
+    if (cursor) {
+      const ancestor = await this._findCommonAncestor(cursor);
+      if (ancestor < cursor.lastBlock) {
+        removed = this.store.rollback(ancestor);
+        this.log(`Reorg detected: rolled back to block ${ancestor} (${removed} events removed)`);
+        cursor = {
+          ...cursor,
+          lastBlock: ancestor,
+          recentBlocks: cursor.recentBlocks.filter((block) => block.number <= ancestor),
+        };
+        this.store.writeCursor(cursor);
+      }
+    }
+
+    const fromBlock = cursor ? cursor.lastBlock + 1 : this.options.startBlock;
+    const head = (await this.provider.getBlockNumber()) - this.options.confirmations;
+    let added = 0;
+
+    for (let start = fromBlock; start <= head; start += this.options.batchSize) {
+      const end = Math.min(start + this.options.batchSize - 1, head);
+      const events = await this.client.queryEvents("*", { fromBlock: start, toBlock: end });
+      added += this.store.append(await this._normalize(events));
+
+      cursor = {
+        contractAddress: this.client.address,
+        startBlock: cursor ? cursor.startBlock : this.options.startBlock,
+        lastBlock: end,
+        recentBlocks: await this._recentBlocks(cursor ? cursor.recentBlocks : [], end),
+        updatedAt: new Date().toISOString(),
+      };
+      this.store.writeCursor(cursor);
+      this.log(`Indexed blocks ${start}-${end}: ${events.length} events`);
+    }
+
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), added, removed };
+  }
+
+  /**
+   * Sync repeatedly until the signal is aborted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(Object): void} [options.onSync] Called with each syncOnce() result
+   */
+  async follow({ signal, onSync = () => {} } = {}) {
+    while (!signal || !signal.aborted) {
+      onSync(await this.syncOnce());
+      await sleep(this.options.pollInterval, signal);
+    }
+  }
+
+  /**
+   * Newest stored block whose hash still matches the chain
+   */
+  async _findCommonAncestor(cursor) {
+    const recent = [...(cursor.recentBlocks || [])].sort((a, b) => b.number - a.number);
+    if (recent.length === 0) {
+      return cursor.lastBlock;
+    }
+
+    for (const stored of recent) {
+      const block = await this.provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) {
+        return stored.number;
+      }
+    }
+
+    // The reorg is deeper than the kept window: re-index the whole window
+    return recent[recent.length - 1].number - 1;
+  }
+
+  async _recentBlocks(previous, lastBlock) {
+    const first = Math.max(this.options.startBlock, lastBlock - this.options.reorgDepth + 1);
+    const known = new Map(previous.map((block) => [block.number, block.hash]));
+    const blocks = [];
+
+    for (let number = first; number <= lastBlock; number++) {
+      if (known.has(number)) {
+        blocks.push({ number, hash: known.get(number) });
+      } else {
+        const block = await this.provider.getBlock(number);
+        blocks.push({ number, hash: block.hash });
+      }
+    }
+    return blocks;
+  }
+
+  async _normalize(events) {
+    const timestamps = new Map();
+    const records = [];
+
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        timestamps.set(event.blockNumber, block.timestamp);
+      }
+      records.push({
+        id: `${event.blockNumber}-${event.logIndex}`,
+        name: event.name,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        blockTimestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        args: event.args,
+      });
+    }
+    return records;
+  }
+}
+
+module.exports = EventIndexer;
+module.exports.EventIndexer = EventIndexer;
@@ -0,0 +1,131 @@
+/**
+ * File-based store for indexed contract events.
+ *
+ * A store is a directory holding:
+ *   cursor.json   last indexed block plus recent block hashes for reorg checks
+ *   events.jsonl  one normalized event record per line, in chain order
+ *
+ * Event records look like:
+ *   { id, name, blockNumber, blockHash, blockTimestamp, transactionHash, logIndex, args }
+ * bigint arguments (e.g. requestId, refund amounts) are stored as decimal strings.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const CURSOR_FILE = "cursor.json";
+const EVENTS_FILE = "events.jsonl";
+
+function serialize(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+class EventStore {
+  /**
+   * @param {string} directory Store directory, created if missing
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.cursorFile = path.join(directory, CURSOR_FILE);
+    this.eventsFile = path.join(directory, EVENTS_FILE);
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Default store location for a deployment
+   */
+  static defaultDirectory(rootDir, network, contractAddress) {
+    return path.join(rootDir, "indexer-data", `${network}-${contractAddress.toLowerCase()}`);
+  }
+
+  /**
+   * @returns {{contractAddress: string, lastBlock: number, recentBlocks: Array<{number: number, hash: string}>}|null}
+   */
+  readCursor() {
+    if (!fs.existsSync(this.cursorFile)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.cursorFile, "utf8"));
+  }
+
+  writeCursor(cursor) {
+    // Write then rename so an interrupted run never leaves a truncated cursor
+    const temp = `${this.cursorFile}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(cursor, null, 2));
+    fs.renameSync(temp, this.cursorFile);
+  }
+
+  /**
+   * Append event records. Records already stored (same id) are ignored, so a
+   * range can be re-indexed after a crash between append and cursor update.
+   */
+  append(records) {
+    if (records.length === 0) {
+      return 0;
+    }
+    const existing = new Set(this.readEvents({ fromBlock: records[0].blockNumber }).map((event) => event.id));
+    const fresh = records.filter((record) => !existing.has(record.id));
+
+    if (fresh.length > 0) {
+      fs.appendFileSync(this.eventsFile, fresh.map(serialize).join("\n") + "\n");
+    }
+    return fresh.length;
+  }
+
+  /**
+   * Drop every record after the given block (used when a reorg is detected)
+   * @returns {number} Number of records removed
+   */
+  rollback(lastValidBlock) {
+    const events = this.readEvents();
+    const kept = events.filter((event) => event.blockNumber <= lastValidBlock);
+    const temp = `${this.eventsFile}.tmp`;
+    fs.writeFileSync(temp, kept.map(serialize).join("\n") + (kept.length > 0 ? "\n" : ""));
+    fs.renameSync(temp, this.eventsFile);
+    return events.length - kept.length;
+  }
+
+  /**
+   * Read stored events, optionally filtered
+   * @param {Object} [filter]
+   * @param {string|string[]} [filter.name] Event name(s)
+   * @param {number} [filter.regionId]
+   * @param {number} [filter.periodId]
+   * @param {number} [filter.fromBlock]
+   * @param {number} [filter.toBlock]
+   * @returns {Array<Object>}
+   */
+  readEvents(filter = {}) {
+    if (!fs.existsSync(this.eventsFile)) {
+      return [];
+    }
+    const names = filter.name === undefined ? null : [].concat(filter.name);
+
+    return fs
+      .readFileSync(this.eventsFile, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line))
+      .filter(
+        (event) =>
+          (!names || names.includes(event.name)) &&
+          (filter.regionId === undefined || event.args.regionId === filter.regionId) &&
+          (filter.periodId === undefined || event.args.periodId === filter.periodId) &&
+          (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock) &&
+          (filter.toBlock === undefined || event.blockNumber <= filter.toBlock)
+      );
+  }
+
+  /**
+   * Remove the cursor and all stored events
+   */
+  reset() {
+    for (const file of [this.cursorFile, this.eventsFile]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+}
+
+module.exports = EventStore;
+module.exports.EventStore = EventStore;
@@ -0,0 +1,308 @@
+/**
+ * Local stand-in for the FHEVM gateway / relayer.
+ *
+ * Watches DecryptionRequested, decrypts the requested handle with the FHEVM
+ * mock and calls processAllocationCallback with KMS signatures the contract
+ * accepts. The mode decides what happens to each new request, so the failure
+ * paths can be reached on a local chain:
+ *   relay  deliver the decrypted total on the next poll
+ *   delay  hold the callback for `delay` milliseconds, then deliver it
+ *   zero   deliver a correctly signed total of 0 (the contract emits DecryptionFailed)
+ *   drop   never deliver (the period can be closed with claimDecryptionTimeout)
+ */
+const { ProviderWrapper } = require("hardhat/plugins");
+const { errorReason } = require("./cli");
+
+const GATEWAY_MODES = ["relay", "delay", "zero", "drop"];
+
+const DEFAULT_OPTIONS = {
+  mode: "relay",
+  delay: 0,
+  fromBlock: 0,
+  pollInterval: 2000,
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+function assertMode(mode) {
+  if (!GATEWAY_MODES.includes(mode)) {
+    throw new Error(`Unknown gateway mode "${mode}" (expected one of ${GATEWAY_MODES.join(", ")})`);
+  }
+}
+
+/**
+ * Decrypt and sign through the FHEVM Hardhat plugin running in mock mode
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {{parseRequests: Function, decrypt: Function, sign: Function}}
+ */
+function createMockOracle(hre) {
+  if (!hre.fhevm || !hre.fhevm.isMock) {
+    throw new Error("The mock gateway needs the FHEVM Hardhat plugin running in mock mode (hardhat or localhost)");
+  }
+  const { FhevmType } = require("@fhevm/hardhat-plugin");
+  const { ethers } = hre;
+
+  return {
+    // DecryptionRequest events emitted by the FHEVM decryption oracle contract
+    parseRequests: (logs) => hre.fhevm.parseDecryptionRequestEvents(logs),
+
+    decrypt: (handle) => hre.fhevm.debugger.decryptEuint(FhevmType.euint32, handle),
+
+    // Build the (cleartexts, decryptionProof) pair FHE.checkSignatures verifies
+    sign: async (handles, values) => {
+      const response = await hre.fhevm.debugger.createDecryptionSignatures(handles, values);
+      const signatures = Array.isArray(response) ? response : response.signatures;
+      const extraData = ethers.solidityPacked(["uint8"], [0]);
+      return {
+        cleartexts: ethers.AbiCoder.defaultAbiCoder().encode(
+          values.map(() => "uint32"),
+          values
+        ),
+        decryptionProof: ethers.concat([ethers.solidityPacked(["uint8"], [signatures.length]), ...signatures, extraData]),
+      };
+    },
+  };
+}
+
+// Highest block the chain reached before an evm_revert, see trackRevertedBlocks()
+let highestRevertedBlock = 0;
+
+class RevertTrackingProvider extends ProviderWrapper {
+  async request(args) {
+    if (args.method === "evm_revert") {
+      const head = Number(await this._wrappedProvider.request({ method: "eth_blockNumber" }));
+      highestRevertedBlock = Math.max(highestRevertedBlock, head);
+    }
+    return this._wrappedProvider.request(args);
+  }
+}
+
+/**
+ * Provider extender that records the chain head before every evm_revert, so
+ * syncMockCoprocessor() knows how far the mock coprocessor may have read.
+ * Registered for the in-process network in hardhat.config.js.
+ */
+function trackRevertedBlocks(provider) {
+  return new RevertTrackingProvider(provider);
+}
+
+/**
+ * Mine past every block the FHEVM mock coprocessor may have already read.
+ *
+ * The coprocessor reads FHE events lazily and never moves its cursor back, so after an
+ * evm_revert (loadFixture, snapshots) it skips the blocks up to the highest one it has
+ * read and the handles created there cannot be decrypted. Its cursor is never past the
+ * highest block recorded by trackRevertedBlocks(). Call this before creating the
+ * handles a test decrypts.
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {Promise<number>} Number of blocks mined
+ */
+async function syncMockCoprocessor(hre) {
+  const head = Number(await hre.network.provider.request({ method: "eth_blockNumber" }));
+  const blocks = Math.max(highestRevertedBlock + 1 - head, 0);
+  if (blocks > 0) {
+    await hre.network.provider.request({ method: "hardhat_mine", params: [hre.ethers.toQuantity(blocks)] });
+  }
+  return blocks;
+}
+
+class MockGateway {
+  /**
+   * @param {WaterResourceClient} client Client connected as the relayer account
+   * @param {Object} oracle Decrypts and signs handles, see createMockOracle()
+   * @param {Object} [options]
+   * @param {string} [options.mode="relay"] One of GATEWAY_MODES
+   * @param {number} [options.delay=0] How long delay mode holds a callback (ms)
+   * @param {number} [options.fromBlock=0] First block to look for requests in
+   * @param {number} [options.pollInterval=2000] Delay between polls in follow mode (ms)
+   * @param {Object} [options.provider] Defaults to the client's runner provider
+   * @param {function(string): void} [options.log]
+   */
+  constructor(client, oracle, options = {}) {
+    this.client = client;
+    this.oracle = oracle;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    assertMode(this.options.mode);
+    this.provider = options.provider || client.contract.runner.provider || client.contract.runner;
+    this.log = options.log || (() => {});
+    this.nextBlock = this.options.fromBlock;
+    // requestId (string) -> request record
+    this.requests = new Map();
+  }
+
+  /**
+   * Change how requests seen from now on are handled
+   * @param {string} mode One of GATEWAY_MODES
+   * @param {number} [delay] New delay for delay mode (ms)
+   */
+  setMode(mode, delay) {
+    assertMode(mode);
+    this.options.mode = mode;
+    if (delay !== undefined) {
+      this.options.delay = delay;
+    }
+  }
+
+  /**
+   * Pick up new requests and deliver every callback that is due
+   * @returns {Promise<Object[]>} Records of the requests handled in this poll
+   */
+  async pollOnce() {
+    const handled = [];
+    const head = await this.provider.getBlockNumber();
+    if (head >= this.nextBlock) {
+      const events = await this.client.queryEvents("DecryptionRequested", {
+        fromBlock: this.nextBlock,
+        toBlock: head,
+      });
+      for (const event of events) {
+        const record = await this._track(event);
+        if (record && record.status === "dropped") {
+          handled.push(record);
+        }
+      }
+      this.nextBlock = head + 1;
+    }
+
+    const now = Date.now();
+    handled.push(...(await this._deliver((request) => request.status === "pending" && request.dueAt <= now)));
+    return handled;
+  }
+
+  /**
+   * Deliver every held callback now, ignoring the remaining delay
+   * @returns {Promise<Object[]>}
+   */
+  async flush() {
+    const handled = await this.pollOnce();
+    handled.push(...(await this._deliver((request) => request.status === "pending")));
+    return handled;
+  }
+
+  /**
+   * Answer every open request in the given mode right away, for scripted runs
+   * @param {string} mode One of GATEWAY_MODES
+   * @returns {Promise<TransactionResult|null>} The last callback sent, if any
+   */
+  async fulfillPending(mode) {
+    this.setMode(mode);
+    const records = await this.flush();
+    const failed = records.find((record) => record.status === "failed");
+    if (failed) {
+      throw new Error(`Decryption request ${failed.requestId}: ${failed.error}`);
+    }
+    const fulfilled = records.filter((record) => record.status === "fulfilled");
+    return fulfilled.length > 0 ? fulfilled[fulfilled.length - 1].transaction : null;
+  }
+
+  /**
+   * Poll until the signal is aborted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(Object): void} [options.onRequest] Called with each handled request record
+   */
+  async follow({ signal, onRequest = () => {} } = {}) {
+    while (!signal || !signal.aborted) {
+      for (const record of await this.pollOnce()) {
+        onRequest(record);
+      }
+      await sleep(this.options.pollInterval, signal);
+    }
+  }
+
+  async _track(event) {
+    const key = String(event.args.requestId);
+    if (this.requests.has(key)) {
+      return null;
+    }
+
+    const { mode, delay } = this.options;
+    const record = {
+      requestId: event.args.requestId,
+      periodId: event.args.periodId,
+      requestTransaction: event.transactionHash,
+      mode,
+      status: "pending",
+      dueAt: Date.now() + (mode === "delay" ? delay : 0),
+    };
+    this.requests.set(key, record);
+
+    // Requests answered by someone else (or before a restart) are left alone
+    const decryption = await this.client.getDecryptionRequest(event.args.requestId);
+    if (decryption.completed) {
+      record.status = "completed";
+    } else if (mode === "drop") {
+      record.status = "dropped";
+      this.log(`Dropping decryption request ${key} for period ${record.periodId}`);
+    } else if (mode === "delay") {
+      this.log(`Holding decryption request ${key} for period ${record.periodId} for ${delay} ms`);
+    }
+    return record;
+  }
+
+  async _deliver(isDue) {
+    const handled = [];
+    for (const record of this.requests.values()) {
+      if (isDue(record)) {
+        await this._fulfil(record);
+        handled.push(record);
+      }
+    }
+    return handled;
+  }
+
+  async _fulfil(record) {
+    try {
+      const handles = await this._findHandles(record);
+      const values =
+        record.mode === "zero"
+          ? handles.map(() => 0n)
+          : await Promise.all(handles.map((handle) => this.oracle.decrypt(handle)));
+      const { cleartexts, decryptionProof } = await this.oracle.sign(handles, values);
+      const result = await this.client.processAllocationCallback(record.requestId, cleartexts, decryptionProof);
+
+      record.status = "fulfilled";
+      record.totalWater = Number(values[0]);
+      record.transaction = result;
+      this.log(`Delivered ${record.totalWater} for decryption request ${record.requestId} (period ${record.periodId})`);
+    } catch (error) {
+      record.status = "failed";
+      record.error = errorReason(error);
+      this.log(`Decryption request ${record.requestId} failed: ${record.error}`);
+    }
+  }
+
+  // The handles live in the oracle's DecryptionRequest event, emitted in the same transaction
+  async _findHandles(record) {
+    const receipt = await this.provider.getTransactionReceipt(record.requestTransaction);
+    const address = this.client.address.toLowerCase();
+    const request = this.oracle
+      .parseRequests(receipt.logs)
+      .find(
+        (candidate) =>
+          BigInt(candidate.requestID) === BigInt(record.requestId) &&
+          candidate.contractCallerAddress.toLowerCase() === address
+      );
+    if (!request) {
+      throw new Error(`No oracle DecryptionRequest found for request ${record.requestId}`);
+    }
+    return request.handlesBytes32Hex;
+  }
+}
+
+module.exports = MockGateway;
+module.exports.MockGateway = MockGateway;
+module.exports.GATEWAY_MODES = GATEWAY_MODES;
+module.exports.createMockOracle = createMockOracle;
+module.exports.syncMockCoprocessor = syncMockCoprocessor;
+module.exports.trackRevertedBlocks = trackRevertedBlocks;
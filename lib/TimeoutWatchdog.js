@@ -0,0 +1,195 @@
+/**
+ * Keeper for stalled decryptions.
+ *
+ * Looks at every period that has requested decryption but is neither
+ * distributed nor marked failed. Once getDecryptionStatus reports the request
+ * as timed out, it calls claimDecryptionTimeout, retrying failed attempts with
+ * exponential backoff under a gas limit. Every decision is reported through
+ * `log` as a structured entry ({ time, level, event, periodId, ... }).
+ */
+const { errorReason } = require("./cli");
+
+const DEFAULT_OPTIONS = {
+  fromPeriod: 1,
+  pollInterval: 60000,
+  maxAttempts: 3,
+  retryDelay: 5000,
+  gasLimit: null,
+  gasMargin: 20,
+  maxGasLimit: 5000000,
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+function isClosed(period) {
+  return period.distributionCompleted || period.decryptionFailed;
+}
+
+class TimeoutWatchdog {
+  /**
+   * @param {WaterResourceClient} client Client connected as the account that sends claims
+   * @param {Object} [options]
+   * @param {number} [options.fromPeriod=1] First period to watch
+   * @param {number} [options.pollInterval=60000] Delay between checks in watch mode (ms)
+   * @param {number} [options.maxAttempts=3] Claim attempts per period before giving up
+   * @param {number} [options.retryDelay=5000] Delay before the first retry, doubled after each failure (ms)
+   * @param {number} [options.gasLimit] Fixed gas limit for claims; estimated when not set
+   * @param {number} [options.gasMargin=20] Percentage added to the gas estimate
+   * @param {number} [options.maxGasLimit=5000000] Refuse to send claims estimated above this
+   * @param {function(Object): void} [options.log] Receives structured log entries
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.log = options.log || (() => {});
+    // Distributed or failed periods never reopen, so they are only read once
+    this.closed = new Set();
+  }
+
+  /**
+   * Check every open period once and claim the ones that timed out
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Stops waiting between retries
+   * @returns {Promise<{currentPeriod: number, periods: Object[]}>} One entry per open period with a
+   *          decryption request; `status` is waiting, claimed, resolved or failed
+   */
+  async checkOnce({ signal } = {}) {
+    const currentPeriod = await this.client.currentAllocationPeriod();
+    const periods = [];
+
+    for (let periodId = this.options.fromPeriod; periodId <= currentPeriod; periodId++) {
+      if (this.closed.has(periodId)) {
+        continue;
+      }
+      const period = await this.client.getPeriod(periodId);
+      if (isClosed(period)) {
+        this.closed.add(periodId);
+        continue;
+      }
+      if (period.decryptionRequestTime === 0) {
+        continue;
+      }
+
+      const status = await this.client.getDecryptionStatus(periodId);
+      if (!status.timedOut) {
+        this._entry("info", "waiting", periodId, { timeSinceRequest: status.timeSinceRequest });
+        periods.push({ periodId, status: "waiting", timeSinceRequest: status.timeSinceRequest });
+        continue;
+      }
+
+      const result = await this.claim(periodId, { signal });
+      if (result.status !== "failed") {
+        this.closed.add(periodId);
+      }
+      periods.push(result);
+    }
+
+    return { currentPeriod, periods };
+  }
+
+  /**
+   * Check repeatedly until the signal is aborted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(Object): void} [options.onCheck] Called with each checkOnce() result
+   */
+  async watch({ signal, onCheck = () => {} } = {}) {
+    while (!signal || !signal.aborted) {
+      try {
+        onCheck(await this.checkOnce({ signal }));
+      } catch (error) {
+        // A flaky RPC must not stop the keeper; try again on the next round
+        this._entry("error", "check-failed", null, { error: errorReason(error) });
+      }
+      await sleep(this.options.pollInterval, signal);
+    }
+  }
+
+  /**
+   * Call claimDecryptionTimeout, retrying until it succeeds, someone else closes
+   * the period, or the attempts run out
+   * @returns {Promise<Object>} { periodId, status, attempts, ... }
+   */
+  async claim(periodId, { signal } = {}) {
+    const { maxAttempts, retryDelay } = this.options;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const gasLimit = await this._gasLimit(periodId);
+        this._entry("info", "claim-submitted", periodId, { attempt, gasLimit: Number(gasLimit) });
+        const result = await this.client.claimDecryptionTimeout(periodId, { gasLimit });
+        const refunds = result.events.filter((event) => event.name === "RefundProcessed").length;
+        this._entry("info", "claimed", periodId, {
+          attempt,
+          transactionHash: result.hash,
+          blockNumber: result.blockNumber,
+          gasUsed: Number(result.gasUsed),
+          refunds,
+        });
+        return { periodId, status: "claimed", attempts: attempt, transactionHash: result.hash, refunds };
+      } catch (error) {
+        lastError = errorReason(error);
+      }
+
+      // Another keeper, or a late callback, may have closed the period meanwhile
+      const period = await this.client.getPeriod(periodId);
+      if (isClosed(period)) {
+        this._entry("info", "resolved", periodId, {
+          attempt,
+          distributionCompleted: period.distributionCompleted,
+          decryptionFailed: period.decryptionFailed,
+        });
+        return { periodId, status: "resolved", attempts: attempt };
+      }
+
+      this._entry("warn", "claim-failed", periodId, { attempt, error: lastError });
+      if (attempt < maxAttempts) {
+        await sleep(retryDelay * 2 ** (attempt - 1), signal);
+        if (signal && signal.aborted) {
+          break;
+        }
+      }
+    }
+
+    this._entry("error", "claim-abandoned", periodId, { attempts: maxAttempts, error: lastError });
+    return { periodId, status: "failed", attempts: maxAttempts, error: lastError };
+  }
+
+  async _gasLimit(periodId) {
+    const { gasLimit, gasMargin, maxGasLimit } = this.options;
+    if (gasLimit) {
+      return BigInt(gasLimit);
+    }
+    // The claim refunds every participant, so its cost grows with the period
+    const estimate = await this.client.estimateGas("claimDecryptionTimeout", periodId);
+    const limit = (estimate * BigInt(100 + gasMargin)) / 100n;
+    if (limit > BigInt(maxGasLimit)) {
+      throw new Error(`Estimated gas ${limit} is above the ${maxGasLimit} limit`);
+    }
+    return limit;
+  }
+
+  _entry(level, event, periodId, details = {}) {
+    this.log({
+      time: new Date().toISOString(),
+      level,
+      event,
+      ...(periodId !== null ? { periodId } : {}),
+      ...details,
+    });
+  }
+}
+
+module.exports = TimeoutWatchdog;
+module.exports.TimeoutWatchdog = TimeoutWatchdog;
@@ -0,0 +1,526 @@
+/**
+ * WaterResourceClient - shared JavaScript client for the WaterResourceManager contract.
+ *
+ * Wraps every contract function and event behind named result objects so scripts,
+ * the Next.js dashboard and the static front end stop unpacking tuples by hand.
+ * Works with ethers v5 (front ends) and ethers v6 (Hardhat scripts): the client
+ * only relies on the Contract surface both versions share.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.WaterResourceClient`; load lib/contractConfig.js before it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./contractConfig"));
+  } else {
+    root.WaterResourceClient = factory(root.ContractConfig);
+  }
+})(typeof self !== "undefined" ? self : globalThis, (ContractConfig) => {
+  // Human-readable ABI generated from the compiled contract by scripts/contract-config.js
+  const WATER_RESOURCE_MANAGER_ABI = ContractConfig.abi;
+
+  const EVENT_NAMES = [
+    "RegionRegistered",
+    "AllocationPeriodStarted",
+    "WaterRequested",
+    "WaterAllocated",
+    "AllocationCompleted",
+    "EmergencyAllocation",
+    "DecryptionRequested",
+    "DecryptionFulfilled",
+    "DecryptionFailed",
+    "RefundProcessed",
+    "TimeoutProtectionTriggered",
+  ];
+
+  // uint256 fields (timestamps, durations, period IDs) that always fit in a JS number
+  const NUMBER_FIELDS = new Set([
+    "startTime",
+    "endTime",
+    "timestamp",
+    "lastUpdateTime",
+    "requestTime",
+    "timeSinceRequest",
+    "requestTimeout",
+    "decryptionRequestTime",
+    "periodId",
+  ]);
+
+  /**
+   * @typedef {Object} RegionInfo
+   * @property {number} regionId
+   * @property {string} name
+   * @property {boolean} isActive
+   * @property {number} lastUpdateTime
+   * @property {string} manager
+   * @property {bigint} lockedAmount
+   */
+
+  /**
+   * @typedef {Object} PeriodInfo
+   * @property {number} periodId
+   * @property {number} startTime
+   * @property {number} endTime
+   * @property {boolean} distributionCompleted
+   * @property {number} participatingRegions
+   * @property {boolean} isActive
+   * @property {boolean} decryptionFailed
+   * @property {bigint} decryptionRequestId
+   */
+
+  /**
+   * @typedef {Object} RequestStatus
+   * @property {number} regionId
+   * @property {number} periodId
+   * @property {boolean} hasSubmittedRequest
+   * @property {boolean} isProcessed
+   * @property {boolean} refundClaimed
+   * @property {number} timestamp
+   * @property {number} requestTimeout
+   */
+
+  /**
+   * @typedef {Object} DecryptionStatus
+   * @property {number} periodId
+   * @property {number} requestTime
+   * @property {number} timeSinceRequest
+   * @property {boolean} timedOut
+   * @property {boolean} decryptionFailed
+   */
+
+  /**
+   * @typedef {Object} ContractEvent
+   * @property {string} name
+   * @property {Object} args Named, normalized event arguments
+   * @property {number} blockNumber
+   * @property {string} blockHash
+   * @property {string} transactionHash
+   * @property {number} logIndex
+   */
+
+  /**
+   * @typedef {Object} TransactionResult
+   * @property {string} hash
+   * @property {number} blockNumber
+   * @property {bigint} gasUsed
+   * @property {number} status
+   * @property {ContractEvent[]} events
+   */
+
+  /**
+   * Convert a bigint, ethers v5 BigNumber or numeric string to bigint
+   */
+  function toBigInt(value) {
+    if (typeof value === "bigint") {
+      return value;
+    }
+    if (typeof value === "number") {
+      return BigInt(value);
+    }
+    return BigInt(value.toString());
+  }
+
+  /**
+   * Convert a bigint, ethers v5 BigNumber or numeric string to number
+   */
+  function toNumber(value) {
+    return Number(toBigInt(value));
+  }
+
+  function normalizeValue(param, value) {
+    if (param.baseType === "array") {
+      return Array.from(value, (item) => normalizeValue(param.arrayChildren, item));
+    }
+    const match = /^u?int(\d*)$/.exec(param.type);
+    if (match) {
+      const bits = Number(match[1] || 256);
+      return bits <= 32 || NUMBER_FIELDS.has(param.name) ? toNumber(value) : toBigInt(value);
+    }
+    return value;
+  }
+
+  /**
+   * Turn an ethers Result (v5 or v6) into a plain object keyed by parameter name
+   */
+  function decodeResult(params, values) {
+    const decoded = {};
+    params.forEach((param, index) => {
+      decoded[param.name || String(index)] = normalizeValue(param, values[index]);
+    });
+    return decoded;
+  }
+
+  class WaterResourceClient {
+    /**
+     * @param {Object} contract ethers v5 or v6 Contract attached to WaterResourceManager
+     * @param {Object} [options]
+     * @param {function(string, Array, WaterResourceClient): Promise<void>} [options.beforeSend] Called with
+     *        (method, args, client) before a write is sent; throwing cancels it (see lib/transactionManager.js)
+     * @param {function(string, string, Object): void} [options.onSubmitted] Called with (method, hash,
+     *        transaction) once a transaction is broadcast, before it is mined
+     * @param {Object} [options.encryptor] Encrypts the values of startAllocationPeriod,
+     *        submitWaterRequest and emergencyWaterAllocation (see lib/encryptedInput.js)
+     */
+    constructor(contract, options = {}) {
+      this.contract = contract;
+      this.options = options;
+    }
+
+    /**
+     * Create a client from an ethers namespace (v5 or v6), address and signer/provider
+     */
+    static connect(ethers, address, runner, options) {
+      const contract = new ethers.Contract(address, WATER_RESOURCE_MANAGER_ABI, runner);
+      return new WaterResourceClient(contract, options);
+    }
+
+    get address() {
+      return this.contract.target || this.contract.address;
+    }
+
+    get interface() {
+      return this.contract.interface;
+    }
+
+    /**
+     * Return a client bound to another signer or provider
+     */
+    withRunner(runner) {
+      return new WaterResourceClient(this.contract.connect(runner), this.options);
+    }
+
+    // ---------------------------------------------------------------------
+    // Reads
+    // ---------------------------------------------------------------------
+
+    async _call(method, ...args) {
+      const fragment = this.contract.interface.getFunction(method);
+      const result = await this.contract[method](...args);
+      if (fragment.outputs.length === 1) {
+        return normalizeValue(fragment.outputs[0], result);
+      }
+      return decodeResult(fragment.outputs, result);
+    }
+
+    async authority() {
+      return this._call("authority");
+    }
+
+    async currentAllocationPeriod() {
+      return this._call("currentAllocationPeriod");
+    }
+
+    async lastAllocationTime() {
+      return this._call("lastAllocationTime");
+    }
+
+    async totalRegions() {
+      return this._call("totalRegions");
+    }
+
+    async nextRegionId() {
+      return this._call("nextRegionId");
+    }
+
+    async isAllocationPeriodActive() {
+      return this._call("isAllocationPeriodActive");
+    }
+
+    /**
+     * Timeout constants, in seconds
+     * @returns {Promise<{decryptionTimeout: number, requestTimeout: number}>}
+     */
+    async getTimeouts() {
+      const [decryptionTimeout, requestTimeout] = await Promise.all([
+        this._call("DECRYPTION_TIMEOUT"),
+        this._call("REQUEST_TIMEOUT"),
+      ]);
+      return { decryptionTimeout: Number(decryptionTimeout), requestTimeout: Number(requestTimeout) };
+    }
+
+    /**
+     * Region ID managed by an address, or 0 if it manages none
+     */
+    async regionIdOf(manager) {
+      return this._call("regionManagers", manager);
+    }
+
+    /**
+     * Raw region record, including inactive regions and encrypted handles
+     */
+    async getRegion(regionId) {
+      return { regionId: Number(regionId), ...(await this._call("regions", regionId)) };
+    }
+
+    /**
+     * Raw allocation period record, including the encrypted total water handle
+     */
+    async getPeriod(periodId) {
+      return { periodId: Number(periodId), ...(await this._call("allocationPeriods", periodId)) };
+    }
+
+    /**
+     * Raw water request record, including encrypted handles
+     */
+    async getWaterRequest(periodId, regionId) {
+      return {
+        periodId: Number(periodId),
+        regionId: Number(regionId),
+        ...(await this._call("waterRequests", periodId, regionId)),
+      };
+    }
+
+    async getDecryptionRequest(requestId) {
+      return { requestId: toBigInt(requestId), ...(await this._call("decryptionRequests", requestId)) };
+    }
+
+    /**
+     * @returns {Promise<RegionInfo>}
+     */
+    async getRegionInfo(regionId) {
+      return { regionId: Number(regionId), ...(await this._call("getRegionInfo", regionId)) };
+    }
+
+    /**
+     * @returns {Promise<PeriodInfo>}
+     */
+    async getCurrentPeriodInfo() {
+      return this._call("getCurrentPeriodInfo");
+    }
+
+    /**
+     * @returns {Promise<RequestStatus>}
+     */
+    async getRegionRequestStatus(regionId, periodId) {
+      return {
+        regionId: Number(regionId),
+        periodId: Number(periodId),
+        ...(await this._call("getRegionRequestStatus", regionId, periodId)),
+      };
+    }
+
+    /**
+     * @returns {Promise<DecryptionStatus>}
+     */
+    async getDecryptionStatus(periodId) {
+      return { periodId: Number(periodId), ...(await this._call("getDecryptionStatus", periodId)) };
+    }
+
+    /**
+     * @returns {Promise<number[]>} Region IDs in submission order
+     */
+    async getPeriodParticipants(periodId) {
+      return this._call("getPeriodParticipants", periodId);
+    }
+
+    async canClaimTimeoutRefund(periodId, manager) {
+      return this._call("canClaimTimeoutRefund", periodId, manager);
+    }
+
+    // ---------------------------------------------------------------------
+    // Writes
+    // ---------------------------------------------------------------------
+
+    /**
+     * Encrypt values for the sender of the next transaction
+     * @param {string} method Contract function the values are for, named in errors
+     * @returns {Promise<{handles: string[], inputProof: string}>}
+     */
+    async _encrypt(method, values) {
+      if (!this.options.encryptor) {
+        throw new Error(`${method} takes encrypted inputs; create the client with an encryptor option`);
+      }
+      const signer = this.contract.runner || this.contract.signer;
+      if (!signer || typeof signer.getAddress !== "function") {
+        throw new Error(`${method} needs a client connected with a signer`);
+      }
+      return this.options.encryptor.encryptUint32(this.address, await signer.getAddress(), values);
+    }
+
+    /**
+     * Send a transaction, wait for it to be mined and decode its events
+     * @returns {Promise<TransactionResult>}
+     */
+    async _send(method, ...args) {
+      if (this.options.beforeSend) {
+        await this.options.beforeSend(method, args, this);
+      }
+      const tx = await this.contract[method](...args);
+      if (this.options.onSubmitted) {
+        this.options.onSubmitted(method, tx.hash, tx);
+      }
+      const receipt = await tx.wait();
+      return this.parseReceipt(receipt);
+    }
+
+    /**
+     * Run a write with eth_call, without sending it
+     * @throws The error the transaction would revert with
+     */
+    async simulate(method, ...args) {
+      if (typeof this.contract[method].staticCall === "function") {
+        await this.contract[method].staticCall(...args); // ethers v6
+      } else {
+        await this.contract.callStatic[method](...args); // ethers v5
+      }
+    }
+
+    /**
+     * Gas estimate for a write, without sending it
+     * @returns {Promise<bigint>}
+     */
+    async estimateGas(method, ...args) {
+      const estimate =
+        typeof this.contract[method].estimateGas === "function"
+          ? await this.contract[method].estimateGas(...args) // ethers v6
+          : await this.contract.estimateGas[method](...args); // ethers v5
+      return toBigInt(estimate);
+    }
+
+    /**
+     * @returns {Promise<TransactionResult & {regionId: number}>}
+     */
+    async registerRegion(name, priorityLevel, manager, overrides = {}) {
+      const result = await this._send("registerRegion", name, priorityLevel, manager, overrides);
+      const event = result.events.find((e) => e.name === "RegionRegistered");
+      return { ...result, regionId: event ? event.args.regionId : null };
+    }
+
+    /**
+     * @returns {Promise<TransactionResult & {periodId: number}>}
+     */
+    async startAllocationPeriod(totalAvailableWater, durationHours, overrides = {}) {
+      const { handles, inputProof } = await this._encrypt("startAllocationPeriod", [totalAvailableWater]);
+      const result = await this._send("startAllocationPeriod", handles[0], inputProof, durationHours, overrides);
+      const event = result.events.find((e) => e.name === "AllocationPeriodStarted");
+      return { ...result, periodId: event ? event.args.periodId : null };
+    }
+
+    async submitWaterRequest(requestedAmount, justificationScore, overrides = {}) {
+      const { handles, inputProof } = await this._encrypt("submitWaterRequest", [requestedAmount, justificationScore]);
+      return this._send("submitWaterRequest", handles[0], handles[1], inputProof, overrides);
+    }
+
+    /**
+     * @returns {Promise<TransactionResult & {requestId: bigint}>}
+     */
+    async processAllocation(overrides = {}) {
+      const result = await this._send("processAllocation", overrides);
+      const event = result.events.find((e) => e.name === "DecryptionRequested");
+      return { ...result, requestId: event ? event.args.requestId : null };
+    }
+
+    async processAllocationCallback(requestId, cleartexts, decryptionProof, overrides = {}) {
+      return this._send("processAllocationCallback", requestId, cleartexts, decryptionProof, overrides);
+    }
+
+    async claimDecryptionTimeout(periodId, overrides = {}) {
+      return this._send("claimDecryptionTimeout", periodId, overrides);
+    }
+
+    async claimDecryptionFailureRefund(periodId, overrides = {}) {
+      return this._send("claimDecryptionFailureRefund", periodId, overrides);
+    }
+
+    async emergencyWaterAllocation(regionId, emergencyAmount, overrides = {}) {
+      const { handles, inputProof } = await this._encrypt("emergencyWaterAllocation", [emergencyAmount]);
+      return this._send("emergencyWaterAllocation", regionId, handles[0], inputProof, overrides);
+    }
+
+    async deactivateRegion(regionId, overrides = {}) {
+      return this._send("deactivateRegion", regionId, overrides);
+    }
+
+    async updateRegionManager(regionId, newManager, overrides = {}) {
+      return this._send("updateRegionManager", regionId, newManager, overrides);
+    }
+
+    // ---------------------------------------------------------------------
+    // Events
+    // ---------------------------------------------------------------------
+
+    /**
+     * Decode a single log emitted by this contract, or null if it is not one of ours
+     * @returns {ContractEvent|null}
+     */
+    parseLog(log) {
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+      if (!parsed) {
+        return null;
+      }
+      return {
+        name: parsed.name,
+        args: decodeResult(parsed.fragment.inputs, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index !== undefined ? log.index : log.logIndex,
+      };
+    }
+
+    /**
+     * Normalize a v5 or v6 transaction receipt and decode the events it carries
+     * @returns {TransactionResult}
+     */
+    parseReceipt(receipt) {
+      const address = this.address.toLowerCase();
+      const events = receipt.logs
+        .filter((log) => log.address.toLowerCase() === address)
+        .map((log) => this.parseLog(log))
+        .filter(Boolean);
+      return {
+        hash: receipt.hash || receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: toBigInt(receipt.gasUsed),
+        status: receipt.status,
+        events,
+      };
+    }
+
+    /**
+     * Fetch past events
+     * @param {string} name Event name, or "*" for every contract event
+     * @param {Object} [options]
+     * @param {Array} [options.args] Indexed argument filter values, in event order
+     * @param {number|string} [options.fromBlock]
+     * @param {number|string} [options.toBlock]
+     * @returns {Promise<ContractEvent[]>}
+     */
+    async queryEvents(name, { args = [], fromBlock = 0, toBlock = "latest" } = {}) {
+      const filter = name === "*" ? "*" : this.contract.filters[name](...args);
+      const logs = await this.contract.queryFilter(filter, fromBlock, toBlock);
+      return logs.map((log) => this.parseLog(log)).filter(Boolean);
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} name Event name
+     * @param {function(ContractEvent): void} listener
+     * @returns {function(): void} Unsubscribe function
+     */
+    on(name, listener) {
+      const handler = (...params) => {
+        const payload = params[params.length - 1];
+        const event = this.parseLog(payload.log || payload);
+        if (event) {
+          listener(event);
+        }
+      };
+      this.contract.on(name, handler);
+      return () => this.contract.off(name, handler);
+    }
+  }
+
+  WaterResourceClient.ABI = WATER_RESOURCE_MANAGER_ABI;
+  WaterResourceClient.EVENT_NAMES = EVENT_NAMES;
+  WaterResourceClient.WaterResourceClient = WaterResourceClient;
+  WaterResourceClient.toBigInt = toBigInt;
+  WaterResourceClient.toNumber = toNumber;
+
+  return WaterResourceClient;
+});
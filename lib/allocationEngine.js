@@ -0,0 +1,137 @@
+/**
+ * AllocationEngine - off-chain replica of the contract's water distribution.
+ *
+ * Reproduces WaterResourceManager._distributeWaterBasedOnPriority and
+ * _calculateObfuscatedAllocation step for step, so a total water amount can be
+ * previewed against hypothetical regions and requests before a period starts.
+ *
+ * Contract behaviour mirrored here, including the parts that are easy to miss:
+ *   - Regions are served in submission order (regionsByPeriod), not by priority.
+ *   - Each region gets max(remaining / 10, 1), capped at remaining / 2, using
+ *     integer division. Priority, requested amount and justification score do
+ *     not influence the amount.
+ *   - The privacy multiplier is computed on-chain but never applied.
+ *   - A region offered 0 (remaining water of 1) is left unprocessed.
+ *   - A decrypted total of 0 marks the period as failed instead of distributing.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.AllocationEngine`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AllocationEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const MAX_UINT32 = 0xffffffff;
+
+  function assertUint32(name, value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_UINT32) {
+      throw new RangeError(`${name} must be a uint32, got ${value}`);
+    }
+  }
+
+  /**
+   * Amount offered to the next region (_calculateObfuscatedAllocation)
+   * @param {number} availableWater Water left to distribute
+   * @returns {number}
+   */
+  function calculateAllocation(availableWater) {
+    assertUint32("availableWater", availableWater);
+    if (availableWater === 0) {
+      return 0;
+    }
+
+    const baseAllocation = Math.floor(availableWater / 10);
+    let amount = baseAllocation > 0 ? baseAllocation : 1;
+    if (amount > Math.floor(availableWater / 2)) {
+      amount = Math.floor(availableWater / 2);
+    }
+    return amount;
+  }
+
+  /**
+   * @typedef {Object} EngineRequest
+   * @property {number} regionId
+   * @property {number} [requestedAmount] Informational, the contract ignores it
+   * @property {number} [priority] Informational, the contract ignores it
+   * @property {number} [justificationScore] Informational, the contract ignores it
+   * @property {boolean} [isProcessed=false] Already processed requests are skipped
+   */
+
+  /**
+   * @typedef {Object} EngineAllocation
+   * @property {number} regionId
+   * @property {number} index Position in submission order
+   * @property {number} amount Allocated amount (0 when not served)
+   * @property {boolean} processed Whether the contract would mark the request processed
+   * @property {number|null} requestedAmount
+   * @property {number|null} shortfall requestedAmount - amount, when requestedAmount is known
+   */
+
+  /**
+   * Distribute a decrypted total over requests in submission order
+   * (processAllocationCallback + _distributeWaterBasedOnPriority)
+   * @param {number} totalWater Decrypted total available water
+   * @param {EngineRequest[]} requests In the order regions submitted them
+   * @returns {{totalWater: number, distributedWater: number, remainingWater: number,
+   *   decryptionFailed: boolean, allocations: EngineAllocation[]}}
+   */
+  function distributeWater(totalWater, requests) {
+    assertUint32("totalWater", totalWater);
+    const seen = new Set();
+    for (const request of requests) {
+      assertUint32("regionId", request.regionId);
+      if (seen.has(request.regionId)) {
+        throw new Error(`Region ${request.regionId} can only submit one request per period`);
+      }
+      seen.add(request.regionId);
+    }
+
+    const allocations = requests.map((request, index) => ({
+      regionId: request.regionId,
+      index,
+      amount: 0,
+      processed: Boolean(request.isProcessed),
+      requestedAmount: request.requestedAmount !== undefined ? request.requestedAmount : null,
+      shortfall: null,
+    }));
+
+    const decryptionFailed = totalWater === 0;
+    let remainingWater = totalWater;
+
+    for (let i = 0; i < allocations.length && remainingWater > 0; i++) {
+      const allocation = allocations[i];
+      if (allocation.processed) {
+        continue;
+      }
+
+      const amount = calculateAllocation(remainingWater);
+      if (amount > 0) {
+        allocation.amount = amount;
+        allocation.processed = true;
+        remainingWater -= amount;
+      }
+    }
+
+    for (const allocation of allocations) {
+      if (allocation.requestedAmount !== null) {
+        allocation.shortfall = allocation.requestedAmount - allocation.amount;
+      }
+    }
+
+    return {
+      totalWater,
+      distributedWater: totalWater - remainingWater,
+      remainingWater,
+      decryptionFailed,
+      allocations,
+    };
+  }
+
+  return {
+    calculateAllocation,
+    distributeWater,
+  };
+});
@@ -0,0 +1,230 @@
+/**
+ * Shared helpers for the non-interactive command line of the scripts.
+ *
+ * A command table maps space-separated command words (e.g. "region register")
+ * to a spec with typed options. parseCommand() turns process.argv into the
+ * matching command and validated parameters.
+ */
+const { parseArgs } = require("util");
+const ErrorCatalog = require("./errorCatalog");
+
+// Flags accepted by every command
+const GLOBAL_OPTIONS = {
+  network: { type: "string", description: "Hardhat network to use" },
+  deployment: { type: "string", description: "Deployment alias or version from the registry (default: latest)" },
+  json: { type: "boolean", description: "Print machine-readable JSON output" },
+  help: { type: "boolean", description: "Show usage" },
+};
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Point Hardhat at the network given by --network, and loadDeployment() at the
+ * deployment given by --deployment. Both the "--flag value" and "--flag=value"
+ * forms are accepted. Must run before require("hardhat").
+ */
+function applyNetworkFlag(argv) {
+  const flags = { "--network": "HARDHAT_NETWORK", "--deployment": "DEPLOYMENT" };
+  for (const [flag, variable] of Object.entries(flags)) {
+    argv.forEach((arg, index) => {
+      if (arg === flag && argv[index + 1]) {
+        process.env[variable] = argv[index + 1];
+      } else if (arg.startsWith(`${flag}=`) && arg.length > flag.length + 1) {
+        process.env[variable] = arg.slice(flag.length + 1);
+      }
+    });
+  }
+}
+
+function toParseArgsOptions(options) {
+  const result = {};
+  for (const [name, spec] of Object.entries(options)) {
+    result[name] = { type: spec.type === "boolean" ? "boolean" : "string" };
+  }
+  return result;
+}
+
+/**
+ * Convert and validate a raw option value according to its spec
+ */
+function parseOptionValue(name, spec, raw) {
+  if (spec.type === "boolean") {
+    // Interactive prompts answer yes/no, command-line flags arrive as true
+    return raw === true || /^(y|yes|true)$/i.test(String(raw).trim());
+  }
+  if (spec.type === "integer") {
+    if (!/^\d+$/.test(String(raw).trim())) {
+      throw new UsageError(`--${name} must be a non-negative integer, got "${raw}"`);
+    }
+    return parseInt(raw, 10);
+  }
+  if (spec.type === "address" && !/^0x[0-9a-fA-F]{40}$/.test(String(raw).trim())) {
+    throw new UsageError(`--${name} must be a 0x-prefixed address, got "${raw}"`);
+  }
+  if (spec.choices && !spec.choices.includes(raw)) {
+    throw new UsageError(`--${name} must be one of ${spec.choices.join(", ")}, got "${raw}"`);
+  }
+  return typeof raw === "string" ? raw.trim() : raw;
+}
+
+/**
+ * Fill in and validate command parameters from a raw key/value map
+ */
+function resolveParams(command, rawValues) {
+  const params = {};
+  for (const [name, spec] of Object.entries(command.options || {})) {
+    const raw = rawValues[name];
+    if (raw === undefined || raw === "") {
+      if (spec.default !== undefined) {
+        params[name] = spec.default;
+      } else if (!spec.optional && spec.type !== "boolean") {
+        throw new UsageError(`Missing required option --${name}`);
+      }
+      continue;
+    }
+    params[name] = parseOptionValue(name, spec, raw);
+  }
+  return params;
+}
+
+/**
+ * Match argv against a command table
+ * @param {string[]} argv Arguments after the script path
+ * @param {Object<string, Object>} commands Command table keyed by command words
+ * @returns {{key: string, command: Object, params: Object, flags: Object}}
+ */
+function parseCommand(argv, commands) {
+  const firstFlag = argv.findIndex((arg) => arg.startsWith("--"));
+  const words = (firstFlag === -1 ? argv : argv.slice(0, firstFlag)).join(" ");
+  const key = Object.keys(commands).find((name) => name === words);
+
+  if (!key) {
+    throw new UsageError(words ? `Unknown command "${words}"` : "No command given");
+  }
+
+  const command = commands[key];
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: firstFlag === -1 ? [] : argv.slice(firstFlag),
+      options: { ...toParseArgsOptions(GLOBAL_OPTIONS), ...toParseArgsOptions(command.options || {}) },
+      strict: true,
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const flags = {};
+  for (const name of Object.keys(GLOBAL_OPTIONS)) {
+    flags[name] = values[name];
+  }
+
+  return { key, command, params: values.help ? {} : resolveParams(command, values), flags };
+}
+
+function formatUsage(scriptName, commands) {
+  const lines = [`Usage: node ${scriptName} <command> [options]`, "", "Commands:"];
+  for (const [key, command] of Object.entries(commands)) {
+    const options = Object.entries(command.options || {})
+      .map(([name, spec]) => {
+        const flag = spec.type === "boolean" ? `--${name}` : `--${name} <${spec.type}>`;
+        return spec.optional || spec.type === "boolean" || spec.default !== undefined ? `[${flag}]` : flag;
+      })
+      .join(" ");
+    lines.push(`  ${key} ${options}`.trimEnd());
+    if (command.description) {
+      lines.push(`      ${command.description}`);
+    }
+  }
+  lines.push("", "Global options:");
+  for (const [name, spec] of Object.entries(GLOBAL_OPTIONS)) {
+    lines.push(`  --${name}${spec.type === "boolean" ? "" : " <name>"}  ${spec.description}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * JSON.stringify replacement that serializes bigint values as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Human-readable reason for a failed call or transaction, with its catalogue
+ * code and suggested fix when it has one (see lib/errorCatalog.js)
+ */
+function errorReason(error) {
+  return ErrorCatalog.formatError(error);
+}
+
+/**
+ * Run one command from argv: parse, invoke, then print the result (or --json)
+ * @param {string} scriptName Shown in usage output
+ * @param {Object<string, Object>} commands Command table with print(result) per command
+ * @param {string[]} argv Arguments after the script path
+ * @param {function(Object, Object, Object): Promise<*>} invoke Called with (command, params, flags)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCommand(scriptName, commands, argv, invoke) {
+  if (argv.length === 0 || argv[0] === "--help") {
+    console.log(formatUsage(scriptName, commands));
+    return argv.length === 0 ? EXIT_USAGE : 0;
+  }
+
+  let parsed;
+  try {
+    parsed = parseCommand(argv, commands);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(formatUsage(scriptName, commands));
+    return EXIT_USAGE;
+  }
+
+  const { key, command, params, flags } = parsed;
+  if (flags.help) {
+    console.log(formatUsage(scriptName, commands));
+    return 0;
+  }
+
+  try {
+    const result = await invoke(command, params, flags);
+    if (flags.json) {
+      console.log(toJson({ ok: true, command: key, result }));
+    } else {
+      command.print(result);
+    }
+    return 0;
+  } catch (error) {
+    if (flags.json) {
+      const { code } = ErrorCatalog.explainError(error);
+      console.log(toJson({ ok: false, command: key, error: errorReason(error), code, result: error.result }));
+    } else {
+      console.error(`❌ Error: ${errorReason(error)}`);
+    }
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+  }
+}
+
+module.exports = {
+  GLOBAL_OPTIONS,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  UsageError,
+  applyNetworkFlag,
+  parseCommand,
+  resolveParams,
+  parseOptionValue,
+  formatUsage,
+  toJson,
+  errorReason,
+  runCommand,
+};
@@ -0,0 +1,116 @@
+/**
+ * Contract configuration for the front ends: the ABI of the compiled
+ * WaterResourceManager and its deployment on each chain.
+ *
+ * Generated by scripts/contract-config.js from the Hardhat artifact and the
+ * deployment registry. Do not edit; run `npm run contract-config -- generate`.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.ContractConfig`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContractConfig = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const CONFIG = {
+    "contractName": "WaterResourceManager",
+    "abi": [
+      "constructor()",
+      "error AllocationExceedsAvailable(uint32 regionId, uint32 allocatedAmount, uint32 remainingWater)",
+      "error AllocationPeriodAlreadyActive(uint32 periodId)",
+      "error DecryptionAlreadyProcessed(uint256 requestId)",
+      "error DecryptionAlreadyRequested(uint32 periodId, uint256 requestId)",
+      "error DecryptionTimeoutNotReached(uint32 periodId, uint256 availableAt)",
+      "error DistributionAlreadyCompleted(uint32 periodId)",
+      "error HandlesAlreadySavedForRequestID()",
+      "error InvalidDecryptionRequest(uint256 requestId)",
+      "error InvalidDuration(uint256 durationHours)",
+      "error InvalidKMSSignatures()",
+      "error InvalidManagerAddress()",
+      "error InvalidPeriodId(uint32 periodId)",
+      "error InvalidPriorityLevel(uint32 priorityLevel)",
+      "error InvalidRegionId(uint32 regionId)",
+      "error InvalidRegionName()",
+      "error NoDecryptionFailure(uint32 periodId)",
+      "error NoDecryptionRequest(uint32 periodId)",
+      "error NoHandleFoundForRequestID()",
+      "error NoParticipatingRegions(uint32 periodId)",
+      "error NotAuthorized(address caller)",
+      "error NotDuringAllocationPeriod(uint32 periodId)",
+      "error NotRegionManager(uint32 regionId, address caller)",
+      "error NotRegisteredRegionManager(address account)",
+      "error RefundAlreadyClaimed(uint32 regionId, uint32 periodId)",
+      "error RegionNotActive(uint32 regionId)",
+      "error RequestAlreadySubmitted(uint32 regionId, uint32 periodId)",
+      "event AllocationCompleted(uint32 indexed periodId, uint32 totalRegions)",
+      "event AllocationPeriodStarted(uint32 indexed periodId, uint256 startTime)",
+      "event DecryptionFailed(uint32 indexed periodId, uint256 timestamp)",
+      "event DecryptionFulfilled(uint256 indexed requestID)",
+      "event DecryptionRequested(uint256 indexed requestId, uint32 indexed periodId)",
+      "event EmergencyAllocation(uint32 indexed regionId)",
+      "event RefundProcessed(uint32 indexed regionId, uint32 indexed periodId, uint256 amount)",
+      "event RegionRegistered(uint32 indexed regionId, string name, address manager)",
+      "event TimeoutProtectionTriggered(uint32 indexed periodId)",
+      "event WaterAllocated(uint32 indexed regionId, uint32 indexed periodId, uint32 amount)",
+      "event WaterRequested(uint32 indexed regionId, uint32 indexed periodId, address requester)",
+      "function DECRYPTION_TIMEOUT() view returns (uint256)",
+      "function REQUEST_TIMEOUT() view returns (uint256)",
+      "function allocationPeriods(uint32) view returns (uint256 startTime, uint256 endTime, bytes32 totalAvailableWater, bool distributionCompleted, uint32 participatingRegions, uint256 decryptionRequestTime, bool decryptionFailed, uint256 decryptionRequestId)",
+      "function authority() view returns (address)",
+      "function canClaimTimeoutRefund(uint32 periodId, address manager) view returns (bool)",
+      "function claimDecryptionFailureRefund(uint32 periodId)",
+      "function claimDecryptionTimeout(uint32 periodId)",
+      "function currentAllocationPeriod() view returns (uint32)",
+      "function deactivateRegion(uint32 regionId)",
+      "function decryptionRequests(uint256) view returns (uint256 periodId, uint256 requestTime, bool completed)",
+      "function emergencyWaterAllocation(uint32 regionId, bytes32 emergencyAmount, bytes inputProof)",
+      "function getCurrentPeriodInfo() view returns (uint32 periodId, uint256 startTime, uint256 endTime, bool distributionCompleted, uint32 participatingRegions, bool isActive, bool decryptionFailed, uint256 decryptionRequestId)",
+      "function getDecryptionStatus(uint32 periodId) view returns (uint256 requestTime, uint256 timeSinceRequest, bool timedOut, bool decryptionFailed)",
+      "function getPeriodParticipants(uint32 periodId) view returns (uint32[])",
+      "function getRegionInfo(uint32 regionId) view returns (string name, bool isActive, uint256 lastUpdateTime, address manager, uint256 lockedAmount)",
+      "function getRegionRequestStatus(uint32 regionId, uint32 periodId) view returns (bool hasSubmittedRequest, bool isProcessed, bool refundClaimed, uint256 timestamp, uint256 requestTimeout)",
+      "function isAllocationPeriodActive() view returns (bool)",
+      "function lastAllocationTime() view returns (uint256)",
+      "function nextRegionId() view returns (uint32)",
+      "function processAllocation()",
+      "function processAllocationCallback(uint256 requestId, bytes cleartexts, bytes decryptionProof)",
+      "function protocolId() pure returns (uint256)",
+      "function regionManagers(address) view returns (uint32)",
+      "function regions(uint32) view returns (string name, bytes32 waterDemand, bytes32 allocatedAmount, bytes32 priorityLevel, bool isActive, uint256 lastUpdateTime, address manager, uint256 lockedAmount)",
+      "function regionsByPeriod(uint32, uint256) view returns (uint32)",
+      "function registerRegion(string name, uint32 _priorityLevel, address _manager) returns (uint32 regionId)",
+      "function startAllocationPeriod(bytes32 _totalAvailableWater, bytes inputProof, uint256 _durationHours)",
+      "function submitWaterRequest(bytes32 _requestedAmount, bytes32 _justificationScore, bytes inputProof)",
+      "function totalRegions() view returns (uint32)",
+      "function updateRegionManager(uint32 regionId, address newManager)",
+      "function waterRequests(uint32, uint32) view returns (bytes32 requestedAmount, bytes32 justificationScore, bool isProcessed, bool refundClaimed, uint256 timestamp, uint256 requestTimeout, address requester, bytes32 allocatedAmount)"
+    ],
+    "defaultChainId": null,
+    "deployments": {}
+  };
+
+  /**
+   * Deployment on a chain, or on the default chain when none is given
+   * @param {number|string} [chainId]
+   * @returns {{network: string, address: string, version: number, blockNumber: number|null}|null}
+   */
+  function deploymentFor(chainId = CONFIG.defaultChainId) {
+    const deployments = /** @type {Object<string, any>} */ (CONFIG.deployments);
+    return deployments[String(chainId)] || null;
+  }
+
+  /**
+   * Address of the deployment on a chain, or on the default chain when none is given
+   * @param {number|string} [chainId]
+   * @returns {string|null}
+   */
+  function addressFor(chainId = CONFIG.defaultChainId) {
+    const deployment = deploymentFor(chainId);
+    return deployment ? deployment.address : null;
+  }
+
+  return { ...CONFIG, deploymentFor, addressFor };
+});
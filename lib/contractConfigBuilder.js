@@ -0,0 +1,200 @@
+/**
+ * Builds the contract configuration the front ends load: the ABI of the
+ * compiled contract and the address of its deployment on each chain.
+ *
+ * It is written twice by scripts/contract-config.js: as lib/contractConfig.js
+ * (loaded by WaterResourceClient, the Next.js dashboard and the root
+ * index.html), and inline between markers in the self-contained
+ * water-resource-management/index.html.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ROOT_DIR, readRegistry, selectDeployment } = require("./deployment");
+
+const CONFIG_MODULE = "lib/contractConfig.js";
+const STATIC_PAGE = "water-resource-management/index.html";
+const INLINE_START = "// <generated-contract-config>";
+const INLINE_END = "// </generated-contract-config>";
+const INLINE_DECLARATION = "const ContractConfig = ";
+
+// The in-process network forgets its contracts when the script exits
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+/**
+ * Human-readable ABI, one string per fragment, as front ends pass to ethers
+ * @param {Object} ethers ethers v6 namespace
+ * @param {Object[]} abi JSON ABI from a Hardhat artifact
+ * @returns {string[]}
+ */
+function formatAbi(ethers, abi) {
+  return new ethers.Interface(abi).format();
+}
+
+/**
+ * Selected deployment of each network, keyed by chain ID
+ * @param {string[]} networks Network names from the Hardhat config
+ * @param {string} [selector="latest"] Alias or version to pick on every network that has it
+ */
+function collectDeployments(networks, selector = "latest", rootDir = ROOT_DIR) {
+  const deployments = {};
+  for (const network of networks) {
+    if (EPHEMERAL_NETWORKS.includes(network)) {
+      continue;
+    }
+    const registry = readRegistry(network, rootDir);
+    if (registry.deployments.length === 0) {
+      continue;
+    }
+    const deployment = selectDeployment(registry, selector);
+    deployments[String(deployment.chainId)] = {
+      network,
+      address: deployment.contractAddress,
+      version: deployment.version,
+      blockNumber: deployment.blockNumber === undefined ? null : deployment.blockNumber,
+    };
+  }
+  return deployments;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.contractName
+ * @param {string[]} options.abi Human-readable ABI
+ * @param {Object<string, Object>} options.deployments Result of collectDeployments
+ * @param {string} [options.defaultNetwork] Network whose address the front ends start with
+ */
+function buildConfig({ contractName, abi, deployments, defaultNetwork }) {
+  const defaultEntry = Object.entries(deployments).find(([, deployment]) => deployment.network === defaultNetwork);
+  return {
+    contractName,
+    abi,
+    defaultChainId: defaultEntry ? Number(defaultEntry[0]) : null,
+    deployments,
+  };
+}
+
+function indentJson(value, indent, eol = "\n") {
+  return JSON.stringify(value, null, 2).replace(/\n/g, eol + indent);
+}
+
+/**
+ * Source of lib/contractConfig.js
+ */
+function renderModule(config) {
+  return `/**
+ * Contract configuration for the front ends: the ABI of the compiled
+ * ${config.contractName} and its deployment on each chain.
+ *
+ * Generated by scripts/contract-config.js from the Hardhat artifact and the
+ * deployment registry. Do not edit; run \`npm run contract-config -- generate\`.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * \`window.ContractConfig\`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContractConfig = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const CONFIG = ${indentJson(config, "  ")};
+
+  /**
+   * Deployment on a chain, or on the default chain when none is given
+   * @param {number|string} [chainId]
+   * @returns {{network: string, address: string, version: number, blockNumber: number|null}|null}
+   */
+  function deploymentFor(chainId = CONFIG.defaultChainId) {
+    const deployments = /** @type {Object<string, any>} */ (CONFIG.deployments);
+    return deployments[String(chainId)] || null;
+  }
+
+  /**
+   * Address of the deployment on a chain, or on the default chain when none is given
+   * @param {number|string} [chainId]
+   * @returns {string|null}
+   */
+  function addressFor(chainId = CONFIG.defaultChainId) {
+    const deployment = deploymentFor(chainId);
+    return deployment ? deployment.address : null;
+  }
+
+  return { ...CONFIG, deploymentFor, addressFor };
+});
+`;
+}
+
+function inlinePattern() {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  return new RegExp(`([ \\t]*)${escape(INLINE_START)}[\\s\\S]*?${escape(INLINE_END)}`);
+}
+
+/**
+ * Replace the marked configuration block of a page that cannot load lib/contractConfig.js
+ */
+function replaceInlineConfig(html, config) {
+  const pattern = inlinePattern();
+  const match = pattern.exec(html);
+  if (!match) {
+    throw new Error(`No "${INLINE_START}" block found`);
+  }
+  const indent = match[1];
+  const eol = html.includes("\r\n") ? "\r\n" : "\n";
+  const block =
+    `${indent}${INLINE_START} Written by scripts/contract-config.js; do not edit${eol}` +
+    `${indent}${INLINE_DECLARATION}${indentJson(config, indent, eol)};${eol}` +
+    `${indent}${INLINE_END}`;
+  return html.replace(pattern, () => block);
+}
+
+/**
+ * Parse the marked configuration block of a page
+ */
+function readInlineConfig(html) {
+  const match = inlinePattern().exec(html);
+  if (!match) {
+    throw new Error(`No "${INLINE_START}" block found`);
+  }
+  const source = match[0];
+  const start = source.indexOf(INLINE_DECLARATION) + INLINE_DECLARATION.length;
+  return JSON.parse(source.slice(start, source.lastIndexOf(";")));
+}
+
+/**
+ * Fragments that differ between the compiled ABI and a front end's copy
+ * @returns {{missing: string[], unexpected: string[]}} Fragments only in the compiled ABI, and only in the copy
+ */
+function abiDrift(compiledAbi, frontendAbi) {
+  return {
+    missing: compiledAbi.filter((fragment) => !frontendAbi.includes(fragment)),
+    unexpected: frontendAbi.filter((fragment) => !compiledAbi.includes(fragment)),
+  };
+}
+
+/**
+ * Write lib/contractConfig.js and the inline block of the static page
+ * @returns {string[]} The files written
+ */
+function writeConfig(config, rootDir = ROOT_DIR) {
+  const moduleFile = path.join(rootDir, CONFIG_MODULE);
+  fs.writeFileSync(moduleFile, renderModule(config));
+
+  const pageFile = path.join(rootDir, STATIC_PAGE);
+  fs.writeFileSync(pageFile, replaceInlineConfig(fs.readFileSync(pageFile, "utf8"), config));
+
+  return [moduleFile, pageFile];
+}
+
+module.exports = {
+  CONFIG_MODULE,
+  STATIC_PAGE,
+  formatAbi,
+  collectDeployments,
+  buildConfig,
+  renderModule,
+  replaceInlineConfig,
+  readInlineConfig,
+  abiDrift,
+  writeConfig,
+};
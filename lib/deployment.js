@@ -0,0 +1,257 @@
+/**
+ * Deployment registry: deployments/<network>-registry.json, written by scripts/deploy.js.
+ *
+ * Every deploy appends an entry with a version number, so the address, block,
+ * ABI and git commit of earlier deployments are kept. Entries are never
+ * changed afterwards, except for their `verification` status and the alias
+ * names that point at them. Scripts pick a deployment with the DEPLOYMENT
+ * environment variable (or --deployment): an alias, a version such as 3 or v3,
+ * or "latest", the default.
+ *
+ * Networks deployed before the registry existed only have the single
+ * deployments/<network>-deployment.json file; it is read as version 1.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const LATEST = "latest";
+const VERSION_PATTERN = /^v?(\d+)$/;
+const VERIFICATION_STATUSES = ["unverified", "verified", "failed"];
+
+function deploymentFilePath(network, rootDir = ROOT_DIR) {
+  return path.join(rootDir, "deployments", `${network}-deployment.json`);
+}
+
+function registryFilePath(network, rootDir = ROOT_DIR) {
+  return path.join(rootDir, "deployments", `${network}-registry.json`);
+}
+
+function fromLegacyFile(file) {
+  const legacy = JSON.parse(fs.readFileSync(file, "utf8"));
+  const { verified, verifiedAt, ...record } = legacy;
+  return {
+    version: 1,
+    ...record,
+    abi: null,
+    abiHash: null,
+    bytecodeHash: null,
+    gitCommit: null,
+    verification: verified ? { status: "verified", updatedAt: verifiedAt } : { status: "unverified" },
+  };
+}
+
+/**
+ * Read a network's registry. Returns an empty registry when nothing was deployed.
+ * @returns {{network: string, deployments: Object[], aliases: Object<string, number>}}
+ */
+function readRegistry(network, rootDir = ROOT_DIR) {
+  const registryFile = registryFilePath(network, rootDir);
+  if (fs.existsSync(registryFile)) {
+    return JSON.parse(fs.readFileSync(registryFile, "utf8"));
+  }
+
+  const legacyFile = deploymentFilePath(network, rootDir);
+  const deployments = fs.existsSync(legacyFile) ? [fromLegacyFile(legacyFile)] : [];
+  return { network, deployments, aliases: {} };
+}
+
+function writeRegistry(registry, rootDir = ROOT_DIR) {
+  const registryFile = registryFilePath(registry.network, rootDir);
+  fs.mkdirSync(path.dirname(registryFile), { recursive: true });
+  fs.writeFileSync(registryFile, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Find a deployment in a registry by alias, version or "latest"
+ * @param {Object} registry Result of readRegistry
+ * @param {string|number} [selector="latest"]
+ * @returns {Object} The registry entry
+ */
+function selectDeployment(registry, selector = LATEST) {
+  const { network, deployments, aliases } = registry;
+  if (deployments.length === 0) {
+    throw new Error(
+      `No deployments recorded for ${network} in ${registryFilePath(network)}\n` +
+        "Please deploy the contract first using: npm run deploy"
+    );
+  }
+
+  const name = String(selector).trim();
+  if (name === LATEST) {
+    return deployments[deployments.length - 1];
+  }
+
+  const match = VERSION_PATTERN.exec(name);
+  const version = match ? Number(match[1]) : aliases[name];
+  const deployment = deployments.find((entry) => entry.version === version);
+  if (!deployment) {
+    const known = [LATEST, ...Object.keys(aliases), ...deployments.map((entry) => `v${entry.version}`)];
+    throw new Error(`Unknown deployment "${name}" on ${network}. Known: ${known.join(", ")}`);
+  }
+  return deployment;
+}
+
+/**
+ * Read the selected deployment record for a network
+ * @param {string} network
+ * @param {string} [selector] Alias, version or "latest"; defaults to the DEPLOYMENT environment variable
+ * @returns {{network: string, version: number, contractAddress: string, blockNumber: number}} plus the
+ *          other recorded fields
+ */
+function loadDeployment(network, selector = process.env.DEPLOYMENT || LATEST, rootDir = ROOT_DIR) {
+  return selectDeployment(readRegistry(network, rootDir), selector);
+}
+
+function sha256(value) {
+  return "0x" + crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hashes identifying a compiled Hardhat artifact
+ * @returns {{abiHash: string, bytecodeHash: string}}
+ */
+function artifactHashes(artifact) {
+  return {
+    abiHash: sha256(JSON.stringify(artifact.abi)),
+    bytecodeHash: sha256(artifact.bytecode),
+  };
+}
+
+/**
+ * Current git commit of the working tree, or null outside a git checkout
+ * @returns {{commit: string, dirty: boolean}|null}
+ */
+function gitCommit(rootDir = ROOT_DIR) {
+  try {
+    const git = (...args) => execFileSync("git", args, { cwd: rootDir, encoding: "utf8", stdio: "pipe" }).trim();
+    return { commit: git("rev-parse", "HEAD"), dirty: git("status", "--porcelain").length > 0 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Throw unless `alias` can name a deployment (it must not look like a version)
+ */
+function validateAlias(alias) {
+  if (alias === LATEST || VERSION_PATTERN.test(alias) || !/^[\w.-]+$/.test(alias)) {
+    throw new Error(`Invalid alias "${alias}": use letters, digits, ".", "_" or "-", and not a version number`);
+  }
+}
+
+/**
+ * Append a deployment to the network's registry
+ * @param {Object} record Fields from the deploy (network, contractAddress, blockNumber, ...)
+ * @param {Object} artifact Hardhat artifact the contract was deployed from
+ * @param {Object} [options]
+ * @param {string} [options.alias] Alias to point at the new deployment
+ * @returns {Object} The new registry entry
+ */
+function recordDeployment(record, artifact, { alias } = {}, rootDir = ROOT_DIR) {
+  if (alias) {
+    validateAlias(alias);
+  }
+  const registry = readRegistry(record.network, rootDir);
+  const last = registry.deployments[registry.deployments.length - 1];
+
+  const entry = {
+    version: last ? last.version + 1 : 1,
+    ...record,
+    ...artifactHashes(artifact),
+    abi: artifact.abi,
+    gitCommit: gitCommit(rootDir),
+    verification: { status: "unverified" },
+  };
+  registry.deployments.push(entry);
+  if (alias) {
+    registry.aliases[alias] = entry.version;
+  }
+  writeRegistry(registry, rootDir);
+  return entry;
+}
+
+/**
+ * Point an alias at an existing deployment, replacing its previous target
+ */
+function setAlias(network, alias, selector, rootDir = ROOT_DIR) {
+  validateAlias(alias);
+  const registry = readRegistry(network, rootDir);
+  const deployment = selectDeployment(registry, selector);
+  registry.aliases[alias] = deployment.version;
+  writeRegistry(registry, rootDir);
+  return deployment;
+}
+
+/**
+ * Record the outcome of a verification attempt for a deployment
+ * @param {string} status unverified, verified or failed
+ * @param {Object} [details] Extra fields, such as the error of a failed attempt
+ */
+function updateVerification(network, version, status, details = {}, rootDir = ROOT_DIR) {
+  if (!VERIFICATION_STATUSES.includes(status)) {
+    throw new Error(`Verification status must be one of ${VERIFICATION_STATUSES.join(", ")}`);
+  }
+  const registry = readRegistry(network, rootDir);
+  const deployment = selectDeployment(registry, version);
+  deployment.verification = { status, updatedAt: new Date().toISOString(), ...details };
+  writeRegistry(registry, rootDir);
+  return deployment;
+}
+
+/**
+ * Compare a deployment's recorded ABI with the compiled artifact
+ *
+ * Deployments recorded before the registry kept ABI hashes cannot be checked and are
+ * flagged as well.
+ * @returns {string|null} A warning when the ABI changed since the deploy or is unknown, null otherwise
+ */
+function abiMismatch(deployment, artifact) {
+  if (!deployment.abiHash) {
+    return (
+      `Deployment v${deployment.version} (${deployment.contractAddress}) has no recorded ABI hash, so it cannot ` +
+      `be checked against the compiled ${artifact.contractName}; redeploy or select another deployment`
+    );
+  }
+  if (deployment.abiHash === artifactHashes(artifact).abiHash) {
+    return null;
+  }
+  return (
+    `The ABI of deployment v${deployment.version} (${deployment.contractAddress}) does not match the ` +
+    `compiled ${artifact.contractName}; recompile at commit ${deployment.gitCommit ? deployment.gitCommit.commit : "?"} ` +
+    "or select another deployment"
+  );
+}
+
+/**
+ * Print a warning on stderr when the compiled contract no longer matches the deployment's ABI
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {Promise<string|null>} The warning, if any
+ */
+async function warnOnAbiMismatch(hre, deployment) {
+  const warning = abiMismatch(deployment, await hre.artifacts.readArtifact(deployment.contractName));
+  if (warning) {
+    console.warn(`⚠️  ${warning}`);
+  }
+  return warning;
+}
+
+module.exports = {
+  ROOT_DIR,
+  LATEST,
+  deploymentFilePath,
+  registryFilePath,
+  readRegistry,
+  selectDeployment,
+  loadDeployment,
+  artifactHashes,
+  gitCommit,
+  validateAlias,
+  recordDeployment,
+  setAlias,
+  updateVerification,
+  abiMismatch,
+  warnOnAbiMismatch,
+};
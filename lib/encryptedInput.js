@@ -0,0 +1,125 @@
+/**
+ * EncryptedInput - encrypts uint32 values client-side for the contract's
+ * externalEuint32 parameters.
+ *
+ * An encryptor turns plaintext values into handles plus the input proof that
+ * binds them to one contract and one sender, so the values never appear in
+ * calldata. Three sources are supported, all with the same createEncryptedInput
+ * interface underneath:
+ *   createMockEncryptor     FHEVM Hardhat plugin in mock mode, fully offline (hardhat, localhost)
+ *   createHardhatEncryptor  FHEVM Hardhat plugin on any network; on Sepolia it goes through the relayer
+ *   createRelayerEncryptor  Zama relayer SDK in the browser (window.relayerSDK, loaded from the CDN)
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.EncryptedInput`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EncryptedInput = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const MAX_UINT32 = 2 ** 32 - 1;
+
+  /**
+   * @typedef {Object} EncryptedValues
+   * @property {string[]} handles bytes32 handles, one per value, in order
+   * @property {string} inputProof
+   */
+
+  function toHex(bytes) {
+    if (typeof bytes === "string") {
+      return bytes;
+    }
+    return "0x" + Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  function assertUint32(value) {
+    const isInteger = typeof value === "bigint" || Number.isInteger(value);
+    if (!isInteger || value < 0 || value > MAX_UINT32) {
+      throw new Error(`Cannot encrypt ${value} as a uint32`);
+    }
+  }
+
+  /**
+   * Wrap anything that has createEncryptedInput(contractAddress, userAddress)
+   * @param {Object|function(): Promise<Object>} source FHEVM instance, or a function resolving to
+   *        one on first use so setting it up waits until something is encrypted
+   */
+  function createEncryptor(source) {
+    let instance = typeof source === "function" ? null : source;
+
+    return {
+      /**
+       * @param {string} contractAddress
+       * @param {string} userAddress The account that will send the transaction
+       * @param {Array<number|bigint>} values
+       * @returns {Promise<EncryptedValues>}
+       */
+      async encryptUint32(contractAddress, userAddress, values) {
+        values.forEach(assertUint32);
+        if (!instance) {
+          instance = await source();
+        }
+        const input = instance.createEncryptedInput(contractAddress, userAddress);
+        for (const value of values) {
+          input.add32(value);
+        }
+        const { handles, inputProof } = await input.encrypt();
+        return { handles: handles.map(toHex), inputProof: toHex(inputProof) };
+      },
+    };
+  }
+
+  /**
+   * Offline encryptor backed by the FHEVM Hardhat plugin's mock coprocessor
+   * @param {Object} hre Hardhat runtime environment
+   */
+  function createMockEncryptor(hre) {
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      throw new Error("The mock encryptor needs the FHEVM Hardhat plugin running in mock mode (hardhat or localhost)");
+    }
+    return createEncryptor(hre.fhevm);
+  }
+
+  /**
+   * Encryptor for Hardhat scripts: the mock on local networks, the relayer elsewhere
+   * @param {Object} hre Hardhat runtime environment
+   */
+  function createHardhatEncryptor(hre) {
+    if (!hre.fhevm) {
+      throw new Error("Encrypting inputs needs the FHEVM Hardhat plugin (@fhevm/hardhat-plugin)");
+    }
+    if (hre.fhevm.isMock) {
+      return createEncryptor(hre.fhevm);
+    }
+    return createEncryptor(async () => {
+      await hre.fhevm.initializeCLIAPI();
+      return hre.fhevm;
+    });
+  }
+
+  /**
+   * Browser encryptor backed by the Zama relayer SDK, configured for Sepolia
+   * @param {Object} [network] EIP-1193 provider; defaults to window.ethereum
+   * @param {Object} [sdk] The relayer SDK; defaults to the `relayerSDK` global its CDN build defines
+   */
+  function createRelayerEncryptor(network, sdk) {
+    return createEncryptor(async () => {
+      const relayerSDK = sdk || globalThis.relayerSDK;
+      if (!relayerSDK) {
+        throw new Error("The Zama relayer SDK is not loaded; include relayer-sdk-js.umd.cjs before encrypting");
+      }
+      await relayerSDK.initSDK();
+      return relayerSDK.createInstance({ ...relayerSDK.SepoliaConfig, network: network || globalThis.ethereum });
+    });
+  }
+
+  return {
+    createEncryptor,
+    createMockEncryptor,
+    createHardhatEncryptor,
+    createRelayerEncryptor,
+  };
+});
@@ -0,0 +1,457 @@
+/**
+ * ErrorCatalog - stable codes, messages and suggested fixes for every error the
+ * scripts and front ends show.
+ *
+ * WaterResourceManager reverts with custom errors (see the contract's `error`
+ * declarations). Each one is listed here with its 4-byte selector, so the revert
+ * data can be decoded even when a wallet or ethers v5 passes it through raw.
+ * Wallet and tooling failures get codes too, so every tool prints the same thing:
+ *   WRM-1xx access control, WRM-2xx regions, WRM-3xx periods and requests,
+ *   WRM-4xx decryption and refunds, WRM-9xx off-chain failures
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.ErrorCatalog`; load ethers before it so addresses are checksummed.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers"));
+  } else {
+    root.ErrorCatalog = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : globalThis, (ethers) => {
+  function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString();
+  }
+
+  // Keyed by custom error name; params are in declaration order
+  const CONTRACT_ERRORS = {
+    NotAuthorized: {
+      code: "WRM-101",
+      selector: "0x4a0bfec1",
+      params: [["caller", "address"]],
+      message: ({ caller }) => `${caller} is not the contract authority`,
+      fix: "Send this from the authority account that deployed the contract.",
+    },
+    NotRegionManager: {
+      code: "WRM-102",
+      selector: "0x47a8b14d",
+      params: [
+        ["regionId", "uint32"],
+        ["caller", "address"],
+      ],
+      message: ({ regionId, caller }) => `${caller} does not manage region ${regionId}`,
+      fix: "Switch to the account that manages the region.",
+    },
+    NotRegisteredRegionManager: {
+      code: "WRM-103",
+      selector: "0xadf3d537",
+      params: [["account", "address"]],
+      message: ({ account }) => `${account} does not manage any region`,
+      fix: "Ask the authority to register a region with this account as its manager.",
+    },
+    RegionNotActive: {
+      code: "WRM-201",
+      selector: "0x13a57bde",
+      params: [["regionId", "uint32"]],
+      message: ({ regionId }) => `Region ${regionId} is deactivated`,
+      fix: "Choose an active region, or ask the authority to register it again.",
+    },
+    InvalidRegionId: {
+      code: "WRM-202",
+      selector: "0xe0d90d24",
+      params: [["regionId", "uint32"]],
+      message: ({ regionId }) => `Region ${regionId} does not exist`,
+      fix: "Check the region directory for the IDs of registered regions.",
+    },
+    InvalidRegionName: {
+      code: "WRM-203",
+      selector: "0xec08a111",
+      params: [],
+      message: () => "The region name is empty",
+      fix: "Enter a name for the region.",
+    },
+    InvalidManagerAddress: {
+      code: "WRM-204",
+      selector: "0x1c17a33c",
+      params: [],
+      message: () => "The manager address is the zero address",
+      fix: "Enter the address of the account that will manage the region.",
+    },
+    InvalidPriorityLevel: {
+      code: "WRM-205",
+      selector: "0xa13d82a9",
+      params: [["priorityLevel", "uint32"]],
+      message: ({ priorityLevel }) => `Priority level ${priorityLevel} is out of range`,
+      fix: "Choose a priority level from 1 to 10.",
+    },
+    NotDuringAllocationPeriod: {
+      code: "WRM-301",
+      selector: "0x9320b4e7",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) =>
+        periodId === 0 ? "No allocation period has been started" : `Allocation period ${periodId} is closed`,
+      fix: "Wait for the authority to start the next allocation period.",
+    },
+    AllocationPeriodAlreadyActive: {
+      code: "WRM-302",
+      selector: "0x87e8c26a",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `Allocation period ${periodId} is still open`,
+      fix: "Start the next period once this one has ended or been distributed.",
+    },
+    InvalidDuration: {
+      code: "WRM-303",
+      selector: "0x4ede0ebc",
+      params: [["durationHours", "uint256"]],
+      message: ({ durationHours }) => `A duration of ${durationHours} hours is out of range`,
+      fix: "Choose a duration from 1 to 168 hours (one week).",
+    },
+    RequestAlreadySubmitted: {
+      code: "WRM-304",
+      selector: "0x53ac4817",
+      params: [
+        ["regionId", "uint32"],
+        ["periodId", "uint32"],
+      ],
+      message: ({ regionId, periodId }) =>
+        `Region ${regionId} has already submitted its request for period ${periodId}`,
+      fix: "Each region submits once per period; submit again in the next period.",
+    },
+    NoParticipatingRegions: {
+      code: "WRM-305",
+      selector: "0xb2eed7eb",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `No region has submitted a request in period ${periodId}`,
+      fix: "Wait for region managers to submit requests before processing the allocation.",
+    },
+    InvalidPeriodId: {
+      code: "WRM-306",
+      selector: "0x19864343",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `Allocation period ${periodId} does not exist`,
+      fix: "Use a period ID from 1 to the current period.",
+    },
+    DistributionAlreadyCompleted: {
+      code: "WRM-307",
+      selector: "0x1a0d954f",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `The water of period ${periodId} has already been distributed`,
+      fix: "Nothing is left to do for this period.",
+    },
+    AllocationExceedsAvailable: {
+      code: "WRM-308",
+      selector: "0x3ef158cf",
+      params: [
+        ["regionId", "uint32"],
+        ["allocatedAmount", "uint32"],
+        ["remainingWater", "uint32"],
+      ],
+      message: ({ regionId, allocatedAmount, remainingWater }) =>
+        `The allocation of ${allocatedAmount} to region ${regionId} exceeds the ${remainingWater} left`,
+      fix: "Report the period to the contract maintainers; its distribution is inconsistent.",
+    },
+    DecryptionAlreadyRequested: {
+      code: "WRM-401",
+      selector: "0xd61e5d36",
+      params: [
+        ["periodId", "uint32"],
+        ["requestId", "uint256"],
+      ],
+      message: ({ periodId, requestId }) =>
+        `The allocation of period ${periodId} is already being decrypted (request ${requestId})`,
+      fix: "Wait for the gateway to answer, or claim the decryption timeout once it has passed.",
+    },
+    InvalidDecryptionRequest: {
+      code: "WRM-402",
+      selector: "0xb581d3c2",
+      params: [["requestId", "uint256"]],
+      message: ({ requestId }) => `Decryption request ${requestId} was not made by this contract`,
+      fix: "Check the request ID the gateway is answering.",
+    },
+    DecryptionAlreadyProcessed: {
+      code: "WRM-403",
+      selector: "0xf65a88eb",
+      params: [["requestId", "uint256"]],
+      message: ({ requestId }) => `Decryption request ${requestId} has already been answered`,
+      fix: "No further action is needed for this request.",
+    },
+    NoDecryptionRequest: {
+      code: "WRM-404",
+      selector: "0x4873a818",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `The allocation of period ${periodId} has not been processed`,
+      fix: "The authority must process the allocation first.",
+    },
+    DecryptionTimeoutNotReached: {
+      code: "WRM-405",
+      selector: "0x70a66e4f",
+      params: [
+        ["periodId", "uint32"],
+        ["availableAt", "uint256"],
+      ],
+      message: ({ periodId, availableAt }) =>
+        `The decryption timeout of period ${periodId} is only reached at ${formatTime(availableAt)}`,
+      fix: "Claim the timeout after that time.",
+    },
+    NoDecryptionFailure: {
+      code: "WRM-406",
+      selector: "0xf5d6294c",
+      params: [["periodId", "uint32"]],
+      message: ({ periodId }) => `The decryption of period ${periodId} did not fail`,
+      fix: "Refunds are only available for periods whose decryption failed or timed out.",
+    },
+    RefundAlreadyClaimed: {
+      code: "WRM-407",
+      selector: "0xeec8e13d",
+      params: [
+        ["regionId", "uint32"],
+        ["periodId", "uint32"],
+      ],
+      message: ({ regionId, periodId }) => `Region ${regionId} has already claimed its refund for period ${periodId}`,
+      fix: "Each refund can only be claimed once.",
+    },
+    // Raised by the FHE library inside processAllocation and processAllocationCallback
+    InvalidKMSSignatures: {
+      code: "WRM-408",
+      selector: "0xcf6c44e9",
+      params: [],
+      message: () => "The decryption proof is not signed by the KMS",
+      fix: "Relay the cleartexts and proof exactly as the gateway returned them for this request.",
+    },
+    NoHandleFoundForRequestID: {
+      code: "WRM-409",
+      selector: "0xd66ca675",
+      params: [],
+      message: () => "This contract has no decryption request with that ID",
+      fix: "Check the request ID the gateway is answering.",
+    },
+    HandlesAlreadySavedForRequestID: {
+      code: "WRM-410",
+      selector: "0x3f06d22b",
+      params: [],
+      message: () => "The decryption oracle returned a request ID this contract has already used",
+      fix: "Report the request to the FHEVM network operators, then process the allocation again.",
+    },
+  };
+
+  // Failures that do not come from the contract
+  const OFFCHAIN_ERRORS = {
+    WalletRejected: {
+      code: "WRM-901",
+      message: () => "The request was rejected in the wallet",
+      fix: null,
+    },
+    TransactionCancelled: {
+      code: "WRM-902",
+      message: () => "The transaction was cancelled in the wallet",
+      fix: null,
+    },
+    TransactionReplaced: {
+      code: "WRM-903",
+      message: ({ replacement }) => `The transaction was replaced from the wallet by ${replacement}`,
+      fix: "Check the result of the replacement transaction.",
+    },
+    InsufficientFunds: {
+      code: "WRM-904",
+      message: () => "The account cannot pay for gas",
+      fix: "Fund the account with ETH for gas.",
+    },
+    RevertedWithReason: {
+      code: "WRM-905",
+      message: ({ reason }) => `The transaction reverted: ${reason}`,
+      fix: null,
+    },
+    AlreadyVerified: {
+      code: "WRM-950",
+      message: () => "The contract is already verified on the block explorer",
+      fix: null,
+    },
+    Unknown: {
+      code: "WRM-999",
+      message: ({ reason }) => reason,
+      fix: null,
+    },
+  };
+
+  // Selector of Error(string), the encoding of require messages
+  const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+  const BY_SELECTOR = {};
+  for (const [name, entry] of Object.entries(CONTRACT_ERRORS)) {
+    BY_SELECTOR[entry.selector] = name;
+  }
+
+  /**
+   * @typedef {Object} ExplainedError
+   * @property {string} name Custom error or off-chain failure name, e.g. RefundAlreadyClaimed
+   * @property {string} code Stable code, e.g. WRM-407
+   * @property {string} message
+   * @property {string|null} fix
+   * @property {Object} args Named error arguments
+   */
+
+  // Checksummed, the way ethers and wallets print addresses
+  function checksumAddress(address) {
+    const getAddress = ethers && (ethers.getAddress || (ethers.utils && ethers.utils.getAddress)); // ethers v6 : v5
+    return getAddress ? getAddress(String(address)) : String(address);
+  }
+
+  // uint32 and smaller fit in a number; wider integers stay bigint
+  function normalizeArg(type, value) {
+    if (type === "address") {
+      return checksumAddress(value);
+    }
+    const bits = Number(type.replace("uint", "") || 256);
+    const bigint = typeof value === "bigint" ? value : BigInt(value.toString());
+    return bits <= 32 ? Number(bigint) : bigint;
+  }
+
+  function namedArgs(name, values) {
+    const args = {};
+    CONTRACT_ERRORS[name].params.forEach(([param, type], index) => {
+      args[param] = normalizeArg(type, values[index]);
+    });
+    return args;
+  }
+
+  // Decode static arguments (addresses and integers) from ABI-encoded revert data
+  function decodeData(data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    if (selector === ERROR_STRING_SELECTOR) {
+      const body = data.slice(10);
+      const length = parseInt(body.slice(64, 128), 16);
+      const hex = body.slice(128, 128 + length * 2);
+      if (!length || hex.length !== length * 2) {
+        return null;
+      }
+      const bytes = new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+      return { name: "RevertedWithReason", args: { reason: new TextDecoder().decode(bytes) } };
+    }
+
+    const name = BY_SELECTOR[selector];
+    if (!name) {
+      return null;
+    }
+    const words = (data.slice(10).match(/.{64}/g) || []).map((word, index) => {
+      const type = CONTRACT_ERRORS[name].params[index] && CONTRACT_ERRORS[name].params[index][1];
+      return type === "address" ? `0x${word.slice(24)}` : BigInt(`0x${word}`);
+    });
+    if (words.length < CONTRACT_ERRORS[name].params.length) {
+      return null;
+    }
+    return { name, args: namedArgs(name, words) };
+  }
+
+  /**
+   * The contract error behind a failed call, estimate or transaction from ethers v5, ethers v6,
+   * Hardhat or a wallet, or null when there is none
+   * @param {Error} error
+   * @returns {{name: string, args: Object}|null}
+   */
+  function decodeContractError(error) {
+    // Wallets and ethers nest the node's error a few levels deep
+    const errors = [];
+    let current = error;
+    while (current && errors.length < 5) {
+      errors.push(current);
+      current = current.error || (current.info && current.info.error);
+    }
+
+    for (const candidate of errors) {
+      // ethers v6
+      if (candidate.revert && CONTRACT_ERRORS[candidate.revert.name]) {
+        return { name: candidate.revert.name, args: namedArgs(candidate.revert.name, candidate.revert.args) };
+      }
+      // ethers v5
+      if (candidate.errorName && CONTRACT_ERRORS[candidate.errorName]) {
+        return { name: candidate.errorName, args: namedArgs(candidate.errorName, candidate.errorArgs) };
+      }
+      const data = candidate.data && typeof candidate.data === "object" ? candidate.data.data : candidate.data;
+      if (typeof data === "string" && /^0x[0-9a-fA-F]{8}/.test(data)) {
+        const decoded = decodeData(data);
+        if (decoded) {
+          return decoded;
+        }
+      }
+    }
+    for (const candidate of errors) {
+      const message = candidate.message || "";
+      const match = /reverted with reason string '([^']*)'/.exec(message);
+      if (match) {
+        return { name: "RevertedWithReason", args: { reason: match[1] } };
+      }
+    }
+    return null;
+  }
+
+  function explained(name, args) {
+    const entry = CONTRACT_ERRORS[name] || OFFCHAIN_ERRORS[name];
+    return { name, code: entry.code, message: entry.message(args), fix: entry.fix, args };
+  }
+
+  /**
+   * Look up any error in the catalogue
+   * @param {Error} error
+   * @returns {ExplainedError}
+   */
+  function explainError(error) {
+    if (error.explained) {
+      return error.explained; // TransactionError
+    }
+    const code = error.code;
+    if (code === "ACTION_REJECTED" || code === 4001 || (error.error && error.error.code === 4001)) {
+      return explained("WalletRejected", {});
+    }
+    if (code === "TRANSACTION_REPLACED") {
+      return error.cancelled
+        ? explained("TransactionCancelled", {})
+        : explained("TransactionReplaced", { replacement: error.replacement && error.replacement.hash });
+    }
+    if (code === "INSUFFICIENT_FUNDS") {
+      return explained("InsufficientFunds", {});
+    }
+    const decoded = decodeContractError(error);
+    if (decoded) {
+      return explained(decoded.name, decoded.args);
+    }
+    const reason = error.shortMessage || error.message || String(error);
+    if (/already verified/i.test(reason)) {
+      return explained("AlreadyVerified", {});
+    }
+    return explained("Unknown", { reason });
+  }
+
+  /**
+   * One line for logs, alerts and CLI output: "[code] message. fix"; errors the
+   * catalogue does not know keep their own message
+   * @param {Error} error
+   * @returns {string}
+   */
+  function formatError(error) {
+    const { name, code, message, fix } = explainError(error);
+    if (name === "Unknown") {
+      return message;
+    }
+    return fix ? `[${code}] ${message}. ${fix}` : `[${code}] ${message}`;
+  }
+
+  /**
+   * Catalogue entry by error name or code
+   * @param {string} nameOrCode
+   * @returns {{name: string, code: string, fix: string|null}|null}
+   */
+  function lookup(nameOrCode) {
+    const all = { ...CONTRACT_ERRORS, ...OFFCHAIN_ERRORS };
+    const name = all[nameOrCode] ? nameOrCode : Object.keys(all).find((key) => all[key].code === nameOrCode);
+    return name ? { name, code: all[name].code, fix: all[name].fix } : null;
+  }
+
+  return {
+    CONTRACT_ERRORS,
+    OFFCHAIN_ERRORS,
+    decodeContractError,
+    explainError,
+    formatError,
+    lookup,
+  };
+});
@@ -0,0 +1,236 @@
+/**
+ * EventFeed - a live, filterable stream of every contract event for the
+ * dashboard.
+ *
+ * The feed polls for logs between the last block it has seen and the chain
+ * head, so a dropped connection only delays events: when polling works again
+ * the missed blocks are fetched from where the feed stopped. Failed polls
+ * are retried with an increasing delay.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.EventFeed`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EventFeed = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const DEFAULT_OPTIONS = {
+    lookbackBlocks: 5000,
+    batchSize: 2000,
+    pollInterval: 4000,
+    retryDelay: 2000,
+    maxRetryDelay: 30000,
+    maxEvents: 200,
+  };
+
+  // Events that change what the period and region panels show
+  const PERIOD_EVENTS = [
+    "AllocationPeriodStarted",
+    "WaterRequested",
+    "WaterAllocated",
+    "AllocationCompleted",
+    "DecryptionRequested",
+    "DecryptionFailed",
+    "TimeoutProtectionTriggered",
+    "RefundProcessed",
+  ];
+  const REGION_EVENTS = ["RegionRegistered", "WaterRequested", "WaterAllocated", "EmergencyAllocation", "RefundProcessed"];
+
+  /**
+   * @typedef {Object} FeedEvent
+   * @property {string} id blockNumber-logIndex
+   * @property {string} name
+   * @property {Object<string, *>} args
+   * @property {number} blockNumber
+   * @property {number|null} blockTimestamp
+   * @property {string} transactionHash
+   * @property {number} logIndex
+   */
+
+  /**
+   * @typedef {Object} FeedStatus
+   * @property {string} state connecting, live, reconnecting or stopped
+   * @property {number|null} lastBlock Last block whose events are in the feed
+   * @property {string|null} error Why the last poll failed, while reconnecting
+   * @property {number} retryIn Milliseconds until the next attempt, while reconnecting
+   */
+
+  /**
+   * Which panels a batch of events affects
+   * @param {Array<{name: string}>} events
+   * @returns {{period: boolean, regions: boolean}}
+   */
+  function refreshTargets(events) {
+    return {
+      period: events.some((event) => PERIOD_EVENTS.includes(event.name)),
+      regions: events.some((event) => REGION_EVENTS.includes(event.name)),
+    };
+  }
+
+  /**
+   * Filter feed events
+   * @param {FeedEvent[]} events
+   * @param {Object} [options]
+   * @param {string[]} [options.names] Event names to keep; empty keeps all
+   * @param {number} [options.regionId]
+   * @param {number} [options.periodId]
+   * @param {string} [options.search] Case-insensitive part of an argument value or transaction hash
+   * @returns {FeedEvent[]}
+   */
+  function filterEvents(events, { names = [], regionId, periodId, search = "" } = {}) {
+    const query = search.trim().toLowerCase();
+    return events.filter(
+      (event) =>
+        (names.length === 0 || names.includes(event.name)) &&
+        (regionId === undefined || event.args.regionId === regionId) &&
+        (periodId === undefined || event.args.periodId === periodId) &&
+        (!query ||
+          event.transactionHash.toLowerCase().includes(query) ||
+          Object.values(event.args).some((value) => String(value).toLowerCase().includes(query)))
+    );
+  }
+
+  class EventFeed {
+    /**
+     * @param {Object} client WaterResourceClient
+     * @param {Object} [options]
+     * @param {Object} [options.provider] Defaults to the client's runner provider
+     * @param {number} [options.fromBlock] First block to load; defaults to lookbackBlocks before the head
+     * @param {number} [options.lookbackBlocks=5000]
+     * @param {number} [options.batchSize=2000] Blocks per log query
+     * @param {number} [options.pollInterval=4000] Delay between polls while live (ms)
+     * @param {number} [options.retryDelay=2000] First delay after a failed poll, doubled on each failure (ms)
+     * @param {number} [options.maxRetryDelay=30000]
+     * @param {number} [options.maxEvents=200] Events kept, newest first
+     * @param {function(FeedEvent[], FeedEvent[]): void} [options.onEvents] Called with (new events, all events)
+     * @param {function(FeedStatus): void} [options.onStatus]
+     */
+    constructor(client, options = {}) {
+      this.client = client;
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      const runner = client.contract.runner || client.contract.provider || client.contract.signer;
+      this.provider = options.provider || (runner && runner.provider) || runner;
+      /** @type {FeedEvent[]} */
+      this.events = [];
+      /** @type {number|null} */
+      this.lastBlock = null;
+      this.failures = 0;
+      this.timer = null;
+      this.running = false;
+      /** @type {FeedStatus} */
+      this.status = { state: "stopped", lastBlock: null, error: null, retryIn: 0 };
+    }
+
+    start() {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      this._setStatus({ state: "connecting", error: null, retryIn: 0 });
+      this._schedule(0);
+    }
+
+    stop() {
+      this.running = false;
+      clearTimeout(this.timer);
+      this.timer = null;
+      this._setStatus({ state: "stopped", error: null, retryIn: 0 });
+    }
+
+    /**
+     * Fetch every event from the last seen block to the head
+     * @returns {Promise<FeedEvent[]>} The new events, oldest first
+     */
+    async poll() {
+      const head = await this.provider.getBlockNumber();
+      if (this.lastBlock === null) {
+        const start =
+          this.options.fromBlock !== undefined ? this.options.fromBlock : head - this.options.lookbackBlocks + 1;
+        this.lastBlock = Math.max(start, 0) - 1;
+      }
+
+      const added = [];
+      for (let start = this.lastBlock + 1; start <= head; start += this.options.batchSize) {
+        const end = Math.min(start + this.options.batchSize - 1, head);
+        const events = await this.client.queryEvents("*", { fromBlock: start, toBlock: end });
+        added.push(...(await this._withTimestamps(events)));
+        // Advance per batch so a failure part-way only refetches the remaining blocks
+        this.lastBlock = end;
+      }
+
+      const known = new Set(this.events.map((event) => event.id));
+      const fresh = added.filter((event) => !known.has(event.id));
+      if (fresh.length > 0) {
+        this.events = [...fresh].reverse().concat(this.events).slice(0, this.options.maxEvents);
+        if (this.options.onEvents) {
+          this.options.onEvents(fresh, this.events);
+        }
+      }
+      return fresh;
+    }
+
+    async _tick() {
+      try {
+        await this.poll();
+        this.failures = 0;
+        if (this.running) {
+          this._setStatus({ state: "live", error: null, retryIn: 0 });
+          this._schedule(this.options.pollInterval);
+        }
+      } catch (error) {
+        this.failures++;
+        const retryIn = Math.min(this.options.retryDelay * 2 ** (this.failures - 1), this.options.maxRetryDelay);
+        if (this.running) {
+          this._setStatus({ state: "reconnecting", error: error.message, retryIn });
+          this._schedule(retryIn);
+        }
+      }
+    }
+
+    _schedule(delay) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        if (this.running) {
+          this._tick();
+        }
+      }, delay);
+    }
+
+    _setStatus(changes) {
+      this.status = { ...this.status, ...changes, lastBlock: this.lastBlock };
+      if (this.options.onStatus) {
+        this.options.onStatus(this.status);
+      }
+    }
+
+    async _withTimestamps(events) {
+      const timestamps = new Map();
+      for (const event of events) {
+        if (!timestamps.has(event.blockNumber)) {
+          const block = await this.provider.getBlock(event.blockNumber);
+          timestamps.set(event.blockNumber, block ? block.timestamp : null);
+        }
+      }
+      return events.map((event) => ({
+        id: `${event.blockNumber}-${event.logIndex}`,
+        name: event.name,
+        args: event.args,
+        blockNumber: event.blockNumber,
+        blockTimestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+      }));
+    }
+  }
+
+  return {
+    PERIOD_EVENTS,
+    REGION_EVENTS,
+    EventFeed,
+    refreshTargets,
+    filterEvents,
+  };
+});
@@ -0,0 +1,197 @@
+/**
+ * Gas snapshots: the gas every contract function uses in a fixed scenario,
+ * kept in a committed baseline file (gas-snapshot.json) so changes to the
+ * contract show up as a diff.
+ *
+ * Entries are keyed "<function>" or "<function> (<case>)", e.g.
+ * "processAllocationCallback (10 participants)". A function regresses when it
+ * uses more than the tolerance (a percentage) over its baseline. Measurements
+ * come from test/gasSnapshot.test.js.
+ */
+const fs = require("fs");
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_TOLERANCE_PERCENT = 1;
+
+class GasSnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GasSnapshotError";
+  }
+}
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} version
+ * @property {number} tolerancePercent Allowed increase over the baseline before a function regresses
+ * @property {Object<string, number>} gas Gas used per entry, sorted by entry name
+ */
+
+/**
+ * @param {Object<string, number|bigint>} gas Gas used per entry
+ * @param {Object} [options]
+ * @param {number} [options.tolerancePercent]
+ * @returns {Snapshot}
+ */
+function createSnapshot(gas, { tolerancePercent = DEFAULT_TOLERANCE_PERCENT } = {}) {
+  const sorted = {};
+  for (const name of Object.keys(gas).sort()) {
+    sorted[name] = Number(gas[name]);
+  }
+  return { version: SNAPSHOT_VERSION, tolerancePercent, gas: sorted };
+}
+
+/**
+ * @returns {Snapshot|null} null when the file does not exist yet
+ */
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION || !snapshot.gas) {
+    throw new GasSnapshotError(`${file} is not a version ${SNAPSHOT_VERSION} gas snapshot`);
+  }
+  return snapshot;
+}
+
+function writeSnapshot(file, snapshot) {
+  fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+/**
+ * Function name of an entry
+ * @param {string} name e.g. "claimDecryptionTimeout (5 participants)"
+ */
+function functionOf(name) {
+  return name.split(" ")[0];
+}
+
+/**
+ * Functions without a single entry in the measurements
+ * @param {string[]} functionNames Every function of the contract ABI
+ * @param {Object<string, number>} gas
+ * @returns {string[]}
+ */
+function uncoveredFunctions(functionNames, gas) {
+  const covered = new Set(Object.keys(gas).map(functionOf));
+  return functionNames.filter((name) => !covered.has(name));
+}
+
+/**
+ * @typedef {Object} GasChange
+ * @property {string} name
+ * @property {number|null} baseline null for entries the baseline does not have
+ * @property {number|null} current null for entries no longer measured
+ * @property {number} diff
+ * @property {number|null} percent Change relative to the baseline
+ * @property {string} status "unchanged", "decreased", "increased" (within the tolerance), "regressed",
+ *   "added" or "removed"
+ */
+
+/**
+ * Compare measurements with a baseline
+ * @param {Snapshot} baseline
+ * @param {Snapshot} current
+ * @param {number} [tolerancePercent] Defaults to the baseline's
+ * @returns {{changes: GasChange[], regressions: GasChange[], tolerancePercent: number}}
+ */
+function compareSnapshots(baseline, current, tolerancePercent = baseline.tolerancePercent) {
+  const tolerance = tolerancePercent !== undefined ? tolerancePercent : DEFAULT_TOLERANCE_PERCENT;
+  const names = Array.from(new Set(Object.keys(baseline.gas).concat(Object.keys(current.gas)))).sort();
+
+  const changes = names.map((name) => {
+    const before = name in baseline.gas ? baseline.gas[name] : null;
+    const after = name in current.gas ? current.gas[name] : null;
+    if (before === null) {
+      return { name, baseline: null, current: after, diff: after, percent: null, status: "added" };
+    }
+    if (after === null) {
+      return { name, baseline: before, current: null, diff: -before, percent: null, status: "removed" };
+    }
+    const diff = after - before;
+    const percent = before === 0 ? 0 : (diff / before) * 100;
+    let status = "unchanged";
+    if (diff < 0) {
+      status = "decreased";
+    } else if (percent > tolerance) {
+      status = "regressed";
+    } else if (diff > 0) {
+      status = "increased";
+    }
+    return { name, baseline: before, current: after, diff, percent, status };
+  });
+
+  return {
+    changes,
+    regressions: changes.filter((change) => change.status === "regressed"),
+    tolerancePercent: tolerance,
+  };
+}
+
+const STATUS_MARKS = {
+  unchanged: " ",
+  decreased: "-",
+  increased: "+",
+  regressed: "!",
+  added: "?",
+  removed: "x",
+};
+
+function formatDiff(change) {
+  if (change.baseline === null || change.current === null) {
+    return change.status;
+  }
+  if (change.diff === 0) {
+    return "";
+  }
+  const sign = change.diff > 0 ? "+" : "";
+  return `${sign}${change.diff} (${sign}${change.percent.toFixed(2)}%)`;
+}
+
+/**
+ * Plain-text table of a comparison, one line per entry, regressions marked with "!"
+ * @param {{changes: GasChange[], regressions: GasChange[], tolerancePercent: number}} comparison
+ * @param {Object} [options]
+ * @param {boolean} [options.all=true] Include unchanged entries
+ * @returns {string}
+ */
+function formatComparison(comparison, { all = true } = {}) {
+  const rows = comparison.changes
+    .filter((change) => all || change.status !== "unchanged")
+    .map((change) => [
+      STATUS_MARKS[change.status],
+      change.name,
+      change.baseline === null ? "-" : String(change.baseline),
+      change.current === null ? "-" : String(change.current),
+      formatDiff(change),
+    ]);
+  const header = [" ", "Function", "Baseline", "Current", "Diff"];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const line = (row) =>
+    row
+      .map((cell, column) => (column >= 2 && column <= 3 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+      .join("  ")
+      .trimEnd();
+
+  const { regressions, tolerancePercent } = comparison;
+  const summary =
+    regressions.length === 0
+      ? `No function uses more than ${tolerancePercent}% over its baseline`
+      : `${regressions.length} function(s) use more than ${tolerancePercent}% over their baseline: ` +
+        regressions.map((change) => change.name).join(", ");
+  return [line(header), ...rows.map(line), "", summary].join("\n");
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  DEFAULT_TOLERANCE_PERCENT,
+  GasSnapshotError,
+  createSnapshot,
+  readSnapshot,
+  writeSnapshot,
+  functionOf,
+  uncoveredFunctions,
+  compareSnapshots,
+  formatComparison,
+};
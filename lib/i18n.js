@@ -0,0 +1,166 @@
+/**
+ * I18n - translation bundles and locale-aware formatting for the dashboard.
+ *
+ * A bundle is a flat object of dotted keys to message templates with {name}
+ * placeholders, one per locale (water-resource-management/locales). Keys ending
+ * in `.one` / `.other` (and any other Intl.PluralRules category) are plural
+ * forms, picked by the `count` parameter. Missing keys fall back to the default
+ * locale, then to the key itself, so an untranslated string never breaks a page.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.I18n`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const DEFAULT_LOCALE = "en";
+
+  const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+  /**
+   * Replace {name} placeholders with params; unknown placeholders are left as they are
+   * @param {string} template
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  function interpolate(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Placeholder names of a template, sorted
+   * @param {string} template
+   * @returns {string[]}
+   */
+  function placeholders(template) {
+    const names = Array.from(template.matchAll(/\{(\w+)\}/g), (match) => match[1]);
+    return names.filter((name, index) => names.indexOf(name) === index).sort();
+  }
+
+  /**
+   * Key without its plural suffix, e.g. "refunds.found" for "refunds.found.one"
+   * @param {string} key
+   * @returns {string}
+   */
+  function baseKey(key) {
+    const suffix = key.slice(key.lastIndexOf(".") + 1);
+    return PLURAL_CATEGORIES.includes(suffix) ? key.slice(0, key.lastIndexOf(".")) : key;
+  }
+
+  /**
+   * Compare a bundle with the reference bundle of the default locale
+   * @param {Object<string, string>} reference
+   * @param {Object<string, string>} bundle
+   * @returns {{missing: string[], unexpected: string[], placeholders: string[]}} Keys the bundle lacks,
+   *   keys the reference does not have, and keys whose placeholders differ from the reference
+   */
+  function compareBundles(reference, bundle) {
+    const referenceBases = new Set(Object.keys(reference).map(baseKey));
+    return {
+      // Plural forms differ between languages, so only the "other" form is required
+      missing: Object.keys(reference).filter(
+        (key) => !(key in bundle) && (baseKey(key) === key || key.endsWith(".other"))
+      ),
+      unexpected: Object.keys(bundle).filter((key) => !referenceBases.has(baseKey(key))),
+      placeholders: Object.keys(bundle).filter((key) => {
+        const referenceKey = key in reference ? key : `${baseKey(key)}.other`;
+        return (
+          referenceKey in reference &&
+          placeholders(bundle[key]).join() !== placeholders(reference[referenceKey]).join()
+        );
+      }),
+    };
+  }
+
+  /**
+   * First available locale matching the user's preferences, by full tag or language
+   * @param {string[]} preferred e.g. navigator.languages
+   * @param {string[]} available
+   * @returns {string}
+   */
+  function negotiateLocale(preferred, available) {
+    for (const tag of preferred || []) {
+      const lower = String(tag).toLowerCase();
+      const match =
+        available.find((locale) => locale.toLowerCase() === lower) ||
+        available.find((locale) => locale.toLowerCase() === lower.split("-")[0]);
+      if (match) {
+        return match;
+      }
+    }
+    return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+  }
+
+  /**
+   * @typedef {Object} Translator
+   * @property {string} locale
+   * @property {function(string, Object=): string} t Translate a key
+   * @property {function((number|bigint|string)): string} formatNumber Water amounts, scores and counts
+   * @property {function(number): string} formatTimestamp Contract timestamps in seconds; "-" for 0
+   * @property {function(Date=): string} formatTime Time of day, e.g. for log lines
+   */
+
+  /**
+   * @param {Object<string, Object<string, string>>} bundles Bundle per locale; must include the default locale
+   * @param {string} locale
+   * @returns {Translator}
+   */
+  function createTranslator(bundles, locale) {
+    const bundle = bundles[locale] || {};
+    const fallback = bundles[DEFAULT_LOCALE] || {};
+    const plurals = new Intl.PluralRules(locale);
+    const numbers = new Intl.NumberFormat(locale);
+    const dates = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+    const times = new Intl.DateTimeFormat(locale, { timeStyle: "medium" });
+
+    function lookup(key) {
+      if (key in bundle) {
+        return bundle[key];
+      }
+      return key in fallback ? fallback[key] : null;
+    }
+
+    function t(key, params = {}) {
+      let template = null;
+      if (typeof params.count === "number") {
+        template = lookup(`${key}.${plurals.select(params.count)}`) || lookup(`${key}.other`);
+      }
+      template = template || lookup(key);
+      if (template === null) {
+        return key;
+      }
+      const formatted = typeof params.count === "number" ? { ...params, count: numbers.format(params.count) } : params;
+      return interpolate(template, formatted);
+    }
+
+    function formatNumber(value) {
+      // Intl.NumberFormat takes bigint directly; decimal strings from JSON are parsed first
+      return numbers.format(typeof value === "string" ? BigInt(value) : value);
+    }
+
+    function formatTimestamp(seconds) {
+      return seconds > 0 ? dates.format(new Date(Number(seconds) * 1000)) : "-";
+    }
+
+    function formatTime(date = new Date()) {
+      return times.format(date);
+    }
+
+    return { locale, t, formatNumber, formatTimestamp, formatTime };
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    interpolate,
+    placeholders,
+    compareBundles,
+    negotiateLocale,
+    createTranslator,
+  };
+});
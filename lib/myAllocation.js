@@ -0,0 +1,92 @@
+/**
+ * MyAllocation - a region manager's own demand and allocation for every
+ * period, decrypted with their signature.
+ *
+ * Each request keeps the encrypted amount the manager asked for and, once the
+ * period is distributed, the encrypted amount they received. Both are allowed
+ * to the account that submitted the request, so periods submitted by a
+ * previous manager of the region are listed without values.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.MyAllocation`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MyAllocation = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  /**
+   * @typedef {Object} AllocationPeriodEntry
+   * @property {number} periodId
+   * @property {number} requestedAt
+   * @property {boolean} isProcessed
+   * @property {boolean} refundClaimed
+   * @property {boolean} decryptable The request was submitted by this manager
+   * @property {number|null} demand Decrypted requested amount
+   * @property {number|null} allocation Decrypted allocation, or null while nothing was allocated
+   */
+
+  /**
+   * @typedef {Object} MyAllocationResult
+   * @property {string} manager
+   * @property {number} regionId
+   * @property {string} name
+   * @property {AllocationPeriodEntry[]} periods Newest first, only periods the region requested water in
+   */
+
+  /**
+   * Decrypt the signer's demand and allocation for every period their region took part in
+   * @param {Object} client WaterResourceClient
+   * @param {Object} decryptor From lib/userDecryption.js
+   * @param {Object} signer ethers signer of the region manager; asked to sign the decryption request
+   * @returns {Promise<MyAllocationResult>}
+   */
+  async function loadMyAllocation(client, decryptor, signer) {
+    const manager = await signer.getAddress();
+    const regionId = Number(await client.regionIdOf(manager));
+    if (regionId === 0) {
+      throw new Error(`${manager} is not a registered region manager`);
+    }
+
+    const [region, currentPeriod] = await Promise.all([client.getRegion(regionId), client.currentAllocationPeriod()]);
+    const periodIds = Array.from({ length: currentPeriod }, (_, index) => currentPeriod - index);
+    const requests = (
+      await Promise.all(periodIds.map((periodId) => client.getWaterRequest(periodId, regionId)))
+    ).filter((request) => request.timestamp > 0);
+
+    const own = requests.filter((request) => request.requester.toLowerCase() === manager.toLowerCase());
+    const values = await decryptor.decryptUint32(
+      client.address,
+      signer,
+      own.flatMap((request) => [request.requestedAmount, request.allocatedAmount])
+    );
+    const valueOf = (handle) => {
+      const value = values[handle.toLowerCase()];
+      return value === undefined ? null : value;
+    };
+
+    return {
+      manager,
+      regionId,
+      name: region.name,
+      periods: requests.map((request) => {
+        const decryptable = own.includes(request);
+        return {
+          periodId: request.periodId,
+          requestedAt: request.timestamp,
+          isProcessed: request.isProcessed,
+          refundClaimed: request.refundClaimed,
+          decryptable,
+          demand: decryptable ? valueOf(request.requestedAmount) : null,
+          allocation: decryptable ? valueOf(request.allocatedAmount) : null,
+        };
+      }),
+    };
+  }
+
+  return {
+    loadMyAllocation,
+  };
+});
@@ -0,0 +1,305 @@
+/**
+ * Offline signing of authority transactions, for an authority key that is not
+ * allowed on a machine with network access. Each call goes through three files:
+ *
+ *   1. prepare (online): the call becomes an unsigned transaction with the
+ *      sender's nonce, a gas limit, the current fees and the chain ID.
+ *   2. sign (offline): the unsigned file is signed with the key. Nothing is
+ *      read from the network.
+ *   3. broadcast (online): the signed file is checked against the contract and
+ *      chain, then sent as-is.
+ *
+ * Every step decodes the call from the calldata itself with the contract ABI,
+ * so what is reviewed is what gets signed. Values the contract takes encrypted
+ * are encrypted for the signing address, since the input proof is bound to the
+ * sender. Written for the ethers v6 namespace Hardhat provides.
+ */
+const WaterResourceClient = require("./WaterResourceClient");
+const { AUTHORITY_METHODS } = require("./safeBatch");
+
+const FILE_VERSION = 1;
+const UNSIGNED = "unsigned";
+const SIGNED = "signed";
+// Headroom over the gas estimate, as the contract's state can change before the broadcast
+const GAS_MARGIN_PERCENT = 20n;
+// Transaction fields written as decimal strings
+const QUANTITY_FIELDS = ["chainId", "gasLimit", "gasPrice", "maxFeePerGas", "maxPriorityFeePerGas", "value"];
+
+class OfflineSigningError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OfflineSigningError";
+  }
+}
+
+/**
+ * @typedef {Object} DecodedCall
+ * @property {string} method
+ * @property {{name: string, type: string, value: string}[]} args
+ */
+
+/**
+ * @typedef {Object} TransactionFile
+ * @property {number} version
+ * @property {string} kind "unsigned" or "signed"
+ * @property {string} createdAt ISO time the transaction was prepared
+ * @property {string} from Address that signs the transaction
+ * @property {Object} transaction type, chainId, to, nonce, gasLimit, fees, value and data
+ * @property {DecodedCall} call The call the data makes, for review
+ * @property {string} [signedAt] Signed files only
+ * @property {string} [hash] Signed files only: the transaction hash
+ * @property {string} [rawTransaction] Signed files only: the serialized signed transaction
+ */
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Decode WaterResourceManager calldata
+ * @param {Object} contractInterface ethers Interface of the contract
+ * @param {string} data
+ * @returns {DecodedCall}
+ */
+function decodeCall(contractInterface, data) {
+  const parsed = contractInterface.parseTransaction({ data });
+  if (!parsed) {
+    throw new OfflineSigningError("The transaction data does not call a WaterResourceManager function");
+  }
+  return {
+    method: parsed.name,
+    args: parsed.fragment.inputs.map((input, index) => ({
+      name: input.name,
+      type: input.type,
+      value: String(parsed.args[index]),
+    })),
+  };
+}
+
+// The file's transaction fields as a request ethers can sign
+function toRequest(transaction) {
+  const request = { type: transaction.type, to: transaction.to, nonce: transaction.nonce, data: transaction.data };
+  for (const field of QUANTITY_FIELDS) {
+    if (transaction[field] !== undefined) {
+      request[field] = BigInt(transaction[field]);
+    }
+  }
+  return request;
+}
+
+function checkFile(file, kind) {
+  if (!file || file.version !== FILE_VERSION || !file.transaction || !file.call) {
+    throw new OfflineSigningError("Not an offline transaction file");
+  }
+  if (file.kind !== kind) {
+    throw new OfflineSigningError(`Expected an offline transaction file that is ${kind}, got one that is ${file.kind}`);
+  }
+}
+
+// The call written in the file must be the one its data makes. The ABI is the
+// one bundled with the client, so this works offline.
+function checkCall(ethers, file) {
+  const call = decodeCall(new ethers.Interface(WaterResourceClient.ABI), file.transaction.data);
+  if (JSON.stringify(call) !== JSON.stringify(file.call)) {
+    throw new OfflineSigningError("The call described in the file does not match its transaction data");
+  }
+  if (!AUTHORITY_METHODS.includes(call.method)) {
+    throw new OfflineSigningError(`${call.method} is not an authority function`);
+  }
+  return call;
+}
+
+class OfflineTransactionBuilder {
+  /**
+   * @param {Object} client WaterResourceClient connected to a provider; its encryptor encrypts the
+   *        values of startAllocationPeriod and emergencyWaterAllocation
+   * @param {Object} options
+   * @param {string} options.from The offline signing address, usually the contract's authority
+   * @param {number} [options.nonce] Defaults to the sender's pending transaction count; set it to
+   *        prepare several transactions before any of them is broadcast
+   * @param {number|bigint} [options.gasLimit] Skips the gas estimate, which fails for calls that only
+   *        succeed after an earlier prepared transaction
+   */
+  constructor(client, options) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(String(options.from))) {
+      throw new OfflineSigningError(`Invalid signing address "${options.from}"`);
+    }
+    this.client = client;
+    this.from = options.from;
+    this.options = options;
+  }
+
+  get provider() {
+    return this.client.contract.runner.provider;
+  }
+
+  /**
+   * Build the unsigned transaction file for a call
+   * @param {string} method One of the authority functions
+   * @param {Array} args Contract arguments, with encrypted values already encrypted
+   * @returns {Promise<TransactionFile>}
+   * @throws The contract error when the gas estimate shows the call would revert
+   */
+  async prepare(method, args) {
+    if (!AUTHORITY_METHODS.includes(method)) {
+      throw new OfflineSigningError(`${method} is not an authority function`);
+    }
+    const data = this.client.interface.encodeFunctionData(method, args);
+    let gasLimit;
+    if (this.options.gasLimit !== undefined) {
+      gasLimit = BigInt(this.options.gasLimit);
+    } else {
+      const estimate = await this.provider.estimateGas({ from: this.from, to: this.client.address, data });
+      gasLimit = (estimate * (100n + GAS_MARGIN_PERCENT)) / 100n;
+    }
+    const nonce =
+      this.options.nonce !== undefined
+        ? this.options.nonce
+        : await this.provider.getTransactionCount(this.from, "pending");
+    const network = await this.provider.getNetwork();
+    const feeData = await this.provider.getFeeData();
+
+    const transaction = {
+      type: 0,
+      chainId: network.chainId.toString(),
+      to: this.client.address,
+      nonce,
+      gasLimit: gasLimit.toString(),
+      value: "0",
+      data,
+    };
+    // EIP-1559 fees where the network has them, a legacy gas price otherwise
+    if (feeData.maxFeePerGas !== null) {
+      transaction.type = 2;
+      transaction.maxFeePerGas = feeData.maxFeePerGas.toString();
+      transaction.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.toString();
+    } else {
+      transaction.gasPrice = feeData.gasPrice.toString();
+    }
+
+    return {
+      version: FILE_VERSION,
+      kind: UNSIGNED,
+      createdAt: new Date().toISOString(),
+      from: this.from,
+      transaction,
+      call: decodeCall(this.client.interface, data),
+    };
+  }
+
+  async _encrypt(method, values) {
+    if (!this.client.options.encryptor) {
+      throw new OfflineSigningError(`${method} takes encrypted inputs; create the client with an encryptor option`);
+    }
+    // The input proof is bound to the offline signer, not the online account preparing the transaction
+    return this.client.options.encryptor.encryptUint32(this.client.address, this.from, values);
+  }
+
+  async registerRegion(name, priorityLevel, manager) {
+    return this.prepare("registerRegion", [name, priorityLevel, manager]);
+  }
+
+  async startAllocationPeriod(totalAvailableWater, durationHours) {
+    const { handles, inputProof } = await this._encrypt("startAllocationPeriod", [totalAvailableWater]);
+    return this.prepare("startAllocationPeriod", [handles[0], inputProof, durationHours]);
+  }
+
+  async processAllocation() {
+    return this.prepare("processAllocation", []);
+  }
+
+  async emergencyWaterAllocation(regionId, emergencyAmount) {
+    const { handles, inputProof } = await this._encrypt("emergencyWaterAllocation", [emergencyAmount]);
+    return this.prepare("emergencyWaterAllocation", [regionId, handles[0], inputProof]);
+  }
+
+  async deactivateRegion(regionId) {
+    return this.prepare("deactivateRegion", [regionId]);
+  }
+
+  async updateRegionManager(regionId, newManager) {
+    return this.prepare("updateRegionManager", [regionId, newManager]);
+  }
+}
+
+/**
+ * Validate an unsigned transaction file before it is signed
+ * @param {Object} ethers ethers v6 namespace
+ * @param {TransactionFile} file
+ * @returns {TransactionFile}
+ * @throws {OfflineSigningError} When the file is not an unsigned transaction or its call was edited
+ */
+function readUnsignedTransaction(ethers, file) {
+  checkFile(file, UNSIGNED);
+  checkCall(ethers, file);
+  return file;
+}
+
+/**
+ * Sign an unsigned transaction file. Works without a provider.
+ * @param {Object} ethers ethers v6 namespace
+ * @param {TransactionFile} file
+ * @param {Object} wallet ethers Wallet of the file's `from` address
+ * @returns {Promise<TransactionFile>} The signed file
+ */
+async function signTransaction(ethers, file, wallet) {
+  readUnsignedTransaction(ethers, file);
+  if (!sameAddress(wallet.address, file.from)) {
+    throw new OfflineSigningError(`The key is for ${wallet.address}, but the transaction is from ${file.from}`);
+  }
+  const rawTransaction = await wallet.signTransaction(toRequest(file.transaction));
+  return {
+    ...file,
+    kind: SIGNED,
+    signedAt: new Date().toISOString(),
+    hash: ethers.keccak256(rawTransaction),
+    rawTransaction,
+  };
+}
+
+/**
+ * Validate a signed transaction file before it is broadcast
+ * @param {Object} ethers ethers v6 namespace
+ * @param {TransactionFile} file
+ * @param {Object} [expected]
+ * @param {string} [expected.contractAddress] The transaction must call this contract
+ * @param {number|string|bigint} [expected.chainId]
+ * @returns {TransactionFile}
+ * @throws {OfflineSigningError} When the signed transaction differs from what the file describes, or is
+ *         for another chain or contract
+ */
+function readSignedTransaction(ethers, file, { contractAddress, chainId } = {}) {
+  checkFile(file, SIGNED);
+  const signed = ethers.Transaction.from(file.rawTransaction);
+  if (!sameAddress(signed.from, file.from)) {
+    throw new OfflineSigningError(`The transaction is signed by ${signed.from}, not ${file.from}`);
+  }
+  const { transaction } = file;
+  if (
+    signed.data !== transaction.data ||
+    !sameAddress(signed.to, transaction.to) ||
+    signed.nonce !== transaction.nonce ||
+    signed.chainId.toString() !== String(transaction.chainId)
+  ) {
+    throw new OfflineSigningError("The signed transaction does not match the transaction the file describes");
+  }
+  checkCall(ethers, file);
+  if (chainId !== undefined && String(transaction.chainId) !== String(chainId)) {
+    throw new OfflineSigningError(`The transaction is for chain ${transaction.chainId}, not ${chainId}`);
+  }
+  if (contractAddress && !sameAddress(transaction.to, contractAddress)) {
+    throw new OfflineSigningError(`The transaction calls ${transaction.to}, not ${contractAddress}`);
+  }
+  return file;
+}
+
+module.exports = {
+  FILE_VERSION,
+  GAS_MARGIN_PERCENT,
+  OfflineSigningError,
+  OfflineTransactionBuilder,
+  decodeCall,
+  readUnsignedTransaction,
+  signTransaction,
+  readSignedTransaction,
+};
@@ -0,0 +1,190 @@
+/**
+ * PeriodHistory - every allocation period of the contract, for history views.
+ *
+ * Period state comes from contract reads, sent in parallel for each period.
+ * The per-region amounts come from WaterAllocated and RefundProcessed events,
+ * queried once for the whole history rather than once per period.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.PeriodHistory`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PeriodHistory = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  /**
+   * @typedef {Object} Allocation
+   * @property {number} regionId
+   * @property {number} amount
+   * @property {number} blockNumber
+   * @property {string} transactionHash
+   */
+
+  /**
+   * @typedef {Object} PeriodSummary
+   * @property {number} periodId
+   * @property {number} startTime
+   * @property {number} endTime
+   * @property {string} status open, closed, decrypting, timed-out, failed or distributed
+   * @property {number[]} participants Region IDs in submission order
+   * @property {boolean} distributionCompleted
+   * @property {number} decryptionRequestTime 0 until processAllocation is called
+   * @property {boolean} timedOut
+   * @property {boolean} decryptionFailed
+   * @property {Allocation[]} allocations WaterAllocated events of the period
+   * @property {number} totalAllocated
+   */
+
+  /**
+   * @typedef {Object} PeriodRegion
+   * @property {number} regionId
+   * @property {string} name
+   * @property {string} manager
+   * @property {boolean} isActive
+   * @property {number} requestedAt Request timestamp, 0 when the region did not submit one
+   * @property {boolean} isProcessed
+   * @property {boolean} refundClaimed
+   * @property {number|null} allocated Amount from the region's WaterAllocated event
+   * @property {bigint|null} refunded Amount from the region's RefundProcessed event
+   */
+
+  /**
+   * Where a period is in its lifecycle
+   * @param {Object} period Result of client.getPeriod
+   * @param {Object} decryption Result of client.getDecryptionStatus
+   * @param {boolean} active The period is current and still accepts requests
+   * @returns {string}
+   */
+  function periodStatus(period, decryption, active) {
+    if (period.distributionCompleted) {
+      return "distributed";
+    }
+    if (period.decryptionFailed) {
+      return "failed";
+    }
+    if (decryption.timedOut) {
+      return "timed-out";
+    }
+    if (period.decryptionRequestTime > 0) {
+      return "decrypting";
+    }
+    return active ? "open" : "closed";
+  }
+
+  function toAllocation(event) {
+    return {
+      regionId: event.args.regionId,
+      amount: event.args.amount,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    };
+  }
+
+  async function loadSummary(client, periodId, allocatedEvents, active) {
+    const [period, decryption, participants] = await Promise.all([
+      client.getPeriod(periodId),
+      client.getDecryptionStatus(periodId),
+      client.getPeriodParticipants(periodId),
+    ]);
+    const allocations = allocatedEvents.filter((event) => event.args.periodId === periodId).map(toAllocation);
+
+    return {
+      periodId,
+      startTime: period.startTime,
+      endTime: period.endTime,
+      status: periodStatus(period, decryption, active),
+      participants,
+      distributionCompleted: period.distributionCompleted,
+      decryptionRequestTime: period.decryptionRequestTime,
+      timedOut: decryption.timedOut,
+      decryptionFailed: period.decryptionFailed,
+      allocations,
+      totalAllocated: allocations.reduce((sum, allocation) => sum + allocation.amount, 0),
+    };
+  }
+
+  /**
+   * Summaries of every period, newest first
+   * @param {Object} client WaterResourceClient
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock=0] Block to search for events from, such as the deployment block
+   * @returns {Promise<{currentPeriod: number, periods: PeriodSummary[]}>}
+   */
+  async function loadPeriodHistory(client, { fromBlock = 0 } = {}) {
+    const [currentPeriod, active, allocatedEvents] = await Promise.all([
+      client.currentAllocationPeriod(),
+      client.isAllocationPeriodActive(),
+      client.queryEvents("WaterAllocated", { fromBlock }),
+    ]);
+
+    const periodIds = Array.from({ length: currentPeriod }, (_, index) => currentPeriod - index);
+    const periods = await Promise.all(
+      periodIds.map((periodId) => loadSummary(client, periodId, allocatedEvents, active && periodId === currentPeriod))
+    );
+    return { currentPeriod, periods };
+  }
+
+  /**
+   * One period with the request, allocation and refund of each region that took part
+   * @param {Object} client WaterResourceClient
+   * @param {number} periodId
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock=0]
+   * @returns {Promise<PeriodSummary & {regions: PeriodRegion[]}>}
+   */
+  async function loadPeriodDetail(client, periodId, { fromBlock = 0 } = {}) {
+    const currentPeriod = await client.currentAllocationPeriod();
+    if (periodId < 1 || periodId > currentPeriod) {
+      throw new Error(`Period ${periodId} does not exist (current period is ${currentPeriod})`);
+    }
+
+    // Both events index (regionId, periodId)
+    const [active, allocatedEvents, refundEvents] = await Promise.all([
+      client.isAllocationPeriodActive(),
+      client.queryEvents("WaterAllocated", { args: [null, periodId], fromBlock }),
+      client.queryEvents("RefundProcessed", { args: [null, periodId], fromBlock }),
+    ]);
+    const summary = await loadSummary(client, periodId, allocatedEvents, active && periodId === currentPeriod);
+
+    const regionIds = [...summary.participants];
+    for (const { regionId } of summary.allocations) {
+      if (!regionIds.includes(regionId)) {
+        regionIds.push(regionId);
+      }
+    }
+
+    const regions = await Promise.all(
+      regionIds.map(async (regionId) => {
+        // Raw records: getRegionInfo and getRegionRequestStatus revert once a region is deactivated
+        const [region, request] = await Promise.all([
+          client.getRegion(regionId),
+          client.getWaterRequest(periodId, regionId),
+        ]);
+        const allocation = summary.allocations.find((entry) => entry.regionId === regionId);
+        const refund = refundEvents.find((event) => event.args.regionId === regionId);
+        return {
+          regionId,
+          name: region.name,
+          manager: region.manager,
+          isActive: region.isActive,
+          requestedAt: request.timestamp,
+          isProcessed: request.isProcessed,
+          refundClaimed: request.refundClaimed,
+          allocated: allocation ? allocation.amount : null,
+          refunded: refund ? refund.args.amount : null,
+        };
+      })
+    );
+
+    return { ...summary, regions };
+  }
+
+  return {
+    periodStatus,
+    loadPeriodHistory,
+    loadPeriodDetail,
+  };
+});
@@ -0,0 +1,256 @@
+/**
+ * Per-period audit report: who asked for water in a period, what they got and when.
+ *
+ * Combines on-chain state (getPeriodParticipants, the raw region and water
+ * request records, getDecryptionStatus) with indexed event records (see EventStore) and renders
+ * the result as JSON, Markdown or CSV.
+ */
+
+// Events that carry a periodId and belong on the period timeline
+const PERIOD_EVENTS = [
+  "AllocationPeriodStarted",
+  "WaterRequested",
+  "DecryptionRequested",
+  "DecryptionFailed",
+  "TimeoutProtectionTriggered",
+  "WaterAllocated",
+  "AllocationCompleted",
+  "RefundProcessed",
+];
+
+const CSV_COLUMNS = [
+  "periodId",
+  "event",
+  "regionId",
+  "regionName",
+  "amount",
+  "blockNumber",
+  "blockTimestamp",
+  "time",
+  "transactionHash",
+];
+
+function isoTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "";
+}
+
+function toEntry(record) {
+  return {
+    event: record.name,
+    regionId: record.args.regionId !== undefined ? record.args.regionId : null,
+    amount: record.args.amount !== undefined ? String(record.args.amount) : null,
+    blockNumber: record.blockNumber,
+    blockTimestamp: record.blockTimestamp,
+    time: isoTime(record.blockTimestamp),
+    transactionHash: record.transactionHash,
+  };
+}
+
+/**
+ * Collect everything known about a period
+ *
+ * EmergencyAllocation events carry no periodId; they are attributed to the
+ * period whose start time is the latest one at or before the event's block.
+ *
+ * @param {WaterResourceClient} client
+ * @param {number} periodId
+ * @param {Array<Object>} events Indexed event records (EventStore format)
+ * @returns {Promise<Object>} Report data
+ */
+async function buildPeriodReport(client, periodId, events) {
+  const currentPeriod = await client.currentAllocationPeriod();
+  if (periodId < 1 || periodId > currentPeriod) {
+    throw new Error(`Period ${periodId} does not exist (current period is ${currentPeriod})`);
+  }
+
+  const period = await client.getPeriod(periodId);
+  const decryption = await client.getDecryptionStatus(periodId);
+  const participants = await client.getPeriodParticipants(periodId);
+
+  const nextPeriodStart = periodId < currentPeriod ? (await client.getPeriod(periodId + 1)).startTime : Infinity;
+  const inPeriod = (record) =>
+    PERIOD_EVENTS.includes(record.name)
+      ? record.args.periodId === periodId
+      : record.name === "EmergencyAllocation" &&
+        record.blockTimestamp >= period.startTime &&
+        record.blockTimestamp < nextPeriodStart;
+
+  const timeline = events
+    .filter(inPeriod)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map(toEntry);
+
+  const regionIds = [...participants];
+  for (const entry of timeline) {
+    if (entry.regionId !== null && !regionIds.includes(entry.regionId)) {
+      regionIds.push(entry.regionId);
+    }
+  }
+
+  const names = new Map();
+  const regions = [];
+  for (const regionId of regionIds) {
+    // Raw records: getRegionInfo and getRegionRequestStatus revert once a region is deactivated
+    const region = await client.getRegion(regionId);
+    const request = await client.getWaterRequest(periodId, regionId);
+    const entries = timeline.filter((entry) => entry.regionId === regionId);
+    const requestEntry = entries.find((entry) => entry.event === "WaterRequested");
+    names.set(regionId, region.name);
+
+    regions.push({
+      regionId,
+      name: region.name,
+      manager: region.manager,
+      isActive: region.isActive,
+      participant: participants.includes(regionId),
+      hasSubmittedRequest: participants.includes(regionId),
+      isProcessed: request.isProcessed,
+      refundClaimed: request.refundClaimed,
+      requestedAt: isoTime(request.timestamp),
+      requestTransaction: requestEntry ? requestEntry.transactionHash : null,
+      allocations: entries.filter((entry) => entry.event === "WaterAllocated"),
+      emergencyAllocations: entries.filter((entry) => entry.event === "EmergencyAllocation"),
+      refunds: entries.filter((entry) => entry.event === "RefundProcessed"),
+    });
+  }
+
+  for (const entry of timeline) {
+    entry.regionName = entry.regionId !== null ? names.get(entry.regionId) : null;
+  }
+
+  return {
+    periodId,
+    contractAddress: client.address,
+    generatedAt: new Date().toISOString(),
+    period: {
+      startTime: isoTime(period.startTime),
+      endTime: isoTime(period.endTime),
+      distributionCompleted: period.distributionCompleted,
+      participatingRegions: period.participatingRegions,
+      decryptionRequestId: String(period.decryptionRequestId),
+    },
+    decryption: {
+      requestedAt: isoTime(decryption.requestTime),
+      timedOut: decryption.timedOut,
+      decryptionFailed: decryption.decryptionFailed,
+    },
+    regions,
+    timeline,
+  };
+}
+
+function yesNo(value) {
+  return value ? "Yes" : "No";
+}
+
+function markdownCell(value) {
+  return value === null || value === undefined ? "" : String(value).replace(/\|/g, "\\|");
+}
+
+function markdownTable(columns, rows) {
+  return [
+    `| ${columns.join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function totalAmount(entries) {
+  return entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n).toString();
+}
+
+/**
+ * Render a report as Markdown
+ */
+function toMarkdown(report) {
+  const { period, decryption } = report;
+  const lines = [
+    `# Water Allocation Audit — Period ${report.periodId}`,
+    "",
+    `Contract: \`${report.contractAddress}\`  `,
+    `Generated: ${report.generatedAt}`,
+    "",
+    "## Period",
+    "",
+    markdownTable(
+      ["Field", "Value"],
+      [
+        ["Start", period.startTime],
+        ["End", period.endTime],
+        ["Participating regions", period.participatingRegions],
+        ["Distribution completed", yesNo(period.distributionCompleted)],
+        ["Decryption requested", decryption.requestedAt || "No"],
+        ["Decryption request ID", period.decryptionRequestId],
+        ["Decryption timed out", yesNo(decryption.timedOut)],
+        ["Decryption failed", yesNo(decryption.decryptionFailed)],
+      ]
+    ),
+    "",
+    "## Regions",
+    "",
+  ];
+
+  if (report.regions.length === 0) {
+    lines.push("No region took part in this period.");
+  } else {
+    lines.push(
+      markdownTable(
+        ["Region", "Name", "Requested", "Processed", "Allocated", "Emergency", "Refunded", "Request tx"],
+        report.regions.map((region) => [
+          region.regionId,
+          region.name,
+          region.requestedAt || "No",
+          yesNo(region.isProcessed),
+          region.allocations.length > 0 ? totalAmount(region.allocations) : "",
+          // Emergency amounts are encrypted, so only the number of allocations is known
+          region.emergencyAllocations.length || "",
+          region.refunds.length > 0 ? totalAmount(region.refunds) : "",
+          region.requestTransaction,
+        ])
+      )
+    );
+  }
+
+  lines.push("", "## Timeline", "");
+  if (report.timeline.length === 0) {
+    lines.push("No events were recorded for this period.");
+  } else {
+    lines.push(
+      markdownTable(
+        ["Time", "Block", "Event", "Region", "Amount", "Transaction"],
+        report.timeline.map((entry) => [
+          entry.time,
+          entry.blockNumber,
+          entry.event,
+          entry.regionId !== null ? `${entry.regionId} (${entry.regionName})` : "",
+          entry.amount,
+          entry.transactionHash,
+        ])
+      )
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Render the report timeline as CSV, one row per event
+ */
+function toCsv(report) {
+  const rows = report.timeline.map((entry) =>
+    CSV_COLUMNS.map((column) => csvField(column === "periodId" ? report.periodId : entry[column]))
+  );
+  return [CSV_COLUMNS.join(","), ...rows.map((row) => row.join(","))].join("\n") + "\n";
+}
+
+module.exports = {
+  PERIOD_EVENTS,
+  buildPeriodReport,
+  toMarkdown,
+  toCsv,
+};
@@ -0,0 +1,161 @@
+/**
+ * RefundAssistant - finds and claims the refunds owed to a region manager.
+ *
+ * A region's request is refundable when its period's decryption failed, or
+ * when the decryption timed out and nobody has called claimDecryptionTimeout
+ * yet. The timeout claim refunds every participant whose own request has not
+ * expired; anyone it leaves out, and every region of a failed period, claims
+ * with claimDecryptionFailureRefund.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.RefundAssistant`; load lib/errorCatalog.js first.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./errorCatalog"));
+  } else {
+    root.RefundAssistant = factory(root.ErrorCatalog);
+  }
+})(typeof self !== "undefined" ? self : globalThis, (ErrorCatalog) => {
+  /**
+   * @typedef {Object} RefundPeriod
+   * @property {number} periodId
+   * @property {boolean} participated The region submitted a request in this period
+   * @property {boolean} refundClaimed
+   * @property {boolean} decryptionFailed
+   * @property {boolean} distributionCompleted
+   * @property {boolean} timedOut canClaimTimeoutRefund for the manager
+   * @property {string|null} action Contract call that starts the refund, or null when not eligible
+   */
+
+  /**
+   * @typedef {Object} RefundScan
+   * @property {string} manager
+   * @property {number} regionId
+   * @property {number} currentPeriod
+   * @property {RefundPeriod[]} periods Every period from 1 to currentPeriod
+   * @property {RefundPeriod[]} eligible The periods with an action
+   */
+
+  /**
+   * @typedef {Object} RefundClaim
+   * @property {number} periodId
+   * @property {string} action
+   * @property {string} status refunded or failed
+   * @property {string[]} transactions Hashes of the transactions sent for the period
+   * @property {Object[]} refunds The region's RefundProcessed events
+   * @property {string} [error]
+   */
+
+  function refundAction(period, request, timedOut) {
+    if (request.timestamp === 0 || request.refundClaimed) {
+      return null;
+    }
+    if (period.decryptionFailed) {
+      return "claimDecryptionFailureRefund";
+    }
+    if (!period.distributionCompleted && timedOut) {
+      return "claimDecryptionTimeout";
+    }
+    return null;
+  }
+
+  /**
+   * Check every period for refunds the manager's region can claim
+   * @param {Object} client WaterResourceClient
+   * @param {string} manager Region manager address
+   * @returns {Promise<RefundScan>}
+   */
+  async function scanRefunds(client, manager) {
+    const regionId = Number(await client.regionIdOf(manager));
+    if (regionId === 0) {
+      throw new Error(`${manager} is not a registered region manager`);
+    }
+
+    const currentPeriod = await client.currentAllocationPeriod();
+    const periods = [];
+    for (let periodId = 1; periodId <= currentPeriod; periodId++) {
+      const period = await client.getPeriod(periodId);
+      // Raw record: getRegionRequestStatus reverts once the region is deactivated
+      const request = await client.getWaterRequest(periodId, regionId);
+      const timedOut = await client.canClaimTimeoutRefund(periodId, manager);
+
+      periods.push({
+        periodId,
+        participated: request.timestamp > 0,
+        refundClaimed: request.refundClaimed,
+        decryptionFailed: period.decryptionFailed,
+        distributionCompleted: period.distributionCompleted,
+        timedOut,
+        action: refundAction(period, request, timedOut),
+      });
+    }
+
+    return {
+      manager,
+      regionId,
+      currentPeriod,
+      periods,
+      eligible: periods.filter((period) => period.action !== null),
+    };
+  }
+
+  function regionRefunds(result, regionId) {
+    return result.events
+      .filter((event) => event.name === "RefundProcessed" && Number(event.args.regionId) === regionId)
+      .map((event) => ({
+        periodId: Number(event.args.periodId),
+        amount: event.args.amount,
+        transactionHash: result.hash,
+        blockNumber: result.blockNumber,
+      }));
+  }
+
+  /**
+   * Claim the refund of every eligible period in a scan. The client must be
+   * connected as the scanned manager. A failed period does not stop the others.
+   * @param {Object} client WaterResourceClient
+   * @param {RefundScan} scan Result of scanRefunds
+   * @param {Object} [options]
+   * @param {function(RefundClaim): void} [options.onClaim] Called with each period's result
+   * @returns {Promise<{regionId: number, claims: RefundClaim[], refunds: Object[]}>} One claim per
+   *          eligible period and every RefundProcessed event recorded
+   */
+  async function claimRefunds(client, scan, { onClaim = () => {} } = {}) {
+    const claims = [];
+
+    for (const { periodId, action } of scan.eligible) {
+      /** @type {RefundClaim} */
+      const claim = { periodId, action, status: "refunded", transactions: [], refunds: [] };
+      try {
+        if (action === "claimDecryptionTimeout") {
+          const result = await client.claimDecryptionTimeout(periodId);
+          claim.transactions.push(result.hash);
+          claim.refunds.push(...regionRefunds(result, scan.regionId));
+        }
+        // The timeout claim skips requests past their own requestTimeout
+        if (claim.refunds.length === 0) {
+          const result = await client.claimDecryptionFailureRefund(periodId);
+          claim.transactions.push(result.hash);
+          claim.refunds.push(...regionRefunds(result, scan.regionId));
+        }
+      } catch (error) {
+        claim.status = "failed";
+        claim.error = ErrorCatalog.formatError(error);
+      }
+      onClaim(claim);
+      claims.push(claim);
+    }
+
+    return {
+      regionId: scan.regionId,
+      claims,
+      refunds: claims.flatMap((claim) => claim.refunds),
+    };
+  }
+
+  return {
+    scanRefunds,
+    claimRefunds,
+  };
+});
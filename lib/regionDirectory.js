@@ -0,0 +1,139 @@
+/**
+ * RegionDirectory - every registered region, with search, filters and sorting,
+ * and the request history of a single region.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.RegionDirectory`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RegionDirectory = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const STATUS_FILTERS = ["all", "active", "inactive"];
+  const SORT_FIELDS = ["regionId", "name", "manager", "lockedAmount", "lastUpdateTime"];
+
+  /**
+   * @typedef {Object} RegionEntry
+   * @property {number} regionId
+   * @property {string} name
+   * @property {string} manager
+   * @property {boolean} isActive
+   * @property {bigint} lockedAmount
+   * @property {number} lastUpdateTime
+   */
+
+  /**
+   * @typedef {Object} RegionRequest
+   * @property {number} periodId
+   * @property {number} requestedAt
+   * @property {boolean} isProcessed
+   * @property {boolean} refundClaimed
+   * @property {number|null} allocated Amount from the region's WaterAllocated event
+   * @property {bigint|null} refunded Amount from the region's RefundProcessed event
+   */
+
+  /**
+   * Every region from 1 to nextRegionId - 1, active or not
+   * @param {Object} client WaterResourceClient
+   * @returns {Promise<RegionEntry[]>}
+   */
+  async function loadRegions(client) {
+    const nextRegionId = await client.nextRegionId();
+    const regionIds = Array.from({ length: nextRegionId - 1 }, (_, index) => index + 1);
+
+    // Raw records: getRegionInfo reverts once a region is deactivated
+    const regions = await Promise.all(regionIds.map((regionId) => client.getRegion(regionId)));
+    return regions.map((region) => ({
+      regionId: region.regionId,
+      name: region.name,
+      manager: region.manager,
+      isActive: region.isActive,
+      lockedAmount: region.lockedAmount,
+      lastUpdateTime: region.lastUpdateTime,
+    }));
+  }
+
+  function compareBy(field) {
+    return (a, b) => {
+      const left = a[field];
+      const right = b[field];
+      if (typeof left === "string") {
+        return left.localeCompare(right, undefined, { sensitivity: "base" }) || a.regionId - b.regionId;
+      }
+      return (left > right ? 1 : left < right ? -1 : 0) || a.regionId - b.regionId;
+    };
+  }
+
+  /**
+   * Search, filter and sort a list of regions
+   * @param {RegionEntry[]} regions Result of loadRegions
+   * @param {Object} [options]
+   * @param {string} [options.search] Case-insensitive part of a name or manager address
+   * @param {string} [options.status="all"] One of STATUS_FILTERS
+   * @param {string} [options.sortBy="regionId"] One of SORT_FIELDS
+   * @param {boolean} [options.descending=false]
+   * @returns {RegionEntry[]} A new array
+   */
+  function filterRegions(regions, { search = "", status = "all", sortBy = "regionId", descending = false } = {}) {
+    if (!STATUS_FILTERS.includes(status)) {
+      throw new Error(`Unknown status filter "${status}" (expected one of ${STATUS_FILTERS.join(", ")})`);
+    }
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Cannot sort regions by "${sortBy}" (expected one of ${SORT_FIELDS.join(", ")})`);
+    }
+
+    const query = search.trim().toLowerCase();
+    const compare = compareBy(sortBy);
+    return regions
+      .filter((region) => status === "all" || region.isActive === (status === "active"))
+      .filter(
+        (region) => !query || region.name.toLowerCase().includes(query) || region.manager.toLowerCase().includes(query)
+      )
+      .sort(descending ? (a, b) => compare(b, a) : compare);
+  }
+
+  /**
+   * Every period a region submitted a request in, newest first
+   * @param {Object} client WaterResourceClient
+   * @param {number} regionId
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock=0] Block to search for events from, such as the deployment block
+   * @returns {Promise<RegionRequest[]>}
+   */
+  async function loadRegionRequests(client, regionId, { fromBlock = 0 } = {}) {
+    // Both events index (regionId, periodId)
+    const [currentPeriod, allocatedEvents, refundEvents] = await Promise.all([
+      client.currentAllocationPeriod(),
+      client.queryEvents("WaterAllocated", { args: [regionId], fromBlock }),
+      client.queryEvents("RefundProcessed", { args: [regionId], fromBlock }),
+    ]);
+
+    const periodIds = Array.from({ length: currentPeriod }, (_, index) => currentPeriod - index);
+    const requests = await Promise.all(periodIds.map((periodId) => client.getWaterRequest(periodId, regionId)));
+    return requests
+      .filter((request) => request.timestamp > 0)
+      .map((request) => {
+        const allocation = allocatedEvents.find((event) => event.args.periodId === request.periodId);
+        const refund = refundEvents.find((event) => event.args.periodId === request.periodId);
+        return {
+          periodId: request.periodId,
+          requestedAt: request.timestamp,
+          isProcessed: request.isProcessed,
+          refundClaimed: request.refundClaimed,
+          allocated: allocation ? allocation.args.amount : null,
+          refunded: refund ? refund.args.amount : null,
+        };
+      });
+  }
+
+  return {
+    STATUS_FILTERS,
+    SORT_FIELDS,
+    loadRegions,
+    filterRegions,
+    loadRegionRequests,
+  };
+});
@@ -0,0 +1,234 @@
+/**
+ * Bulk region onboarding: read name/priority/manager rows from a CSV or JSON
+ * file, validate them against registerRegion's rules and register the new ones.
+ */
+const fs = require("fs");
+const path = require("path");
+const { errorReason } = require("./cli");
+
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const REQUIRED_COLUMNS = ["name", "priority", "manager"];
+const QUOTE = "\"";
+
+/**
+ * Split CSV text into rows of fields. Supports quoted fields with "" escapes.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === QUOTE && text[i + 1] === QUOTE) {
+        field += QUOTE;
+        i++;
+      } else if (char === QUOTE) {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === QUOTE) {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+function rowsFromCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+  }
+
+  return records.map((fields) =>
+    Object.fromEntries(REQUIRED_COLUMNS.map((column) => [column, fields[columns.indexOf(column)]]))
+  );
+}
+
+function rowsFromJson(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data.regions;
+  if (!Array.isArray(rows)) {
+    throw new Error("JSON input must be an array of regions or an object with a regions array");
+  }
+  return rows;
+}
+
+/**
+ * Read import rows from a .csv or .json file
+ * @returns {Array<{row: number, name: *, priority: *, manager: *}>} rows numbered from 1
+ */
+function readRegionFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+
+  let rows;
+  if (extension === ".csv") {
+    rows = rowsFromCsv(text);
+  } else if (extension === ".json") {
+    rows = rowsFromJson(text);
+  } else {
+    throw new Error(`Unsupported file type "${extension}", expected .csv or .json`);
+  }
+
+  return rows.map((entry, index) => ({
+    row: index + 1,
+    name: entry.name,
+    priority: entry.priority,
+    manager: entry.manager,
+  }));
+}
+
+/**
+ * Check a row against the contract's registerRegion requirements
+ * @returns {{name: string, priority: number, manager: string}|{error: string}}
+ */
+function validateRow(entry) {
+  const name = typeof entry.name === "string" ? entry.name.trim() : "";
+  if (name.length === 0) {
+    return { error: "Invalid region name" };
+  }
+
+  const priorityText = String(entry.priority === undefined ? "" : entry.priority).trim();
+  const priority = Number(priorityText);
+  if (!/^\d+$/.test(priorityText) || priority < MIN_PRIORITY || priority > MAX_PRIORITY) {
+    return { error: `Priority must be ${MIN_PRIORITY}-${MAX_PRIORITY}` };
+  }
+
+  const manager = typeof entry.manager === "string" ? entry.manager.trim() : "";
+  if (!/^0x[0-9a-fA-F]{40}$/.test(manager) || manager.toLowerCase() === ZERO_ADDRESS) {
+    return { error: "Invalid manager address" };
+  }
+
+  return { name, priority, manager };
+}
+
+/**
+ * Names of every region registered so far, active or not
+ * @param {WaterResourceClient} client
+ * @returns {Promise<Map<string, number>>} region name → regionId
+ */
+async function loadRegisteredNames(client) {
+  const names = new Map();
+  const nextRegionId = await client.nextRegionId();
+  for (let regionId = 1; regionId < nextRegionId; regionId++) {
+    const region = await client.getRegion(regionId);
+    if (!names.has(region.name)) {
+      names.set(region.name, regionId);
+    }
+  }
+  return names;
+}
+
+/**
+ * Validate and register regions
+ *
+ * Rows that fail validation are reported as "invalid", rows whose name is
+ * already registered (or repeated earlier in the file) as "skipped". With
+ * dryRun nothing is submitted and new rows are reported as "pending". The
+ * import stops at the first failed transaction; later rows stay "pending".
+ *
+ * @param {WaterResourceClient} client Client connected with the authority signer
+ * @param {Array<Object>} rows Rows from readRegionFile()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {function(Object)} [options.onRow] Called after each row is resolved
+ * @returns {Promise<{dryRun: boolean, summary: Object, rows: Array<Object>}>}
+ */
+async function importRegions(client, rows, options = {}) {
+  const { dryRun = false, onRow = () => {} } = options;
+  const registered = await loadRegisteredNames(client);
+  const seen = new Map();
+  const results = [];
+  let failed = false;
+
+  for (const entry of rows) {
+    const result = { row: entry.row, name: entry.name, priority: entry.priority, manager: entry.manager };
+    const checked = validateRow(entry);
+
+    if (checked.error) {
+      Object.assign(result, { status: "invalid", reason: checked.error });
+    } else {
+      Object.assign(result, checked);
+      if (registered.has(checked.name)) {
+        Object.assign(result, {
+          status: "skipped",
+          regionId: registered.get(checked.name),
+          reason: "Region name already registered",
+        });
+      } else if (seen.has(checked.name)) {
+        Object.assign(result, { status: "skipped", reason: `Duplicate of row ${seen.get(checked.name)}` });
+      } else if (dryRun || failed) {
+        Object.assign(result, { status: "pending" });
+        if (failed) {
+          result.reason = "Not submitted after an earlier failure";
+        }
+      } else {
+        try {
+          const receipt = await client.registerRegion(checked.name, checked.priority, checked.manager);
+          Object.assign(result, {
+            status: "registered",
+            regionId: receipt.regionId,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+          });
+        } catch (error) {
+          failed = true;
+          Object.assign(result, { status: "failed", reason: errorReason(error) });
+        }
+      }
+      if (!seen.has(checked.name)) {
+        seen.set(checked.name, entry.row);
+      }
+    }
+
+    results.push(result);
+    onRow(result);
+  }
+
+  const summary = { total: results.length, registered: 0, pending: 0, skipped: 0, invalid: 0, failed: 0 };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+
+  return { dryRun, summary, rows: results };
+}
+
+module.exports = {
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  parseCsv,
+  readRegionFile,
+  validateRow,
+  loadRegisteredNames,
+  importRegions,
+};
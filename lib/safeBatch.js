@@ -0,0 +1,405 @@
+/**
+ * SafeBatch - authority actions as Safe transaction-builder batches.
+ *
+ * Instead of sending an onlyAuthority call from a single account, the call is
+ * added to a batch file in the format of the Safe{Wallet} transaction builder
+ * (version 1.0), which the governance multisig imports, reviews and co-signs.
+ * Values that the contract takes encrypted are encrypted for the Safe, since
+ * the Safe is the sender the input proof is checked against. Once the batch has
+ * run, verifyBatch() reads it back and checks each call against the contract's
+ * events and state.
+ *
+ * The Safe has to be the contract's authority for the batch to succeed.
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.SafeBatch`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SafeBatch = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  const BATCH_VERSION = "1.0";
+
+  // The contract functions guarded by onlyAuthority
+  const AUTHORITY_METHODS = [
+    "registerRegion",
+    "startAllocationPeriod",
+    "processAllocation",
+    "emergencyWaterAllocation",
+    "deactivateRegion",
+    "updateRegionManager",
+  ];
+
+  class SafeBatchError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = "SafeBatchError";
+    }
+  }
+
+  /**
+   * @typedef {Object} BatchTransaction Transaction-builder entry
+   * @property {string} to
+   * @property {string} value Wei, as a decimal string
+   * @property {string|null} data Calldata; null when the builder encodes it from the method and values
+   * @property {{inputs: Object[], name: string, payable: boolean}} contractMethod
+   * @property {Object<string, string>} contractInputsValues
+   */
+
+  /**
+   * @typedef {Object} BatchFile
+   * @property {string} version
+   * @property {string} chainId
+   * @property {number} createdAt Milliseconds since the epoch
+   * @property {{name: string, description: string, createdFromSafeAddress: string,
+   *   createdFromOwnerAddress: string, checksum: string}} meta
+   * @property {BatchTransaction[]} transactions
+   */
+
+  function keccakText(ethers, text) {
+    return ethers.id ? ethers.id(text) : ethers.utils.id(text); // ethers v6 : v5
+  }
+
+  function sameAddress(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+  }
+
+  // Key-sorted serialization the transaction builder hashes for its checksum
+  function serialize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(serialize).join(",")}]`;
+    }
+    if (typeof value === "object" && value !== null) {
+      const keys = Object.keys(value).sort();
+      return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Checksum of a batch file as the transaction builder computes it: the
+   * batch without its checksum and with a null name, serialized and hashed
+   * @param {Object} ethers ethers v5 or v6 namespace
+   * @param {BatchFile} batch
+   * @returns {string}
+   */
+  function checksum(ethers, batch) {
+    const meta = { ...batch.meta, name: null };
+    delete meta.checksum;
+    return keccakText(ethers, serialize({ ...batch, meta }));
+  }
+
+  function inputValue(value) {
+    return typeof value === "string" ? value : String(value);
+  }
+
+  // uint32 values as numbers, wider integers as bigint, the rest as they are
+  function normalizeArg(param, value) {
+    const match = /^u?int(\d*)$/.exec(param.type);
+    if (!match) {
+      return value;
+    }
+    const integer = BigInt(value.toString());
+    return Number(match[1] || 256) <= 32 ? Number(integer) : integer;
+  }
+
+  class SafeBatchBuilder {
+    /**
+     * @param {Object} client WaterResourceClient of the contract the batch calls; its encryptor
+     *        encrypts the values of startAllocationPeriod and emergencyWaterAllocation
+     * @param {Object} options
+     * @param {string} options.safeAddress The Safe that executes the batch
+     * @param {number|string} options.chainId
+     * @param {BatchTransaction[]} [options.transactions] Entries of an existing batch to add to
+     * @param {function(BatchTransaction[]): void} [options.onChange] Called with the entries after each change
+     */
+    constructor(client, options) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(String(options.safeAddress))) {
+        throw new SafeBatchError(`Invalid Safe address "${options.safeAddress}"`);
+      }
+      this.client = client;
+      this.safeAddress = options.safeAddress;
+      this.chainId = String(options.chainId);
+      this.options = options;
+      /** @type {BatchTransaction[]} */
+      this.transactions = (options.transactions || []).slice();
+    }
+
+    /**
+     * Whether the Safe is the contract's authority; the batch reverts otherwise
+     * @returns {Promise<boolean>}
+     */
+    async isAuthority() {
+      return sameAddress(await this.client.authority(), this.safeAddress);
+    }
+
+    /**
+     * Append a call to the batch
+     * @param {string} method One of AUTHORITY_METHODS
+     * @param {Array} args Contract arguments, with encrypted values already encrypted
+     * @returns {BatchTransaction}
+     */
+    add(method, args) {
+      if (!AUTHORITY_METHODS.includes(method)) {
+        throw new SafeBatchError(`${method} is not an authority function`);
+      }
+      const fragment = this.client.interface.getFunction(method);
+      const contractInputsValues = {};
+      fragment.inputs.forEach((input, index) => {
+        contractInputsValues[input.name] = inputValue(args[index]);
+      });
+      const transaction = {
+        to: this.client.address,
+        value: "0",
+        data: this.client.interface.encodeFunctionData(method, args),
+        contractMethod: {
+          inputs: fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+          name: method,
+          payable: false,
+        },
+        contractInputsValues,
+      };
+      this.transactions.push(transaction);
+      this._changed();
+      return transaction;
+    }
+
+    /**
+     * Drop the entry at an index
+     */
+    remove(index) {
+      this.transactions.splice(index, 1);
+      this._changed();
+    }
+
+    clear() {
+      this.transactions = [];
+      this._changed();
+    }
+
+    _changed() {
+      if (this.options.onChange) {
+        this.options.onChange(this.transactions.slice());
+      }
+    }
+
+    async _encrypt(method, values) {
+      if (!this.client.options.encryptor) {
+        throw new SafeBatchError(`${method} takes encrypted inputs; create the client with an encryptor option`);
+      }
+      // The input proof is bound to the sender, which is the Safe rather than the account building the batch
+      return this.client.options.encryptor.encryptUint32(this.client.address, this.safeAddress, values);
+    }
+
+    async registerRegion(name, priorityLevel, manager) {
+      return this.add("registerRegion", [name, priorityLevel, manager]);
+    }
+
+    async startAllocationPeriod(totalAvailableWater, durationHours) {
+      const { handles, inputProof } = await this._encrypt("startAllocationPeriod", [totalAvailableWater]);
+      return this.add("startAllocationPeriod", [handles[0], inputProof, durationHours]);
+    }
+
+    async processAllocation() {
+      return this.add("processAllocation", []);
+    }
+
+    async emergencyWaterAllocation(regionId, emergencyAmount) {
+      const { handles, inputProof } = await this._encrypt("emergencyWaterAllocation", [emergencyAmount]);
+      return this.add("emergencyWaterAllocation", [regionId, handles[0], inputProof]);
+    }
+
+    async deactivateRegion(regionId) {
+      return this.add("deactivateRegion", [regionId]);
+    }
+
+    async updateRegionManager(regionId, newManager) {
+      return this.add("updateRegionManager", [regionId, newManager]);
+    }
+
+    /**
+     * The batch as a transaction-builder file, with its checksum
+     * @param {Object} ethers ethers v5 or v6 namespace, for the checksum hash
+     * @param {Object} [meta]
+     * @param {string} [meta.name]
+     * @param {string} [meta.description]
+     * @param {number} [meta.createdAt] Milliseconds since the epoch; defaults to now
+     * @returns {BatchFile}
+     */
+    build(ethers, { name = "Water Resource Manager authority batch", description = "", createdAt } = {}) {
+      if (this.transactions.length === 0) {
+        throw new SafeBatchError("The batch has no transactions");
+      }
+      const batch = {
+        version: BATCH_VERSION,
+        chainId: this.chainId,
+        createdAt: createdAt !== undefined ? createdAt : Date.now(),
+        meta: {
+          name,
+          description,
+          createdFromSafeAddress: this.safeAddress,
+          createdFromOwnerAddress: "",
+        },
+        transactions: this.transactions.slice(),
+      };
+      batch.meta.checksum = checksum(ethers, batch);
+      return batch;
+    }
+  }
+
+  /**
+   * Validate a batch file read back from disk or exported from the Safe
+   * @param {Object} ethers ethers v5 or v6 namespace
+   * @param {BatchFile} batch
+   * @param {Object} [expected]
+   * @param {string} [expected.contractAddress] Every transaction must call this contract
+   * @param {number|string} [expected.chainId]
+   * @returns {BatchFile}
+   * @throws {SafeBatchError} When the file is not a batch, was edited after its checksum, or is for
+   *         another chain or contract
+   */
+  function readBatch(ethers, batch, { contractAddress, chainId } = {}) {
+    if (!batch || typeof batch !== "object" || !batch.meta || !Array.isArray(batch.transactions)) {
+      throw new SafeBatchError("Not a transaction-builder batch file");
+    }
+    if (batch.meta.checksum && batch.meta.checksum !== checksum(ethers, batch)) {
+      throw new SafeBatchError("The batch was changed after it was created (checksum mismatch)");
+    }
+    if (chainId !== undefined && String(batch.chainId) !== String(chainId)) {
+      throw new SafeBatchError(`The batch is for chain ${batch.chainId}, not ${chainId}`);
+    }
+    batch.transactions.forEach((transaction, index) => {
+      if (contractAddress && !sameAddress(transaction.to, contractAddress)) {
+        throw new SafeBatchError(`Transaction ${index + 1} calls ${transaction.to}, not ${contractAddress}`);
+      }
+    });
+    return batch;
+  }
+
+  /**
+   * Decode a batch entry into the contract call it makes
+   * @param {Object} client WaterResourceClient
+   * @param {BatchTransaction} transaction
+   * @returns {{method: string, args: Array}}
+   */
+  function decodeTransaction(client, transaction) {
+    let data = transaction.data;
+    if (!data || data === "0x") {
+      // Entries added in the transaction builder itself only carry the method and its values
+      const { contractMethod, contractInputsValues } = transaction;
+      data = client.interface.encodeFunctionData(
+        contractMethod.name,
+        contractMethod.inputs.map((input) => contractInputsValues[input.name])
+      );
+    }
+    const parsed = client.interface.parseTransaction({ data });
+    return {
+      method: parsed.name,
+      args: parsed.fragment.inputs.map((input, index) => normalizeArg(input, parsed.args[index])),
+    };
+  }
+
+  /**
+   * @typedef {Object} VerifiedTransaction
+   * @property {number} index Position in the batch, from 1
+   * @property {string} method
+   * @property {Array} args
+   * @property {string} status "executed" when an event or state change of the execution matches the call,
+   *   "applied" when the contract's state matches but was last changed outside the execution, "missing"
+   *   otherwise
+   * @property {string|null} transactionHash Execution transaction the match was found in
+   * @property {Object|null} details e.g. the regionId a registration got
+   */
+
+  /**
+   * Check that the calls of a batch were carried out by its execution
+   * @param {Object} client WaterResourceClient with a provider
+   * @param {BatchFile} batch
+   * @param {Object[]} receipts Receipts of the execution transaction(s), usually the Safe's single
+   *        execTransaction; a Safe reports a failed batch as a successful transaction without the events
+   * @returns {Promise<{transactions: VerifiedTransaction[], executed: boolean}>} executed is true when no
+   *   call is missing
+   */
+  async function verifyBatch(client, batch, receipts) {
+    const provider = client.contract.runner ? client.contract.runner.provider : client.contract.provider; // v6 : v5
+    const executions = [];
+    for (const receipt of receipts) {
+      const parsed = client.parseReceipt(receipt);
+      const block = await provider.getBlock(parsed.blockNumber);
+      executions.push({ ...parsed, timestamp: Number(block.timestamp) });
+    }
+    // Each event is matched to at most one call, in batch order
+    const unclaimed = executions.flatMap((execution) => execution.events);
+
+    function claim(name, matches) {
+      const index = unclaimed.findIndex((event) => event.name === name && matches(event.args));
+      return index === -1 ? null : unclaimed.splice(index, 1)[0];
+    }
+
+    function fromEvent(event, details) {
+      return event
+        ? { status: "executed", transactionHash: event.transactionHash, details }
+        : { status: "missing", transactionHash: null, details: null };
+    }
+
+    // deactivateRegion and updateRegionManager emit no event; they stamp the region with the block time
+    async function fromRegionState(regionId, applied) {
+      const region = await client.getRegion(regionId);
+      if (!applied(region)) {
+        return { status: "missing", transactionHash: null, details: null };
+      }
+      const lastUpdateTime = Number(region.lastUpdateTime);
+      const execution = executions.find((candidate) => candidate.timestamp === lastUpdateTime);
+      return {
+        status: execution ? "executed" : "applied",
+        transactionHash: execution ? execution.hash : null,
+        details: { lastUpdateTime },
+      };
+    }
+
+    const transactions = [];
+    for (let position = 0; position < batch.transactions.length; position++) {
+      const { method, args } = decodeTransaction(client, batch.transactions[position]);
+      let outcome;
+      if (method === "registerRegion") {
+        const event = claim("RegionRegistered", (e) => e.name === args[0] && sameAddress(e.manager, args[2]));
+        outcome = fromEvent(event, event && { regionId: event.args.regionId });
+      } else if (method === "startAllocationPeriod") {
+        const event = claim("AllocationPeriodStarted", () => true);
+        outcome = fromEvent(event, event && { periodId: event.args.periodId });
+      } else if (method === "processAllocation") {
+        const event = claim("DecryptionRequested", () => true);
+        outcome = fromEvent(event, event && { periodId: event.args.periodId, requestId: event.args.requestId });
+      } else if (method === "emergencyWaterAllocation") {
+        const event = claim("EmergencyAllocation", (e) => e.regionId === args[0]);
+        outcome = fromEvent(event, event && { regionId: event.args.regionId });
+      } else if (method === "deactivateRegion") {
+        outcome = await fromRegionState(args[0], (region) => !region.isActive);
+      } else if (method === "updateRegionManager") {
+        outcome = await fromRegionState(args[0], (region) => sameAddress(region.manager, args[1]));
+      } else {
+        throw new SafeBatchError(`Transaction ${position + 1} calls ${method}, which is not an authority function`);
+      }
+      transactions.push({ index: position + 1, method, args, ...outcome });
+    }
+
+    return {
+      transactions,
+      executed: transactions.every((transaction) => transaction.status !== "missing"),
+    };
+  }
+
+  return {
+    BATCH_VERSION,
+    AUTHORITY_METHODS,
+    SafeBatchError,
+    SafeBatchBuilder,
+    checksum,
+    readBatch,
+    decodeTransaction,
+    verifyBatch,
+  };
+});
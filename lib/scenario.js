@@ -0,0 +1,355 @@
+/**
+ * Declarative simulation scenarios.
+ *
+ * A scenario file (JSON or YAML) declares named accounts and regions plus a
+ * list of steps. Each step performs one action and may state what it expects:
+ * emitted events, a revert reason, or the resulting period / region / request
+ * state. See scenarios/README.md for the format.
+ */
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { errorReason } = require("./cli");
+const { explainError } = require("./errorCatalog");
+
+/**
+ * Actions a step can perform. `params` lists accepted parameters, `signer` is
+ * who sends the transaction unless the step overrides it with `as`.
+ */
+const ACTIONS = {
+  registerRegion: { params: ["region"], required: ["region"], signer: "authority" },
+  startPeriod: { params: ["water", "hours"], required: ["water", "hours"], signer: "authority" },
+  submitRequest: { params: ["region", "amount", "score"], required: ["region", "amount", "score"], signer: "manager" },
+  processAllocation: { params: [], required: [], signer: "authority" },
+  fulfillDecryption: { params: ["mode"], required: [], signer: null },
+  emergencyAllocation: { params: ["region", "amount"], required: ["region", "amount"], signer: "authority" },
+  deactivateRegion: { params: ["region"], required: ["region"], signer: "authority" },
+  updateManager: { params: ["region", "manager"], required: ["region", "manager"], signer: "authority" },
+  claimDecryptionTimeout: { params: ["period"], required: [], signer: "authority" },
+  claimRefund: { params: ["region", "period"], required: ["region"], signer: "manager" },
+  increaseTime: { params: ["seconds", "hours", "days"], required: [], signer: null },
+};
+
+const EXPECTATIONS = ["events", "revert", "period", "region", "requestStatus"];
+
+// Gateway modes a fulfillDecryption step can ask for (see MockGateway)
+const FULFILL_MODES = ["relay", "zero", "drop"];
+
+class ScenarioError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "ScenarioError";
+  }
+}
+
+/**
+ * Read and validate a scenario file
+ * @param {string} file .json, .yaml or .yml
+ * @returns {Object} Scenario with `file`, `name`, `accounts`, `regions` and `steps`
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  let scenario;
+  try {
+    scenario = extension === ".json" ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new ScenarioError(file, `cannot parse: ${error.message}`);
+  }
+  if (!scenario || typeof scenario !== "object" || !Array.isArray(scenario.steps)) {
+    throw new ScenarioError(file, "a scenario needs a steps list");
+  }
+
+  const accounts = scenario.accounts || [];
+  const regions = scenario.regions || {};
+  for (const [key, region] of Object.entries(regions)) {
+    for (const field of ["name", "priority", "manager"]) {
+      if (region[field] === undefined) {
+        throw new ScenarioError(file, `region "${key}" is missing ${field}`);
+      }
+    }
+    if (!accounts.includes(region.manager)) {
+      throw new ScenarioError(file, `region "${key}" manager "${region.manager}" is not a declared account`);
+    }
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const where = `step ${index + 1}`;
+    const action = ACTIONS[step.action];
+    if (!action) {
+      throw new ScenarioError(file, `${where}: unknown action "${step.action}"`);
+    }
+    for (const name of action.required) {
+      if (step[name] === undefined) {
+        throw new ScenarioError(file, `${where} (${step.action}) is missing ${name}`);
+      }
+    }
+    if (step.mode !== undefined && !FULFILL_MODES.includes(step.mode)) {
+      throw new ScenarioError(file, `${where}: mode must be one of ${FULFILL_MODES.join(", ")}`);
+    }
+    if (step.region !== undefined && !regions[step.region]) {
+      throw new ScenarioError(file, `${where}: unknown region "${step.region}"`);
+    }
+    for (const account of [step.as, step.manager].filter((value) => value !== undefined)) {
+      if (account !== "authority" && !accounts.includes(account)) {
+        throw new ScenarioError(file, `${where}: unknown account "${account}"`);
+      }
+    }
+    for (const key of Object.keys(step.expect || {})) {
+      if (!EXPECTATIONS.includes(key)) {
+        throw new ScenarioError(file, `${where}: unknown expectation "${key}"`);
+      }
+    }
+  });
+
+  return {
+    file,
+    name: scenario.name || path.basename(file, extension),
+    description: scenario.description || "",
+    accounts,
+    regions,
+    steps: scenario.steps,
+  };
+}
+
+/**
+ * Scenario files in a directory, or the file itself
+ */
+function findScenarioFiles(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+  return fs
+    .readdirSync(target)
+    .filter((name) => /\.(json|ya?ml)$/i.test(name))
+    .sort()
+    .map((name) => path.join(target, name));
+}
+
+// Compare the expected fields of `expected` against `actual`
+function diffFields(label, expected, actual) {
+  const failures = [];
+  for (const [key, value] of Object.entries(expected)) {
+    const got = typeof actual[key] === "bigint" ? Number(actual[key]) : actual[key];
+    if (got !== value) {
+      failures.push(`${label}.${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(got)}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Runs a loaded scenario against a freshly deployed contract
+ */
+class ScenarioRunner {
+  /**
+   * @param {Object} scenario From loadScenario()
+   * @param {Object} env
+   * @param {WaterResourceClient} env.client Client connected as the authority
+   * @param {Object} env.authority Authority signer
+   * @param {Object[]} env.signers Signers for the scenario accounts, in declaration order
+   * @param {function(number): Promise<void>} env.increaseTime Advance chain time by seconds
+   * @param {function(string): Promise<Object|null>} [env.fulfillDecryption] Answer pending decryption
+   *        requests in the given gateway mode, resolving to the callback transaction result if one was sent
+   */
+  constructor(scenario, env) {
+    this.scenario = scenario;
+    this.env = env;
+    this.regionIds = new Map();
+    this.accounts = new Map([["authority", env.authority]]);
+    scenario.accounts.forEach((name, index) => {
+      if (!env.signers[index]) {
+        throw new Error(`Scenario needs ${scenario.accounts.length} accounts, only ${env.signers.length} available`);
+      }
+      this.accounts.set(name, env.signers[index]);
+    });
+  }
+
+  /**
+   * Run every step, continuing after failures
+   * @param {function(Object): void} [onStep] Called with each step result
+   * @returns {Promise<{name: string, file: string, passed: boolean, steps: Object[]}>}
+   */
+  async run(onStep = () => {}) {
+    const steps = [];
+    for (let index = 0; index < this.scenario.steps.length; index++) {
+      const result = await this.runStep(this.scenario.steps[index], index);
+      steps.push(result);
+      onStep(result);
+    }
+    return {
+      name: this.scenario.name,
+      file: this.scenario.file,
+      passed: steps.every((step) => step.passed),
+      steps,
+    };
+  }
+
+  async runStep(step, index) {
+    const expect = step.expect || {};
+    const result = {
+      index: index + 1,
+      action: step.action,
+      description: step.description || this.describe(step),
+      passed: true,
+      failures: [],
+    };
+
+    let receipt = null;
+    try {
+      receipt = await this.perform(step);
+      if (expect.revert) {
+        result.failures.push(`expected revert "${expect.revert}", but the transaction succeeded`);
+      }
+    } catch (error) {
+      const reason = errorReason(error);
+      const { name, code } = explainError(error);
+      if (!expect.revert) {
+        result.failures.push(`unexpected error: ${reason}`);
+      } else if (expect.revert !== true && ![name, code].includes(expect.revert) && !reason.includes(expect.revert)) {
+        result.failures.push(`expected revert "${expect.revert}", got "${reason}"`);
+      }
+    }
+
+    if (receipt && receipt.hash) {
+      result.transactionHash = receipt.hash;
+    }
+    if (expect.events) {
+      result.failures.push(...this.checkEvents(expect.events, receipt ? receipt.events || [] : []));
+    }
+    try {
+      result.failures.push(...(await this.checkState(expect)));
+    } catch (error) {
+      result.failures.push(`state check failed: ${errorReason(error)}`);
+    }
+    result.passed = result.failures.length === 0;
+    return result;
+  }
+
+  describe(step) {
+    const details = ACTIONS[step.action].params
+      .filter((name) => step[name] !== undefined)
+      .map((name) => `${name}=${step[name]}`);
+    return `${step.action}${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+  }
+
+  regionId(key) {
+    if (!this.regionIds.has(key)) {
+      throw new Error(`Region "${key}" has not been registered yet`);
+    }
+    return this.regionIds.get(key);
+  }
+
+  signerFor(step, defaultSigner) {
+    if (step.as) {
+      return this.accounts.get(step.as);
+    }
+    if (defaultSigner === "manager") {
+      return this.accounts.get(this.scenario.regions[step.region].manager);
+    }
+    return this.env.authority;
+  }
+
+  async currentPeriod(step) {
+    return step.period !== undefined ? step.period : this.env.client.currentAllocationPeriod();
+  }
+
+  async perform(step) {
+    const action = ACTIONS[step.action];
+    const client = action.signer ? this.env.client.withRunner(this.signerFor(step, action.signer)) : null;
+
+    switch (step.action) {
+    case "registerRegion": {
+      const region = this.scenario.regions[step.region];
+      const result = await client.registerRegion(
+        region.name,
+        region.priority,
+        this.accounts.get(region.manager).address
+      );
+      this.regionIds.set(step.region, result.regionId);
+      return result;
+    }
+    case "startPeriod":
+      return client.startAllocationPeriod(step.water, step.hours);
+    case "submitRequest":
+      return client.submitWaterRequest(step.amount, step.score);
+    case "processAllocation":
+      return client.processAllocation();
+    case "fulfillDecryption":
+      if (!this.env.fulfillDecryption) {
+        throw new Error("fulfillDecryption needs the FHEVM mock decryption oracle");
+      }
+      return this.env.fulfillDecryption(step.mode || "relay");
+    case "emergencyAllocation":
+      return client.emergencyWaterAllocation(this.regionId(step.region), step.amount);
+    case "deactivateRegion":
+      return client.deactivateRegion(this.regionId(step.region));
+    case "updateManager":
+      return client.updateRegionManager(this.regionId(step.region), this.accounts.get(step.manager).address);
+    case "claimDecryptionTimeout":
+      return client.claimDecryptionTimeout(await this.currentPeriod(step));
+    case "claimRefund":
+      return client.claimDecryptionFailureRefund(await this.currentPeriod(step));
+    case "increaseTime":
+      await this.env.increaseTime((step.seconds || 0) + (step.hours || 0) * 3600 + (step.days || 0) * 86400);
+      return null;
+    default:
+      throw new Error(`Unknown action "${step.action}"`);
+    }
+  }
+
+  checkEvents(expectedEvents, events) {
+    const failures = [];
+    for (const expected of expectedEvents) {
+      const args = { ...(expected.args || {}) };
+      if (typeof args.regionId === "string") {
+        args.regionId = this.regionIds.get(args.regionId);
+      }
+      const match = events.some(
+        (event) => event.name === expected.name && diffFields("args", args, event.args).length === 0
+      );
+      if (!match) {
+        const emitted = events.map((event) => event.name).join(", ") || "none";
+        failures.push(`expected event ${expected.name} ${JSON.stringify(expected.args || {})}, emitted: ${emitted}`);
+      }
+    }
+    return failures;
+  }
+
+  async checkState(expect) {
+    const { client } = this.env;
+    const failures = [];
+
+    if (expect.period) {
+      failures.push(...diffFields("period", expect.period, await client.getCurrentPeriodInfo()));
+    }
+    if (expect.region) {
+      const { region, ...fields } = expect.region;
+      const state = await client.getRegion(this.regionId(region));
+      if (typeof fields.manager === "string" && this.accounts.has(fields.manager)) {
+        fields.manager = this.accounts.get(fields.manager).address;
+      }
+      failures.push(...diffFields(`region ${region}`, fields, state));
+    }
+    if (expect.requestStatus) {
+      const { region, period, ...fields } = expect.requestStatus;
+      const periodId = period !== undefined ? period : await client.currentAllocationPeriod();
+      const regionId = this.regionId(region);
+      // Raw record: getRegionRequestStatus reverts once the region is deactivated
+      const status = {
+        hasSubmittedRequest: (await client.getPeriodParticipants(periodId)).includes(regionId),
+        ...(await client.getWaterRequest(periodId, regionId)),
+      };
+      failures.push(...diffFields(`requestStatus ${region}`, fields, status));
+    }
+    return failures;
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  ScenarioError,
+  ScenarioRunner,
+  loadScenario,
+  findScenarioFiles,
+};
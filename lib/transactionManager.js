@@ -0,0 +1,278 @@
+/**
+ * TransactionManager - the front ends' layer between the client and the wallet.
+ *
+ * Before a write is sent it is simulated with eth_call, so a transaction that
+ * would revert fails with the contract's error and what to do about it, from
+ * ErrorCatalog, instead of costing gas, and its gas is estimated. Sent
+ * transactions are kept in a queue in localStorage that follows them until they
+ * are mined, fail, are replaced from the wallet or dropped from the mempool,
+ * across page reloads.
+ *
+ * Hook it into a client with:
+ *   WaterResourceClient.connect(ethers, address, signer, manager.clientOptions({ encryptor }))
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.TransactionManager`; load lib/errorCatalog.js first.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./errorCatalog"));
+  } else {
+    root.TransactionManager = factory(root.ErrorCatalog);
+  }
+})(typeof self !== "undefined" ? self : globalThis, (ErrorCatalog) => {
+  const STATUSES = ["pending", "confirmed", "failed", "replaced", "dropped"];
+
+  const DEFAULT_OPTIONS = {
+    storageKey: "waterResourceTransactions",
+    maxEntries: 20,
+    // A pending transaction the node no longer knows about is dropped after this long (ms)
+    dropAfter: 10 * 60 * 1000,
+  };
+
+  class TransactionError extends Error {
+    /**
+     * @param {string} method Contract function that was called
+     * @param {Object} explained The failure as explained by ErrorCatalog.explainError
+     * @param {Error} cause
+     */
+    constructor(method, explained, cause) {
+      super(ErrorCatalog.formatError(cause));
+      this.name = "TransactionError";
+      this.method = method;
+      this.code = explained.code;
+      this.errorName = explained.name;
+      this.args = explained.args;
+      this.fix = explained.fix;
+      this.explained = explained;
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * @typedef {Object} QueueEntry
+   * @property {string} hash
+   * @property {string} method
+   * @property {string} from
+   * @property {number} nonce
+   * @property {string} status pending, confirmed, failed, replaced or dropped
+   * @property {number} submittedAt Milliseconds since the epoch
+   * @property {string|null} gasEstimate Decimal string
+   * @property {string|null} estimatedCost Wei, decimal string
+   * @property {number|null} blockNumber
+   * @property {string|null} gasUsed Decimal string
+   * @property {string|null} replacedBy Hash of the transaction that took its nonce, when known
+   * @property {string|null} error
+   */
+
+  function toBigInt(value) {
+    return typeof value === "bigint" ? value : BigInt(value.toString());
+  }
+
+  /**
+   * Storage with the localStorage interface that only lives as long as the page
+   */
+  function createMemoryStorage() {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    };
+  }
+
+  class TransactionManager {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.provider] ethers provider used to follow transactions after a reload
+     * @param {Object} [options.storage] Defaults to localStorage, or memory where there is none
+     * @param {string} [options.storageKey="waterResourceTransactions"]
+     * @param {number} [options.maxEntries=20] Transactions kept in the queue
+     * @param {number} [options.dropAfter=600000] See DEFAULT_OPTIONS
+     * @param {function(QueueEntry[]): void} [options.onChange] Called with the queue, newest first
+     */
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.provider = options.provider || null;
+      this.storage = options.storage || globalThis.localStorage || createMemoryStorage();
+      /** @type {{method: string, gasEstimate: string, estimatedCost: string|null}|null} */
+      this.lastEstimate = null;
+      /** @type {QueueEntry[]} */
+      this.entries = this._load();
+    }
+
+    /**
+     * Client options that run every write through this manager
+     * @param {Object} [options] Other client options; an onSubmitted callback is still called
+     */
+    clientOptions(options = {}) {
+      return {
+        ...options,
+        beforeSend: (method, args, client) => this.prepare(method, args, client),
+        onSubmitted: (method, hash, tx) => {
+          this.track(method, tx);
+          if (options.onSubmitted) {
+            options.onSubmitted(method, hash, tx);
+          }
+        },
+      };
+    }
+
+    /**
+     * Simulate a write and estimate its gas
+     * @throws {TransactionError} When the simulation reverts
+     */
+    async prepare(method, args, client) {
+      this.lastEstimate = null;
+      let gas;
+      try {
+        await client.simulate(method, ...args);
+        gas = await client.estimateGas(method, ...args);
+      } catch (error) {
+        throw new TransactionError(method, ErrorCatalog.explainError(error), error);
+      }
+
+      let estimatedCost = null;
+      const provider = this.provider || (client.contract.runner || client.contract.signer || {}).provider;
+      if (provider && typeof provider.getFeeData === "function") {
+        const fees = await provider.getFeeData();
+        const price = fees.maxFeePerGas || fees.gasPrice;
+        estimatedCost = price ? (gas * toBigInt(price)).toString() : null;
+      }
+      this.lastEstimate = { method, gasEstimate: gas.toString(), estimatedCost };
+      return this.lastEstimate;
+    }
+
+    /**
+     * Add a sent transaction to the queue and follow it until it settles
+     * @param {string} method
+     * @param {Object} tx ethers v5 or v6 TransactionResponse
+     */
+    track(method, tx) {
+      const estimate = this.lastEstimate && this.lastEstimate.method === method ? this.lastEstimate : null;
+      this.lastEstimate = null;
+      this.entries = [
+        {
+          hash: tx.hash,
+          method,
+          from: tx.from,
+          nonce: Number(tx.nonce),
+          status: "pending",
+          submittedAt: Date.now(),
+          gasEstimate: estimate ? estimate.gasEstimate : null,
+          estimatedCost: estimate ? estimate.estimatedCost : null,
+          blockNumber: null,
+          gasUsed: null,
+          replacedBy: null,
+          error: null,
+        },
+        ...this.entries.filter((entry) => entry.hash !== tx.hash),
+      ].slice(0, this.options.maxEntries);
+      this._save();
+
+      tx.wait().then(
+        (receipt) => this._settle(tx.hash, receipt),
+        (error) => {
+          if (error.code === "TRANSACTION_REPLACED") {
+            this._update(tx.hash, {
+              status: "replaced",
+              replacedBy: error.replacement ? error.replacement.hash : null,
+              error: error.cancelled ? ErrorCatalog.formatError(error) : null,
+            });
+          } else if (error.receipt) {
+            this._settle(tx.hash, error.receipt);
+          } else {
+            this._update(tx.hash, { status: "failed", error: ErrorCatalog.formatError(error) });
+          }
+        }
+      );
+    }
+
+    /**
+     * Check the pending transactions against the chain, e.g. after a page reload
+     * @returns {Promise<QueueEntry[]>}
+     */
+    async refresh() {
+      if (!this.provider) {
+        return this.entries;
+      }
+      for (const entry of this.entries.filter((e) => e.status === "pending")) {
+        const receipt = await this.provider.getTransactionReceipt(entry.hash);
+        if (receipt) {
+          this._settle(entry.hash, receipt);
+        } else if (!(await this.provider.getTransaction(entry.hash))) {
+          // Gone from the node: its nonce was used by another transaction, or it was evicted
+          const mined = await this.provider.getTransactionCount(entry.from, "latest");
+          if (Number(mined) > entry.nonce) {
+            this._update(entry.hash, { status: "replaced" });
+          } else if (Date.now() - entry.submittedAt > this.options.dropAfter) {
+            this._update(entry.hash, { status: "dropped" });
+          }
+        }
+      }
+      return this.entries;
+    }
+
+    /**
+     * Refresh the queue on an interval while it has pending transactions
+     * @returns {function(): void} Stops watching
+     */
+    watch(interval = 5000) {
+      const timer = setInterval(() => {
+        if (this.pending().length > 0) {
+          this.refresh().catch((error) => console.warn("Failed to refresh transactions:", error.message));
+        }
+      }, interval);
+      return () => clearInterval(timer);
+    }
+
+    pending() {
+      return this.entries.filter((entry) => entry.status === "pending");
+    }
+
+    /**
+     * Remove every transaction that is no longer pending
+     */
+    clearSettled() {
+      this.entries = this.pending();
+      this._save();
+    }
+
+    _settle(hash, receipt) {
+      this._update(hash, {
+        status: receipt.status === 0 ? "failed" : "confirmed",
+        blockNumber: receipt.blockNumber,
+        gasUsed: toBigInt(receipt.gasUsed).toString(),
+        error: receipt.status === 0 ? "Reverted on chain" : null,
+      });
+    }
+
+    _update(hash, changes) {
+      this.entries = this.entries.map((entry) => (entry.hash === hash ? { ...entry, ...changes } : entry));
+      this._save();
+    }
+
+    _load() {
+      try {
+        const stored = JSON.parse(this.storage.getItem(this.options.storageKey) || "[]");
+        return Array.isArray(stored) ? stored.filter((entry) => STATUSES.includes(entry.status)) : [];
+      } catch {
+        return [];
+      }
+    }
+
+    _save() {
+      this.storage.setItem(this.options.storageKey, JSON.stringify(this.entries));
+      if (this.options.onChange) {
+        this.options.onChange(this.entries);
+      }
+    }
+  }
+
+  return {
+    STATUSES,
+    TransactionError,
+    TransactionManager,
+    createMemoryStorage,
+  };
+});
@@ -0,0 +1,162 @@
+/**
+ * UserDecryption - decrypts the euint32 handles a user has been granted
+ * access to with FHE.allow.
+ *
+ * User decryption re-encrypts the values under a throwaway key pair: the user
+ * signs an EIP-712 request naming the public key and the contract, and only
+ * the holder of the private key can read the result. Three sources are
+ * supported, mirroring lib/encryptedInput.js:
+ *   createMockDecryptor     FHEVM Hardhat plugin in mock mode, fully offline (hardhat, localhost)
+ *   createHardhatDecryptor  FHEVM Hardhat plugin on any network; on Sepolia it goes through the relayer
+ *   createRelayerDecryptor  Zama relayer SDK in the browser (window.relayerSDK, loaded from the CDN)
+ *
+ * Loadable as a CommonJS module or as a plain <script>, which exposes
+ * `window.UserDecryption`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UserDecryption = factory();
+  }
+})(typeof self !== "undefined" ? self : globalThis, () => {
+  // Handle of a ciphertext that was never set
+  const EMPTY_HANDLE = "0x" + "0".repeat(64);
+
+  // Days the signed request stays valid; each decryption signs a new one
+  const DURATION_DAYS = 1;
+
+  function isEmptyHandle(handle) {
+    return !handle || handle.toLowerCase() === EMPTY_HANDLE;
+  }
+
+  // The relayer rejects requests that start after its wall clock. Tests move the chain's clock
+  // ahead and a local clock can run ahead of the chain, so start at the earlier of the two.
+  async function requestStartTime(signer) {
+    const now = Math.floor(Date.now() / 1000);
+    if (signer.provider) {
+      const block = await signer.provider.getBlock("latest");
+      return Math.min(now, block.timestamp);
+    }
+    return now;
+  }
+
+  function signTypedData(signer, domain, types, message) {
+    return typeof signer.signTypedData === "function"
+      ? signer.signTypedData(domain, types, message) // ethers v6
+      : signer._signTypedData(domain, types, message); // ethers v5
+  }
+
+  /**
+   * Wrap anything that has generateKeypair, createEIP712 and userDecrypt
+   * @param {Object|function(): Promise<Object>} source FHEVM instance, or a function resolving to
+   *        one on first use so setting it up waits until something is decrypted
+   */
+  function createDecryptor(source) {
+    let instance = typeof source === "function" ? null : source;
+
+    return {
+      /**
+       * @param {string} contractAddress Contract the handles belong to
+       * @param {Object} signer ethers signer of the user the handles were allowed to
+       * @param {string[]} handles
+       * @returns {Promise<Object<string, number>>} Value per lowercase handle; empty handles are left out
+       */
+      async decryptUint32(contractAddress, signer, handles) {
+        const pending = [...new Set(handles.filter((handle) => !isEmptyHandle(handle)).map((h) => h.toLowerCase()))];
+        if (pending.length === 0) {
+          return {};
+        }
+        if (!instance) {
+          instance = await source();
+        }
+
+        const userAddress = await signer.getAddress();
+        const { publicKey, privateKey } = instance.generateKeypair();
+        const startTime = await requestStartTime(signer);
+        const eip712 = instance.createEIP712(publicKey, [contractAddress], startTime, DURATION_DAYS);
+        const signature = await signTypedData(
+          signer,
+          eip712.domain,
+          { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+          eip712.message
+        );
+
+        const results = await instance.userDecrypt(
+          pending.map((handle) => ({ handle, contractAddress })),
+          privateKey,
+          publicKey,
+          signature.replace("0x", ""),
+          [contractAddress],
+          userAddress,
+          startTime,
+          DURATION_DAYS
+        );
+
+        const byHandle = {};
+        for (const [handle, value] of Object.entries(results)) {
+          byHandle[handle.toLowerCase()] = Number(value);
+        }
+        for (const handle of pending) {
+          if (byHandle[handle] === undefined) {
+            throw new Error(`No decrypted value was returned for handle ${handle}`);
+          }
+        }
+        return byHandle;
+      },
+    };
+  }
+
+  /**
+   * Offline decryptor backed by the FHEVM Hardhat plugin's mock coprocessor
+   * @param {Object} hre Hardhat runtime environment
+   */
+  function createMockDecryptor(hre) {
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      throw new Error("The mock decryptor needs the FHEVM Hardhat plugin running in mock mode (hardhat or localhost)");
+    }
+    return createDecryptor(hre.fhevm);
+  }
+
+  /**
+   * Decryptor for Hardhat scripts: the mock on local networks, the relayer elsewhere
+   * @param {Object} hre Hardhat runtime environment
+   */
+  function createHardhatDecryptor(hre) {
+    if (!hre.fhevm) {
+      throw new Error("Decrypting values needs the FHEVM Hardhat plugin (@fhevm/hardhat-plugin)");
+    }
+    if (hre.fhevm.isMock) {
+      return createDecryptor(hre.fhevm);
+    }
+    return createDecryptor(async () => {
+      await hre.fhevm.initializeCLIAPI();
+      return hre.fhevm;
+    });
+  }
+
+  /**
+   * Browser decryptor backed by the Zama relayer SDK, configured for Sepolia
+   * @param {Object} [network] EIP-1193 provider; defaults to window.ethereum
+   * @param {Object} [sdk] The relayer SDK; defaults to the `relayerSDK` global its CDN build defines
+   */
+  function createRelayerDecryptor(network, sdk) {
+    return createDecryptor(async () => {
+      const relayerSDK = sdk || globalThis.relayerSDK;
+      if (!relayerSDK) {
+        throw new Error("The Zama relayer SDK is not loaded; include relayer-sdk-js.umd.cjs before decrypting");
+      }
+      await relayerSDK.initSDK();
+      return relayerSDK.createInstance({ ...relayerSDK.SepoliaConfig, network: network || globalThis.ethereum });
+    });
+  }
+
+  return {
+    EMPTY_HANDLE,
+    isEmptyHandle,
+    createDecryptor,
+    createMockDecryptor,
+    createHardhatDecryptor,
+    createRelayerDecryptor,
+  };
+});
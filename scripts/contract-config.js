@@ -0,0 +1,109 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand } = require("../lib/cli");
+
+// --deployment must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  CONFIG_MODULE,
+  STATIC_PAGE,
+  formatAbi,
+  collectDeployments,
+  buildConfig,
+  readInlineConfig,
+  abiDrift,
+  writeConfig,
+} = require("../lib/contractConfigBuilder");
+const { ROOT_DIR } = require("../lib/deployment");
+
+const CONTRACT_NAME = "WaterResourceManager";
+
+async function compiledAbi() {
+  await hre.run("compile", { quiet: true });
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  return formatAbi(hre.ethers, artifact.abi);
+}
+
+async function generate(params) {
+  const config = buildConfig({
+    contractName: CONTRACT_NAME,
+    abi: await compiledAbi(),
+    deployments: collectDeployments(Object.keys(hre.config.networks), process.env.DEPLOYMENT || "latest"),
+    defaultNetwork: params["default-network"],
+  });
+  return { files: writeConfig(config), deployments: config.deployments, fragments: config.abi.length };
+}
+
+async function check() {
+  const abi = await compiledAbi();
+  // Read the module from disk rather than the require cache, in case it was just rewritten
+  const modulePath = path.join(ROOT_DIR, CONFIG_MODULE);
+  delete require.cache[require.resolve(modulePath)];
+  const ContractConfig = require(modulePath);
+
+  const targets = [
+    { file: CONFIG_MODULE, abi: ContractConfig.abi },
+    { file: STATIC_PAGE, abi: readInlineConfig(fs.readFileSync(path.join(ROOT_DIR, STATIC_PAGE), "utf8")).abi },
+  ];
+  const files = targets.map(({ file, abi: frontendAbi }) => ({ file, ...abiDrift(abi, frontendAbi) }));
+
+  const stale = files.filter((file) => file.missing.length > 0 || file.unexpected.length > 0);
+  if (stale.length > 0) {
+    const details = stale.map((file) =>
+      [
+        `${file.file}:`,
+        ...file.missing.map((fragment) => `  missing:    ${fragment}`),
+        ...file.unexpected.map((fragment) => `  unexpected: ${fragment}`),
+      ].join("\n")
+    );
+    const error = new Error(
+      `Front-end ABI out of date; run: npm run contract-config -- generate\n${details.join("\n")}`
+    );
+    error.result = { files };
+    throw error;
+  }
+  return { files };
+}
+
+const COMMANDS = {
+  generate: {
+    description: "Write the front-end ABI and addresses from the compiled contract and the deployment registry",
+    options: {
+      "default-network": { type: "string", default: "sepolia" },
+    },
+    run: generate,
+    print: (result) => {
+      for (const file of result.files) {
+        console.log(`✅ Written: ${file}`);
+      }
+      console.log(`ABI fragments: ${result.fragments}`);
+      for (const [chainId, deployment] of Object.entries(result.deployments)) {
+        console.log(`  ${deployment.network} (${chainId}): ${deployment.address} v${deployment.version}`);
+      }
+    },
+  },
+  check: {
+    description: "Fail when a front end's ABI no longer matches the compiled contract",
+    run: check,
+    print: (result) => {
+      for (const file of result.files) {
+        console.log(`✅ ${file.file} matches the compiled contract`);
+      }
+    },
+  },
+};
+
+async function main() {
+  return runCommand("scripts/contract-config.js", COMMANDS, process.argv.slice(2), (command, params) =>
+    command.run(params)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { recordDeployment, registryFilePath, validateAlias } = require("../lib/deployment");
 
 async function main() {
   console.log("\n🚀 Starting Water Resource Manager deployment...\n");
@@ -22,6 +21,11 @@ async function main() {
     console.warn("⚠️  Warning: Low balance. You may not have enough ETH for deployment.");
   }
 
+  // Reject a bad alias before paying for the deployment
+  if (process.env.DEPLOYMENT_ALIAS) {
+    validateAlias(process.env.DEPLOYMENT_ALIAS);
+  }
+
   console.log("\n📦 Deploying WaterResourceManager contract...");
 
   // Get the contract factory
@@ -75,20 +79,17 @@ async function main() {
       : `https://etherscan.io/address/${contractAddress}`
   };
 
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
-
-  // Save deployment info to JSON file
-  const deploymentFile = path.join(
-    deploymentsDir,
-    `${hre.network.name}-deployment.json`
-  );
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  // Append to the deployment registry; DEPLOYMENT_ALIAS names the new entry
+  const artifact = await hre.artifacts.readArtifact("WaterResourceManager");
+  const entry = recordDeployment(deploymentInfo, artifact, { alias: process.env.DEPLOYMENT_ALIAS });
 
-  console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
+  console.log(`\n💾 Recorded as deployment v${entry.version} in: ${registryFilePath(hre.network.name)}`);
+  if (process.env.DEPLOYMENT_ALIAS) {
+    console.log(`🏷️  Alias: ${process.env.DEPLOYMENT_ALIAS}`);
+  }
+  if (entry.gitCommit) {
+    console.log(`Git Commit: ${entry.gitCommit.commit}${entry.gitCommit.dirty ? " (uncommitted changes)" : ""}`);
+  }
 
   // Display next steps
   console.log("\n📝 Next Steps:");
@@ -0,0 +1,131 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand } = require("../lib/cli");
+
+// --network and --deployment must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const {
+  readRegistry,
+  selectDeployment,
+  loadDeployment,
+  setAlias,
+  abiMismatch,
+  registryFilePath,
+} = require("../lib/deployment");
+
+async function compiledArtifact(contractName) {
+  try {
+    return await hre.artifacts.readArtifact(contractName);
+  } catch {
+    return null; // Not compiled yet
+  }
+}
+
+function aliasesOf(registry, version) {
+  return Object.keys(registry.aliases).filter((alias) => registry.aliases[alias] === version);
+}
+
+async function list() {
+  const registry = readRegistry(hre.network.name);
+  const latest = registry.deployments.length > 0 ? selectDeployment(registry).version : null;
+
+  const deployments = [];
+  for (const entry of registry.deployments) {
+    const artifact = await compiledArtifact(entry.contractName);
+    deployments.push({
+      version: entry.version,
+      aliases: aliasesOf(registry, entry.version),
+      latest: entry.version === latest,
+      contractAddress: entry.contractAddress,
+      blockNumber: entry.blockNumber,
+      timestamp: entry.timestamp,
+      gitCommit: entry.gitCommit,
+      verification: entry.verification.status,
+      abiMatchesArtifact: artifact ? abiMismatch(entry, artifact) === null : null,
+    });
+  }
+  return { network: hre.network.name, registry: registryFilePath(hre.network.name), deployments };
+}
+
+async function show() {
+  const deployment = loadDeployment(hre.network.name);
+  const artifact = await compiledArtifact(deployment.contractName);
+  return {
+    ...deployment,
+    aliases: aliasesOf(readRegistry(hre.network.name), deployment.version),
+    abiWarning: artifact ? abiMismatch(deployment, artifact) : null,
+  };
+}
+
+async function alias({ name }) {
+  const deployment = setAlias(hre.network.name, name, process.env.DEPLOYMENT || "latest");
+  return { alias: name, version: deployment.version, contractAddress: deployment.contractAddress };
+}
+
+function printList(result) {
+  if (result.deployments.length === 0) {
+    console.log(`No deployments recorded for ${result.network}`);
+    return;
+  }
+  console.log(`📚 Deployments on ${result.network} (${result.registry})`);
+  for (const entry of result.deployments) {
+    const labels = [...(entry.latest ? ["latest"] : []), ...entry.aliases];
+    const commit = entry.gitCommit ? entry.gitCommit.commit.slice(0, 10) : "unknown commit";
+    const abi = entry.abiMatchesArtifact === false ? " ⚠️  ABI changed" : "";
+    console.log(
+      `  v${entry.version} ${entry.contractAddress} block ${entry.blockNumber} ${commit} ` +
+        `${entry.verification}${labels.length ? ` [${labels.join(", ")}]` : ""}${abi}`
+    );
+  }
+}
+
+function printShow(deployment) {
+  console.log(`Deployment v${deployment.version}${deployment.aliases.length ? ` (${deployment.aliases.join(", ")})` : ""}`);
+  console.log(`Contract: ${deployment.contractName} at ${deployment.contractAddress}`);
+  console.log(`Block: ${deployment.blockNumber}`);
+  console.log(`Deployed: ${deployment.timestamp} by ${deployment.deployerAddress}`);
+  if (deployment.gitCommit) {
+    const dirty = deployment.gitCommit.dirty ? " (uncommitted changes)" : "";
+    console.log(`Git Commit: ${deployment.gitCommit.commit}${dirty}`);
+  }
+  console.log(`ABI Hash: ${deployment.abiHash || "not recorded"}`);
+  console.log(`Bytecode Hash: ${deployment.bytecodeHash || "not recorded"}`);
+  console.log(`Verification: ${deployment.verification.status}`);
+  if (deployment.abiWarning) {
+    console.log(`⚠️  ${deployment.abiWarning}`);
+  }
+}
+
+const COMMANDS = {
+  list: {
+    description: "List every recorded deployment of the network",
+    run: list,
+    print: printList,
+  },
+  show: {
+    description: "Show the deployment selected by --deployment (default: latest)",
+    run: show,
+    print: printShow,
+  },
+  alias: {
+    description: "Point an alias at the deployment selected by --deployment (default: latest)",
+    options: {
+      name: { type: "string" },
+    },
+    run: alias,
+    print: (result) => console.log(`🏷️  ${result.alias} → v${result.version} (${result.contractAddress})`),
+  },
+};
+
+async function main() {
+  return runCommand("scripts/deployments.js", COMMANDS, process.argv.slice(2), (command, params) =>
+    command.run(params)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
@@ -0,0 +1,92 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand, toJson } = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { MockGateway, GATEWAY_MODES, createMockOracle } = require("../lib/MockGateway");
+const { loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
+
+function describeRecord(record) {
+  switch (record.status) {
+  case "fulfilled":
+    return `✅ Request ${record.requestId} (period ${record.periodId}): delivered ${record.totalWater} → ${record.transaction.events.map((event) => event.name).join(", ")}`;
+  case "dropped":
+    return `🗑️  Request ${record.requestId} (period ${record.periodId}): dropped`;
+  case "failed":
+    return `❌ Request ${record.requestId} (period ${record.periodId}): ${record.error}`;
+  default:
+    return `⏳ Request ${record.requestId} (period ${record.periodId}): ${record.status}`;
+  }
+}
+
+async function start(params, flags) {
+  const deploymentInfo = loadDeployment(hre.network.name);
+  await warnOnAbiMismatch(hre, deploymentInfo);
+  const signers = await hre.ethers.getSigners();
+  const relayer = signers[params.account];
+  if (!relayer) {
+    throw new Error(`No signer at index ${params.account} (${signers.length} available)`);
+  }
+
+  const client = WaterResourceClient.connect(hre.ethers, deploymentInfo.contractAddress, relayer);
+  const gateway = new MockGateway(client, createMockOracle(hre), {
+    mode: params.mode,
+    delay: params.delay * 1000,
+    fromBlock: params["from-block"] !== undefined ? params["from-block"] : deploymentInfo.blockNumber || 0,
+    pollInterval: params["poll-interval"] * 1000,
+    provider: hre.ethers.provider,
+    log: flags.json ? () => {} : (message) => console.log(`⏳ ${message}`),
+  });
+
+  if (params.once) {
+    return { relayer: relayer.address, mode: params.mode, requests: await gateway.flush() };
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  console.log(`🛰️  Mock gateway in ${params.mode} mode, relaying as ${relayer.address} (Ctrl+C to stop)`);
+
+  await gateway.follow({
+    signal: controller.signal,
+    onRequest: (record) => console.log(flags.json ? toJson(record) : describeRecord(record)),
+  });
+  return { relayer: relayer.address, mode: params.mode, requests: [...gateway.requests.values()] };
+}
+
+const COMMANDS = {
+  start: {
+    description: "Answer DecryptionRequested events with mock-decrypted, KMS-signed callbacks",
+    options: {
+      mode: { type: "string", default: "relay", choices: GATEWAY_MODES },
+      delay: { type: "integer", default: 0 },
+      once: { type: "boolean" },
+      account: { type: "integer", default: 0 },
+      "from-block": { type: "integer", optional: true },
+      "poll-interval": { type: "integer", default: 2 },
+    },
+    run: start,
+    print: (result) => {
+      if (result.requests.length === 0) {
+        console.log("No decryption requests seen");
+      }
+      for (const record of result.requests) {
+        console.log(describeRecord(record));
+      }
+    },
+  },
+};
+
+async function main() {
+  return runCommand("scripts/gateway.js", COMMANDS, process.argv.slice(2), (command, params, flags) =>
+    command.run(params, flags)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
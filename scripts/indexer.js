@@ -0,0 +1,156 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand } = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const EventStore = require("../lib/EventStore");
+const EventIndexer = require("../lib/EventIndexer");
+const { ROOT_DIR, loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
+
+function openStore(deploymentInfo, dataDir) {
+  return new EventStore(
+    dataDir || EventStore.defaultDirectory(ROOT_DIR, hre.network.name, deploymentInfo.contractAddress)
+  );
+}
+
+const DATA_DIR_OPTION = { type: "string", optional: true };
+
+async function sync(params, flags) {
+  const deploymentInfo = loadDeployment(hre.network.name);
+  await warnOnAbiMismatch(hre, deploymentInfo);
+  const store = openStore(deploymentInfo, params["data-dir"]);
+  if (params.reset) {
+    store.reset();
+  }
+
+  const client = WaterResourceClient.connect(hre.ethers, deploymentInfo.contractAddress, hre.ethers.provider);
+  const indexer = new EventIndexer(client, store, {
+    startBlock: params["from-block"] !== undefined ? params["from-block"] : deploymentInfo.blockNumber || 0,
+    batchSize: params["batch-size"],
+    confirmations: params.confirmations,
+    pollInterval: params["poll-interval"] * 1000,
+    log: flags.json ? () => {} : (message) => console.log(`⏳ ${message}`),
+  });
+
+  if (!params.follow) {
+    return { store: store.directory, ...(await indexer.syncOnce()), cursor: store.readCursor() };
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  console.log(`👀 Following new blocks every ${params["poll-interval"]}s (Ctrl+C to stop)`);
+
+  await indexer.follow({
+    signal: controller.signal,
+    onSync: (result) => {
+      if (flags.json) {
+        console.log(JSON.stringify(result));
+      } else if (result.added > 0 || result.removed > 0) {
+        console.log(`✅ Synced to block ${result.toBlock}: +${result.added} events, -${result.removed} removed`);
+      }
+    },
+  });
+  return { store: store.directory, cursor: store.readCursor() };
+}
+
+async function query(params) {
+  const store = openStore(loadDeployment(hre.network.name), params["data-dir"]);
+  const events = store.readEvents({
+    name: params.event,
+    regionId: params.region,
+    periodId: params.period,
+    fromBlock: params["from-block"],
+    toBlock: params["to-block"],
+  });
+  return { store: store.directory, count: events.length, events };
+}
+
+async function status(params) {
+  const store = openStore(loadDeployment(hre.network.name), params["data-dir"]);
+  const cursor = store.readCursor();
+  const counts = {};
+  for (const event of store.readEvents()) {
+    counts[event.name] = (counts[event.name] || 0) + 1;
+  }
+  const head = await hre.ethers.provider.getBlockNumber();
+  return { store: store.directory, cursor, head, behind: cursor ? head - cursor.lastBlock : null, counts };
+}
+
+const COMMANDS = {
+  sync: {
+    description: "Backfill from the deployment block (or the saved cursor) and optionally follow new blocks",
+    options: {
+      follow: { type: "boolean" },
+      reset: { type: "boolean" },
+      "from-block": { type: "integer", optional: true },
+      "batch-size": { type: "integer", default: 2000 },
+      confirmations: { type: "integer", default: 0 },
+      "poll-interval": { type: "integer", default: 5 },
+      "data-dir": DATA_DIR_OPTION,
+    },
+    run: sync,
+    print: (result) => {
+      if (result.fromBlock !== undefined) {
+        console.log(`✅ Indexed blocks ${result.fromBlock}-${result.toBlock}`);
+        console.log(`Events added: ${result.added}`);
+        console.log(`Events removed by reorgs: ${result.removed}`);
+      }
+      console.log(`Store: ${result.store}`);
+    },
+  },
+  query: {
+    description: "Print stored events, filtered by name, region, period or block range",
+    options: {
+      event: { type: "string", optional: true, choices: WaterResourceClient.EVENT_NAMES },
+      region: { type: "integer", optional: true },
+      period: { type: "integer", optional: true },
+      "from-block": { type: "integer", optional: true },
+      "to-block": { type: "integer", optional: true },
+      "data-dir": DATA_DIR_OPTION,
+    },
+    run: query,
+    print: (result) => {
+      for (const event of result.events) {
+        const args = Object.entries(event.args)
+          .map(([name, value]) => `${name}=${value}`)
+          .join(" ");
+        console.log(`#${event.blockNumber} ${event.name} ${args} (${event.transactionHash})`);
+      }
+      console.log(`\n${result.count} event(s)`);
+    },
+  },
+  status: {
+    description: "Show the cursor, chain head and stored event counts",
+    options: {
+      "data-dir": DATA_DIR_OPTION,
+    },
+    run: status,
+    print: (result) => {
+      console.log(`Store: ${result.store}`);
+      if (!result.cursor) {
+        console.log("❌ Nothing indexed yet, run: npm run indexer -- sync");
+        return;
+      }
+      console.log(`Last Indexed Block: ${result.cursor.lastBlock}`);
+      console.log(`Chain Head: ${result.head} (${result.behind} blocks behind)`);
+      for (const [name, count] of Object.entries(result.counts)) {
+        console.log(`  ${name}: ${count}`);
+      }
+    },
+  },
+};
+
+async function main() {
+  return runCommand("scripts/indexer.js", COMMANDS, process.argv.slice(2), (command, params, flags) =>
+    command.run(params, flags)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
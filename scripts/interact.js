@@ -1,281 +1,864 @@
+const {
+  EXIT_FAILURE,
+  UsageError,
+  applyNetworkFlag,
+  resolveParams,
+  runCommand,
+  errorReason,
+  toJson,
+} = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+const { Writable } = require("stream");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createHardhatEncryptor } = require("../lib/encryptedInput");
+const { createHardhatDecryptor } = require("../lib/userDecryption");
+const { loadMyAllocation } = require("../lib/myAllocation");
+const { readRegionFile, importRegions } = require("../lib/regionImport");
+const { scanRefunds, claimRefunds } = require("../lib/refundAssistant");
+const { loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
+const { SafeBatchBuilder, readBatch, verifyBatch } = require("../lib/safeBatch");
+const {
+  OfflineTransactionBuilder,
+  readUnsignedTransaction,
+  signTransaction,
+  readSignedTransaction,
+} = require("../lib/offlineSigning");
+
+// Readline interface, only created in interactive mode
+let rl = null;
 
 function question(query) {
   return new Promise((resolve) => rl.question(query, resolve));
 }
 
 async function loadContract() {
-  const deploymentFile = path.join(
-    __dirname,
-    "..",
-    "deployments",
-    `${hre.network.name}-deployment.json`
-  );
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`❌ Deployment file not found: ${deploymentFile}`);
-    console.log("Please deploy the contract first using: npm run deploy");
-    process.exit(1);
-  }
-
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const deploymentInfo = loadDeployment(hre.network.name);
+  await warnOnAbiMismatch(hre, deploymentInfo);
   const [signer] = await hre.ethers.getSigners();
 
   const WaterResourceManager = await hre.ethers.getContractFactory("WaterResourceManager");
-  const contract = WaterResourceManager.attach(deploymentInfo.contractAddress);
+  // Water amounts and scores are encrypted here, before they reach calldata
+  const contract = new WaterResourceClient(WaterResourceManager.attach(deploymentInfo.contractAddress), {
+    encryptor: createHardhatEncryptor(hre),
+  });
 
   return { contract, deploymentInfo, signer };
 }
 
-async function displayMenu() {
-  console.log("\n" + "═".repeat(60));
-  console.log("         Water Resource Manager - Interaction Menu");
-  console.log("═".repeat(60));
-  console.log("\n📊 Management Operations:");
-  console.log("  1. Register New Region");
-  console.log("  2. Start Allocation Period");
-  console.log("  3. Submit Water Request");
-  console.log("  4. Process Allocation");
-  console.log("  5. Emergency Water Allocation");
-  console.log("\n🔍 Query Operations:");
-  console.log("  6. View Contract Info");
-  console.log("  7. Get Region Details");
-  console.log("  8. Get Current Period Info");
-  console.log("  9. Check Region Request Status");
-  console.log("\n⚙️  Administrative:");
-  console.log("  10. Update Region Manager");
-  console.log("  11. Deactivate Region");
-  console.log("\n  0. Exit");
-  console.log("\n" + "═".repeat(60));
+function printTransaction(result) {
+  console.log(`Transaction: ${result.hash}`);
 }
 
-async function registerRegion(contract) {
-  console.log("\n📝 Register New Region");
-  console.log("━".repeat(50));
-
-  const name = await question("Enter region name: ");
-  const priority = await question("Enter priority level (1-10): ");
-  const manager = await question("Enter manager address: ");
+function readJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
 
-  console.log("\n⏳ Registering region...");
-  const tx = await contract.registerRegion(name, parseInt(priority), manager);
-  const receipt = await tx.wait();
+function writeJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
 
-  console.log(`✅ Region registered successfully!`);
-  console.log(`Transaction: ${receipt.hash}`);
+// ---------------------------------------------------------------------------
+// Safe batches
+//
+// With --batch, authority commands add their call to a Safe transaction-builder
+// batch file instead of sending it, for the governance multisig to import and
+// co-sign. The file is created for the --safe address on first use.
+// ---------------------------------------------------------------------------
+
+const BATCH_OPTIONS = {
+  batch: { type: "string", optional: true },
+  safe: { type: "address", optional: true },
+};
+
+async function chainIdOf() {
+  return (await hre.ethers.provider.getNetwork()).chainId;
+}
 
-  // Get the region ID from event
-  const event = receipt.logs.find(log => {
-    try {
-      return contract.interface.parseLog(log).name === "RegionRegistered";
-    } catch {
-      return false;
-    }
+function readBatchFile(file, contract, chainId) {
+  return readBatch(hre.ethers, readJsonFile(file), {
+    contractAddress: contract.address,
+    chainId,
   });
+}
 
-  if (event) {
-    const parsedEvent = contract.interface.parseLog(event);
-    console.log(`Region ID: ${parsedEvent.args.regionId}`);
+async function addToBatch({ contract }, file, safe, call) {
+  const chainId = await chainIdOf();
+  const existing = fs.existsSync(file) ? readBatchFile(file, contract, chainId) : null;
+  if (!existing && !safe) {
+    throw new UsageError(`--safe is required to start the batch file ${file}`);
+  }
+  const safeAddress = existing ? existing.meta.createdFromSafeAddress : safe;
+  if (safe && safe.toLowerCase() !== safeAddress.toLowerCase()) {
+    throw new UsageError(`${file} is a batch for the Safe ${safeAddress}, not ${safe}`);
   }
+
+  const builder = new SafeBatchBuilder(contract, {
+    safeAddress,
+    chainId,
+    transactions: existing ? existing.transactions : [],
+  });
+  const transaction = await call(builder);
+  const batch = builder.build(hre.ethers, existing ? { ...existing.meta, createdAt: existing.createdAt } : {});
+  writeJsonFile(file, batch);
+
+  return {
+    batchFile: file,
+    safe: safeAddress,
+    method: transaction.contractMethod.name,
+    transactions: batch.transactions.length,
+    isAuthority: await builder.isAuthority(),
+  };
 }
 
-async function startAllocationPeriod(contract) {
-  console.log("\n🚀 Start Allocation Period");
-  console.log("━".repeat(50));
+// ---------------------------------------------------------------------------
+// Offline signing
+//
+// With --prepare, authority commands write an unsigned transaction file instead
+// of sending, for an authority key kept on a machine without network access.
+// "tx sign" signs the file there from a keystore without touching the network,
+// and "tx broadcast" sends the signed file from an online machine.
+// ---------------------------------------------------------------------------
+
+const PREPARE_OPTIONS = {
+  prepare: { type: "string", optional: true },
+  from: { type: "address", optional: true },
+  nonce: { type: "integer", optional: true },
+  "gas-limit": { type: "integer", optional: true },
+};
+
+// Options of every command that makes an authority call
+const AUTHORITY_OPTIONS = { ...BATCH_OPTIONS, ...PREPARE_OPTIONS };
+
+async function prepareTransaction({ contract }, file, { from, nonce, "gas-limit": gasLimit }, call) {
+  const builder = new OfflineTransactionBuilder(contract, {
+    // The offline key is normally the contract's authority
+    from: from || (await contract.authority()),
+    nonce,
+    gasLimit,
+  });
+  const unsigned = await call(builder);
+  writeJsonFile(file, unsigned);
+  return { preparedFile: file, ...unsigned };
+}
 
-  const totalWater = await question("Enter total available water: ");
-  const duration = await question("Enter duration in hours (1-168): ");
+function shortenValue(value) {
+  return value.length > 66 ? `${value.slice(0, 66)}... (${(value.length - 2) / 2} bytes)` : value;
+}
 
-  console.log("\n⏳ Starting allocation period...");
-  const tx = await contract.startAllocationPeriod(
-    parseInt(totalWater),
-    parseInt(duration)
+// Readable decode of an offline transaction file, shown at every step
+function printTransactionFile(file, log = console.log) {
+  const { transaction, call } = file;
+  const fee = transaction.maxFeePerGas || transaction.gasPrice;
+  const maxCost = hre.ethers.formatEther(BigInt(fee) * BigInt(transaction.gasLimit));
+
+  log(`Call: ${call.method} on ${transaction.to}`);
+  call.args.forEach((arg) => log(`  ${arg.name} (${arg.type}): ${shortenValue(arg.value)}`));
+  log(`From: ${file.from}, nonce ${transaction.nonce}, chain ${transaction.chainId}`);
+  log(
+    `Gas: limit ${transaction.gasLimit}, ${transaction.maxFeePerGas ? "max fee" : "price"} ` +
+      `${hre.ethers.formatUnits(fee, "gwei")} gwei (at most ${maxCost} ETH)`
   );
-  const receipt = await tx.wait();
-
-  console.log(`✅ Allocation period started!`);
-  console.log(`Transaction: ${receipt.hash}`);
 }
 
-async function submitWaterRequest(contract) {
-  console.log("\n💧 Submit Water Request");
-  console.log("━".repeat(50));
+// Read a password from the terminal without echoing it
+function askPassword(query) {
+  if (!process.stdin.isTTY) {
+    throw new UsageError("Set KEYSTORE_PASSWORD or run the command in a terminal to enter the keystore password");
+  }
+  return new Promise((resolve) => {
+    const muted = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+    const input = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+    process.stderr.write(query);
+    input.question("", (answer) => {
+      input.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
 
-  const requestedAmount = await question("Enter requested water amount: ");
-  const justificationScore = await question("Enter justification score (1-100): ");
+// Runs on the offline machine: no contract, deployment or provider is loaded
+async function signOffline(_context, { file, keystore, out }) {
+  const unsigned = readUnsignedTransaction(hre.ethers, readJsonFile(file));
+  // The review and the prompt go to stderr so --json output stays parseable
+  console.error("Review the transaction before signing it:");
+  printTransactionFile(unsigned, console.error);
+
+  const password =
+    process.env.KEYSTORE_PASSWORD !== undefined
+      ? process.env.KEYSTORE_PASSWORD
+      : await askPassword(`\nPassword for ${keystore}: `);
+  const wallet = await hre.ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, "utf8"), password);
+  const signed = await signTransaction(hre.ethers, unsigned, wallet);
+
+  const signedFile = out || file.replace(/(\.unsigned)?(\.json)?$/, ".signed.json");
+  writeJsonFile(signedFile, signed);
+  return { signedFile, from: signed.from, hash: signed.hash, nonce: signed.transaction.nonce, call: signed.call };
+}
 
-  console.log("\n⏳ Submitting water request...");
-  const tx = await contract.submitWaterRequest(
-    parseInt(requestedAmount),
-    parseInt(justificationScore)
-  );
-  const receipt = await tx.wait();
+async function broadcastSigned({ contract }, { file }) {
+  const signed = readSignedTransaction(hre.ethers, readJsonFile(file), {
+    contractAddress: contract.address,
+    chainId: await chainIdOf(),
+  });
+  const provider = hre.ethers.provider;
+
+  // Broadcasting the same file twice only reports the first result
+  let receipt = await provider.getTransactionReceipt(signed.hash);
+  const alreadyMined = receipt !== null;
+  if (!alreadyMined) {
+    const nonce = signed.transaction.nonce;
+    if ((await provider.getTransactionCount(signed.from, "latest")) > nonce) {
+      throw new Error(`Nonce ${nonce} of ${signed.from} was already used; prepare and sign the call again`);
+    }
+    const tx = await provider.broadcastTransaction(signed.rawTransaction);
+    receipt = await tx.wait();
+  }
+  if (receipt.status !== 1) {
+    throw new Error(`Transaction ${signed.hash} reverted`);
+  }
+  return { ...contract.parseReceipt(receipt), alreadyMined, transactionFile: signed };
+}
 
-  console.log(`✅ Water request submitted!`);
-  console.log(`Transaction: ${receipt.hash}`);
+/**
+ * Send an authority call, add it to the --batch file, or write it to the --prepare file for offline signing
+ * @param {function(Object): Promise<*>} call Makes the call on the client, a SafeBatchBuilder or an
+ *        OfflineTransactionBuilder
+ */
+async function sendAuthorityCall(context, { batch, safe, prepare, ...offline }, call) {
+  if (batch && prepare) {
+    throw new UsageError("--batch and --prepare cannot be used together");
+  }
+  if (batch) {
+    return addToBatch(context, batch, safe, call);
+  }
+  if (prepare) {
+    return prepareTransaction(context, prepare, offline, call);
+  }
+  return call(context.contract);
 }
 
-async function processAllocation(contract) {
-  console.log("\n⚙️  Process Allocation");
-  console.log("━".repeat(50));
+// print() for authority commands, whose result is a batch entry or an unsigned
+// transaction file when they ran with --batch or --prepare
+function printAuthorityResult(print) {
+  return (result) => {
+    if (result.batchFile) {
+      console.log(`📦 Added ${result.method} to ${result.batchFile} (${result.transactions} transaction(s))`);
+      console.log(`Safe: ${result.safe}`);
+      if (!result.isAuthority) {
+        console.log("⚠️  The Safe is not the contract's authority; the batch will fail with NotAuthorized");
+      }
+    } else if (result.preparedFile) {
+      console.log(`📝 Unsigned transaction written to ${result.preparedFile}`);
+      printTransactionFile(result);
+      console.log("\nSign it on the offline machine with:");
+      console.log(`  node scripts/interact.js tx sign --file ${result.preparedFile} --keystore <keystore.json>`);
+    } else {
+      print(result);
+    }
+  };
+}
 
-  const confirm = await question("Process allocation for current period? (yes/no): ");
+// ---------------------------------------------------------------------------
+// Commands
+//
+// Each command receives the connected client, the signer and its validated
+// parameters, and returns a plain result object. print() renders that result
+// for humans; --json prints it as-is.
+// ---------------------------------------------------------------------------
 
-  if (confirm.toLowerCase() === "yes") {
-    console.log("\n⏳ Processing allocation...");
-    const tx = await contract.processAllocation();
-    const receipt = await tx.wait();
+async function registerRegion(context, { name, priority, manager, ...delivery }) {
+  return sendAuthorityCall(context, delivery, (target) => target.registerRegion(name, priority, manager));
+}
 
-    console.log(`✅ Allocation processed!`);
-    console.log(`Transaction: ${receipt.hash}`);
-  } else {
-    console.log("❌ Allocation processing cancelled");
-  }
+async function startAllocationPeriod(context, { water, hours, ...delivery }) {
+  return sendAuthorityCall(context, delivery, (target) => target.startAllocationPeriod(water, hours));
 }
 
-async function emergencyAllocation(contract) {
-  console.log("\n🚨 Emergency Water Allocation");
-  console.log("━".repeat(50));
+async function submitWaterRequest({ contract }, { amount, score }) {
+  return contract.submitWaterRequest(amount, score);
+}
 
-  const regionId = await question("Enter region ID: ");
-  const amount = await question("Enter emergency water amount: ");
+async function processAllocation(context, delivery) {
+  return sendAuthorityCall(context, delivery, (target) => target.processAllocation());
+}
 
-  console.log("\n⏳ Processing emergency allocation...");
-  const tx = await contract.emergencyWaterAllocation(
-    parseInt(regionId),
-    parseInt(amount)
-  );
-  const receipt = await tx.wait();
+async function emergencyAllocation(context, { region, amount, ...delivery }) {
+  return sendAuthorityCall(context, delivery, (target) => target.emergencyWaterAllocation(region, amount));
+}
 
-  console.log(`✅ Emergency allocation completed!`);
-  console.log(`Transaction: ${receipt.hash}`);
+async function viewContractInfo({ contract, signer }) {
+  const authority = await contract.authority();
+  return {
+    contract: contract.address,
+    authority,
+    signer: signer.address,
+    isAuthority: authority === signer.address,
+    currentPeriod: await contract.currentAllocationPeriod(),
+    totalRegions: await contract.totalRegions(),
+    isAllocationPeriodActive: await contract.isAllocationPeriodActive(),
+  };
 }
 
-async function viewContractInfo(contract, signer) {
-  console.log("\n📊 Contract Information");
-  console.log("━".repeat(50));
+async function getRegionDetails({ contract }, { region }) {
+  return contract.getRegionInfo(region);
+}
 
-  const authority = await contract.authority();
-  const currentPeriod = await contract.currentAllocationPeriod();
-  const totalRegions = await contract.totalRegions();
-  const isActive = await contract.isAllocationPeriodActive();
+async function getCurrentPeriodInfo({ contract }) {
+  return contract.getCurrentPeriodInfo();
+}
 
-  console.log(`Authority: ${authority}`);
-  console.log(`Your Address: ${signer.address}`);
-  console.log(`You are ${authority === signer.address ? "✅" : "❌"} the authority`);
-  console.log(`Current Period: ${currentPeriod}`);
-  console.log(`Total Regions: ${totalRegions}`);
-  console.log(`Allocation Active: ${isActive ? "✅ Yes" : "❌ No"}`);
+async function checkRegionRequestStatus({ contract }, { region, period }) {
+  const periodId = period !== undefined ? period : await contract.currentAllocationPeriod();
+  return contract.getRegionRequestStatus(region, periodId);
 }
 
-async function getRegionDetails(contract) {
-  console.log("\n🏘️  Region Details");
-  console.log("━".repeat(50));
+async function updateRegionManager(context, { region, manager, ...delivery }) {
+  return sendAuthorityCall(context, delivery, (target) => target.updateRegionManager(region, manager));
+}
 
-  const regionId = await question("Enter region ID: ");
+async function deactivateRegion(context, { region, ...delivery }) {
+  return sendAuthorityCall(context, delivery, (target) => target.deactivateRegion(region));
+}
 
-  try {
-    const info = await contract.getRegionInfo(parseInt(regionId));
-    console.log(`\nRegion Name: ${info.name}`);
-    console.log(`Manager: ${info.manager}`);
-    console.log(`Active: ${info.isActive ? "✅ Yes" : "❌ No"}`);
-    console.log(`Last Update: ${new Date(Number(info.lastUpdateTime) * 1000).toLocaleString()}`);
-  } catch (error) {
-    console.error("❌ Error fetching region details:", error.message);
+async function verifySafeBatch({ contract }, { batch, tx }) {
+  const transactionHashes = tx.split(",").map((hash) => hash.trim());
+  const receipts = [];
+  for (const hash of transactionHashes) {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+    if (!receipt) {
+      throw new Error(`Transaction ${hash} is not mined on ${hre.network.name}`);
+    }
+    receipts.push(receipt);
   }
+  const result = await verifyBatch(contract, readBatchFile(batch, contract, await chainIdOf()), receipts);
+  if (!result.executed) {
+    const error = new Error(`The batch was not fully executed by ${transactionHashes.join(", ")}`);
+    error.result = result;
+    throw error;
+  }
+  return result;
 }
 
-async function getCurrentPeriodInfo(contract) {
-  console.log("\n📅 Current Period Information");
-  console.log("━".repeat(50));
+function printVerifiedTransaction(transaction) {
+  const icons = { executed: "✅", applied: "☑️ ", missing: "❌" };
+  const where = transaction.transactionHash ? ` in ${transaction.transactionHash}` : "";
+  const details = Object.entries(transaction.details || {})
+    .map(([name, value]) => ` ${name} ${value}`)
+    .join(",");
+  console.log(`${icons[transaction.status]} ${transaction.index}. ${transaction.method} ${transaction.status}${where}`);
+  if (details) {
+    console.log(`  ${details.trim()}`);
+  }
+}
 
-  const info = await contract.getCurrentPeriodInfo();
-
-  if (info.periodId === 0n) {
-    console.log("❌ No allocation period has been started yet");
-  } else {
-    console.log(`Period ID: ${info.periodId}`);
-    console.log(`Start Time: ${new Date(Number(info.startTime) * 1000).toLocaleString()}`);
-    console.log(`End Time: ${new Date(Number(info.endTime) * 1000).toLocaleString()}`);
-    console.log(`Distribution Completed: ${info.distributionCompleted ? "✅ Yes" : "❌ No"}`);
-    console.log(`Participating Regions: ${info.participatingRegions}`);
-    console.log(`Status: ${info.isActive ? "✅ Active" : "❌ Inactive"}`);
+async function importRegionFile({ contract, deploymentInfo }, { file, "dry-run": dryRun, report }) {
+  const rows = readRegionFile(file);
+  const result = await importRegions(contract, rows, { dryRun });
+
+  const reportFile =
+    report ||
+    path.join(
+      __dirname,
+      "..",
+      "deployments",
+      `${hre.network.name}-region-import-${new Date().toISOString().replace(/[:.]/g, "-")}.json`
+    );
+  const reportData = {
+    network: deploymentInfo.network,
+    contractAddress: contract.address,
+    source: path.resolve(file),
+    generatedAt: new Date().toISOString(),
+    ...result,
+  };
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+  fs.writeFileSync(reportFile, JSON.stringify(reportData, null, 2));
+
+  if (result.summary.failed > 0) {
+    const failure = result.rows.find((row) => row.status === "failed");
+    const error = new Error(`Row ${failure.row} (${failure.name}) failed: ${failure.reason}. Report: ${reportFile}`);
+    error.result = { ...result, reportFile };
+    throw error;
   }
+
+  return { ...result, reportFile };
 }
 
-async function checkRegionRequestStatus(contract) {
-  console.log("\n📋 Region Request Status");
-  console.log("━".repeat(50));
+function printImportRow(row) {
+  const icons = { registered: "✅", pending: "🔎", skipped: "⏭️ ", invalid: "❌", failed: "❌" };
+  const target = row.regionId ? ` → region ${row.regionId}` : "";
+  const reason = row.reason ? ` (${row.reason})` : "";
+  console.log(`${icons[row.status]} Row ${row.row}: ${row.name || "<no name>"} ${row.status}${target}${reason}`);
+}
 
-  const regionId = await question("Enter region ID: ");
+async function scanRegionRefunds({ contract, signer }) {
+  return scanRefunds(contract, signer.address);
+}
 
-  try {
-    const status = await contract.getRegionRequestStatus(parseInt(regionId));
-    console.log(`\nRequest Submitted: ${status.hasSubmittedRequest ? "✅ Yes" : "❌ No"}`);
-    console.log(`Request Processed: ${status.isProcessed ? "✅ Yes" : "❌ No"}`);
-    if (status.timestamp > 0n) {
-      console.log(`Submission Time: ${new Date(Number(status.timestamp) * 1000).toLocaleString()}`);
-    }
-  } catch (error) {
-    console.error("❌ Error fetching request status:", error.message);
+async function claimRegionRefunds({ contract, deploymentInfo, signer }, { report }) {
+  const scan = await scanRefunds(contract, signer.address);
+  const result = { ...scan, ...(await claimRefunds(contract, scan)) };
+
+  const reportFile =
+    report ||
+    path.join(
+      __dirname,
+      "..",
+      "deployments",
+      `${hre.network.name}-refunds-${new Date().toISOString().replace(/[:.]/g, "-")}.json`
+    );
+  const reportData = {
+    network: deploymentInfo.network,
+    contractAddress: contract.address,
+    generatedAt: new Date().toISOString(),
+    manager: result.manager,
+    regionId: result.regionId,
+    claims: result.claims,
+    refunds: result.refunds,
+  };
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+  fs.writeFileSync(reportFile, toJson(reportData));
+
+  const failed = result.claims.filter((claim) => claim.status === "failed");
+  if (failed.length > 0) {
+    const [failure] = failed;
+    const error = new Error(`Refund for period ${failure.periodId} failed: ${failure.error}. Report: ${reportFile}`);
+    error.result = { ...result, reportFile };
+    throw error;
   }
+
+  return { ...result, reportFile };
 }
 
-async function updateRegionManager(contract) {
-  console.log("\n👤 Update Region Manager");
-  console.log("━".repeat(50));
+async function decryptMyAllocation({ contract, signer }) {
+  return loadMyAllocation(contract, createHardhatDecryptor(hre), signer);
+}
 
-  const regionId = await question("Enter region ID: ");
-  const newManager = await question("Enter new manager address: ");
+function printAllocationPeriod(period) {
+  if (!period.decryptable) {
+    console.log(`🔒 Period ${period.periodId}: submitted by a previous manager`);
+    return;
+  }
+  const allocation = period.allocation !== null ? period.allocation : period.isProcessed ? "0" : "pending";
+  console.log(`💧 Period ${period.periodId}: requested ${period.demand}, allocated ${allocation}`);
+}
 
-  console.log("\n⏳ Updating region manager...");
-  const tx = await contract.updateRegionManager(parseInt(regionId), newManager);
-  const receipt = await tx.wait();
+function printRefundPeriod(period) {
+  const actions = {
+    claimDecryptionFailureRefund: "decryption failed",
+    claimDecryptionTimeout: "decryption timed out",
+  };
+  console.log(`💸 Period ${period.periodId}: ${actions[period.action]}`);
+}
 
-  console.log(`✅ Region manager updated!`);
-  console.log(`Transaction: ${receipt.hash}`);
+const COMMANDS = {
+  "region register": {
+    menu: "1",
+    title: "📝 Register New Region",
+    description: "Register a region and its manager (authority only)",
+    progress: "Registering region...",
+    options: {
+      name: { type: "string", prompt: "Enter region name: " },
+      priority: { type: "integer", prompt: "Enter priority level (1-10): " },
+      manager: { type: "address", prompt: "Enter manager address: " },
+      ...AUTHORITY_OPTIONS,
+    },
+    run: registerRegion,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Region registered successfully!");
+      printTransaction(result);
+      console.log(`Region ID: ${result.regionId}`);
+    }),
+  },
+  "period start": {
+    menu: "2",
+    title: "🚀 Start Allocation Period",
+    description: "Start a new allocation period (authority only)",
+    progress: "Encrypting the total and starting allocation period...",
+    options: {
+      water: { type: "integer", prompt: "Enter total available water: " },
+      hours: { type: "integer", prompt: "Enter duration in hours (1-168): " },
+      ...AUTHORITY_OPTIONS,
+    },
+    run: startAllocationPeriod,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Allocation period started!");
+      printTransaction(result);
+      console.log(`Period ID: ${result.periodId}`);
+    }),
+  },
+  "request submit": {
+    menu: "3",
+    title: "💧 Submit Water Request",
+    description: "Submit the signer's water request for the active period",
+    progress: "Encrypting and submitting water request...",
+    options: {
+      amount: { type: "integer", prompt: "Enter requested water amount: " },
+      score: { type: "integer", prompt: "Enter justification score (1-100): " },
+    },
+    run: submitWaterRequest,
+    print: (result) => {
+      console.log("✅ Water request submitted!");
+      printTransaction(result);
+    },
+  },
+  "period process": {
+    menu: "4",
+    title: "⚙️  Process Allocation",
+    description: "Request decryption and distribution for the current period (authority only)",
+    confirm: () => "Process allocation for current period?",
+    cancelled: "Allocation processing cancelled",
+    progress: "Processing allocation...",
+    options: {
+      ...AUTHORITY_OPTIONS,
+    },
+    run: processAllocation,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Allocation processed!");
+      printTransaction(result);
+      console.log(`Decryption Request ID: ${result.requestId}`);
+    }),
+  },
+  "emergency allocate": {
+    menu: "5",
+    title: "🚨 Emergency Water Allocation",
+    description: "Allocate water to a region immediately (authority only)",
+    progress: "Encrypting and processing emergency allocation...",
+    options: {
+      region: { type: "integer", prompt: "Enter region ID: " },
+      amount: { type: "integer", prompt: "Enter emergency water amount: " },
+      ...AUTHORITY_OPTIONS,
+    },
+    run: emergencyAllocation,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Emergency allocation completed!");
+      printTransaction(result);
+    }),
+  },
+  info: {
+    menu: "6",
+    title: "📊 Contract Information",
+    description: "Show authority, current period and region count",
+    run: viewContractInfo,
+    print: (info) => {
+      console.log(`Authority: ${info.authority}`);
+      console.log(`Your Address: ${info.signer}`);
+      console.log(`You are ${info.isAuthority ? "✅" : "❌"} the authority`);
+      console.log(`Current Period: ${info.currentPeriod}`);
+      console.log(`Total Regions: ${info.totalRegions}`);
+      console.log(`Allocation Active: ${info.isAllocationPeriodActive ? "✅ Yes" : "❌ No"}`);
+    },
+  },
+  "region info": {
+    menu: "7",
+    title: "🏘️  Region Details",
+    description: "Show an active region's details",
+    options: {
+      region: { type: "integer", prompt: "Enter region ID: " },
+    },
+    run: getRegionDetails,
+    print: (info) => {
+      console.log(`\nRegion Name: ${info.name}`);
+      console.log(`Manager: ${info.manager}`);
+      console.log(`Active: ${info.isActive ? "✅ Yes" : "❌ No"}`);
+      console.log(`Last Update: ${new Date(info.lastUpdateTime * 1000).toLocaleString()}`);
+      console.log(`Locked Amount: ${info.lockedAmount}`);
+    },
+  },
+  "period info": {
+    menu: "8",
+    title: "📅 Current Period Information",
+    description: "Show the current allocation period",
+    run: getCurrentPeriodInfo,
+    print: (info) => {
+      if (info.periodId === 0) {
+        console.log("❌ No allocation period has been started yet");
+        return;
+      }
+      console.log(`Period ID: ${info.periodId}`);
+      console.log(`Start Time: ${new Date(info.startTime * 1000).toLocaleString()}`);
+      console.log(`End Time: ${new Date(info.endTime * 1000).toLocaleString()}`);
+      console.log(`Distribution Completed: ${info.distributionCompleted ? "✅ Yes" : "❌ No"}`);
+      console.log(`Participating Regions: ${info.participatingRegions}`);
+      console.log(`Status: ${info.isActive ? "✅ Active" : "❌ Inactive"}`);
+      console.log(`Decryption Failed: ${info.decryptionFailed ? "⚠️  Yes" : "No"}`);
+      console.log(`Decryption Request ID: ${info.decryptionRequestId}`);
+    },
+  },
+  "request status": {
+    menu: "9",
+    title: "📋 Region Request Status",
+    description: "Show a region's request status (defaults to the current period)",
+    options: {
+      region: { type: "integer", prompt: "Enter region ID: " },
+      period: { type: "integer", optional: true, prompt: "Enter period ID (blank for current): " },
+    },
+    run: checkRegionRequestStatus,
+    print: (status) => {
+      console.log(`\nPeriod: ${status.periodId}`);
+      console.log(`Request Submitted: ${status.hasSubmittedRequest ? "✅ Yes" : "❌ No"}`);
+      console.log(`Request Processed: ${status.isProcessed ? "✅ Yes" : "❌ No"}`);
+      console.log(`Refund Claimed: ${status.refundClaimed ? "✅ Yes" : "❌ No"}`);
+      if (status.timestamp > 0) {
+        console.log(`Submission Time: ${new Date(status.timestamp * 1000).toLocaleString()}`);
+        console.log(`Request Timeout: ${new Date(status.requestTimeout * 1000).toLocaleString()}`);
+      }
+    },
+  },
+  "region update-manager": {
+    menu: "10",
+    title: "👤 Update Region Manager",
+    description: "Hand a region over to a new manager (authority only)",
+    progress: "Updating region manager...",
+    options: {
+      region: { type: "integer", prompt: "Enter region ID: " },
+      manager: { type: "address", prompt: "Enter new manager address: " },
+      ...AUTHORITY_OPTIONS,
+    },
+    run: updateRegionManager,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Region manager updated!");
+      printTransaction(result);
+    }),
+  },
+  "region deactivate": {
+    menu: "11",
+    title: "🔒 Deactivate Region",
+    description: "Deactivate a region (authority only)",
+    confirm: ({ region }) => `Deactivate region ${region}?`,
+    cancelled: "Deactivation cancelled",
+    progress: "Deactivating region...",
+    options: {
+      region: { type: "integer", prompt: "Enter region ID: " },
+      ...AUTHORITY_OPTIONS,
+    },
+    run: deactivateRegion,
+    print: printAuthorityResult((result) => {
+      console.log("✅ Region deactivated!");
+      printTransaction(result);
+    }),
+  },
+  "region import": {
+    menu: "12",
+    title: "📥 Import Regions from File",
+    description: "Register regions from a CSV or JSON file of name/priority/manager rows (authority only)",
+    progress: "Importing regions...",
+    options: {
+      file: { type: "string", prompt: "Enter CSV or JSON file path: " },
+      "dry-run": { type: "boolean", prompt: "Dry run only? (yes/no): " },
+      report: { type: "string", optional: true, prompt: "Report file (blank for default): " },
+    },
+    run: importRegionFile,
+    print: (result) => {
+      result.rows.forEach(printImportRow);
+      const { summary } = result;
+      console.log(
+        `\n${result.dryRun ? "🔎 Dry run" : "✅ Import"} complete: ${summary.registered} registered, ` +
+          `${summary.pending} pending, ${summary.skipped} skipped, ${summary.invalid} invalid`
+      );
+      console.log(`Report: ${result.reportFile}`);
+    },
+  },
+  "refund scan": {
+    menu: "13",
+    title: "🔎 Find Claimable Refunds",
+    description: "List the periods where the signer's region can claim a refund",
+    progress: "Scanning allocation periods...",
+    run: scanRegionRefunds,
+    print: (result) => {
+      console.log(`Region ${result.regionId}, periods 1-${result.currentPeriod}`);
+      if (result.eligible.length === 0) {
+        console.log("✅ No refunds to claim");
+        return;
+      }
+      result.eligible.forEach(printRefundPeriod);
+    },
+  },
+  "refund claim": {
+    menu: "14",
+    title: "💸 Claim Refunds",
+    description: "Claim every refund the signer's region is owed and record the RefundProcessed events",
+    confirm: () => "Claim refunds for every eligible period?",
+    cancelled: "Refund claim cancelled",
+    progress: "Claiming refunds...",
+    options: {
+      report: { type: "string", optional: true, prompt: "Report file (blank for default): " },
+    },
+    run: claimRegionRefunds,
+    print: (result) => {
+      for (const claim of result.claims) {
+        console.log(`✅ Period ${claim.periodId}: refunded in ${claim.transactions.join(", ")}`);
+      }
+      console.log(`\n${result.refunds.length} refund(s) recorded for region ${result.regionId}`);
+      console.log(`Report: ${result.reportFile}`);
+    },
+  },
+  "allocation mine": {
+    menu: "15",
+    title: "🔐 My Allocation",
+    description: "Decrypt the signer's requested and allocated water for every period of their region",
+    progress: "Signing the decryption request and decrypting...",
+    run: decryptMyAllocation,
+    print: (result) => {
+      console.log(`Region ${result.regionId} (${result.name}), manager ${result.manager}`);
+      if (result.periods.length === 0) {
+        console.log("Your region has not submitted a request yet");
+        return;
+      }
+      result.periods.forEach(printAllocationPeriod);
+    },
+  },
+  "safe verify": {
+    menu: "16",
+    title: "🏛️  Verify Safe Batch",
+    description: "Check that a Safe batch file was carried out by its execution transaction(s) (comma-separated)",
+    progress: "Checking the batch against the execution...",
+    options: {
+      batch: { type: "string", prompt: "Enter batch file path: " },
+      tx: { type: "string", prompt: "Enter execution transaction hash: " },
+    },
+    run: verifySafeBatch,
+    print: (result) => {
+      result.transactions.forEach(printVerifiedTransaction);
+      console.log(`\n✅ All ${result.transactions.length} transaction(s) of the batch were carried out`);
+    },
+  },
+  "tx sign": {
+    // Not in the menu: the menu connects to the contract, which the offline machine cannot reach
+    offline: true,
+    description:
+      "Sign an unsigned transaction file from --prepare with a keystore, without network access " +
+      "(password from KEYSTORE_PASSWORD or the terminal)",
+    options: {
+      file: { type: "string" },
+      keystore: { type: "string" },
+      out: { type: "string", optional: true },
+    },
+    run: signOffline,
+    print: (result) => {
+      console.log(`\n✅ Signed ${result.call.method} from ${result.from} (nonce ${result.nonce})`);
+      console.log(`Signed transaction written to ${result.signedFile}`);
+      console.log(`Transaction: ${result.hash}`);
+      console.log("\nBroadcast it from an online machine with:");
+      console.log(`  node scripts/interact.js tx broadcast --file ${result.signedFile} --network <network>`);
+    },
+  },
+  "tx broadcast": {
+    menu: "17",
+    title: "📡 Broadcast Signed Transaction",
+    description: "Send a transaction file signed with tx sign and wait for it to be mined",
+    progress: "Broadcasting signed transaction...",
+    options: {
+      file: { type: "string", prompt: "Enter signed transaction file path: " },
+    },
+    run: broadcastSigned,
+    print: (result) => {
+      console.log(result.alreadyMined ? "ℹ️  The transaction was already mined" : "✅ Transaction mined!");
+      printTransactionFile(result.transactionFile);
+      printTransaction(result);
+      console.log(`Block: ${result.blockNumber}`);
+      result.events.forEach((event) => {
+        const args = Object.entries(event.args).map(([name, value]) => `${name} ${value}`);
+        console.log(`Event: ${event.name} (${args.join(", ")})`);
+      });
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Interactive menu
+// ---------------------------------------------------------------------------
+
+async function displayMenu() {
+  console.log("\n" + "═".repeat(60));
+  console.log("         Water Resource Manager - Interaction Menu");
+  console.log("═".repeat(60));
+  console.log("\n📊 Management Operations:");
+  console.log("  1. Register New Region");
+  console.log("  2. Start Allocation Period");
+  console.log("  3. Submit Water Request");
+  console.log("  4. Process Allocation");
+  console.log("  5. Emergency Water Allocation");
+  console.log("\n🔍 Query Operations:");
+  console.log("  6. View Contract Info");
+  console.log("  7. Get Region Details");
+  console.log("  8. Get Current Period Info");
+  console.log("  9. Check Region Request Status");
+  console.log("\n⚙️  Administrative:");
+  console.log("  10. Update Region Manager");
+  console.log("  11. Deactivate Region");
+  console.log("  12. Import Regions from File");
+  console.log("\n💸 Refunds:");
+  console.log("  13. Find Claimable Refunds");
+  console.log("  14. Claim Refunds");
+  console.log("\n🔐 My Region:");
+  console.log("  15. Decrypt My Allocation");
+  console.log("\n🏛️  Safe:");
+  console.log("  16. Verify Safe Batch");
+  console.log("\n🔏 Offline Signing:");
+  console.log("  17. Broadcast Signed Transaction");
+  console.log("\n  0. Exit");
+  console.log("\n" + "═".repeat(60));
 }
 
-async function deactivateRegion(contract) {
-  console.log("\n🔒 Deactivate Region");
+async function runMenuCommand(command, context) {
+  console.log(`\n${command.title}`);
   console.log("━".repeat(50));
 
-  const regionId = await question("Enter region ID: ");
-  const confirm = await question(`Deactivate region ${regionId}? (yes/no): `);
+  const answers = {};
+  for (const [name, spec] of Object.entries(command.options || {})) {
+    // Options without a prompt, such as --batch and --prepare, are command-line only
+    if (spec.prompt) {
+      answers[name] = await question(spec.prompt);
+    }
+  }
+  const params = resolveParams(command, answers);
 
-  if (confirm.toLowerCase() === "yes") {
-    console.log("\n⏳ Deactivating region...");
-    const tx = await contract.deactivateRegion(parseInt(regionId));
-    const receipt = await tx.wait();
+  if (command.confirm) {
+    const confirm = await question(`${command.confirm(params)} (yes/no): `);
+    if (confirm.toLowerCase() !== "yes") {
+      console.log(`❌ ${command.cancelled}`);
+      return;
+    }
+  }
 
-    console.log(`✅ Region deactivated!`);
-    console.log(`Transaction: ${receipt.hash}`);
-  } else {
-    console.log("❌ Deactivation cancelled");
+  if (command.progress) {
+    console.log(`\n⏳ ${command.progress}`);
   }
+  command.print(await command.run(context, params));
 }
 
-async function main() {
+async function runMenu() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
   console.log("\n💧 Water Resource Manager - Interactive CLI\n");
 
-  const { contract, deploymentInfo, signer } = await loadContract();
+  const context = await loadContract();
+  const { contract, deploymentInfo, signer } = context;
 
   console.log("📋 Connection Details:");
   console.log("━".repeat(50));
   console.log(`Network: ${deploymentInfo.network}`);
-  console.log(`Contract: ${deploymentInfo.contractAddress}`);
+  console.log(`Contract: ${contract.address}`);
   console.log(`Your Address: ${signer.address}`);
   console.log("━".repeat(50));
 
+  const byMenuNumber = Object.fromEntries(
+    Object.values(COMMANDS)
+      .filter((command) => command.menu)
+      .map((command) => [command.menu, command])
+  );
   let exit = false;
 
   while (!exit) {
@@ -283,49 +866,16 @@ async function main() {
     const choice = await question("\nSelect an option: ");
 
     try {
-      switch (choice) {
-        case "1":
-          await registerRegion(contract);
-          break;
-        case "2":
-          await startAllocationPeriod(contract);
-          break;
-        case "3":
-          await submitWaterRequest(contract);
-          break;
-        case "4":
-          await processAllocation(contract);
-          break;
-        case "5":
-          await emergencyAllocation(contract);
-          break;
-        case "6":
-          await viewContractInfo(contract, signer);
-          break;
-        case "7":
-          await getRegionDetails(contract);
-          break;
-        case "8":
-          await getCurrentPeriodInfo(contract);
-          break;
-        case "9":
-          await checkRegionRequestStatus(contract);
-          break;
-        case "10":
-          await updateRegionManager(contract);
-          break;
-        case "11":
-          await deactivateRegion(contract);
-          break;
-        case "0":
-          exit = true;
-          console.log("\n👋 Goodbye!\n");
-          break;
-        default:
-          console.log("\n❌ Invalid option. Please try again.");
+      if (choice === "0") {
+        exit = true;
+        console.log("\n👋 Goodbye!\n");
+      } else if (byMenuNumber[choice]) {
+        await runMenuCommand(byMenuNumber[choice], context);
+      } else {
+        console.log("\n❌ Invalid option. Please try again.");
       }
     } catch (error) {
-      console.error("\n❌ Error:", error.message);
+      console.error("\n❌ Error:", errorReason(error));
     }
 
     if (!exit) {
@@ -336,10 +886,27 @@ async function main() {
   rl.close();
 }
 
+// ---------------------------------------------------------------------------
+// Non-interactive mode: node scripts/interact.js <command> [options]
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.length === 0) {
+    await runMenu();
+    return 0;
+  }
+  return runCommand("scripts/interact.js", COMMANDS, argv, async (command, params) =>
+    command.run(command.offline ? {} : await loadContract(), params)
+  );
+}
+
 main()
-  .then(() => process.exit(0))
+  .then((code) => process.exit(code))
   .catch((error) => {
     console.error("\n❌ Error:", error);
-    rl.close();
-    process.exit(1);
+    if (rl) {
+      rl.close();
+    }
+    process.exit(EXIT_FAILURE);
   });
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const { EXIT_FAILURE, UsageError, runCommand } = require("../lib/cli");
+const { distributeWater } = require("../lib/allocationEngine");
+
+/**
+ * Requests come from a JSON file (an array, or { requests: [...] }, of
+ * { regionId, requestedAmount?, priority?, justificationScore? } in submission
+ * order) or are generated as regions 1..N.
+ */
+function loadRequests({ file, regions }) {
+  if (file) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const requests = Array.isArray(data) ? data : data.requests;
+    if (!Array.isArray(requests)) {
+      throw new UsageError("Request file must be an array of requests or an object with a requests array");
+    }
+    return requests;
+  }
+  if (regions) {
+    return Array.from({ length: regions }, (_, index) => ({ regionId: index + 1 }));
+  }
+  throw new UsageError("Pass either --file or --regions");
+}
+
+async function previewAllocation(params) {
+  return distributeWater(params.water, loadRequests(params));
+}
+
+const COMMANDS = {
+  allocation: {
+    description: "Preview how the contract would split a total water amount, without a chain",
+    options: {
+      water: { type: "integer" },
+      file: { type: "string", optional: true },
+      regions: { type: "integer", optional: true },
+    },
+    run: previewAllocation,
+    print: (result) => {
+      console.log(`\n💧 Allocation preview for ${result.totalWater} units`);
+      console.log("━".repeat(60));
+      if (result.decryptionFailed) {
+        console.log("⚠️  A total of 0 is treated as a failed decryption: nothing is distributed");
+        return;
+      }
+      console.log("Order  Region  Allocated   Requested   Shortfall");
+      for (const allocation of result.allocations) {
+        console.log(
+          [
+            String(allocation.index + 1).padEnd(6),
+            String(allocation.regionId).padEnd(7),
+            String(allocation.amount).padEnd(11),
+            String(allocation.requestedAmount === null ? "-" : allocation.requestedAmount).padEnd(11),
+            allocation.shortfall === null ? "-" : allocation.shortfall,
+          ].join(" ")
+        );
+      }
+      console.log("━".repeat(60));
+      console.log(`Distributed: ${result.distributedWater}`);
+      console.log(`Undistributed: ${result.remainingWater}`);
+      const unserved = result.allocations.filter((allocation) => !allocation.processed).length;
+      if (unserved > 0) {
+        console.log(`⚠️  ${unserved} region(s) left unprocessed`);
+      }
+    },
+  },
+};
+
+runCommand("scripts/preview.js", COMMANDS, process.argv.slice(2), (command, params) => command.run(params))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
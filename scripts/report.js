@@ -0,0 +1,87 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand } = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const EventStore = require("../lib/EventStore");
+const EventIndexer = require("../lib/EventIndexer");
+const { ROOT_DIR, loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
+const { buildPeriodReport, toMarkdown, toCsv } = require("../lib/periodReport");
+
+const RENDERERS = {
+  markdown: { extension: "md", render: toMarkdown },
+  csv: { extension: "csv", render: toCsv },
+  json: { extension: "json", render: (report) => JSON.stringify(report, null, 2) + "\n" },
+};
+
+async function periodReport(params, flags) {
+  const deploymentInfo = loadDeployment(hre.network.name);
+  await warnOnAbiMismatch(hre, deploymentInfo);
+  const client = WaterResourceClient.connect(hre.ethers, deploymentInfo.contractAddress, hre.ethers.provider);
+  const store = new EventStore(
+    params["data-dir"] || EventStore.defaultDirectory(ROOT_DIR, hre.network.name, deploymentInfo.contractAddress)
+  );
+
+  // Bring the local event store up to date before reading from it
+  if (!params["skip-sync"]) {
+    const indexer = new EventIndexer(client, store, {
+      startBlock: deploymentInfo.blockNumber || 0,
+      log: flags.json ? () => {} : (message) => console.log(`⏳ ${message}`),
+    });
+    await indexer.syncOnce();
+  }
+
+  const report = await buildPeriodReport(client, params.period, store.readEvents());
+  report.network = deploymentInfo.network;
+
+  const formats = params.format === "all" ? Object.keys(RENDERERS) : [params.format];
+  const files = [];
+  fs.mkdirSync(params.out, { recursive: true });
+  for (const format of formats) {
+    const { extension, render } = RENDERERS[format];
+    const file = path.join(params.out, `${hre.network.name}-period-${params.period}.${extension}`);
+    fs.writeFileSync(file, render(report));
+    files.push(file);
+  }
+
+  return { files, report };
+}
+
+const COMMANDS = {
+  period: {
+    description: "Write the audit report for one allocation period",
+    options: {
+      period: { type: "integer" },
+      format: { type: "string", default: "all", choices: ["all", ...Object.keys(RENDERERS)] },
+      out: { type: "string", default: path.join(ROOT_DIR, "reports") },
+      "data-dir": { type: "string", optional: true },
+      "skip-sync": { type: "boolean" },
+    },
+    run: periodReport,
+    print: ({ files, report }) => {
+      console.log(`✅ Audit report for period ${report.periodId}`);
+      console.log(`Regions: ${report.regions.length}`);
+      console.log(`Timeline entries: ${report.timeline.length}`);
+      for (const file of files) {
+        console.log(`Written: ${file}`);
+      }
+    },
+  },
+};
+
+async function main() {
+  return runCommand("scripts/report.js", COMMANDS, process.argv.slice(2), (command, params, flags) =>
+    command.run(params, flags)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
@@ -1,26 +1,37 @@
+const { applyNetworkFlag, toJson, errorReason } = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { ScenarioRunner, loadScenario, findScenarioFiles } = require("../lib/scenario");
+const { MockGateway, createMockOracle } = require("../lib/MockGateway");
+const { createHardhatEncryptor } = require("../lib/encryptedInput");
+const { loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
 
-async function loadContract() {
-  const deploymentFile = path.join(
-    __dirname,
-    "..",
-    "deployments",
-    `${hre.network.name}-deployment.json`
-  );
+// Scenario files rely on time travel, so they only run on a local Hardhat chain
+const LOCAL_CHAIN_IDS = [1337n, 31337n];
 
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`❌ Deployment file not found: ${deploymentFile}`);
-    console.log("Please deploy the contract first using: npm run deploy");
+async function loadContract() {
+  let deploymentInfo;
+  try {
+    deploymentInfo = loadDeployment(hre.network.name);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
+  await warnOnAbiMismatch(hre, deploymentInfo);
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
   const [authority, ...otherSigners] = await hre.ethers.getSigners();
 
   const WaterResourceManager = await hre.ethers.getContractFactory("WaterResourceManager");
-  const contract = WaterResourceManager.attach(deploymentInfo.contractAddress);
+  const contract = new WaterResourceClient(WaterResourceManager.attach(deploymentInfo.contractAddress), {
+    encryptor: createHardhatEncryptor(hre),
+  });
 
   return { contract, deploymentInfo, authority, otherSigners };
 }
@@ -70,33 +81,21 @@ async function simulateCompleteWorkflow() {
     console.log(`  Manager: ${region.manager}`);
 
     try {
-      const tx = await contract.registerRegion(
+      const result = await contract.registerRegion(
         region.name,
         region.priority,
         region.manager
       );
-      const receipt = await tx.wait();
-
-      // Extract region ID from event
-      const event = receipt.logs.find(log => {
-        try {
-          return contract.interface.parseLog(log).name === "RegionRegistered";
-        } catch {
-          return false;
-        }
-      });
-
-      if (event) {
-        const parsedEvent = contract.interface.parseLog(event);
-        const regionId = Number(parsedEvent.args.regionId);
-        regionIds.push(regionId);
-        console.log(`  ✅ Registered with Region ID: ${regionId}`);
-        console.log(`  Transaction: ${receipt.hash}`);
+
+      if (result.regionId !== null) {
+        regionIds.push(result.regionId);
+        console.log(`  ✅ Registered with Region ID: ${result.regionId}`);
+        console.log(`  Transaction: ${result.hash}`);
       }
 
       await delay(1000);
     } catch (error) {
-      console.error(`  ❌ Error: ${error.message}`);
+      console.error(`  ❌ Error: ${errorReason(error)}`);
     }
   }
 
@@ -113,17 +112,16 @@ async function simulateCompleteWorkflow() {
   console.log(`  Duration: ${durationHours} hours`);
 
   try {
-    const tx = await contract.startAllocationPeriod(totalWater, durationHours);
-    const receipt = await tx.wait();
+    const result = await contract.startAllocationPeriod(totalWater, durationHours);
     console.log(`  ✅ Allocation period started`);
-    console.log(`  Transaction: ${receipt.hash}`);
+    console.log(`  Transaction: ${result.hash}`);
 
     const periodInfo = await contract.getCurrentPeriodInfo();
     console.log(`  Period ID: ${periodInfo.periodId}`);
-    console.log(`  Start: ${new Date(Number(periodInfo.startTime) * 1000).toLocaleString()}`);
-    console.log(`  End: ${new Date(Number(periodInfo.endTime) * 1000).toLocaleString()}`);
+    console.log(`  Start: ${new Date(periodInfo.startTime * 1000).toLocaleString()}`);
+    console.log(`  End: ${new Date(periodInfo.endTime * 1000).toLocaleString()}`);
   } catch (error) {
-    console.error(`  ❌ Error: ${error.message}`);
+    console.error(`  ❌ Error: ${errorReason(error)}`);
     return;
   }
 
@@ -142,15 +140,14 @@ async function simulateCompleteWorkflow() {
     console.log(`  Justification Score: ${request.justification}/100`);
 
     try {
-      const tx = await contract.connect(signer).submitWaterRequest(
+      const result = await contract.withRunner(signer).submitWaterRequest(
         request.amount,
         request.justification
       );
-      const receipt = await tx.wait();
       console.log(`  ✅ Request submitted`);
-      console.log(`  Transaction: ${receipt.hash}`);
+      console.log(`  Transaction: ${result.hash}`);
     } catch (error) {
-      console.error(`  ❌ Error: ${error.message}`);
+      console.error(`  ❌ Error: ${errorReason(error)}`);
     }
 
     await delay(1000);
@@ -162,18 +159,19 @@ async function simulateCompleteWorkflow() {
   console.log("\n\n📊 Step 4: Checking Request Status");
   console.log("━".repeat(70));
 
+  const currentPeriod = await contract.currentAllocationPeriod();
   for (let i = 0; i < regionIds.length; i++) {
     const regionId = regionIds[i];
     try {
-      const status = await contract.getRegionRequestStatus(regionId);
+      const status = await contract.getRegionRequestStatus(regionId, currentPeriod);
       console.log(`\n  Region ${regionId} (${regions[i].name}):`);
       console.log(`  Request Submitted: ${status.hasSubmittedRequest ? "✅" : "❌"}`);
       console.log(`  Request Processed: ${status.isProcessed ? "✅" : "❌"}`);
-      if (status.timestamp > 0n) {
-        console.log(`  Submission Time: ${new Date(Number(status.timestamp) * 1000).toLocaleString()}`);
+      if (status.timestamp > 0) {
+        console.log(`  Submission Time: ${new Date(status.timestamp * 1000).toLocaleString()}`);
       }
     } catch (error) {
-      console.error(`  ❌ Error checking region ${regionId}: ${error.message}`);
+      console.error(`  ❌ Error checking region ${regionId}: ${errorReason(error)}`);
     }
   }
 
@@ -184,13 +182,13 @@ async function simulateCompleteWorkflow() {
   console.log("  ⏳ Initiating allocation process...");
 
   try {
-    const tx = await contract.processAllocation();
-    const receipt = await tx.wait();
+    const result = await contract.processAllocation();
     console.log(`  ✅ Allocation processed successfully`);
-    console.log(`  Transaction: ${receipt.hash}`);
-    console.log(`  Gas Used: ${receipt.gasUsed.toString()}`);
+    console.log(`  Transaction: ${result.hash}`);
+    console.log(`  Decryption Request ID: ${result.requestId}`);
+    console.log(`  Gas Used: ${result.gasUsed.toString()}`);
   } catch (error) {
-    console.error(`  ❌ Error: ${error.message}`);
+    console.error(`  ❌ Error: ${errorReason(error)}`);
     console.log(`  Note: FHE decryption callbacks may require additional setup`);
   }
 
@@ -218,15 +216,14 @@ async function simulateCompleteWorkflow() {
     console.log(`  Emergency Amount: ${emergencyAmount} units`);
 
     try {
-      const tx = await contract.emergencyWaterAllocation(
+      const result = await contract.emergencyWaterAllocation(
         emergencyRegionId,
         emergencyAmount
       );
-      const receipt = await tx.wait();
       console.log(`  ✅ Emergency allocation completed`);
-      console.log(`  Transaction: ${receipt.hash}`);
+      console.log(`  Transaction: ${result.hash}`);
     } catch (error) {
-      console.error(`  ❌ Error: ${error.message}`);
+      console.error(`  ❌ Error: ${errorReason(error)}`);
     }
   }
 
@@ -263,44 +260,109 @@ async function simulateEmergencyScenario() {
 
   // Register emergency region
   console.log("\n1️⃣ Registering emergency region...");
-  const tx1 = await contract.registerRegion(
+  const registration = await contract.registerRegion(
     "Emergency Agricultural Zone",
     9,
     otherSigners[0].address
   );
-  const receipt1 = await tx1.wait();
-
-  const event = receipt1.logs.find(log => {
-    try {
-      return contract.interface.parseLog(log).name === "RegionRegistered";
-    } catch {
-      return false;
-    }
-  });
-
-  let regionId = 1;
-  if (event) {
-    const parsedEvent = contract.interface.parseLog(event);
-    regionId = Number(parsedEvent.args.regionId);
-  }
+  const regionId = registration.regionId;
 
   console.log(`✅ Emergency region registered (ID: ${regionId})`);
 
   // Emergency allocation
   console.log("\n2️⃣ Executing emergency water allocation...");
   const emergencyAmount = 10000;
-  const tx2 = await contract.emergencyWaterAllocation(regionId, emergencyAmount);
-  const receipt2 = await tx2.wait();
+  const allocation = await contract.emergencyWaterAllocation(regionId, emergencyAmount);
 
   console.log(`✅ Emergency allocation of ${emergencyAmount} units completed`);
-  console.log(`Transaction: ${receipt2.hash}`);
+  console.log(`Transaction: ${allocation.hash}`);
 
   console.log("\n✅ Emergency scenario simulation completed!\n");
 }
 
+async function runScenarioFile(file, { json }) {
+  const scenario = loadScenario(file);
+  const [authority, ...otherSigners] = await hre.ethers.getSigners();
+
+  // Every scenario starts from a freshly deployed contract
+  const WaterResourceManager = await hre.ethers.getContractFactory("WaterResourceManager");
+  const deployed = await WaterResourceManager.deploy();
+  await deployed.waitForDeployment();
+  const client = new WaterResourceClient(deployed, { encryptor: createHardhatEncryptor(hre) });
+
+  // The local gateway answers decryption requests in whatever mode the step asks for
+  const gateway =
+    hre.fhevm && hre.fhevm.isMock
+      ? new MockGateway(client, createMockOracle(hre), {
+        fromBlock: (await deployed.deploymentTransaction().wait()).blockNumber,
+        provider: hre.ethers.provider,
+      })
+      : null;
+
+  const runner = new ScenarioRunner(scenario, {
+    client,
+    authority,
+    signers: otherSigners,
+    increaseTime: (seconds) => time.increase(seconds),
+    fulfillDecryption: gateway ? (mode) => gateway.fulfillPending(mode) : undefined,
+  });
+
+  if (!json) {
+    console.log(`\n🎬 ${scenario.name}`);
+    if (scenario.description) {
+      console.log(`   ${scenario.description}`);
+    }
+    console.log("━".repeat(70));
+  }
+
+  return runner.run((step) => {
+    if (json) {
+      return;
+    }
+    console.log(`  ${step.passed ? "✅" : "❌"} ${step.index}. ${step.description}`);
+    for (const failure of step.failures) {
+      console.log(`       ↳ ${failure}`);
+    }
+  });
+}
+
+async function runScenarios(target, options) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`Scenario files run on a local Hardhat network, not ${hre.network.name} (chain ${chainId})`);
+  }
+
+  const results = [];
+  for (const file of findScenarioFiles(target)) {
+    try {
+      results.push(await runScenarioFile(file, options));
+    } catch (error) {
+      results.push({ name: path.basename(file), file, passed: false, error: errorReason(error), steps: [] });
+      if (!options.json) {
+        console.error(`\n❌ ${file}: ${errorReason(error)}`);
+      }
+    }
+  }
+
+  if (options.json) {
+    console.log(toJson(results));
+  } else {
+    const passed = results.filter((result) => result.passed).length;
+    console.log("\n" + "═".repeat(70));
+    console.log(`${passed === results.length ? "✅" : "❌"} ${passed}/${results.length} scenario(s) passed`);
+    console.log("═".repeat(70) + "\n");
+  }
+  return results.every((result) => result.passed);
+}
+
 async function main() {
-  const args = process.argv.slice(2);
-  const scenario = args[0] || "complete";
+  const args = process.argv.slice(2).filter((arg, index, all) => arg !== "--network" && all[index - 1] !== "--network");
+  const json = args.includes("--json");
+  const scenario = args.filter((arg) => arg !== "--json")[0] || "complete";
+
+  if (fs.existsSync(scenario)) {
+    return runScenarios(scenario, { json });
+  }
 
   console.log("\n💧 Water Resource Manager - Simulation Tool\n");
 
@@ -316,13 +378,16 @@ async function main() {
       console.log("Available scenarios:");
       console.log("  • complete (default) - Full workflow simulation");
       console.log("  • emergency - Emergency water crisis scenario");
+      console.log("  • <file or directory> - Scenario files (JSON/YAML), see scenarios/README.md");
       console.log("\nUsage: npm run simulate [scenario]");
-      console.log("Example: npm run simulate emergency\n");
+      console.log("Example: npm run simulate emergency");
+      console.log("Example: node scripts/simulate.js scenarios/ --json\n");
   }
+  return true;
 }
 
 main()
-  .then(() => process.exit(0))
+  .then((passed) => process.exit(passed ? 0 : 1))
   .catch((error) => {
     console.error("\n❌ Simulation failed:");
     console.error(error);
@@ -1,29 +1,26 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployment, updateVerification, warnOnAbiMismatch } = require("../lib/deployment");
+const { explainError } = require("../lib/errorCatalog");
 
 async function main() {
   console.log("\n🔍 Starting contract verification on Etherscan...\n");
 
-  // Load deployment info
-  const deploymentFile = path.join(
-    __dirname,
-    "..",
-    "deployments",
-    `${hre.network.name}-deployment.json`
-  );
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`❌ Deployment file not found: ${deploymentFile}`);
-    console.log("Please deploy the contract first using: npm run deploy");
+  // Load the deployment selected by DEPLOYMENT (latest by default)
+  let deploymentInfo;
+  try {
+    deploymentInfo = loadDeployment(hre.network.name);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  // Etherscan compares against the local sources, so they must match the deployed contract
+  await warnOnAbiMismatch(hre, deploymentInfo);
 
   console.log("📋 Verification Details:");
   console.log("━".repeat(50));
   console.log(`Network: ${deploymentInfo.network}`);
+  console.log(`Deployment: v${deploymentInfo.version}`);
   console.log(`Contract: ${deploymentInfo.contractName}`);
   console.log(`Address: ${deploymentInfo.contractAddress}`);
   console.log("━".repeat(50));
@@ -49,20 +46,18 @@ async function main() {
     console.log("\n🔗 View verified contract:");
     console.log(`   ${deploymentInfo.etherscanUrl}`);
 
-    // Update deployment info with verification status
-    deploymentInfo.verified = true;
-    deploymentInfo.verifiedAt = new Date().toISOString();
-    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
-
-    console.log("\n💾 Verification status updated in deployment file");
+    updateVerification(hre.network.name, deploymentInfo.version, "verified");
+    console.log("\n💾 Verification status updated in the deployment registry");
 
   } catch (error) {
-    if (error.message.includes("Already Verified")) {
+    if (explainError(error).name === "AlreadyVerified") {
       console.log("\n✅ Contract is already verified on Etherscan");
       console.log(`🔗 ${deploymentInfo.etherscanUrl}`);
+      updateVerification(hre.network.name, deploymentInfo.version, "verified");
     } else {
       console.error("\n❌ Verification failed:");
       console.error(error.message);
+      updateVerification(hre.network.name, deploymentInfo.version, "failed", { error: error.message });
 
       // Common errors and solutions
       console.log("\n💡 Troubleshooting:");
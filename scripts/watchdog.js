@@ -0,0 +1,113 @@
+const { EXIT_FAILURE, applyNetworkFlag, runCommand } = require("../lib/cli");
+
+// --network must be applied before Hardhat is loaded
+applyNetworkFlag(process.argv);
+
+const hre = require("hardhat");
+const fs = require("fs");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const TimeoutWatchdog = require("../lib/TimeoutWatchdog");
+const { loadDeployment, warnOnAbiMismatch } = require("../lib/deployment");
+
+const WATCHDOG_OPTIONS = {
+  account: { type: "integer", default: 0 },
+  "from-period": { type: "integer", default: 1 },
+  attempts: { type: "integer", default: 3 },
+  "retry-delay": { type: "integer", default: 5 },
+  "gas-limit": { type: "integer", optional: true },
+  "gas-margin": { type: "integer", default: 20 },
+  "max-gas-limit": { type: "integer", default: 5000000 },
+  "log-file": { type: "string", optional: true },
+};
+
+async function createWatchdog(params, flags) {
+  const deploymentInfo = loadDeployment(hre.network.name);
+  await warnOnAbiMismatch(hre, deploymentInfo);
+  const signers = await hre.ethers.getSigners();
+  const keeper = signers[params.account];
+  if (!keeper) {
+    throw new Error(`No signer at index ${params.account} (${signers.length} available)`);
+  }
+
+  // One JSON object per line; on stderr when stdout carries the --json result
+  const log = (entry) => {
+    const line = JSON.stringify(entry);
+    if (params["log-file"]) {
+      fs.appendFileSync(params["log-file"], line + "\n");
+    }
+    (flags.json ? console.error : console.log)(line);
+  };
+
+  const client = WaterResourceClient.connect(hre.ethers, deploymentInfo.contractAddress, keeper);
+  return new TimeoutWatchdog(client, {
+    fromPeriod: params["from-period"],
+    pollInterval: (params["poll-interval"] || 0) * 1000,
+    maxAttempts: params.attempts,
+    retryDelay: params["retry-delay"] * 1000,
+    gasLimit: params["gas-limit"],
+    gasMargin: params["gas-margin"],
+    maxGasLimit: params["max-gas-limit"],
+    log,
+  });
+}
+
+async function check(params, flags) {
+  const watchdog = await createWatchdog(params, flags);
+  const result = await watchdog.checkOnce();
+
+  // Let a scheduler see that a claim was abandoned
+  const failed = result.periods.filter((period) => period.status === "failed");
+  if (failed.length > 0) {
+    const error = new Error(`Could not claim the timeout for period(s) ${failed.map((p) => p.periodId).join(", ")}`);
+    error.result = result;
+    throw error;
+  }
+  return result;
+}
+
+async function watch(params, flags) {
+  const watchdog = await createWatchdog(params, flags);
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  await watchdog.watch({ signal: controller.signal });
+  return { stopped: true };
+}
+
+function printCheck(result) {
+  const open = result.periods.length;
+  const claimed = result.periods.filter((period) => period.status === "claimed").length;
+  console.log(`✅ Checked periods up to ${result.currentPeriod}: ${open} open, ${claimed} claimed`);
+}
+
+const COMMANDS = {
+  check: {
+    description: "Check open periods once and claim timed-out decryptions (for schedulers)",
+    options: WATCHDOG_OPTIONS,
+    run: check,
+    print: printCheck,
+  },
+  watch: {
+    description: "Keep checking open periods and claim decryption timeouts as they expire",
+    options: {
+      ...WATCHDOG_OPTIONS,
+      "poll-interval": { type: "integer", default: 60 },
+    },
+    run: watch,
+    print: () => console.log("👋 Watchdog stopped"),
+  },
+};
+
+async function main() {
+  return runCommand("scripts/watchdog.js", COMMANDS, process.argv.slice(2), (command, params, flags) =>
+    command.run(params, flags)
+  );
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Error:", error);
+    process.exit(EXIT_FAILURE);
+  });
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const EventStore = require("../lib/EventStore");
+const EventIndexer = require("../lib/EventIndexer");
+
+describe("EventIndexer", function () {
+  async function deployIndexerFixture() {
+    const [authority, alice, bob] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+
+    return { client, deployBlock: receipt.blockNumber, authority, alice, bob };
+  }
+
+  function createIndexer(client, deployBlock, options = {}) {
+    const store = new EventStore(fs.mkdtempSync(path.join(os.tmpdir(), "event-store-")));
+    const indexer = new EventIndexer(client, store, { startBlock: deployBlock, ...options });
+    return { store, indexer };
+  }
+
+  it("Should backfill normalized events from the deployment block", async function () {
+    const { client, deployBlock, alice } = await loadFixture(deployIndexerFixture);
+    await client.registerRegion("North Basin", 7, alice.address);
+    await client.startAllocationPeriod(10000, 24);
+    await client.emergencyWaterAllocation(1, 500);
+
+    const { store, indexer } = createIndexer(client, deployBlock);
+    const result = await indexer.syncOnce();
+
+    expect(result).to.include({ fromBlock: deployBlock, added: 3, removed: 0 });
+    const events = store.readEvents();
+    expect(events.map((e) => e.name)).to.deep.equal([
+      "RegionRegistered",
+      "AllocationPeriodStarted",
+      "EmergencyAllocation",
+    ]);
+    expect(events[0].args).to.deep.equal({ regionId: 1, name: "North Basin", manager: alice.address });
+    expect(events[0].blockTimestamp).to.be.a("number");
+    expect(events[0].id).to.equal(`${events[0].blockNumber}-${events[0].logIndex}`);
+  });
+
+  it("Should resume from the cursor without duplicating events", async function () {
+    const { client, deployBlock, alice, bob } = await loadFixture(deployIndexerFixture);
+    await client.registerRegion("North Basin", 7, alice.address);
+
+    const { store, indexer } = createIndexer(client, deployBlock);
+    await indexer.syncOnce();
+    await client.registerRegion("South Basin", 4, bob.address);
+
+    const resumed = new EventIndexer(client, new EventStore(store.directory), { startBlock: deployBlock });
+    const result = await resumed.syncOnce();
+
+    expect(result.added).to.equal(1);
+    expect(store.readEvents({ name: "RegionRegistered" }).map((e) => e.args.regionId)).to.deep.equal([1, 2]);
+    expect(store.readCursor().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should filter stored events by region, period and block range", async function () {
+    const { client, deployBlock, alice, bob } = await loadFixture(deployIndexerFixture);
+    await client.registerRegion("North Basin", 7, alice.address);
+    await client.registerRegion("South Basin", 4, bob.address);
+    await client.startAllocationPeriod(10000, 24);
+    await client.withRunner(alice).submitWaterRequest(3000, 80);
+    await client.withRunner(bob).submitWaterRequest(2000, 60);
+
+    const { store, indexer } = createIndexer(client, deployBlock);
+    await indexer.syncOnce();
+
+    expect(store.readEvents({ name: "WaterRequested", regionId: 2 })).to.have.lengthOf(1);
+    expect(store.readEvents({ periodId: 1 })).to.have.lengthOf(3);
+    const [first] = store.readEvents();
+    expect(store.readEvents({ toBlock: first.blockNumber })).to.deep.equal([first]);
+  });
+
+  it("Should roll back and re-index events from reorged blocks", async function () {
+    const { client, deployBlock, alice, bob } = await loadFixture(deployIndexerFixture);
+    await client.registerRegion("North Basin", 7, alice.address);
+    const snapshot = await network.provider.send("evm_snapshot");
+    await client.registerRegion("Orphaned Basin", 3, bob.address);
+
+    const { store, indexer } = createIndexer(client, deployBlock);
+    await indexer.syncOnce();
+    expect(store.readEvents()).to.have.lengthOf(2);
+
+    // Replace the last block with a different one at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await client.registerRegion("South Basin", 4, bob.address);
+
+    const result = await indexer.syncOnce();
+
+    expect(result).to.include({ removed: 1, added: 1 });
+    expect(store.readEvents().map((e) => e.args.name)).to.deep.equal(["North Basin", "South Basin"]);
+  });
+
+  it("Should stay behind the head by the configured confirmations", async function () {
+    const { client, deployBlock, alice } = await loadFixture(deployIndexerFixture);
+    await client.registerRegion("North Basin", 7, alice.address);
+
+    const { store, indexer } = createIndexer(client, deployBlock, { confirmations: 1 });
+    await indexer.syncOnce();
+
+    expect(store.readEvents()).to.have.lengthOf(0);
+    expect(store.readCursor().lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+  });
+
+  it("Should refuse a store created for another contract", async function () {
+    const { client, deployBlock } = await loadFixture(deployIndexerFixture);
+    const { store, indexer } = createIndexer(client, deployBlock);
+    await indexer.syncOnce();
+
+    store.writeCursor({ ...store.readCursor(), contractAddress: ethers.ZeroAddress });
+
+    await expect(indexer.syncOnce()).to.be.rejectedWith("indexes");
+  });
+});
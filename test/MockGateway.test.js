@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+
+describe("MockGateway", function () {
+  before(function () {
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  async function deployGatewayFixture() {
+    const [authority, alice, bob, relayer] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+    await client.startAllocationPeriod(10000, 24);
+    await client.withRunner(alice).submitWaterRequest(4000, 80);
+    await client.withRunner(bob).submitWaterRequest(3000, 60);
+    const { requestId, hash } = await client.processAllocation();
+
+    return { client, requestId, requestHash: hash, deployBlock: receipt.blockNumber, alice, relayer };
+  }
+
+  function createGateway(client, relayer, deployBlock, options = {}) {
+    return new MockGateway(client.withRunner(relayer), createMockOracle(hre), {
+      fromBlock: deployBlock,
+      provider: ethers.provider,
+      ...options,
+    });
+  }
+
+  it("Should relay the decrypted total with signatures the contract accepts", async function () {
+    const { client, requestId, deployBlock, relayer } = await loadFixture(deployGatewayFixture);
+    const gateway = createGateway(client, relayer, deployBlock);
+
+    const [record] = await gateway.pollOnce();
+
+    expect(record.status).to.equal("fulfilled");
+    expect(record.requestId).to.equal(requestId);
+    expect(record.totalWater).to.equal(10000);
+    expect(record.transaction.events.map((event) => event.name)).to.include("AllocationCompleted");
+
+    const period = await client.getCurrentPeriodInfo();
+    expect(period.distributionCompleted).to.be.true;
+    expect((await client.getDecryptionRequest(requestId)).completed).to.be.true;
+
+    // Already answered: a second poll does nothing
+    expect(await gateway.pollOnce()).to.deep.equal([]);
+  });
+
+  it("Should deliver a signed zero in zero mode so the period fails", async function () {
+    const { client, deployBlock, alice, relayer } = await loadFixture(deployGatewayFixture);
+    const gateway = createGateway(client, relayer, deployBlock, { mode: "zero" });
+
+    const [record] = await gateway.pollOnce();
+
+    expect(record.status).to.equal("fulfilled");
+    expect(record.totalWater).to.equal(0);
+    expect(record.transaction.events.map((event) => event.name)).to.deep.equal([
+      "DecryptionFulfilled",
+      "DecryptionFailed",
+    ]);
+    expect((await client.getCurrentPeriodInfo()).decryptionFailed).to.be.true;
+
+    const refund = await client.withRunner(alice).claimDecryptionFailureRefund(1);
+    expect(refund.events[0].name).to.equal("RefundProcessed");
+  });
+
+  it("Should never answer in drop mode, leaving the timeout path", async function () {
+    const { client, requestId, deployBlock, relayer } = await loadFixture(deployGatewayFixture);
+    const gateway = createGateway(client, relayer, deployBlock, { mode: "drop" });
+
+    const [record] = await gateway.pollOnce();
+    expect(record.status).to.equal("dropped");
+    expect(await gateway.flush()).to.deep.equal([]);
+    expect((await client.getDecryptionRequest(requestId)).completed).to.be.false;
+
+    await time.increase(24 * 60 * 60);
+    const result = await client.claimDecryptionTimeout(1);
+    expect(result.events.map((event) => event.name)).to.include("TimeoutProtectionTriggered");
+  });
+
+  it("Should hold callbacks in delay mode until they are due or flushed", async function () {
+    const { client, requestId, deployBlock, relayer } = await loadFixture(deployGatewayFixture);
+    const gateway = createGateway(client, relayer, deployBlock, { mode: "delay", delay: 60 * 60 * 1000 });
+
+    expect(await gateway.pollOnce()).to.deep.equal([]);
+    expect((await client.getDecryptionRequest(requestId)).completed).to.be.false;
+
+    const [record] = await gateway.flush();
+    expect(record.status).to.equal("fulfilled");
+    expect((await client.getDecryptionRequest(requestId)).completed).to.be.true;
+  });
+
+  it("Should switch modes for scripted runs", async function () {
+    const { client, deployBlock, relayer } = await loadFixture(deployGatewayFixture);
+    const gateway = createGateway(client, relayer, deployBlock, { mode: "drop" });
+
+    const result = await gateway.fulfillPending("zero");
+
+    expect(result.events.map((event) => event.name)).to.deep.equal(["DecryptionFulfilled", "DecryptionFailed"]);
+    expect(() => gateway.setMode("late")).to.throw("Unknown gateway mode");
+  });
+
+  it("Should leave requests answered by someone else alone", async function () {
+    const { client, deployBlock, relayer } = await loadFixture(deployGatewayFixture);
+    await hre.fhevm.awaitDecryptionOracle();
+
+    const gateway = createGateway(client, relayer, deployBlock);
+    expect(await gateway.pollOnce()).to.deep.equal([]);
+    expect([...gateway.requests.values()][0].status).to.equal("completed");
+  });
+
+  it("Should be rejected by the contract when the result does not match the signatures", async function () {
+    const { client, requestId, requestHash, relayer } = await loadFixture(deployGatewayFixture);
+    const oracle = createMockOracle(hre);
+
+    const receipt = await ethers.provider.getTransactionReceipt(requestHash);
+    const [{ handlesBytes32Hex: handles }] = oracle.parseRequests(receipt.logs);
+    const signed = await oracle.sign(handles, [10000n]);
+    const forged = await oracle.sign(handles, [999999n]);
+
+    await expect(
+      client.withRunner(relayer).processAllocationCallback(requestId, forged.cleartexts, signed.decryptionProof)
+    ).to.be.reverted;
+  });
+
+  it("Should mine past the blocks reverted over before new handles are created", async function () {
+    const provider = hre.network.provider;
+    await syncMockCoprocessor(hre);
+    const snapshot = await provider.request({ method: "evm_snapshot" });
+    const head = await ethers.provider.getBlockNumber();
+    await provider.request({ method: "hardhat_mine", params: ["0x10"] });
+    await provider.request({ method: "evm_revert", params: [snapshot] });
+
+    expect(await syncMockCoprocessor(hre)).to.equal(17);
+    expect(await ethers.provider.getBlockNumber()).to.equal(head + 17);
+    expect(await syncMockCoprocessor(hre)).to.equal(0);
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const TimeoutWatchdog = require("../lib/TimeoutWatchdog");
+
+describe("TimeoutWatchdog", function () {
+  before(function () {
+    // processAllocation needs the FHEVM decryption oracle, mocked locally
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  async function deployStalledPeriodFixture() {
+    const [authority, alice, bob, keeper] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+    await client.startAllocationPeriod(10000, 48);
+    await client.withRunner(alice).submitWaterRequest(4000, 80);
+    await client.withRunner(bob).submitWaterRequest(3000, 60);
+    await client.processAllocation();
+
+    return { client: client.withRunner(keeper) };
+  }
+
+  function createWatchdog(client, options = {}) {
+    const entries = [];
+    const watchdog = new TimeoutWatchdog(client, { retryDelay: 0, log: (entry) => entries.push(entry), ...options });
+    return { watchdog, entries };
+  }
+
+  it("Should wait while the decryption is still within its timeout", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog, entries } = createWatchdog(client);
+
+    const result = await watchdog.checkOnce();
+
+    expect(result.currentPeriod).to.equal(1);
+    expect(result.periods).to.have.lengthOf(1);
+    expect(result.periods[0]).to.include({ periodId: 1, status: "waiting" });
+    expect(entries.map((entry) => entry.event)).to.deep.equal(["waiting"]);
+    expect((await client.getPeriod(1)).decryptionFailed).to.be.false;
+  });
+
+  it("Should watch period 1, whose decryption request ID is 0", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog } = createWatchdog(client);
+
+    // The request ID is not a "requested" flag: the first request the oracle hands out is 0
+    expect((await client.getPeriod(1)).decryptionRequestId).to.equal(0n);
+    expect((await client.getDecryptionStatus(1)).requestTime).to.be.greaterThan(0);
+    const { periods } = await watchdog.checkOnce();
+    expect(periods).to.have.lengthOf(1);
+    expect(periods[0]).to.include({ periodId: 1, status: "waiting" });
+
+    await time.increase(24 * 60 * 60);
+    expect((await watchdog.checkOnce()).periods[0]).to.include({ periodId: 1, status: "claimed" });
+  });
+
+  it("Should claim the timeout once it has passed, then leave the period alone", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog, entries } = createWatchdog(client);
+    await time.increase(24 * 60 * 60);
+
+    const result = await watchdog.checkOnce();
+
+    expect(result.periods[0]).to.include({ periodId: 1, status: "claimed", attempts: 1, refunds: 2 });
+    expect((await client.getDecryptionStatus(1)).decryptionFailed).to.be.true;
+
+    const claimed = entries.find((entry) => entry.event === "claimed");
+    expect(claimed).to.include({ level: "info", periodId: 1, transactionHash: result.periods[0].transactionHash });
+    expect(claimed.gasUsed).to.be.a("number");
+    expect(Date.parse(claimed.time)).to.not.be.NaN;
+
+    expect((await watchdog.checkOnce()).periods).to.deep.equal([]);
+    // A fresh watchdog sees the period is closed too
+    expect((await createWatchdog(client).watchdog.checkOnce()).periods).to.deep.equal([]);
+  });
+
+  it("Should retry failed claims and give up after the last attempt", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog, entries } = createWatchdog(client, { gasLimit: 21000, maxAttempts: 3 });
+    await time.increase(24 * 60 * 60);
+
+    const result = await watchdog.checkOnce();
+
+    expect(result.periods[0]).to.include({ periodId: 1, status: "failed", attempts: 3 });
+    expect(entries.filter((entry) => entry.event === "claim-failed").map((entry) => entry.attempt)).to.deep.equal([
+      1, 2, 3,
+    ]);
+    expect(entries[entries.length - 1]).to.include({ level: "error", event: "claim-abandoned", periodId: 1 });
+    expect((await client.getPeriod(1)).decryptionFailed).to.be.false;
+
+    // Failed periods are tried again on the next check
+    watchdog.options.gasLimit = null;
+    expect((await watchdog.checkOnce()).periods[0].status).to.equal("claimed");
+  });
+
+  it("Should refuse to send a claim estimated above the gas cap", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog, entries } = createWatchdog(client, { maxGasLimit: 1000, maxAttempts: 1 });
+    await time.increase(24 * 60 * 60);
+
+    const result = await watchdog.checkOnce();
+
+    expect(result.periods[0].status).to.equal("failed");
+    expect(result.periods[0].error).to.include("above the 1000 limit");
+    expect(entries.some((entry) => entry.event === "claim-submitted")).to.be.false;
+  });
+
+  it("Should report a period closed by someone else as resolved", async function () {
+    const { client } = await loadFixture(deployStalledPeriodFixture);
+    const { watchdog, entries } = createWatchdog(client, { gasLimit: 21000 });
+    await time.increase(24 * 60 * 60);
+    await client.claimDecryptionTimeout(1);
+
+    const result = await watchdog.claim(1);
+
+    expect(result).to.include({ periodId: 1, status: "resolved", attempts: 1 });
+    expect(entries.map((entry) => entry.event)).to.deep.equal(["claim-submitted", "resolved"]);
+  });
+});
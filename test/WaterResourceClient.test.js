@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+
+describe("WaterResourceClient", function () {
+  async function deployClientFixture() {
+    const [authority, alice, bob, user] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+
+    return { client, contract, authority, alice, bob, user };
+  }
+
+  describe("ABI", function () {
+    it("Should cover every function, event and error of the compiled contract", async function () {
+      const artifact = await artifacts.readArtifact("WaterResourceManager");
+      const compiled = new ethers.Interface(artifact.abi);
+      const sdk = new ethers.Interface(WaterResourceClient.ABI);
+
+      compiled.forEachFunction((fragment) => {
+        expect(sdk.getFunction(fragment.format("sighash")), fragment.format()).to.not.be.null;
+      });
+      compiled.forEachEvent((fragment) => {
+        expect(sdk.getEvent(fragment.format("sighash")), fragment.format()).to.not.be.null;
+      });
+      compiled.forEachError((fragment) => {
+        expect(sdk.getError(fragment.format("sighash")), fragment.format()).to.not.be.null;
+      });
+    });
+
+    it("Should list every contract event name", async function () {
+      const sdk = new ethers.Interface(WaterResourceClient.ABI);
+      const names = [];
+      sdk.forEachEvent((fragment) => names.push(fragment.name));
+
+      expect(WaterResourceClient.EVENT_NAMES).to.have.members(names);
+    });
+  });
+
+  describe("Reads", function () {
+    it("Should return contract info as plain values", async function () {
+      const { client, authority } = await loadFixture(deployClientFixture);
+
+      expect(await client.authority()).to.equal(authority.address);
+      expect(await client.currentAllocationPeriod()).to.equal(0);
+      expect(await client.totalRegions()).to.equal(0);
+      expect(await client.nextRegionId()).to.equal(1);
+      expect(await client.isAllocationPeriodActive()).to.be.false;
+      expect(await client.getTimeouts()).to.deep.equal({
+        decryptionTimeout: 86400,
+        requestTimeout: 604800,
+      });
+    });
+
+    it("Should return named region info", async function () {
+      const { client, alice } = await loadFixture(deployClientFixture);
+
+      await client.registerRegion("North Basin", 7, alice.address);
+      const info = await client.getRegionInfo(1);
+
+      expect(info.regionId).to.equal(1);
+      expect(info.name).to.equal("North Basin");
+      expect(info.isActive).to.be.true;
+      expect(info.manager).to.equal(alice.address);
+      expect(info.lastUpdateTime).to.be.a("number");
+      expect(info.lockedAmount).to.equal(0n);
+    });
+
+    it("Should read deactivated regions through getRegion", async function () {
+      const { client, alice } = await loadFixture(deployClientFixture);
+
+      await client.registerRegion("North Basin", 7, alice.address);
+      await client.deactivateRegion(1);
+      const region = await client.getRegion(1);
+
+      expect(region.name).to.equal("North Basin");
+      expect(region.isActive).to.be.false;
+      expect(region.manager).to.equal(alice.address);
+    });
+
+    it("Should return named period info", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      await client.startAllocationPeriod(10000, 24);
+      const info = await client.getCurrentPeriodInfo();
+
+      expect(info.periodId).to.equal(1);
+      expect(info.endTime - info.startTime).to.equal(24 * 3600);
+      expect(info.isActive).to.be.true;
+      expect(info.distributionCompleted).to.be.false;
+      expect(info.decryptionFailed).to.be.false;
+      expect(info.decryptionRequestId).to.equal(0n);
+    });
+
+    it("Should return request status and participants for a period", async function () {
+      const { client, alice, bob } = await loadFixture(deployClientFixture);
+
+      await client.registerRegion("Region A", 5, alice.address);
+      await client.registerRegion("Region B", 6, bob.address);
+      await client.startAllocationPeriod(10000, 24);
+      await client.withRunner(bob).submitWaterRequest(3000, 80);
+      await client.withRunner(alice).submitWaterRequest(5000, 75);
+
+      const status = await client.getRegionRequestStatus(1, 1);
+      expect(status).to.include({ regionId: 1, periodId: 1, hasSubmittedRequest: true, isProcessed: false });
+      expect(status.requestTimeout - status.timestamp).to.equal(7 * 24 * 3600);
+
+      expect(await client.getPeriodParticipants(1)).to.deep.equal([2, 1]);
+      expect(await client.regionIdOf(bob.address)).to.equal(2);
+    });
+
+    it("Should return decryption status before any request", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      await client.startAllocationPeriod(10000, 24);
+
+      expect(await client.getDecryptionStatus(1)).to.deep.equal({
+        periodId: 1,
+        requestTime: 0,
+        timeSinceRequest: 0,
+        timedOut: false,
+        decryptionFailed: false,
+      });
+    });
+  });
+
+  describe("Writes", function () {
+    it("Should decode the region ID from RegionRegistered", async function () {
+      const { client, alice, bob } = await loadFixture(deployClientFixture);
+
+      const first = await client.registerRegion("Region A", 5, alice.address);
+      const second = await client.registerRegion("Region B", 6, bob.address);
+
+      expect(first.regionId).to.equal(1);
+      expect(second.regionId).to.equal(2);
+      expect(second.events[0]).to.deep.include({
+        name: "RegionRegistered",
+        args: { regionId: 2, name: "Region B", manager: bob.address },
+      });
+    });
+
+    it("Should decode the period ID from AllocationPeriodStarted", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      await client.startAllocationPeriod(10000, 1);
+      await time.increase(3601);
+      const result = await client.startAllocationPeriod(5000, 2);
+
+      expect(result.periodId).to.equal(2);
+      expect(result.status).to.equal(1);
+      expect(result.gasUsed).to.be.a("bigint");
+    });
+
+    it("Should notify onSubmitted before waiting for the receipt", async function () {
+      const { contract, authority, alice } = await loadFixture(deployClientFixture);
+      const submitted = [];
+      const client = new WaterResourceClient(contract.connect(authority), {
+        onSubmitted: (method, hash) => submitted.push({ method, hash }),
+      });
+
+      const result = await client.registerRegion("Region A", 5, alice.address);
+
+      expect(submitted).to.deep.equal([{ method: "registerRegion", hash: result.hash }]);
+    });
+
+    it("Should run beforeSend with the call's arguments and cancel the write when it throws", async function () {
+      const { contract, authority, alice } = await loadFixture(deployClientFixture);
+      const calls = [];
+      const client = new WaterResourceClient(contract.connect(authority), {
+        beforeSend: async (method, args) => {
+          calls.push({ method, args });
+          throw new Error("Cancelled");
+        },
+      });
+
+      await expect(client.registerRegion("Region A", 5, alice.address)).to.be.rejectedWith("Cancelled");
+
+      expect(calls).to.deep.equal([{ method: "registerRegion", args: ["Region A", 5, alice.address, {}] }]);
+      expect(await client.totalRegions()).to.equal(0);
+    });
+
+    it("Should estimate gas without sending", async function () {
+      const { client, alice } = await loadFixture(deployClientFixture);
+
+      const estimate = await client.estimateGas("registerRegion", "Region A", 5, alice.address);
+      const result = await client.registerRegion("Region A", 5, alice.address, { gasLimit: estimate });
+
+      expect(estimate).to.be.a("bigint");
+      expect(result.gasUsed <= estimate).to.be.true;
+      expect(await client.totalRegions()).to.equal(1);
+    });
+
+    it("Should simulate writes without sending", async function () {
+      const { client, contract, user, alice } = await loadFixture(deployClientFixture);
+
+      await client.simulate("registerRegion", "Region A", 5, alice.address);
+      await expect(client.withRunner(user).simulate("registerRegion", "Region A", 5, alice.address))
+        .to.be.revertedWithCustomError(contract, "NotAuthorized")
+        .withArgs(user.address);
+      expect(await client.totalRegions()).to.equal(0);
+    });
+
+    it("Should refuse encrypted inputs without an encryptor", async function () {
+      const { contract, authority } = await loadFixture(deployClientFixture);
+      const client = new WaterResourceClient(contract.connect(authority));
+
+      await expect(client.startAllocationPeriod(10000, 24)).to.be.rejectedWith(
+        "startAllocationPeriod takes encrypted inputs; create the client with an encryptor option"
+      );
+    });
+
+    it("Should surface contract reverts", async function () {
+      const { client, contract, user, alice } = await loadFixture(deployClientFixture);
+
+      await expect(client.withRunner(user).registerRegion("Region", 5, alice.address))
+        .to.be.revertedWithCustomError(contract, "NotAuthorized")
+        .withArgs(user.address);
+    });
+  });
+
+  describe("Events", function () {
+    it("Should query past events with named arguments", async function () {
+      const { client, alice, bob } = await loadFixture(deployClientFixture);
+
+      await client.registerRegion("Region A", 5, alice.address);
+      await client.registerRegion("Region B", 6, bob.address);
+      await client.emergencyWaterAllocation(2, 1500);
+
+      const registered = await client.queryEvents("RegionRegistered");
+      expect(registered.map((e) => e.args.name)).to.deep.equal(["Region A", "Region B"]);
+
+      const emergency = await client.queryEvents("EmergencyAllocation", { args: [2] });
+      expect(emergency).to.have.lengthOf(1);
+      expect(emergency[0].args).to.deep.equal({ regionId: 2 });
+      expect(emergency[0].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should query every contract event with a wildcard", async function () {
+      const { client, alice } = await loadFixture(deployClientFixture);
+
+      await client.registerRegion("Region A", 5, alice.address);
+      await client.startAllocationPeriod(10000, 24);
+
+      const events = await client.queryEvents("*");
+      expect(events.map((e) => e.name)).to.deep.equal(["RegionRegistered", "AllocationPeriodStarted"]);
+    });
+
+    it("Should ignore logs from other contracts when parsing receipts", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      const foreign = { address: ethers.ZeroAddress, topics: [], data: "0x" };
+      const result = client.parseReceipt({
+        hash: "0x01",
+        blockNumber: 1,
+        gasUsed: 21000n,
+        status: 1,
+        logs: [foreign],
+      });
+
+      expect(result.events).to.deep.equal([]);
+    });
+  });
+});
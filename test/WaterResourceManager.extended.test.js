@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("WaterResourceManager - Extended Tests", function () {
@@ -23,6 +24,28 @@ describe("WaterResourceManager - Extended Tests", function () {
     };
   }
 
+  // Contract calls with client-side encrypted inputs, bound to the contract and its runner
+  async function encryptInputs(contract, ...values) {
+    const input = hre.fhevm.createEncryptedInput(await contract.getAddress(), await contract.runner.getAddress());
+    values.forEach((value) => input.add32(value));
+    return input.encrypt();
+  }
+
+  async function startAllocationPeriod(contract, totalAvailableWater, durationHours) {
+    const { handles, inputProof } = await encryptInputs(contract, totalAvailableWater);
+    return contract.startAllocationPeriod(handles[0], inputProof, durationHours);
+  }
+
+  async function submitWaterRequest(contract, requestedAmount, justificationScore) {
+    const { handles, inputProof } = await encryptInputs(contract, requestedAmount, justificationScore);
+    return contract.submitWaterRequest(handles[0], handles[1], inputProof);
+  }
+
+  async function emergencyWaterAllocation(contract, regionId, emergencyAmount) {
+    const { handles, inputProof } = await encryptInputs(contract, emergencyAmount);
+    return contract.emergencyWaterAllocation(regionId, handles[0], inputProof);
+  }
+
   describe("Multiple Region Management", function () {
     it("Should register multiple regions with different priorities", async function () {
       const { contract, alice, bob, carol } = await loadFixture(deployContractFixture);
@@ -75,7 +98,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       const beforeTime = await time.latest();
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
       const afterTime = await time.latest();
 
       const periodInfo = await contract.getCurrentPeriodInfo();
@@ -87,7 +110,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       const duration = 48; // 48 hours
-      await contract.startAllocationPeriod(10000, duration);
+      await startAllocationPeriod(contract, 10000, duration);
 
       const periodInfo = await contract.getCurrentPeriodInfo();
       const expectedEndTime = Number(periodInfo.startTime) + (duration * 3600);
@@ -99,13 +122,13 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       // Start first period
-      await contract.startAllocationPeriod(10000, 1); // 1 hour
+      await startAllocationPeriod(contract, 10000, 1); // 1 hour
 
       // Fast forward past the period
       await time.increase(3601); // 1 hour + 1 second
 
       // Should be able to start new period
-      await expect(contract.startAllocationPeriod(5000, 2))
+      await expect(startAllocationPeriod(contract, 5000, 2))
         .to.emit(contract, "AllocationPeriodStarted");
     });
 
@@ -113,16 +136,16 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 0)
-      ).to.be.revertedWith("Duration must be 1-168 hours");
+        startAllocationPeriod(contract, 10000, 0)
+      ).to.be.revertedWithCustomError(contract, "InvalidDuration").withArgs(0);
     });
 
     it("Should prevent starting period with very long duration", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 200)
-      ).to.be.revertedWith("Duration must be 1-168 hours");
+        startAllocationPeriod(contract, 10000, 200)
+      ).to.be.revertedWithCustomError(contract, "InvalidDuration").withArgs(200);
     });
   });
 
@@ -132,10 +155,10 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await contract.registerRegion("Region A", 5, alice.address);
       await contract.registerRegion("Region B", 6, bob.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
-      await contract.connect(alice).submitWaterRequest(5000, 75);
-      await contract.connect(bob).submitWaterRequest(3000, 80);
+      await submitWaterRequest(contract.connect(alice), 5000, 75);
+      await submitWaterRequest(contract.connect(bob), 3000, 80);
 
       const periodInfo = await contract.getCurrentPeriodInfo();
       expect(periodInfo.participatingRegions).to.equal(2);
@@ -145,23 +168,23 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
-      await contract.connect(alice).submitWaterRequest(5000, 75);
+      await submitWaterRequest(contract.connect(alice), 5000, 75);
 
       await expect(
-        contract.connect(alice).submitWaterRequest(3000, 80)
-      ).to.be.revertedWith("Region already submitted request");
+        submitWaterRequest(contract.connect(alice), 3000, 80)
+      ).to.be.revertedWithCustomError(contract, "RequestAlreadySubmitted").withArgs(1, 1);
     });
 
     it("Should accept minimum justification score", async function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       await expect(
-        contract.connect(alice).submitWaterRequest(5000, 1)
+        submitWaterRequest(contract.connect(alice), 5000, 1)
       ).to.not.be.reverted;
     });
 
@@ -169,10 +192,10 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       await expect(
-        contract.connect(alice).submitWaterRequest(5000, 100)
+        submitWaterRequest(contract.connect(alice), 5000, 100)
       ).to.not.be.reverted;
     });
 
@@ -182,8 +205,8 @@ describe("WaterResourceManager - Extended Tests", function () {
       await contract.registerRegion("Region A", 5, alice.address);
       const beforeTime = await time.latest();
 
-      await contract.startAllocationPeriod(10000, 24);
-      await contract.connect(alice).submitWaterRequest(5000, 75);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(alice), 5000, 75);
 
       const regionInfo = await contract.getRegionInfo(1);
       expect(regionInfo.lastUpdateTime).to.be.gte(beforeTime);
@@ -197,8 +220,8 @@ describe("WaterResourceManager - Extended Tests", function () {
       await contract.registerRegion("Region A", 5, alice.address);
       await contract.registerRegion("Region B", 6, bob.address);
 
-      await contract.emergencyWaterAllocation(1, 2000);
-      await contract.emergencyWaterAllocation(2, 1500);
+      await emergencyWaterAllocation(contract, 1, 2000);
+      await emergencyWaterAllocation(contract, 2, 1500);
 
       // Both should succeed
       expect(await contract.totalRegions()).to.equal(2);
@@ -210,7 +233,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       await contract.registerRegion("Region A", 5, alice.address);
       const beforeTime = await time.latest();
 
-      await contract.emergencyWaterAllocation(1, 2000);
+      await emergencyWaterAllocation(contract, 1, 2000);
 
       const regionInfo = await contract.getRegionInfo(1);
       expect(regionInfo.lastUpdateTime).to.be.gte(beforeTime);
@@ -223,7 +246,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       const maxUint32 = 2n ** 32n - 1n;
       await expect(
-        contract.emergencyWaterAllocation(1, maxUint32)
+        emergencyWaterAllocation(contract, 1, maxUint32)
       ).to.not.be.reverted;
     });
 
@@ -234,8 +257,8 @@ describe("WaterResourceManager - Extended Tests", function () {
       await contract.deactivateRegion(1);
 
       await expect(
-        contract.emergencyWaterAllocation(1, 2000)
-      ).to.be.revertedWith("Region not active");
+        emergencyWaterAllocation(contract, 1, 2000)
+      ).to.be.revertedWithCustomError(contract, "RegionNotActive").withArgs(1);
     });
   });
 
@@ -257,7 +280,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await expect(
         contract.updateRegionManager(1, ethers.ZeroAddress)
-      ).to.be.revertedWith("Invalid manager address");
+      ).to.be.revertedWithCustomError(contract, "InvalidManagerAddress");
     });
 
     it("Should prevent updating non-existent region", async function () {
@@ -265,7 +288,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await expect(
         contract.updateRegionManager(999, alice.address)
-      ).to.be.revertedWith("Invalid region ID");
+      ).to.be.revertedWithCustomError(contract, "InvalidRegionId").withArgs(999);
     });
 
     it("Should allow updating manager multiple times", async function () {
@@ -312,7 +335,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await expect(
         contract.deactivateRegion(1)
-      ).to.be.revertedWith("Region not active");
+      ).to.be.revertedWithCustomError(contract, "RegionNotActive").withArgs(1);
     });
 
     it("Should prevent deactivating non-existent region", async function () {
@@ -320,7 +343,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await expect(
         contract.deactivateRegion(999)
-      ).to.be.revertedWith("Invalid region ID");
+      ).to.be.revertedWithCustomError(contract, "InvalidRegionId").withArgs(999);
     });
   });
 
@@ -342,7 +365,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       const status = await contract.getRegionRequestStatus(1);
 
@@ -373,19 +396,19 @@ describe("WaterResourceManager - Extended Tests", function () {
       const receipt = await tx.wait();
 
       // Verify gas is under threshold
-      expect(receipt.gasUsed).to.be.lt(300000);
+      expect(receipt.gasUsed).to.be.lt(350000);
     });
 
     it("Should use reasonable gas for water request", async function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
-      const tx = await contract.connect(alice).submitWaterRequest(5000, 75);
+      const tx = await submitWaterRequest(contract.connect(alice), 5000, 75);
       const receipt = await tx.wait();
 
-      expect(receipt.gasUsed).to.be.lt(300000);
+      expect(receipt.gasUsed).to.be.lt(600000);
     });
 
     it("Should use reasonable gas for emergency allocation", async function () {
@@ -393,10 +416,10 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       await contract.registerRegion("Region A", 5, alice.address);
 
-      const tx = await contract.emergencyWaterAllocation(1, 2000);
+      const tx = await emergencyWaterAllocation(contract, 1, 2000);
       const receipt = await tx.wait();
 
-      expect(receipt.gasUsed).to.be.lt(200000);
+      expect(receipt.gasUsed).to.be.lt(250000);
     });
   });
 
@@ -430,7 +453,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 1)
+        startAllocationPeriod(contract, 10000, 1)
       ).to.not.be.reverted;
     });
 
@@ -438,7 +461,7 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 168)
+        startAllocationPeriod(contract, 10000, 168)
       ).to.not.be.reverted;
     });
 
@@ -447,7 +470,7 @@ describe("WaterResourceManager - Extended Tests", function () {
 
       const maxUint32 = 2n ** 32n - 1n;
       await expect(
-        contract.startAllocationPeriod(maxUint32, 24)
+        startAllocationPeriod(contract, maxUint32, 24)
       ).to.not.be.reverted;
     });
 
@@ -455,10 +478,10 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       await expect(
-        contract.connect(alice).submitWaterRequest(1, 75)
+        submitWaterRequest(contract.connect(alice), 1, 75)
       ).to.not.be.reverted;
     });
 
@@ -466,11 +489,11 @@ describe("WaterResourceManager - Extended Tests", function () {
       const { contract, alice } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region A", 5, alice.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       const maxUint32 = 2n ** 32n - 1n;
       await expect(
-        contract.connect(alice).submitWaterRequest(maxUint32, 75)
+        submitWaterRequest(contract.connect(alice), maxUint32, 75)
       ).to.not.be.reverted;
     });
   });
@@ -1,6 +1,9 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { syncMockCoprocessor } = require("../lib/MockGateway");
 
 describe("WaterResourceManager", function () {
   // Fixture for deploying the contract
@@ -14,6 +17,39 @@ describe("WaterResourceManager", function () {
     return { contract, authority, manager1, manager2, manager3, user };
   }
 
+  // Tests that decrypt deploy afresh: the mock coprocessor does not follow a loadFixture revert
+  async function deployDecryptableContract() {
+    await syncMockCoprocessor(hre);
+    return deployContractFixture();
+  }
+
+  // Contract calls with client-side encrypted inputs, bound to the contract and its runner
+  async function encryptInputs(contract, ...values) {
+    const input = hre.fhevm.createEncryptedInput(await contract.getAddress(), await contract.runner.getAddress());
+    values.forEach((value) => input.add32(value));
+    return input.encrypt();
+  }
+
+  async function startAllocationPeriod(contract, totalAvailableWater, durationHours) {
+    const { handles, inputProof } = await encryptInputs(contract, totalAvailableWater);
+    return contract.startAllocationPeriod(handles[0], inputProof, durationHours);
+  }
+
+  async function submitWaterRequest(contract, requestedAmount, justificationScore) {
+    const { handles, inputProof } = await encryptInputs(contract, requestedAmount, justificationScore);
+    return contract.submitWaterRequest(handles[0], handles[1], inputProof);
+  }
+
+  async function emergencyWaterAllocation(contract, regionId, emergencyAmount) {
+    const { handles, inputProof } = await encryptInputs(contract, emergencyAmount);
+    return contract.emergencyWaterAllocation(regionId, handles[0], inputProof);
+  }
+
+  // Mock mode reads stored ciphertexts directly, without the ACL
+  function decrypt(handle) {
+    return hre.fhevm.debugger.decryptEuint(FhevmType.euint32, handle);
+  }
+
   describe("Deployment", function () {
     it("Should set the correct authority", async function () {
       const { contract, authority } = await loadFixture(deployContractFixture);
@@ -65,7 +101,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.connect(user).registerRegion("Region", 5, manager1.address)
-      ).to.be.revertedWith("Not authorized");
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized").withArgs(user.address);
     });
 
     it("Should fail with invalid priority (0)", async function () {
@@ -73,7 +109,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.registerRegion("Region", 0, manager1.address)
-      ).to.be.revertedWith("Priority must be 1-10");
+      ).to.be.revertedWithCustomError(contract, "InvalidPriorityLevel").withArgs(0);
     });
 
     it("Should fail with invalid priority (>10)", async function () {
@@ -81,7 +117,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.registerRegion("Region", 11, manager1.address)
-      ).to.be.revertedWith("Priority must be 1-10");
+      ).to.be.revertedWithCustomError(contract, "InvalidPriorityLevel").withArgs(11);
     });
 
     it("Should fail with empty region name", async function () {
@@ -89,7 +125,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.registerRegion("", 5, manager1.address)
-      ).to.be.revertedWith("Invalid region name");
+      ).to.be.revertedWithCustomError(contract, "InvalidRegionName");
     });
 
     it("Should fail with zero address manager", async function () {
@@ -97,7 +133,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.registerRegion("Region", 5, ethers.ZeroAddress)
-      ).to.be.revertedWith("Invalid manager address");
+      ).to.be.revertedWithCustomError(contract, "InvalidManagerAddress");
     });
   });
 
@@ -105,7 +141,7 @@ describe("WaterResourceManager", function () {
     it("Should start allocation period successfully", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await expect(contract.startAllocationPeriod(10000, 24))
+      await expect(startAllocationPeriod(contract, 10000, 24))
         .to.emit(contract, "AllocationPeriodStarted")
         .withArgs(1, await ethers.provider.getBlock("latest").then(b => b.timestamp + 1));
     });
@@ -113,7 +149,7 @@ describe("WaterResourceManager", function () {
     it("Should set period to active after start", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
       expect(await contract.isAllocationPeriodActive()).to.be.true;
     });
 
@@ -121,41 +157,40 @@ describe("WaterResourceManager", function () {
       const { contract, user } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.connect(user).startAllocationPeriod(10000, 24)
-      ).to.be.revertedWith("Not authorized");
+        startAllocationPeriod(contract.connect(user), 10000, 24)
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized").withArgs(user.address);
     });
 
     it("Should fail if period already active", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
       await expect(
-        contract.startAllocationPeriod(5000, 12)
-      ).to.be.revertedWith("Allocation period already active");
+        startAllocationPeriod(contract, 5000, 12)
+      ).to.be.revertedWithCustomError(contract, "AllocationPeriodAlreadyActive").withArgs(1);
     });
 
-    it("Should fail with zero water amount", async function () {
+    it("Should accept a zero water amount without revealing it", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await expect(
-        contract.startAllocationPeriod(0, 24)
-      ).to.be.revertedWith("Invalid water amount");
+      await expect(startAllocationPeriod(contract, 0, 24)).to.emit(contract, "AllocationPeriodStarted");
+      expect(await contract.isAllocationPeriodActive()).to.be.true;
     });
 
     it("Should fail with zero duration", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 0)
-      ).to.be.revertedWith("Duration must be 1-168 hours");
+        startAllocationPeriod(contract, 10000, 0)
+      ).to.be.revertedWithCustomError(contract, "InvalidDuration").withArgs(0);
     });
 
     it("Should fail with duration >168 hours", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.startAllocationPeriod(10000, 169)
-      ).to.be.revertedWith("Duration must be 1-168 hours");
+        startAllocationPeriod(contract, 10000, 169)
+      ).to.be.revertedWithCustomError(contract, "InvalidDuration").withArgs(169);
     });
   });
 
@@ -165,9 +200,9 @@ describe("WaterResourceManager", function () {
 
       // Register region and start period
       await contract.registerRegion("Region 1", 5, manager1.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
-      await expect(contract.connect(manager1).submitWaterRequest(5000, 75))
+      await expect(submitWaterRequest(contract.connect(manager1), 5000, 75))
         .to.emit(contract, "WaterRequested")
         .withArgs(1, 1, manager1.address);
     });
@@ -175,11 +210,11 @@ describe("WaterResourceManager", function () {
     it("Should fail if not region manager", async function () {
       const { contract, user } = await loadFixture(deployContractFixture);
 
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
 
       await expect(
-        contract.connect(user).submitWaterRequest(5000, 75)
-      ).to.be.revertedWith("Not a registered region manager");
+        submitWaterRequest(contract.connect(user), 5000, 75)
+      ).to.be.revertedWithCustomError(contract, "NotRegisteredRegionManager").withArgs(user.address);
     });
 
     it("Should fail if no active allocation period", async function () {
@@ -188,41 +223,53 @@ describe("WaterResourceManager", function () {
       await contract.registerRegion("Region 1", 5, manager1.address);
 
       await expect(
-        contract.connect(manager1).submitWaterRequest(5000, 75)
-      ).to.be.revertedWith("Not during allocation period");
+        submitWaterRequest(contract.connect(manager1), 5000, 75)
+      ).to.be.revertedWithCustomError(contract, "NotDuringAllocationPeriod").withArgs(0);
     });
 
-    it("Should fail with zero requested amount", async function () {
-      const { contract, manager1 } = await loadFixture(deployContractFixture);
+    it("Should store the encrypted amount and score", async function () {
+      const { contract, manager1 } = await deployDecryptableContract();
 
       await contract.registerRegion("Region 1", 5, manager1.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(manager1), 5000, 75);
 
-      await expect(
-        contract.connect(manager1).submitWaterRequest(0, 75)
-      ).to.be.revertedWith("Invalid requested amount");
+      const request = await contract.waterRequests(1, 1);
+      expect(await decrypt(request.requestedAmount)).to.equal(5000n);
+      expect(await decrypt(request.justificationScore)).to.equal(75n);
     });
 
-    it("Should fail with invalid justification score (0)", async function () {
-      const { contract, manager1 } = await loadFixture(deployContractFixture);
+    it("Should store requested amounts above half of uint32 as zero", async function () {
+      const { contract, manager1 } = await deployDecryptableContract();
 
       await contract.registerRegion("Region 1", 5, manager1.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(manager1), 2 ** 31, 75);
 
-      await expect(
-        contract.connect(manager1).submitWaterRequest(5000, 0)
-      ).to.be.revertedWith("Justification score must be 1-100");
+      const request = await contract.waterRequests(1, 1);
+      expect(await decrypt(request.requestedAmount)).to.equal(0n);
     });
 
-    it("Should fail with invalid justification score (>100)", async function () {
-      const { contract, manager1 } = await loadFixture(deployContractFixture);
+    it("Should clamp justification score 0 to 1", async function () {
+      const { contract, manager1 } = await deployDecryptableContract();
 
       await contract.registerRegion("Region 1", 5, manager1.address);
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(manager1), 5000, 0);
 
-      await expect(
-        contract.connect(manager1).submitWaterRequest(5000, 101)
-      ).to.be.revertedWith("Justification score must be 1-100");
+      const request = await contract.waterRequests(1, 1);
+      expect(await decrypt(request.justificationScore)).to.equal(1n);
+    });
+
+    it("Should clamp justification score >100 to 100", async function () {
+      const { contract, manager1 } = await deployDecryptableContract();
+
+      await contract.registerRegion("Region 1", 5, manager1.address);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(manager1), 5000, 101);
+
+      const request = await contract.waterRequests(1, 1);
+      expect(await decrypt(request.justificationScore)).to.equal(100n);
     });
   });
 
@@ -241,7 +288,7 @@ describe("WaterResourceManager", function () {
     it("Should return current period info", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await contract.startAllocationPeriod(10000, 24);
+      await startAllocationPeriod(contract, 10000, 24);
       const info = await contract.getCurrentPeriodInfo();
 
       expect(info.periodId).to.equal(1);
@@ -253,8 +300,8 @@ describe("WaterResourceManager", function () {
       const { contract, manager1 } = await loadFixture(deployContractFixture);
 
       await contract.registerRegion("Region 1", 5, manager1.address);
-      await contract.startAllocationPeriod(10000, 24);
-      await contract.connect(manager1).submitWaterRequest(5000, 75);
+      await startAllocationPeriod(contract, 10000, 24);
+      await submitWaterRequest(contract.connect(manager1), 5000, 75);
 
       const status = await contract.getRegionRequestStatus(1);
       expect(status.hasSubmittedRequest).to.be.true;
@@ -264,13 +311,14 @@ describe("WaterResourceManager", function () {
 
   describe("Emergency Allocation", function () {
     it("Should perform emergency allocation", async function () {
-      const { contract, manager1 } = await loadFixture(deployContractFixture);
+      const { contract, manager1 } = await deployDecryptableContract();
 
       await contract.registerRegion("Region 1", 5, manager1.address);
 
-      await expect(contract.emergencyWaterAllocation(1, 2000))
+      await expect(emergencyWaterAllocation(contract, 1, 2000))
         .to.emit(contract, "EmergencyAllocation")
-        .withArgs(1, 2000);
+        .withArgs(1);
+      expect(await decrypt((await contract.regions(1)).allocatedAmount)).to.equal(2000n);
     });
 
     it("Should fail if non-authority calls emergency allocation", async function () {
@@ -279,26 +327,25 @@ describe("WaterResourceManager", function () {
       await contract.registerRegion("Region 1", 5, manager1.address);
 
       await expect(
-        contract.connect(user).emergencyWaterAllocation(1, 2000)
-      ).to.be.revertedWith("Not authorized");
+        emergencyWaterAllocation(contract.connect(user), 1, 2000)
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized").withArgs(user.address);
     });
 
     it("Should fail with invalid region", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
       await expect(
-        contract.emergencyWaterAllocation(999, 2000)
-      ).to.be.revertedWith("Invalid region ID");
+        emergencyWaterAllocation(contract, 999, 2000)
+      ).to.be.revertedWithCustomError(contract, "InvalidRegionId").withArgs(999);
     });
 
-    it("Should fail with zero amount", async function () {
-      const { contract, manager1 } = await loadFixture(deployContractFixture);
+    it("Should store amounts above half of uint32 as zero", async function () {
+      const { contract, manager1 } = await deployDecryptableContract();
 
       await contract.registerRegion("Region 1", 5, manager1.address);
+      await emergencyWaterAllocation(contract, 1, 2 ** 31);
 
-      await expect(
-        contract.emergencyWaterAllocation(1, 0)
-      ).to.be.revertedWith("Invalid emergency amount");
+      expect(await decrypt((await contract.regions(1)).allocatedAmount)).to.equal(0n);
     });
   });
 
@@ -330,7 +377,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.connect(user).updateRegionManager(1, manager2.address)
-      ).to.be.revertedWith("Not authorized");
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized").withArgs(user.address);
     });
 
     it("Should fail to deactivate if non-authority", async function () {
@@ -340,7 +387,7 @@ describe("WaterResourceManager", function () {
 
       await expect(
         contract.connect(user).deactivateRegion(1)
-      ).to.be.revertedWith("Not authorized");
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized").withArgs(user.address);
     });
   });
 });
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { syncMockCoprocessor } = require("../lib/MockGateway");
+const { calculateAllocation, distributeWater } = require("../lib/allocationEngine");
+
+const { ethers } = hre;
+
+describe("Allocation engine", function () {
+  describe("calculateAllocation", function () {
+    it("Should offer a tenth of the remaining water", function () {
+      expect(calculateAllocation(10000)).to.equal(1000);
+      expect(calculateAllocation(999)).to.equal(99);
+    });
+
+    it("Should offer at least 1 but never more than half", function () {
+      expect(calculateAllocation(9)).to.equal(1);
+      expect(calculateAllocation(2)).to.equal(1);
+      expect(calculateAllocation(1)).to.equal(0);
+      expect(calculateAllocation(0)).to.equal(0);
+    });
+
+    it("Should reject values outside uint32", function () {
+      expect(() => calculateAllocation(-1)).to.throw(RangeError);
+      expect(() => calculateAllocation(2 ** 32)).to.throw(RangeError);
+      expect(() => calculateAllocation(1.5)).to.throw(RangeError);
+    });
+  });
+
+  describe("distributeWater", function () {
+    it("Should serve regions in submission order from the remaining water", function () {
+      const result = distributeWater(10000, [{ regionId: 3 }, { regionId: 1 }, { regionId: 2 }]);
+
+      expect(result.allocations.map((a) => [a.regionId, a.amount])).to.deep.equal([
+        [3, 1000],
+        [1, 900],
+        [2, 810],
+      ]);
+      expect(result.distributedWater).to.equal(2710);
+      expect(result.remainingWater).to.equal(7290);
+    });
+
+    it("Should ignore priority, requested amount and justification", function () {
+      const plain = distributeWater(5000, [{ regionId: 1 }, { regionId: 2 }]);
+      const detailed = distributeWater(5000, [
+        { regionId: 1, priority: 1, requestedAmount: 10, justificationScore: 1 },
+        { regionId: 2, priority: 10, requestedAmount: 4000, justificationScore: 100 },
+      ]);
+
+      expect(detailed.allocations.map((a) => a.amount)).to.deep.equal(plain.allocations.map((a) => a.amount));
+      expect(detailed.allocations.map((a) => a.shortfall)).to.deep.equal([-490, 3550]);
+    });
+
+    it("Should leave regions unprocessed once one unit of water remains", function () {
+      const result = distributeWater(3, [{ regionId: 1 }, { regionId: 2 }, { regionId: 3 }]);
+
+      expect(result.allocations.map((a) => a.amount)).to.deep.equal([1, 1, 0]);
+      expect(result.allocations.map((a) => a.processed)).to.deep.equal([true, true, false]);
+      expect(result.remainingWater).to.equal(1);
+    });
+
+    it("Should skip requests that are already processed", function () {
+      const result = distributeWater(1000, [{ regionId: 1, isProcessed: true }, { regionId: 2 }]);
+
+      expect(result.allocations.map((a) => a.amount)).to.deep.equal([0, 100]);
+    });
+
+    it("Should treat a total of 0 as a failed decryption", function () {
+      const result = distributeWater(0, [{ regionId: 1 }]);
+
+      expect(result.decryptionFailed).to.be.true;
+      expect(result.allocations[0]).to.include({ amount: 0, processed: false });
+    });
+
+    it("Should reject duplicate regions", function () {
+      expect(() => distributeWater(100, [{ regionId: 1 }, { regionId: 1 }])).to.throw("one request per period");
+    });
+  });
+
+  // Runs the same inputs through the deployed contract and fulfils the
+  // decryption with the FHEVM mock oracle
+  describe("Conformance with the contract", function () {
+    const SCENARIOS = [
+      { totalWater: 10000, regions: 3 },
+      { totalWater: 25, regions: 6 },
+      { totalWater: 3, regions: 4 },
+      { totalWater: 4294967295, regions: 5 },
+    ];
+
+    before(function () {
+      if (!hre.fhevm || !hre.fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    // A fresh contract per scenario: after a snapshot revert the mock oracle would see request 0
+    // of the same address twice, and the mock coprocessor would miss the handles
+    async function deployConformanceContract() {
+      await syncMockCoprocessor(hre);
+      const signers = await ethers.getSigners();
+      const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+      const contract = await WaterResourceManager.deploy();
+      await contract.waitForDeployment();
+
+      const client = WaterResourceClient.connect(ethers, await contract.getAddress(), signers[0], {
+        encryptor: createMockEncryptor(hre),
+      });
+      return { client, managers: signers.slice(1) };
+    }
+
+    for (const { totalWater, regions } of SCENARIOS) {
+      it(`Should match the on-chain split of ${totalWater} over ${regions} regions`, async function () {
+        const { client, managers } = await deployConformanceContract();
+        const requests = [];
+
+        for (let i = 0; i < regions; i++) {
+          await client.registerRegion(`Region ${i + 1}`, (i % 10) + 1, managers[i].address);
+        }
+        await client.startAllocationPeriod(totalWater, 24);
+        // Submit in reverse registration order so order, not region ID, decides
+        for (let i = regions - 1; i >= 0; i--) {
+          await client.withRunner(managers[i]).submitWaterRequest(1000 * (i + 1), 50);
+          requests.push({ regionId: i + 1 });
+        }
+
+        await client.processAllocation();
+        await hre.fhevm.awaitDecryptionOracle();
+
+        const expected = distributeWater(totalWater, requests);
+        const allocated = await client.queryEvents("WaterAllocated", { args: [null, 1] });
+        const onChain = new Map(allocated.map((event) => [event.args.regionId, event.args.amount]));
+
+        for (const allocation of expected.allocations) {
+          expect(onChain.get(allocation.regionId) || 0, `region ${allocation.regionId}`).to.equal(allocation.amount);
+          const status = await client.getRegionRequestStatus(allocation.regionId, 1);
+          expect(status.isProcessed, `region ${allocation.regionId} processed`).to.equal(allocation.processed);
+        }
+      });
+    }
+  });
+});
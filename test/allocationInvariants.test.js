@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+
+// INVARIANT_SEED replays a sequence (use the seed from the failing test's title with INVARIANT_RUNS=1);
+// INVARIANT_RUNS and INVARIANT_STEPS set how many sequences are generated and how long they are
+const SEED =
+  process.env.INVARIANT_SEED !== undefined ? Number(process.env.INVARIANT_SEED) : Math.floor(Math.random() * 2 ** 32);
+const RUNS = Number(process.env.INVARIANT_RUNS || 10);
+const STEPS = Number(process.env.INVARIANT_STEPS || 40);
+const MANAGER_COUNT = 5;
+const MAX_REGIONS = 8;
+
+// Seeded generator (mulberry32), so a failing sequence can be replayed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+describe("Allocation invariants", function () {
+  before(function () {
+    // Allocations need the mocked decryption oracle
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  // A fresh contract per sequence: the mock coprocessor does not follow a snapshot revert
+  async function deployInvariantContract() {
+    await syncMockCoprocessor(hre);
+    const [authority, relayer, ...others] = await ethers.getSigners();
+    const managers = others.slice(0, MANAGER_COUNT);
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    return { client, relayer, managers, deployBlock: receipt.blockNumber };
+  }
+
+  /**
+   * What the test expects of the contract, updated as each action succeeds. A manager
+   * can be given several regions: regionManagers maps them to the latest one, and
+   * replacing them on any of those regions unmaps them.
+   */
+  function createModel() {
+    return { regions: {}, regionManagers: {}, periods: {}, currentPeriod: 0 };
+  }
+
+  // Every action that is valid in the current state, with its weight
+  async function availableActions({ client, managers }, model, random) {
+    const periodActive = await client.isAllocationPeriodActive();
+    const period = model.periods[model.currentPeriod];
+    const activeRegions = Object.keys(model.regions)
+      .map(Number)
+      .filter((regionId) => model.regions[regionId].isActive);
+    const pending = Object.values(model.periods).some((entry) => entry.requested && !entry.answered);
+    const actions = [];
+
+    const regionCount = Object.keys(model.regions).length;
+    if (regionCount < MAX_REGIONS) {
+      actions.push([
+        3,
+        {
+          type: "register",
+          name: `Region ${regionCount + 1}`,
+          priority: random.int(1, 10),
+          manager: random.pick(managers),
+        },
+      ]);
+    }
+    if (activeRegions.length > 0) {
+      actions.push([1, { type: "deactivate", regionId: random.pick(activeRegions) }]);
+      actions.push([
+        2,
+        {
+          type: "updateManager",
+          regionId: random.pick(activeRegions),
+          manager: random.pick(managers),
+        },
+      ]);
+    }
+    if (!periodActive) {
+      actions.push([3, { type: "startPeriod", total: random.int(1, 1000000), hours: random.int(1, 168) }]);
+    } else {
+      // regionManagers is what submitWaterRequest checks, whether or not the region is still active
+      const submitters = managers.filter((manager) => {
+        const regionId = model.regionManagers[manager.address];
+        return regionId && !period.participants.includes(regionId);
+      });
+      if (submitters.length > 0) {
+        actions.push([
+          5,
+          {
+            type: "submit",
+            manager: random.pick(submitters),
+            amount: random.int(1, 100000),
+            score: random.int(1, 100),
+          },
+        ]);
+      }
+      if (period.participants.length > 0 && !period.requested) {
+        actions.push([3, { type: "process" }]);
+      }
+      actions.push([1, { type: "endPeriod" }]);
+    }
+    if (pending) {
+      actions.push([3, { type: "fulfil", mode: random.chance(0.8) ? "relay" : "zero" }]);
+    }
+    return actions;
+  }
+
+  function weightedPick(random, actions) {
+    let roll = random.int(1, actions.reduce((sum, [weight]) => sum + weight, 0));
+    for (const [weight, action] of actions) {
+      roll -= weight;
+      if (roll <= 0) {
+        return action;
+      }
+    }
+    return actions[actions.length - 1][1];
+  }
+
+  async function perform({ client, gateway }, model, action) {
+    switch (action.type) {
+    case "register": {
+      const { regionId } = await client.registerRegion(action.name, action.priority, action.manager.address);
+      model.regions[regionId] = { manager: action.manager.address, isActive: true };
+      model.regionManagers[action.manager.address] = regionId;
+      break;
+    }
+    case "deactivate":
+      await client.deactivateRegion(action.regionId);
+      model.regions[action.regionId].isActive = false;
+      break;
+    case "updateManager": {
+      await client.updateRegionManager(action.regionId, action.manager.address);
+      const region = model.regions[action.regionId];
+      delete model.regionManagers[region.manager];
+      region.manager = action.manager.address;
+      model.regionManagers[action.manager.address] = action.regionId;
+      break;
+    }
+    case "startPeriod": {
+      const { periodId } = await client.startAllocationPeriod(action.total, action.hours);
+      model.periods[periodId] = { total: action.total, participants: [], requested: false, answered: false };
+      model.currentPeriod = periodId;
+      break;
+    }
+    case "submit":
+      await client.withRunner(action.manager).submitWaterRequest(action.amount, action.score);
+      model.periods[model.currentPeriod].participants.push(model.regionManagers[action.manager.address]);
+      break;
+    case "process":
+      await client.processAllocation();
+      model.periods[model.currentPeriod].requested = true;
+      break;
+    case "fulfil":
+      await gateway.fulfillPending(action.mode);
+      for (const period of Object.values(model.periods)) {
+        period.answered = period.answered || period.requested;
+      }
+      break;
+    case "endPeriod": {
+      const { endTime } = await client.getCurrentPeriodInfo();
+      await time.increaseTo(endTime + 1);
+      break;
+    }
+    default:
+      throw new Error(`Unknown action ${action.type}`);
+    }
+  }
+
+  function describeAction(action) {
+    const { type, manager, ...details } = action;
+    const values = Object.values(details);
+    if (manager) {
+      values.push(manager.address.slice(0, 8));
+    }
+    return values.length > 0 ? `${type}(${values.join(", ")})` : type;
+  }
+
+  async function checkInvariants({ client, managers, deployBlock }, model) {
+    // totalRegions equals the number of active regions, and each region is as the model has it
+    const nextRegionId = await client.nextRegionId();
+    let activeRegions = 0;
+    for (let regionId = 1; regionId < nextRegionId; regionId++) {
+      const region = await client.getRegion(regionId);
+      expect({ manager: region.manager, isActive: region.isActive }, `region ${regionId}`).to.deep.equal(
+        model.regions[regionId]
+      );
+      activeRegions += region.isActive ? 1 : 0;
+    }
+    expect(await client.totalRegions(), "totalRegions").to.equal(activeRegions);
+
+    // regionManagers only maps an address to a region that address manages
+    for (const manager of managers) {
+      const regionId = await client.regionIdOf(manager.address);
+      expect(regionId, `regionManagers(${manager.address})`).to.equal(model.regionManagers[manager.address] || 0);
+      if (regionId !== 0) {
+        expect((await client.getRegion(regionId)).manager, `manager of region ${regionId}`).to.equal(manager.address);
+      }
+    }
+
+    // Per period: allocations stay within the total water, and each region is processed at most once
+    const allocations = await client.queryEvents("WaterAllocated", { fromBlock: deployBlock });
+    for (const periodId of Object.keys(model.periods).map(Number)) {
+      const period = model.periods[periodId];
+      const participants = await client.getPeriodParticipants(periodId);
+      expect(participants, `participants of period ${periodId}`).to.deep.equal(period.participants);
+
+      const allocated = allocations.filter((event) => event.args.periodId === periodId);
+      const regionIds = allocated.map((event) => event.args.regionId);
+      expect(new Set(regionIds).size, `regions allocated twice in period ${periodId}`).to.equal(regionIds.length);
+      const sum = allocated.reduce((total, event) => total + event.args.amount, 0);
+      expect(sum, `water allocated in period ${periodId}`).to.be.at.most(period.total);
+
+      for (const regionId of regionIds) {
+        expect(participants, `allocated regions of period ${periodId}`).to.include(regionId);
+        expect((await client.getWaterRequest(periodId, regionId)).isProcessed).to.be.true;
+      }
+    }
+  }
+
+  for (let run = 0; run < RUNS; run++) {
+    const seed = (SEED + run) >>> 0;
+
+    it(`Should hold through a random sequence of actions (seed ${seed})`, async function () {
+      this.timeout(600000);
+      const fixture = await deployInvariantContract();
+      const context = {
+        ...fixture,
+        gateway: new MockGateway(fixture.client.withRunner(fixture.relayer), createMockOracle(hre), {
+          fromBlock: fixture.deployBlock,
+          provider: ethers.provider,
+        }),
+      };
+      const random = createRandom(seed);
+      const model = createModel();
+      const history = [];
+
+      for (let step = 0; step < STEPS; step++) {
+        const action = weightedPick(random, await availableActions(context, model, random));
+        history.push(describeAction(action));
+        try {
+          await perform(context, model, action);
+          await checkInvariants(context, model);
+        } catch (error) {
+          error.message += `\n      Seed ${seed}, after: ${history.join(" → ")}`;
+          throw error;
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { UsageError, applyNetworkFlag, parseCommand, toJson } = require("../lib/cli");
+
+describe("CLI command parsing", function () {
+  const commands = {
+    "region register": {
+      options: {
+        name: { type: "string" },
+        priority: { type: "integer" },
+        manager: { type: "address" },
+      },
+    },
+    "request status": {
+      options: {
+        region: { type: "integer" },
+        period: { type: "integer", optional: true },
+      },
+    },
+  };
+
+  it("Should match multi-word commands and convert typed options", function () {
+    const parsed = parseCommand(
+      ["request", "status", "--region", "3", "--period", "2", "--json"],
+      commands
+    );
+
+    expect(parsed.key).to.equal("request status");
+    expect(parsed.params).to.deep.equal({ region: 3, period: 2 });
+    expect(parsed.flags.json).to.be.true;
+  });
+
+  it("Should leave optional options unset", function () {
+    const parsed = parseCommand(["request", "status", "--region", "3"], commands);
+
+    expect(parsed.params).to.deep.equal({ region: 3 });
+  });
+
+  it("Should reject unknown commands and options", function () {
+    expect(() => parseCommand(["region", "delete"], commands)).to.throw(UsageError, "Unknown command");
+    expect(() => parseCommand(["request", "status", "--bogus"], commands)).to.throw(UsageError);
+  });
+
+  it("Should reject missing and malformed values", function () {
+    expect(() =>
+      parseCommand(["region", "register", "--name", "North", "--priority", "7"], commands)
+    ).to.throw(UsageError, "--manager");
+    expect(() =>
+      parseCommand(
+        ["region", "register", "--name", "North", "--priority", "high", "--manager", "0x0"],
+        commands
+      )
+    ).to.throw(UsageError, "--priority");
+  });
+
+  describe("applyNetworkFlag", function () {
+    const variables = ["HARDHAT_NETWORK", "DEPLOYMENT"];
+    let saved;
+
+    beforeEach(function () {
+      saved = Object.fromEntries(variables.map((name) => [name, process.env[name]]));
+      variables.forEach((name) => delete process.env[name]);
+    });
+
+    afterEach(function () {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    });
+
+    it("Should accept the two-token form", function () {
+      applyNetworkFlag(["region", "list", "--network", "sepolia", "--deployment", "v2"]);
+
+      expect(process.env.HARDHAT_NETWORK).to.equal("sepolia");
+      expect(process.env.DEPLOYMENT).to.equal("v2");
+    });
+
+    it("Should accept the --flag=value form", function () {
+      applyNetworkFlag(["region", "list", "--network=sepolia", "--deployment=v2"]);
+
+      expect(process.env.HARDHAT_NETWORK).to.equal("sepolia");
+      expect(process.env.DEPLOYMENT).to.equal("v2");
+    });
+
+    it("Should ignore flags without a value", function () {
+      applyNetworkFlag(["region", "list", "--network=", "--deployment"]);
+
+      expect(process.env.HARDHAT_NETWORK).to.be.undefined;
+      expect(process.env.DEPLOYMENT).to.be.undefined;
+    });
+  });
+
+  it("Should serialize bigint values as strings", function () {
+    expect(JSON.parse(toJson({ lockedAmount: 10n }))).to.deep.equal({ lockedAmount: "10" });
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const ContractConfig = require("../lib/contractConfig");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const {
+  STATIC_PAGE,
+  formatAbi,
+  buildConfig,
+  replaceInlineConfig,
+  readInlineConfig,
+  abiDrift,
+} = require("../lib/contractConfigBuilder");
+
+const REGENERATE = "run: npm run contract-config -- generate";
+
+describe("Front-end contract config", function () {
+  let compiledAbi;
+
+  before(async function () {
+    const artifact = await hre.artifacts.readArtifact("WaterResourceManager");
+    compiledAbi = formatAbi(ethers, artifact.abi);
+  });
+
+  function expectNoDrift(file, frontendAbi) {
+    const { missing, unexpected } = abiDrift(compiledAbi, frontendAbi);
+    expect(missing, `${file} lacks fragments of the compiled contract; ${REGENERATE}`).to.be.empty;
+    expect(unexpected, `${file} has fragments the compiled contract no longer has; ${REGENERATE}`).to.be.empty;
+  }
+
+  it("Should match the compiled ABI in lib/contractConfig.js", function () {
+    expectNoDrift("lib/contractConfig.js", ContractConfig.abi);
+    expect(WaterResourceClient.ABI).to.equal(ContractConfig.abi);
+  });
+
+  it("Should match the compiled ABI in the static page", function () {
+    const html = fs.readFileSync(path.join(__dirname, "..", STATIC_PAGE), "utf8");
+    const inline = readInlineConfig(html);
+
+    expectNoDrift(STATIC_PAGE, inline.abi);
+    expect(inline.deployments).to.deep.equal(ContractConfig.deployments);
+  });
+
+  it("Should only call functions and events the compiled contract has", function () {
+    const source = fs.readFileSync(require.resolve("../lib/WaterResourceClient"), "utf8");
+    const methods = [...source.matchAll(/this\._(?:call|send)\("(\w+)"/g)].map((match) => match[1]);
+    const contractInterface = new ethers.Interface(compiledAbi);
+
+    expect(methods).to.not.be.empty;
+    for (const method of new Set(methods)) {
+      expect(contractInterface.getFunction(method), `WaterResourceClient calls ${method}()`).to.not.be.null;
+    }
+    for (const name of WaterResourceClient.EVENT_NAMES) {
+      expect(contractInterface.getEvent(name), `WaterResourceClient listens for ${name}`).to.not.be.null;
+    }
+  });
+
+  it("Should report fragments missing from or unknown to a front end", function () {
+    const drift = abiDrift(
+      ["function authority() view returns (address)", "function pause()"],
+      ["function authority() view returns (address)", "function getRegionRequestStatus(uint32 regionId)"]
+    );
+
+    expect(drift.missing).to.deep.equal(["function pause()"]);
+    expect(drift.unexpected).to.deep.equal(["function getRegionRequestStatus(uint32 regionId)"]);
+  });
+
+  it("Should rewrite only the marked block of a page", function () {
+    const config = buildConfig({
+      contractName: "WaterResourceManager",
+      abi: ["function authority() view returns (address)"],
+      deployments: { 11155111: { network: "sepolia", address: "0x01", version: 2, blockNumber: 10 } },
+      defaultNetwork: "sepolia",
+    });
+    const html = [
+      "<script>",
+      "    // <generated-contract-config>",
+      "    const ContractConfig = {};",
+      "    // </generated-contract-config>",
+      "    const contractABI = ContractConfig.abi;",
+      "</script>",
+    ].join("\r\n");
+
+    const updated = replaceInlineConfig(html, config);
+
+    expect(config.defaultChainId).to.equal(11155111);
+    expect(readInlineConfig(updated)).to.deep.equal(config);
+    expect(updated).to.not.match(/[^\r]\n/);
+    expect(updated.endsWith("    const contractABI = ContractConfig.abi;\r\n</script>")).to.be.true;
+    expect(() => replaceInlineConfig("<script></script>", config)).to.throw("No \"// <generated-contract-config>\"");
+  });
+});
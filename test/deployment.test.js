@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readRegistry,
+  loadDeployment,
+  recordDeployment,
+  setAlias,
+  updateVerification,
+  abiMismatch,
+  registryFilePath,
+  deploymentFilePath,
+} = require("../lib/deployment");
+
+describe("Deployment registry", function () {
+  const artifact = {
+    contractName: "WaterResourceManager",
+    abi: [{ type: "function", name: "authority", inputs: [], outputs: [{ type: "address" }] }],
+    bytecode: "0x6080",
+  };
+  let rootDir;
+
+  function record(contractAddress, blockNumber) {
+    return { network: "sepolia", contractName: "WaterResourceManager", contractAddress, blockNumber };
+  }
+
+  beforeEach(function () {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-registry-"));
+  });
+
+  it("Should append a versioned entry per deployment instead of overwriting", function () {
+    const first = recordDeployment(record("0x01", 10), artifact, {}, rootDir);
+    const second = recordDeployment(record("0x02", 20), artifact, { alias: "staging" }, rootDir);
+
+    expect(first.version).to.equal(1);
+    expect(second.version).to.equal(2);
+    expect(second.abi).to.deep.equal(artifact.abi);
+    expect(second.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(second.bytecodeHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(second.verification).to.deep.equal({ status: "unverified" });
+
+    const registry = readRegistry("sepolia", rootDir);
+    expect(registry.deployments.map((entry) => entry.contractAddress)).to.deep.equal(["0x01", "0x02"]);
+    expect(registry.aliases).to.deep.equal({ staging: 2 });
+    expect(fs.existsSync(registryFilePath("sepolia", rootDir))).to.be.true;
+  });
+
+  it("Should select deployments by alias, version or latest", function () {
+    recordDeployment(record("0x01", 10), artifact, { alias: "stable" }, rootDir);
+    recordDeployment(record("0x02", 20), artifact, {}, rootDir);
+
+    expect(loadDeployment("sepolia", "latest", rootDir).contractAddress).to.equal("0x02");
+    expect(loadDeployment("sepolia", "stable", rootDir).contractAddress).to.equal("0x01");
+    expect(loadDeployment("sepolia", "v2", rootDir).contractAddress).to.equal("0x02");
+    expect(loadDeployment("sepolia", "1", rootDir).contractAddress).to.equal("0x01");
+    expect(() => loadDeployment("sepolia", "v9", rootDir)).to.throw("Unknown deployment \"v9\"");
+    expect(() => loadDeployment("mainnet", "latest", rootDir)).to.throw("No deployments recorded for mainnet");
+  });
+
+  it("Should move aliases and reject names that look like versions", function () {
+    recordDeployment(record("0x01", 10), artifact, { alias: "stable" }, rootDir);
+    recordDeployment(record("0x02", 20), artifact, {}, rootDir);
+
+    setAlias("sepolia", "stable", "v2", rootDir);
+
+    expect(loadDeployment("sepolia", "stable", rootDir).version).to.equal(2);
+    expect(() => setAlias("sepolia", "v3", "latest", rootDir)).to.throw("Invalid alias");
+    expect(() => recordDeployment(record("0x03", 30), artifact, { alias: "latest" }, rootDir)).to.throw(
+      "Invalid alias"
+    );
+    expect(readRegistry("sepolia", rootDir).deployments).to.have.lengthOf(2);
+  });
+
+  it("Should record the verification status of a single deployment", function () {
+    recordDeployment(record("0x01", 10), artifact, {}, rootDir);
+    recordDeployment(record("0x02", 20), artifact, {}, rootDir);
+
+    updateVerification("sepolia", 1, "failed", { error: "Bytecode mismatch" }, rootDir);
+
+    const [first, second] = readRegistry("sepolia", rootDir).deployments;
+    expect(first.verification).to.include({ status: "failed", error: "Bytecode mismatch" });
+    expect(second.verification.status).to.equal("unverified");
+    expect(() => updateVerification("sepolia", 1, "pending", {}, rootDir)).to.throw("Verification status");
+  });
+
+  it("Should warn when the compiled ABI differs from the deployed one", function () {
+    const deployment = recordDeployment(record("0x01", 10), artifact, {}, rootDir);
+    const changed = { ...artifact, abi: [...artifact.abi, { type: "function", name: "pause", inputs: [] }] };
+
+    expect(abiMismatch(deployment, artifact)).to.be.null;
+    expect(abiMismatch(deployment, changed)).to.include("does not match the compiled WaterResourceManager");
+  });
+
+  it("Should read a pre-registry deployment file as version 1", function () {
+    const legacyFile = deploymentFilePath("sepolia", rootDir);
+    fs.mkdirSync(path.dirname(legacyFile), { recursive: true });
+    fs.writeFileSync(legacyFile, JSON.stringify({ ...record("0x01", 10), verified: true, verifiedAt: "2024-01-01" }));
+
+    const legacy = loadDeployment("sepolia", "latest", rootDir);
+    expect(legacy).to.include({ version: 1, contractAddress: "0x01", abiHash: null });
+    expect(legacy.verification).to.deep.equal({ status: "verified", updatedAt: "2024-01-01" });
+    expect(abiMismatch(legacy, artifact)).to.include("has no recorded ABI hash");
+
+    // The next deploy keeps it as v1 in the registry
+    expect(recordDeployment(record("0x02", 20), artifact, {}, rootDir).version).to.equal(2);
+    expect(loadDeployment("sepolia", "v1", rootDir).contractAddress).to.equal("0x01");
+  });
+});
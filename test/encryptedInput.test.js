@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { createEncryptor, createMockEncryptor, createRelayerEncryptor } = require("../lib/encryptedInput");
+
+describe("encryptedInput", function () {
+  // Stands in for an FHEVM instance and records what it was asked to encrypt
+  function fakeInstance() {
+    const calls = [];
+    return {
+      calls,
+      createEncryptedInput(contractAddress, userAddress) {
+        const call = { contractAddress, userAddress, values: [] };
+        calls.push(call);
+        return {
+          add32(value) {
+            call.values.push(value);
+            return this;
+          },
+          async encrypt() {
+            return {
+              handles: call.values.map((value) => Uint8Array.of(0xab, value & 0xff)),
+              inputProof: Uint8Array.of(0x01, 0x02),
+            };
+          },
+        };
+      },
+    };
+  }
+
+  it("Should encrypt values in order for one contract and sender, as hex", async function () {
+    const instance = fakeInstance();
+
+    const encrypted = await createEncryptor(instance).encryptUint32("0xContract", "0xSender", [200, 75]);
+
+    expect(instance.calls).to.deep.equal([
+      { contractAddress: "0xContract", userAddress: "0xSender", values: [200, 75] },
+    ]);
+    expect(encrypted).to.deep.equal({ handles: ["0xabc8", "0xab4b"], inputProof: "0x0102" });
+  });
+
+  it("Should reject values that do not fit in a uint32 before encrypting", async function () {
+    const instance = fakeInstance();
+    const encryptor = createEncryptor(instance);
+
+    for (const value of [-1, 1.5, 2 ** 32, "10"]) {
+      await expect(encryptor.encryptUint32("0xContract", "0xSender", [1, value])).to.be.rejectedWith(
+        `Cannot encrypt ${value} as a uint32`
+      );
+    }
+    expect(instance.calls).to.deep.equal([]);
+  });
+
+  it("Should set up a lazy instance once, on first use", async function () {
+    const instance = fakeInstance();
+    let setups = 0;
+    const encryptor = createEncryptor(async () => {
+      setups++;
+      return instance;
+    });
+
+    expect(setups).to.equal(0);
+    await encryptor.encryptUint32("0xContract", "0xSender", [1]);
+    await encryptor.encryptUint32("0xContract", "0xSender", [2]);
+
+    expect(setups).to.equal(1);
+    expect(instance.calls).to.have.lengthOf(2);
+  });
+
+  it("Should configure the relayer SDK for Sepolia with the given provider", async function () {
+    const instance = fakeInstance();
+    const provider = { request: async () => null };
+    const configs = [];
+    const sdk = {
+      SepoliaConfig: { chainId: 11155111 },
+      initSDK: async () => true,
+      createInstance: async (config) => {
+        configs.push(config);
+        return instance;
+      },
+    };
+
+    await createRelayerEncryptor(provider, sdk).encryptUint32("0xContract", "0xSender", [1]);
+
+    expect(configs).to.deep.equal([{ chainId: 11155111, network: provider }]);
+  });
+
+  it("Should refuse the mock encryptor outside mock mode", function () {
+    expect(() => createMockEncryptor({ fhevm: { isMock: false } })).to.throw("mock mode");
+  });
+});
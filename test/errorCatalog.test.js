@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { CONTRACT_ERRORS, decodeContractError, explainError, formatError, lookup } = require("../lib/errorCatalog");
+
+describe("ErrorCatalog", function () {
+  function word(value) {
+    return BigInt(value).toString(16).padStart(64, "0");
+  }
+
+  // RequestAlreadySubmitted(1, 2) revert data
+  const REQUEST_ALREADY_SUBMITTED_DATA = `0x53ac4817${word(1)}${word(2)}`;
+
+  // Error(string) revert data for "Not authorized"
+  const NOT_AUTHORIZED_STRING_DATA =
+    "0x08c379a0" +
+    "0000000000000000000000000000000000000000000000000000000000000020" +
+    "000000000000000000000000000000000000000000000000000000000000000e" +
+    "4e6f7420617574686f72697a6564000000000000000000000000000000000000";
+
+  async function deployContractFixture() {
+    const [authority, alice, user] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    return { contract, authority, alice, user };
+  }
+
+  describe("Contract errors", function () {
+    it("Should list every custom error of the compiled contract with its selector and parameters", async function () {
+      const artifact = await hre.artifacts.readArtifact("WaterResourceManager");
+      const compiled = new ethers.Interface(artifact.abi);
+      const names = [];
+
+      compiled.forEachError((fragment) => {
+        names.push(fragment.name);
+        const entry = CONTRACT_ERRORS[fragment.name];
+        expect(entry, `${fragment.format()} is not in lib/errorCatalog.js`).to.exist;
+        expect(entry.selector).to.equal(fragment.selector);
+        expect(entry.params).to.deep.equal(fragment.inputs.map((input) => [input.name, input.type]));
+      });
+      expect(Object.keys(CONTRACT_ERRORS)).to.have.members(names);
+    });
+
+    it("Should give every error a distinct code", function () {
+      const codes = Object.values(CONTRACT_ERRORS).map((entry) => entry.code);
+
+      expect(new Set(codes).size).to.equal(codes.length);
+      codes.forEach((code) => expect(code).to.match(/^WRM-[1-4]\d\d$/));
+    });
+
+    it("Should explain a revert of the deployed contract", async function () {
+      const { contract, user, alice } = await loadFixture(deployContractFixture);
+
+      const error = await contract
+        .connect(user)
+        .registerRegion.staticCall("North Valley", 5, alice.address)
+        .catch((e) => e);
+
+      expect(explainError(error)).to.deep.include({
+        name: "NotAuthorized",
+        code: "WRM-101",
+        args: { caller: user.address },
+      });
+      expect(formatError(error)).to.equal(
+        `[WRM-101] ${user.address} is not the contract authority. ` +
+          "Send this from the authority account that deployed the contract."
+      );
+    });
+  });
+
+  describe("Decoding", function () {
+    it("Should decode custom errors from ethers v5, ethers v6 and raw wallet data", function () {
+      const expected = { name: "RequestAlreadySubmitted", args: { regionId: 1, periodId: 2 } };
+
+      expect(decodeContractError({ revert: { name: "RequestAlreadySubmitted", args: [1n, 2n] } })).to.deep.equal(
+        expected
+      );
+      expect(
+        decodeContractError({ errorName: "RequestAlreadySubmitted", errorArgs: [{ toString: () => "1" }, 2] })
+      ).to.deep.equal(expected);
+      expect(decodeContractError({ error: { error: { data: REQUEST_ALREADY_SUBMITTED_DATA } } })).to.deep.equal(
+        expected
+      );
+      const nested = { info: { error: { data: { data: REQUEST_ALREADY_SUBMITTED_DATA } } } };
+      expect(decodeContractError(nested)).to.deep.equal(expected);
+    });
+
+    it("Should checksum addresses and keep wide integers as bigint", function () {
+      const caller = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+      expect(decodeContractError({ data: `0x4a0bfec1${"0".repeat(24)}${caller.slice(2)}` })).to.deep.equal({
+        name: "NotAuthorized",
+        args: { caller: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8" },
+      });
+      expect(decodeContractError({ data: `0x70a66e4f${word(3)}${word(1700000000)}` })).to.deep.equal({
+        name: "DecryptionTimeoutNotReached",
+        args: { periodId: 3, availableAt: 1700000000n },
+      });
+    });
+
+    it("Should decode the FHE library errors the contract can revert with", function () {
+      expect(decodeContractError({ data: "0xcf6c44e9" })).to.deep.equal({ name: "InvalidKMSSignatures", args: {} });
+      expect(formatError({ data: "0xd66ca675" })).to.equal(
+        "[WRM-409] This contract has no decryption request with that ID. Check the request ID the gateway is answering."
+      );
+    });
+
+    it("Should decode require messages and ignore errors that are not reverts", function () {
+      const withReason = { name: "RevertedWithReason", args: { reason: "Not authorized" } };
+
+      expect(decodeContractError({ data: NOT_AUTHORIZED_STRING_DATA })).to.deep.equal(withReason);
+      expect(
+        decodeContractError(
+          new Error("VM Exception while processing transaction: reverted with reason string 'Not authorized'")
+        )
+      ).to.deep.equal(withReason);
+      expect(decodeContractError({ data: "0xdeadbeef" })).to.be.null;
+      expect(decodeContractError(new Error("network error"))).to.be.null;
+    });
+  });
+
+  describe("Explaining", function () {
+    it("Should format contract errors with their code, message and fix", function () {
+      expect(formatError({ data: REQUEST_ALREADY_SUBMITTED_DATA })).to.equal(
+        "[WRM-304] Region 1 has already submitted its request for period 2. " +
+          "Each region submits once per period; submit again in the next period."
+      );
+      expect(formatError({ data: `0x9320b4e7${word(0)}` })).to.equal(
+        "[WRM-301] No allocation period has been started. Wait for the authority to start the next allocation period."
+      );
+    });
+
+    it("Should explain wallet rejections, replacements and funding", function () {
+      expect(explainError({ code: "ACTION_REJECTED", message: "user rejected action" })).to.include({
+        name: "WalletRejected",
+        code: "WRM-901",
+      });
+      expect(explainError({ code: 4001 }).name).to.equal("WalletRejected");
+      expect(formatError({ code: "TRANSACTION_REPLACED", cancelled: true })).to.equal(
+        "[WRM-902] The transaction was cancelled in the wallet"
+      );
+      expect(explainError({ code: "TRANSACTION_REPLACED", replacement: { hash: "0xbbb" } }).message).to.equal(
+        "The transaction was replaced from the wallet by 0xbbb"
+      );
+      expect(explainError({ code: "INSUFFICIENT_FUNDS" }).name).to.equal("InsufficientFunds");
+    });
+
+    it("Should recognise explorer verification of a verified contract", function () {
+      expect(explainError(new Error("Contract source code already verified")).code).to.equal("WRM-950");
+    });
+
+    it("Should keep the message of errors it does not know", function () {
+      expect(explainError(new Error("network error"))).to.include({ name: "Unknown", code: "WRM-999" });
+      expect(formatError({ shortMessage: "could not coalesce error", message: "long message" })).to.equal(
+        "could not coalesce error"
+      );
+    });
+
+    it("Should look entries up by name or code", function () {
+      expect(lookup("RefundAlreadyClaimed")).to.deep.equal({
+        name: "RefundAlreadyClaimed",
+        code: "WRM-407",
+        fix: "Each refund can only be claimed once.",
+      });
+      expect(lookup("WRM-101").name).to.equal("NotAuthorized");
+      expect(lookup("Not authorized")).to.be.null;
+    });
+  });
+});
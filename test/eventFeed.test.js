@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { EventFeed, filterEvents, refreshTargets } = require("../lib/eventFeed");
+
+describe("eventFeed", function () {
+  function event(blockNumber, name, args = {}, logIndex = 0) {
+    return { name, args, blockNumber, logIndex, transactionHash: `0x${blockNumber}${logIndex}ab` };
+  }
+
+  // Serves events from a fixed list and records every block range it is asked for
+  function fakeChain(events, head) {
+    const chain = {
+      head,
+      down: false,
+      queries: [],
+      provider: {
+        getBlockNumber: async () => {
+          if (chain.down) {
+            throw new Error("connection refused");
+          }
+          return chain.head;
+        },
+        getBlock: async (blockNumber) => ({ timestamp: 1700000000 + blockNumber }),
+      },
+      client: {
+        contract: {},
+        queryEvents: async (name, { fromBlock, toBlock }) => {
+          if (chain.down) {
+            throw new Error("connection refused");
+          }
+          chain.queries.push([fromBlock, toBlock]);
+          return events.filter((e) => e.blockNumber >= fromBlock && e.blockNumber <= toBlock);
+        },
+      },
+    };
+    return chain;
+  }
+
+  function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const check = () => {
+        if (condition()) {
+          resolve();
+        } else if (Date.now() - started > 2000) {
+          reject(new Error("Timed out waiting for the feed"));
+        } else {
+          setTimeout(check, 5);
+        }
+      };
+      check();
+    });
+  }
+
+  it("Should backfill from the start block in batches, newest first", async function () {
+    const chain = fakeChain([event(12, "RegionRegistered", { regionId: 1 }), event(25, "AllocationPeriodStarted", { periodId: 1 })], 30);
+    const feed = new EventFeed(chain.client, { provider: chain.provider, fromBlock: 10, batchSize: 8 });
+
+    const added = await feed.poll();
+
+    expect(chain.queries).to.deep.equal([
+      [10, 17],
+      [18, 25],
+      [26, 30],
+    ]);
+    expect(added.map((e) => e.name)).to.deep.equal(["RegionRegistered", "AllocationPeriodStarted"]);
+    expect(feed.events.map((e) => e.id)).to.deep.equal(["25-0", "12-0"]);
+    expect(feed.events[1].blockTimestamp).to.equal(1700000012);
+    expect(feed.lastBlock).to.equal(30);
+  });
+
+  it("Should only load the lookback window when no start block is given", async function () {
+    const chain = fakeChain([], 100);
+    const feed = new EventFeed(chain.client, { provider: chain.provider, lookbackBlocks: 20 });
+
+    await feed.poll();
+
+    expect(chain.queries).to.deep.equal([[81, 100]]);
+  });
+
+  it("Should keep only the newest events", async function () {
+    const events = [1, 2, 3, 4].map((block) => event(block, "WaterRequested", { regionId: block, periodId: 1 }));
+    const chain = fakeChain(events, 4);
+    const feed = new EventFeed(chain.client, { provider: chain.provider, fromBlock: 0, maxEvents: 3 });
+
+    await feed.poll();
+
+    expect(feed.events.map((e) => e.blockNumber)).to.deep.equal([4, 3, 2]);
+  });
+
+  it("Should reconnect after a dropped connection and backfill the missed blocks", async function () {
+    const events = [event(5, "RegionRegistered", { regionId: 1 })];
+    const chain = fakeChain(events, 5);
+    const statuses = [];
+    const received = [];
+    const feed = new EventFeed(chain.client, {
+      provider: chain.provider,
+      fromBlock: 0,
+      pollInterval: 5,
+      retryDelay: 10,
+      onStatus: (status) => statuses.push(status),
+      onEvents: (added) => received.push(...added.map((e) => e.id)),
+    });
+
+    feed.start();
+    await waitFor(() => feed.status.state === "live");
+
+    chain.down = true;
+    await waitFor(() => feed.status.state === "reconnecting");
+    expect(feed.status).to.include({ error: "connection refused", lastBlock: 5, retryIn: 10 });
+
+    events.push(event(7, "AllocationPeriodStarted", { periodId: 1 }), event(9, "WaterRequested", { regionId: 1, periodId: 1 }));
+    chain.head = 9;
+    chain.down = false;
+    await waitFor(() => feed.lastBlock === 9 && feed.status.state === "live");
+    feed.stop();
+
+    expect(received).to.deep.equal(["5-0", "7-0", "9-0"]);
+    expect(statuses[0].state).to.equal("connecting");
+    expect(feed.status.state).to.equal("stopped");
+  });
+
+  it("Should back off between failed attempts up to the maximum delay", async function () {
+    const chain = fakeChain([], 1);
+    chain.down = true;
+    const delays = [];
+    const feed = new EventFeed(chain.client, {
+      provider: chain.provider,
+      retryDelay: 4,
+      maxRetryDelay: 10,
+      onStatus: (status) => status.state === "reconnecting" && delays.push(status.retryIn),
+    });
+
+    feed.start();
+    await waitFor(() => delays.length === 4);
+    feed.stop();
+
+    expect(delays).to.deep.equal([4, 8, 10, 10]);
+  });
+
+  it("Should filter events by name, region, period and text", function () {
+    const events = [
+      event(3, "WaterRequested", { regionId: 2, periodId: 1 }),
+      event(2, "RegionRegistered", { regionId: 2, name: "South Plains" }),
+      event(1, "RegionRegistered", { regionId: 1, name: "North Valley" }),
+    ];
+
+    expect(filterEvents(events, { names: ["RegionRegistered"] }).map((e) => e.blockNumber)).to.deep.equal([2, 1]);
+    expect(filterEvents(events, { regionId: 2 }).map((e) => e.blockNumber)).to.deep.equal([3, 2]);
+    expect(filterEvents(events, { periodId: 1 }).map((e) => e.blockNumber)).to.deep.equal([3]);
+    expect(filterEvents(events, { search: "north" }).map((e) => e.blockNumber)).to.deep.equal([1]);
+    expect(filterEvents(events)).to.have.lengthOf(3);
+  });
+
+  it("Should tell which panels need a refresh", function () {
+    expect(refreshTargets([event(1, "RegionRegistered")])).to.deep.equal({ period: false, regions: true });
+    expect(refreshTargets([event(1, "AllocationPeriodStarted")])).to.deep.equal({ period: true, regions: false });
+    expect(refreshTargets([event(1, "WaterAllocated")])).to.deep.equal({ period: true, regions: true });
+    expect(refreshTargets([])).to.deep.equal({ period: false, regions: false });
+  });
+});
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+const {
+  createSnapshot,
+  readSnapshot,
+  writeSnapshot,
+  uncoveredFunctions,
+  compareSnapshots,
+  formatComparison,
+} = require("../lib/gasSnapshot");
+
+// GAS_SNAPSHOT=update rewrites the baseline; GAS_TOLERANCE overrides its tolerance percentage
+const BASELINE_FILE = path.join(__dirname, "..", "gas-snapshot.json");
+// Participant counts the per-participant loops are measured with
+const PARTICIPANT_COUNTS = [1, 5, 10];
+
+describe("gasSnapshot", function () {
+  describe("Comparing", function () {
+    const baseline = createSnapshot(
+      { registerRegion: 150000, deactivateRegion: 30000, "claimDecryptionTimeout (1 participant)": 60000 },
+      { tolerancePercent: 2 }
+    );
+
+    it("Should sort entries and keep the tolerance", function () {
+      const snapshot = createSnapshot({ b: 2n, a: 1 }, { tolerancePercent: 5 });
+
+      expect(snapshot).to.deep.equal({ version: 1, tolerancePercent: 5, gas: { a: 1, b: 2 } });
+      expect(Object.keys(snapshot.gas)).to.deep.equal(["a", "b"]);
+    });
+
+    it("Should only fail increases past the tolerance", function () {
+      const current = createSnapshot({
+        registerRegion: 154000,
+        deactivateRegion: 29000,
+        "claimDecryptionTimeout (1 participant)": 61000,
+        processAllocation: 90000,
+      });
+
+      const comparison = compareSnapshots(baseline, current);
+
+      expect(comparison.changes.map((change) => [change.name, change.status])).to.deep.equal([
+        ["claimDecryptionTimeout (1 participant)", "increased"],
+        ["deactivateRegion", "decreased"],
+        ["processAllocation", "added"],
+        ["registerRegion", "regressed"],
+      ]);
+      expect(comparison.regressions.map((change) => change.name)).to.deep.equal(["registerRegion"]);
+      expect(compareSnapshots(baseline, current, 5).regressions).to.be.empty;
+    });
+
+    it("Should report entries that are no longer measured", function () {
+      const comparison = compareSnapshots(baseline, createSnapshot({ registerRegion: 150000 }));
+
+      expect(comparison.changes.filter((change) => change.status === "removed")).to.have.lengthOf(2);
+      expect(comparison.regressions).to.be.empty;
+    });
+
+    it("Should print a diff table with the regressions", function () {
+      const comparison = compareSnapshots(baseline, createSnapshot({ ...baseline.gas, registerRegion: 160000 }));
+      const text = formatComparison(comparison);
+
+      expect(text).to.match(/^!\s+registerRegion\s+150000\s+160000\s+\+10000 \(\+6\.67%\)$/m);
+      expect(text).to.include("1 function(s) use more than 2% over their baseline: registerRegion");
+      expect(formatComparison(comparison, { all: false })).to.not.include("deactivateRegion");
+    });
+
+    it("Should name the functions nothing was measured for", function () {
+      expect(
+        uncoveredFunctions(["registerRegion", "claimDecryptionTimeout", "processAllocation"], baseline.gas)
+      ).to.deep.equal(["processAllocation"]);
+    });
+  });
+
+  describe("Baseline", function () {
+    const measured = {};
+
+    function record(name, gasUsed) {
+      measured[name] = Number(gasUsed);
+    }
+
+    function participants(count) {
+      return `${count} participant${count === 1 ? "" : "s"}`;
+    }
+
+    async function deploy() {
+      await syncMockCoprocessor(hre);
+      const [authority, ...managers] = await ethers.getSigners();
+      const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+      const contract = await WaterResourceManager.deploy();
+      const receipt = await contract.deploymentTransaction().wait();
+
+      const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+        encryptor: createMockEncryptor(hre),
+      });
+      const gateway = new MockGateway(client, createMockOracle(hre), {
+        fromBlock: receipt.blockNumber,
+        provider: ethers.provider,
+      });
+      return { client, gateway, managers };
+    }
+
+    // Register `count` regions and take a period up to its decryption request
+    async function openPeriod({ client, managers }, count) {
+      for (let index = 0; index < count; index++) {
+        await client.registerRegion(`Region ${index + 1}`, (index % 10) + 1, managers[index].address);
+      }
+      await client.startAllocationPeriod(100000, 1);
+      for (let index = 0; index < count; index++) {
+        await client.withRunner(managers[index]).submitWaterRequest(1000 + index, 50);
+      }
+      return client.processAllocation();
+    }
+
+    before(async function () {
+      // The callbacks need the mocked decryption oracle, and instrumented coverage builds use more gas
+      if (!hre.fhevm || !hre.fhevm.isMock || hre.__SOLIDITY_COVERAGE_RUNNING) {
+        this.skip();
+      }
+      this.timeout(300000);
+
+      // One period through to distribution, then the authority's region functions
+      const lifecycle = await deploy();
+      const { client, managers } = lifecycle;
+      record("registerRegion", (await client.registerRegion("North Valley", 5, managers[0].address)).gasUsed);
+      await client.registerRegion("South Plains", 7, managers[1].address);
+      record("startAllocationPeriod", (await client.startAllocationPeriod(100000, 1)).gasUsed);
+      record("submitWaterRequest", (await client.withRunner(managers[0]).submitWaterRequest(4000, 80)).gasUsed);
+      await client.withRunner(managers[1]).submitWaterRequest(3000, 60);
+      const { gasUsed, requestId } = await client.processAllocation();
+      record("processAllocation", gasUsed);
+      await lifecycle.gateway.fulfillPending("relay");
+      record("emergencyWaterAllocation", (await client.emergencyWaterAllocation(1, 500)).gasUsed);
+      record("updateRegionManager", (await client.updateRegionManager(2, managers[2].address)).gasUsed);
+      record("deactivateRegion", (await client.deactivateRegion(2)).gasUsed);
+
+      // Every view, read from the state the lifecycle left behind
+      const views = {
+        DECRYPTION_TIMEOUT: [],
+        protocolId: [],
+        REQUEST_TIMEOUT: [],
+        authority: [],
+        currentAllocationPeriod: [],
+        lastAllocationTime: [],
+        totalRegions: [],
+        nextRegionId: [],
+        regionManagers: [managers[0].address],
+        regionsByPeriod: [1, 0],
+        regions: [1],
+        allocationPeriods: [1],
+        waterRequests: [1, 1],
+        decryptionRequests: [requestId],
+        isAllocationPeriodActive: [],
+        getRegionInfo: [1],
+        getCurrentPeriodInfo: [],
+        getRegionRequestStatus: [1, 1],
+        getDecryptionStatus: [1],
+        getPeriodParticipants: [1],
+        canClaimTimeoutRefund: [1, managers[0].address],
+      };
+      for (const [method, args] of Object.entries(views)) {
+        record(`${method} (call)`, await client.contract[method].estimateGas(...args));
+      }
+
+      // The distribution and the timeout refunds loop over the participants
+      const { decryptionTimeout } = await client.getTimeouts();
+      for (const count of PARTICIPANT_COUNTS) {
+        const distributed = await deploy();
+        await openPeriod(distributed, count);
+        const callback = await distributed.gateway.fulfillPending("relay");
+        record(`processAllocationCallback (${participants(count)})`, callback.gasUsed);
+
+        const timedOut = await deploy();
+        await openPeriod(timedOut, count);
+        await time.increase(decryptionTimeout + 1);
+        const timeout = await timedOut.client.claimDecryptionTimeout(1);
+        record(`claimDecryptionTimeout (${participants(count)})`, timeout.gasUsed);
+      }
+
+      // A total that decrypts to 0 fails the period, and its participants claim refunds
+      const failed = await deploy();
+      await openPeriod(failed, 1);
+      record("processAllocationCallback (decryption failed)", (await failed.gateway.fulfillPending("zero")).gasUsed);
+      const refund = await failed.client.withRunner(failed.managers[0]).claimDecryptionFailureRefund(1);
+      record("claimDecryptionFailureRefund", refund.gasUsed);
+    });
+
+    it("Should measure every function of the contract", function () {
+      const functionNames = Array.from(
+        new Set(WaterResourceClient.ABI.filter((item) => item.startsWith("function ")).map((item) => item.split(/[ (]/)[1]))
+      );
+
+      expect(uncoveredFunctions(functionNames, measured)).to.be.empty;
+    });
+
+    it("Should not use more gas than the baseline allows", function () {
+      const current = createSnapshot(measured);
+      const baseline = readSnapshot(BASELINE_FILE);
+
+      if (process.env.GAS_SNAPSHOT === "update") {
+        const tolerancePercent = baseline ? baseline.tolerancePercent : undefined;
+        writeSnapshot(BASELINE_FILE, createSnapshot(measured, { tolerancePercent }));
+        console.log(`      Wrote ${Object.keys(measured).length} measurements to ${path.basename(BASELINE_FILE)}`);
+        return;
+      }
+      expect(baseline, `${path.basename(BASELINE_FILE)} is missing; run: npm run gas:snapshot`).to.exist;
+
+      const tolerance = process.env.GAS_TOLERANCE !== undefined ? Number(process.env.GAS_TOLERANCE) : undefined;
+      const comparison = compareSnapshots(baseline, current, tolerance);
+      console.log(`\n${formatComparison(comparison)}\n`);
+
+      expect(comparison.regressions.map((change) => change.name)).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { interpolate, placeholders, compareBundles, negotiateLocale, createTranslator } = require("../lib/i18n");
+const { STATUSES } = require("../lib/transactionManager");
+const { SORT_FIELDS } = require("../lib/regionDirectory");
+
+describe("i18n", function () {
+  const APP_DIR = path.join(__dirname, "..", "water-resource-management");
+  const LOCALES = ["en", "es"];
+  const bundles = Object.fromEntries(
+    LOCALES.map((locale) => [
+      locale,
+      JSON.parse(fs.readFileSync(path.join(APP_DIR, "locales", `${locale}.json`), "utf8")),
+    ])
+  );
+
+  // Strings that read the same in Spanish
+  const SAME_IN_SPANISH = ["common.no", "columns.gas"];
+
+  // Keys built from a value at runtime, with every value they can take
+  const DYNAMIC_KEYS = {
+    "feed.status": ["connecting", "live", "reconnecting", "stopped"],
+    "history.status": ["open", "closed", "decrypting", "timed-out", "failed", "distributed"],
+    "queue.status": STATUSES,
+    "directory.sort": SORT_FIELDS,
+    "safe.status": ["executed", "applied", "missing"],
+  };
+
+  function dashboardSources() {
+    return ["pages", "components"].flatMap((dir) =>
+      fs
+        .readdirSync(path.join(APP_DIR, dir))
+        .filter((file) => file.endsWith(".tsx"))
+        .map((file) => fs.readFileSync(path.join(APP_DIR, dir, file), "utf8"))
+    );
+  }
+
+  describe("Bundles", function () {
+    it("Should translate every key of the English bundle with the same placeholders", function () {
+      for (const locale of LOCALES) {
+        expect(compareBundles(bundles.en, bundles[locale]), locale).to.deep.equal({
+          missing: [],
+          unexpected: [],
+          placeholders: [],
+        });
+      }
+    });
+
+    it("Should not leave English text in the Spanish bundle", function () {
+      const untranslated = Object.keys(bundles.en).filter(
+        (key) => bundles.es[key] === bundles.en[key] && !SAME_IN_SPANISH.includes(key)
+      );
+
+      expect(untranslated).to.be.empty;
+    });
+
+    it("Should have a translation for every key the dashboard uses", function () {
+      const used = new Set();
+      for (const source of dashboardSources()) {
+        for (const match of source.matchAll(/\bt\('([\w.-]+)'|setWorkflowStatus\('([\w.-]+)'/g)) {
+          used.add(match[1] || match[2]);
+        }
+        for (const match of source.matchAll(/\bt\(`([\w.-]+)\.\$\{/g)) {
+          expect(DYNAMIC_KEYS, `t(\`${match[1]}.\${...}\`)`).to.have.property(match[1]);
+        }
+      }
+      for (const [prefix, values] of Object.entries(DYNAMIC_KEYS)) {
+        values.forEach((value) => used.add(`${prefix}.${value}`));
+      }
+
+      expect(used.size).to.be.greaterThan(100);
+      // Plural keys are used without their suffix
+      expect(Array.from(used).filter((key) => !(key in bundles.en) && !(`${key}.other` in bundles.en))).to.be.empty;
+    });
+  });
+
+  describe("Templates", function () {
+    it("Should fill in placeholders and leave unknown ones", function () {
+      expect(interpolate("Region {regionId}: {name}", { regionId: 3, name: "North" })).to.equal("Region 3: North");
+      expect(interpolate("Up to block {blockNumber}")).to.equal("Up to block {blockNumber}");
+      expect(placeholders("{b} then {a} and {b}")).to.deep.equal(["a", "b"]);
+    });
+
+    it("Should report missing, unexpected and mismatched keys", function () {
+      const reference = { a: "A {x}", b: "B", "c.one": "one c", "c.other": "{count} c" };
+      const bundle = { a: "A {y}", "c.other": "{count} c", "c.few": "{count} c", d: "D" };
+
+      expect(compareBundles(reference, bundle)).to.deep.equal({
+        missing: ["b"],
+        unexpected: ["d"],
+        placeholders: ["a"],
+      });
+    });
+  });
+
+  describe("Translator", function () {
+    it("Should translate, pluralise and format counts per locale", function () {
+      const en = createTranslator(bundles, "en");
+      const es = createTranslator(bundles, "es");
+
+      expect(en.t("register.success", { name: "North", regionId: 2 })).to.equal(
+        interpolate(bundles.en["register.success"], { name: "North", regionId: 2 })
+      );
+      expect(en.t("refunds.recorded", { count: 1 })).to.equal(
+        interpolate(bundles.en["refunds.recorded.one"], { count: "1" })
+      );
+      expect(es.t("refunds.recorded", { count: 12345 })).to.equal(
+        interpolate(bundles.es["refunds.recorded.other"], { count: "12.345" })
+      );
+    });
+
+    it("Should fall back to English and then to the key", function () {
+      const fr = createTranslator({ en: { greeting: "Hello" }, fr: {} }, "fr");
+
+      expect(fr.t("greeting")).to.equal("Hello");
+      expect(fr.t("missing.key")).to.equal("missing.key");
+    });
+
+    it("Should format amounts and timestamps for the locale", function () {
+      const en = createTranslator(bundles, "en");
+      const es = createTranslator(bundles, "es");
+
+      expect(en.formatNumber(12345)).to.equal("12,345");
+      expect(es.formatNumber(12345)).to.equal("12.345");
+      expect(en.formatNumber(10n ** 12n)).to.equal("1,000,000,000,000");
+      expect(en.formatNumber("2500")).to.equal("2,500");
+      expect(en.formatTimestamp(0)).to.equal("-");
+      expect(en.formatTimestamp(1700000000)).to.not.equal(es.formatTimestamp(1700000000));
+    });
+  });
+
+  describe("Locale negotiation", function () {
+    it("Should pick the first supported language of the browser", function () {
+      expect(negotiateLocale(["fr-FR", "es-MX", "en"], LOCALES)).to.equal("es");
+      expect(negotiateLocale(["EN-gb"], LOCALES)).to.equal("en");
+      expect(negotiateLocale(["de"], LOCALES)).to.equal("en");
+      expect(negotiateLocale(undefined, ["es"])).to.equal("es");
+    });
+  });
+});
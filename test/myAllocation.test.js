@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { createMockDecryptor } = require("../lib/userDecryption");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+const { loadMyAllocation } = require("../lib/myAllocation");
+
+describe("myAllocation", function () {
+  before(function () {
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  // Period 1 is distributed to both regions; period 2 (alice only) is still open
+  async function deployAllocationFixture() {
+    await syncMockCoprocessor(hre);
+    const [authority, alice, bob, carol] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+
+    await client.startAllocationPeriod(10000, 1);
+    await client.withRunner(alice).submitWaterRequest(4000, 80);
+    await client.withRunner(bob).submitWaterRequest(3000, 60);
+    await client.processAllocation();
+    await new MockGateway(client, createMockOracle(hre), {
+      fromBlock: receipt.blockNumber,
+      provider: ethers.provider,
+    }).fulfillPending("relay");
+
+    await time.increase(3601);
+    await client.startAllocationPeriod(8000, 1);
+    await client.withRunner(alice).submitWaterRequest(2500, 70);
+
+    return { client, decryptor: createMockDecryptor(hre), alice, bob, carol };
+  }
+
+  it("Should decrypt the manager's demand and allocation for each period", async function () {
+    const { client, decryptor, alice } = await loadFixture(deployAllocationFixture);
+
+    const result = await loadMyAllocation(client, decryptor, alice);
+
+    expect(result).to.include({ manager: alice.address, regionId: 1, name: "North Valley" });
+    const periods = result.periods.map(({ periodId, decryptable, demand, allocation }) => ({
+      periodId,
+      decryptable,
+      demand,
+      allocation,
+    }));
+    expect(periods).to.deep.equal([
+      { periodId: 2, decryptable: true, demand: 2500, allocation: null },
+      { periodId: 1, decryptable: true, demand: 4000, allocation: 1000 },
+    ]);
+  });
+
+  it("Should list requests of a previous manager without values", async function () {
+    const { client, decryptor, carol } = await loadFixture(deployAllocationFixture);
+    await client.updateRegionManager(2, carol.address);
+
+    const result = await loadMyAllocation(client, decryptor, carol);
+
+    expect(result.periods).to.have.lengthOf(1);
+    expect(result.periods[0]).to.include({
+      periodId: 1,
+      isProcessed: true,
+      decryptable: false,
+      demand: null,
+      allocation: null,
+    });
+  });
+
+  it("Should reject accounts that manage no region", async function () {
+    const { client, decryptor, carol } = await loadFixture(deployAllocationFixture);
+
+    await expect(loadMyAllocation(client, decryptor, carol)).to.be.rejectedWith(
+      `${carol.address} is not a registered region manager`
+    );
+  });
+});
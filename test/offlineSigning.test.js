@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const {
+  GAS_MARGIN_PERCENT,
+  OfflineSigningError,
+  OfflineTransactionBuilder,
+  readUnsignedTransaction,
+  signTransaction,
+  readSignedTransaction,
+} = require("../lib/offlineSigning");
+
+describe("OfflineSigning", function () {
+  async function deployOfflineFixture() {
+    const [online, alice, bob] = await ethers.getSigners();
+
+    // The authority key has no provider, as on the offline machine
+    const authorityKey = ethers.Wallet.createRandom();
+    await online.sendTransaction({ to: authorityKey.address, value: ethers.parseEther("10") });
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.connect(authorityKey.connect(ethers.provider)).deploy();
+    await contract.waitForDeployment();
+
+    // Records who each value was encrypted for instead of encrypting it
+    const encryptedFor = [];
+    const encryptor = {
+      encryptUint32: async (contractAddress, userAddress, values) => {
+        encryptedFor.push(userAddress);
+        return { handles: values.map(() => ethers.ZeroHash), inputProof: "0x" };
+      },
+    };
+    // The online machine prepares and broadcasts from an account of its own
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), online, { encryptor });
+
+    return { client, contract, authorityKey, encryptedFor, online, alice, bob };
+  }
+
+  // Files travel between the machines as JSON
+  function throughFile(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async function broadcast(signed) {
+    const tx = await ethers.provider.broadcastTransaction(signed.rawTransaction);
+    return tx.wait();
+  }
+
+  describe("Preparing", function () {
+    it("Should write the call with the signer's nonce, fees, gas limit and chain", async function () {
+      const { client, authorityKey, alice } = await loadFixture(deployOfflineFixture);
+      const builder = new OfflineTransactionBuilder(client, { from: authorityKey.address });
+
+      const unsigned = await builder.registerRegion("North Valley", 5, alice.address);
+      const estimate = await ethers.provider.estimateGas({
+        from: authorityKey.address,
+        to: client.address,
+        data: unsigned.transaction.data,
+      });
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(unsigned).to.include({ version: 1, kind: "unsigned", from: authorityKey.address });
+      expect(unsigned.transaction).to.include({
+        type: 2,
+        chainId: chainId.toString(),
+        to: client.address,
+        nonce: await ethers.provider.getTransactionCount(authorityKey.address),
+        gasLimit: ((estimate * (100n + GAS_MARGIN_PERCENT)) / 100n).toString(),
+        value: "0",
+      });
+      expect(unsigned.transaction.maxFeePerGas).to.be.a("string");
+      expect(unsigned.call).to.deep.equal({
+        method: "registerRegion",
+        args: [
+          { name: "name", type: "string", value: "North Valley" },
+          { name: "_priorityLevel", type: "uint32", value: "5" },
+          { name: "_manager", type: "address", value: alice.address },
+        ],
+      });
+    });
+
+    it("Should encrypt values for the offline signer and take a given nonce and gas limit", async function () {
+      const { client, authorityKey, encryptedFor } = await loadFixture(deployOfflineFixture);
+      const builder = new OfflineTransactionBuilder(client, { from: authorityKey.address, nonce: 7, gasLimit: 500000 });
+
+      const unsigned = await builder.startAllocationPeriod(1000, 24);
+
+      expect(encryptedFor).to.deep.equal([authorityKey.address]);
+      expect(unsigned.transaction).to.include({ nonce: 7, gasLimit: "500000" });
+      expect(unsigned.call.method).to.equal("startAllocationPeriod");
+    });
+
+    it("Should not prepare calls that would revert or are not authority functions", async function () {
+      const { client, contract, authorityKey, alice } = await loadFixture(deployOfflineFixture);
+
+      await expect(
+        new OfflineTransactionBuilder(client, { from: alice.address }).registerRegion("North Valley", 5, alice.address)
+      ).to.be.revertedWithCustomError(contract, "NotAuthorized");
+      await expect(
+        new OfflineTransactionBuilder(client, { from: authorityKey.address }).prepare("claimDecryptionTimeout", [1])
+      ).to.be.rejectedWith(OfflineSigningError, "not an authority function");
+      expect(() => new OfflineTransactionBuilder(client, { from: "0x1234" })).to.throw(OfflineSigningError);
+    });
+  });
+
+  describe("Signing and broadcasting", function () {
+    it("Should sign without a provider and broadcast the signed transaction", async function () {
+      const { client, authorityKey, alice } = await loadFixture(deployOfflineFixture);
+      const builder = new OfflineTransactionBuilder(client, { from: authorityKey.address });
+      const unsigned = throughFile(await builder.registerRegion("North Valley", 5, alice.address));
+
+      const signed = throughFile(await signTransaction(ethers, unsigned, authorityKey));
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(signed).to.include({ kind: "signed", from: authorityKey.address });
+      expect(readSignedTransaction(ethers, signed, { contractAddress: client.address, chainId })).to.equal(signed);
+
+      const receipt = await broadcast(signed);
+      expect(receipt.hash).to.equal(signed.hash);
+      const event = client.parseReceipt(receipt).events.find((e) => e.name === "RegionRegistered");
+      expect(event.args).to.include({ regionId: 1, name: "North Valley", manager: alice.address });
+    });
+
+    it("Should prepare consecutive transactions before any is broadcast", async function () {
+      const { client, authorityKey, alice, bob } = await loadFixture(deployOfflineFixture);
+      const nonce = await ethers.provider.getTransactionCount(authorityKey.address);
+
+      const register = await new OfflineTransactionBuilder(client, { from: authorityKey.address }).registerRegion(
+        "North Valley",
+        5,
+        alice.address
+      );
+      // Region 1 does not exist yet, so its gas cannot be estimated
+      const update = await new OfflineTransactionBuilder(client, {
+        from: authorityKey.address,
+        nonce: nonce + 1,
+        gasLimit: 200000,
+      }).updateRegionManager(1, bob.address);
+
+      await broadcast(await signTransaction(ethers, register, authorityKey));
+      await broadcast(await signTransaction(ethers, update, authorityKey));
+
+      expect((await client.getRegion(1)).manager).to.equal(bob.address);
+    });
+
+    it("Should refuse to sign an edited file or with another key", async function () {
+      const { client, authorityKey, alice, bob } = await loadFixture(deployOfflineFixture);
+      const builder = new OfflineTransactionBuilder(client, { from: authorityKey.address });
+      const unsigned = throughFile(await builder.registerRegion("North Valley", 5, alice.address));
+
+      const editedCall = throughFile(unsigned);
+      editedCall.call.args[2].value = bob.address;
+      await expect(signTransaction(ethers, editedCall, authorityKey)).to.be.rejectedWith(OfflineSigningError, "match");
+
+      const editedData = throughFile(unsigned);
+      editedData.transaction.data = client.interface.encodeFunctionData("registerRegion", ["North Valley", 5, bob.address]);
+      await expect(signTransaction(ethers, editedData, authorityKey)).to.be.rejectedWith(OfflineSigningError, "match");
+
+      await expect(signTransaction(ethers, unsigned, ethers.Wallet.createRandom())).to.be.rejectedWith(
+        OfflineSigningError,
+        "The key is for"
+      );
+      expect(() => readUnsignedTransaction(ethers, { ...unsigned, version: 2 })).to.throw(OfflineSigningError, "Not an");
+    });
+
+    it("Should reject signed files for another chain or contract, or that were tampered with", async function () {
+      const { client, authorityKey, alice } = await loadFixture(deployOfflineFixture);
+      const builder = new OfflineTransactionBuilder(client, { from: authorityKey.address });
+      const unsigned = await builder.registerRegion("North Valley", 5, alice.address);
+      const signed = throughFile(await signTransaction(ethers, unsigned, authorityKey));
+
+      expect(() => readSignedTransaction(ethers, signed, { chainId: 11155111 })).to.throw(OfflineSigningError, "chain");
+      expect(() => readSignedTransaction(ethers, signed, { contractAddress: alice.address })).to.throw(
+        OfflineSigningError,
+        "calls"
+      );
+      expect(() => readSignedTransaction(ethers, unsigned)).to.throw(OfflineSigningError, "signed");
+
+      const other = await signTransaction(
+        ethers,
+        { ...unsigned, transaction: { ...unsigned.transaction, nonce: unsigned.transaction.nonce + 1 } },
+        authorityKey
+      );
+      expect(() => readSignedTransaction(ethers, { ...signed, rawTransaction: other.rawTransaction })).to.throw(
+        OfflineSigningError,
+        "does not match"
+      );
+    });
+  });
+});
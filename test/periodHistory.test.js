@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle } = require("../lib/MockGateway");
+const { loadPeriodHistory, loadPeriodDetail } = require("../lib/periodHistory");
+
+describe("periodHistory", function () {
+  before(function () {
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  // Period 1 is distributed, period 2 fails to decrypt and is refunded, period 3 is open
+  async function deployHistoryFixture() {
+    const [authority, alice, bob] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+    const fromBlock = receipt.blockNumber;
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    const gateway = new MockGateway(client, createMockOracle(hre), { fromBlock, provider: ethers.provider });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+
+    await client.startAllocationPeriod(10000, 1);
+    await client.withRunner(alice).submitWaterRequest(4000, 80);
+    await client.withRunner(bob).submitWaterRequest(3000, 60);
+    await client.processAllocation();
+    await gateway.pollOnce();
+
+    await client.startAllocationPeriod(8000, 1);
+    await client.withRunner(alice).submitWaterRequest(2000, 50);
+    await client.processAllocation();
+    gateway.setMode("zero");
+    await gateway.pollOnce();
+    await client.withRunner(alice).claimDecryptionFailureRefund(2);
+
+    await time.increase(2 * 60 * 60);
+    await client.deactivateRegion(2);
+    await client.startAllocationPeriod(6000, 24);
+    await client.withRunner(alice).submitWaterRequest(1000, 40);
+
+    return { client, fromBlock };
+  }
+
+  it("Should summarize every period, newest first", async function () {
+    const { client, fromBlock } = await loadFixture(deployHistoryFixture);
+
+    const history = await loadPeriodHistory(client, { fromBlock });
+
+    expect(history.currentPeriod).to.equal(3);
+    expect(history.periods.map((period) => [period.periodId, period.status])).to.deep.equal([
+      [3, "open"],
+      [2, "failed"],
+      [1, "distributed"],
+    ]);
+    const [open, failed, distributed] = history.periods;
+    expect(open.participants).to.deep.equal([1]);
+    expect(open.decryptionRequestTime).to.equal(0);
+    expect(failed).to.include({ decryptionFailed: true, totalAllocated: 0 });
+    expect(failed.allocations).to.deep.equal([]);
+    expect(distributed.participants).to.deep.equal([1, 2]);
+    expect(distributed.endTime).to.be.greaterThan(distributed.startTime);
+    expect(distributed.allocations.map((allocation) => allocation.regionId)).to.have.members([1, 2]);
+    expect(distributed.totalAllocated).to.be.within(1, 10000);
+  });
+
+  it("Should drill into a period with each region's request, allocation and refund", async function () {
+    const { client, fromBlock } = await loadFixture(deployHistoryFixture);
+
+    const distributed = await loadPeriodDetail(client, 1, { fromBlock });
+    expect(distributed.regions.map((region) => region.name)).to.deep.equal(["North Valley", "South Plains"]);
+    // Deactivated since, but still listed
+    expect(distributed.regions[1]).to.include({ regionId: 2, isActive: false, isProcessed: true, refunded: null });
+    for (const region of distributed.regions) {
+      const allocation = distributed.allocations.find((entry) => entry.regionId === region.regionId);
+      expect(region.allocated).to.equal(allocation.amount);
+      expect(region.requestedAt).to.be.greaterThan(0);
+    }
+
+    const failed = await loadPeriodDetail(client, 2, { fromBlock });
+    expect(failed.regions).to.have.lengthOf(1);
+    expect(failed.regions[0]).to.include({ regionId: 1, allocated: null, refundClaimed: true, refunded: 0n });
+  });
+
+  it("Should refuse a period that does not exist", async function () {
+    const { client } = await loadFixture(deployHistoryFixture);
+
+    await expect(loadPeriodDetail(client, 4)).to.be.rejectedWith("Period 4 does not exist (current period is 3)");
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const EventStore = require("../lib/EventStore");
+const EventIndexer = require("../lib/EventIndexer");
+const { buildPeriodReport, toMarkdown, toCsv } = require("../lib/periodReport");
+
+describe("Period audit report", function () {
+  async function deployReportFixture() {
+    const [authority, alice, bob] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const deployment = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Basin", 7, alice.address);
+    await client.registerRegion("South Basin", 4, bob.address);
+
+    const store = new EventStore(fs.mkdtempSync(path.join(os.tmpdir(), "report-store-")));
+    const indexer = new EventIndexer(client, store, { startBlock: deployment.blockNumber });
+
+    return { client, store, indexer, alice, bob };
+  }
+
+  it("Should list participants with their request transactions", async function () {
+    const { client, store, indexer, alice } = await loadFixture(deployReportFixture);
+    await client.startAllocationPeriod(10000, 24);
+    const request = await client.withRunner(alice).submitWaterRequest(3000, 80);
+    await indexer.syncOnce();
+
+    const report = await buildPeriodReport(client, 1, store.readEvents());
+
+    expect(report.regions).to.have.lengthOf(1);
+    expect(report.regions[0]).to.include({
+      regionId: 1,
+      name: "North Basin",
+      participant: true,
+      hasSubmittedRequest: true,
+      isProcessed: false,
+      requestTransaction: request.hash,
+    });
+    expect(report.timeline.map((entry) => entry.event)).to.deep.equal(["AllocationPeriodStarted", "WaterRequested"]);
+    expect(report.timeline[1].time).to.equal(report.regions[0].requestedAt);
+  });
+
+  it("Should attribute emergency allocations to the period they happened in", async function () {
+    const { client, store, indexer } = await loadFixture(deployReportFixture);
+    await client.startAllocationPeriod(10000, 1);
+    await client.emergencyWaterAllocation(2, 500);
+    await time.increase(3601);
+    await client.startAllocationPeriod(8000, 1);
+    await client.emergencyWaterAllocation(2, 900);
+    await indexer.syncOnce();
+
+    const first = await buildPeriodReport(client, 1, store.readEvents());
+    const second = await buildPeriodReport(client, 2, store.readEvents());
+
+    expect(first.regions[0]).to.include({ regionId: 2, participant: false });
+    expect(first.regions[0].emergencyAllocations).to.have.lengthOf(1);
+    expect(second.regions[0].emergencyAllocations).to.have.lengthOf(1);
+    expect(first.regions[0].emergencyAllocations[0].transactionHash).to.not.equal(
+      second.regions[0].emergencyAllocations[0].transactionHash
+    );
+  });
+
+  it("Should render Markdown and CSV with transaction hashes", async function () {
+    const { client, store, indexer, bob } = await loadFixture(deployReportFixture);
+    await client.startAllocationPeriod(10000, 24);
+    const request = await client.withRunner(bob).submitWaterRequest(2000, 60);
+    await indexer.syncOnce();
+
+    const report = await buildPeriodReport(client, 1, store.readEvents());
+    const markdown = toMarkdown(report);
+    const csv = toCsv(report).trim().split("\n");
+
+    expect(markdown).to.include("# Water Allocation Audit — Period 1");
+    expect(markdown).to.include("| 2 | South Basin |");
+    expect(markdown).to.include(request.hash);
+    expect(csv[0]).to.equal(
+      "periodId,event,regionId,regionName,amount,blockNumber,blockTimestamp,time,transactionHash"
+    );
+    expect(csv[2]).to.match(new RegExp(`^1,WaterRequested,2,South Basin,,\\d+,\\d+,.+,${request.hash}$`));
+  });
+
+  it("Should still report participants whose region was deactivated", async function () {
+    const { client, store, indexer, alice, bob } = await loadFixture(deployReportFixture);
+    await client.startAllocationPeriod(10000, 24);
+    await client.withRunner(alice).submitWaterRequest(3000, 80);
+    await client.withRunner(bob).submitWaterRequest(2000, 60);
+    await client.deactivateRegion(1);
+    await indexer.syncOnce();
+
+    const report = await buildPeriodReport(client, 1, store.readEvents());
+
+    const summary = report.regions.map(({ regionId, isActive, hasSubmittedRequest }) => [
+      regionId,
+      isActive,
+      hasSubmittedRequest,
+    ]);
+    expect(summary).to.deep.equal([
+      [1, false, true],
+      [2, true, true],
+    ]);
+    expect(report.regions[0].requestedAt).to.equal(report.timeline[1].time);
+  });
+
+  it("Should reject periods that have not started", async function () {
+    const { client } = await loadFixture(deployReportFixture);
+
+    await expect(buildPeriodReport(client, 1, [])).to.be.rejectedWith("Period 1 does not exist");
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle } = require("../lib/MockGateway");
+const { scanRefunds, claimRefunds } = require("../lib/refundAssistant");
+
+describe("refundAssistant", function () {
+  before(function () {
+    // Both refund paths start from processAllocation, which needs the mocked oracle
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  // Period 1 fails to decrypt; period 2 (alice only) never gets an answer
+  async function deployRefundFixture() {
+    const [authority, alice, bob, carol] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+
+    await client.startAllocationPeriod(10000, 1);
+    await client.withRunner(alice).submitWaterRequest(4000, 80);
+    await client.withRunner(bob).submitWaterRequest(3000, 60);
+    await client.processAllocation();
+    const gateway = new MockGateway(client, createMockOracle(hre), {
+      mode: "zero",
+      fromBlock: receipt.blockNumber,
+      provider: ethers.provider,
+    });
+    await gateway.pollOnce();
+
+    await time.increase(2 * 60 * 60);
+    await client.startAllocationPeriod(8000, 1);
+    await client.withRunner(alice).submitWaterRequest(2000, 50);
+    await client.processAllocation();
+    await time.increase(24 * 60 * 60);
+
+    return { client, alice, bob, carol };
+  }
+
+  it("Should list failed and timed-out periods the region took part in", async function () {
+    const { client, alice, bob } = await loadFixture(deployRefundFixture);
+
+    const scan = await scanRefunds(client, alice.address);
+
+    expect(scan).to.include({ manager: alice.address, regionId: 1, currentPeriod: 2 });
+    expect(scan.periods).to.have.lengthOf(2);
+    expect(scan.eligible.map((period) => [period.periodId, period.action])).to.deep.equal([
+      [1, "claimDecryptionFailureRefund"],
+      [2, "claimDecryptionTimeout"],
+    ]);
+
+    // Bob did not take part in period 2
+    const bobScan = await scanRefunds(client, bob.address);
+    expect(bobScan.periods[1]).to.include({ periodId: 2, participated: false, timedOut: true, action: null });
+    expect(bobScan.eligible.map((period) => period.periodId)).to.deep.equal([1]);
+  });
+
+  it("Should claim every eligible period and record the RefundProcessed events", async function () {
+    const { client, alice } = await loadFixture(deployRefundFixture);
+    const manager = client.withRunner(alice);
+    const claimed = [];
+
+    const scan = await scanRefunds(manager, alice.address);
+    const result = await claimRefunds(manager, scan, { onClaim: (claim) => claimed.push(claim.periodId) });
+
+    expect(claimed).to.deep.equal([1, 2]);
+    expect(result.claims.map((claim) => claim.status)).to.deep.equal(["refunded", "refunded"]);
+    // The timeout claim refunds the region itself, so period 2 needs one transaction
+    expect(result.claims[1].transactions).to.have.lengthOf(1);
+    expect(result.refunds.map((refund) => refund.periodId)).to.deep.equal([1, 2]);
+    expect(result.refunds[0].amount).to.equal(0n);
+    expect(result.refunds[0].transactionHash).to.equal(result.claims[0].transactions[0]);
+
+    expect((await client.getWaterRequest(2, 1)).refundClaimed).to.be.true;
+    expect((await scanRefunds(manager, alice.address)).eligible).to.deep.equal([]);
+  });
+
+  it("Should follow an expired timeout claim with a failure refund", async function () {
+    const { client, alice } = await loadFixture(deployRefundFixture);
+    const manager = client.withRunner(alice);
+    // Past the request's own 7-day timeout, claimDecryptionTimeout refunds nobody
+    await time.increase(7 * 24 * 60 * 60);
+
+    const scan = await scanRefunds(manager, alice.address);
+    const result = await claimRefunds(manager, { ...scan, eligible: scan.eligible.filter((p) => p.periodId === 2) });
+
+    expect(result.claims[0]).to.include({ periodId: 2, status: "refunded" });
+    expect(result.claims[0].transactions).to.have.lengthOf(2);
+    expect(result.refunds[0].transactionHash).to.equal(result.claims[0].transactions[1]);
+  });
+
+  it("Should record a failed claim and carry on with the other periods", async function () {
+    const { client, alice } = await loadFixture(deployRefundFixture);
+    const manager = client.withRunner(alice);
+
+    const scan = await scanRefunds(manager, alice.address);
+    await manager.claimDecryptionFailureRefund(1);
+    const result = await claimRefunds(manager, scan);
+
+    expect(result.claims[0]).to.include({ periodId: 1, status: "failed" });
+    expect(result.claims[0].error).to.equal(
+      "[WRM-407] Region 1 has already claimed its refund for period 1. Each refund can only be claimed once."
+    );
+    expect(result.claims[1]).to.include({ periodId: 2, status: "refunded" });
+    expect(result.refunds.map((refund) => refund.periodId)).to.deep.equal([2]);
+  });
+
+  it("Should refuse to scan for an address that manages no region", async function () {
+    const { client, carol } = await loadFixture(deployRefundFixture);
+
+    await expect(scanRefunds(client, carol.address)).to.be.rejectedWith(
+      `${carol.address} is not a registered region manager`
+    );
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle } = require("../lib/MockGateway");
+const { loadRegions, filterRegions, loadRegionRequests } = require("../lib/regionDirectory");
+
+describe("regionDirectory", function () {
+  describe("filterRegions", function () {
+    const regions = [
+      { regionId: 1, name: "North Valley", manager: "0xAAA1", isActive: true, lockedAmount: 1000n, lastUpdateTime: 30 },
+      { regionId: 2, name: "south plains", manager: "0xBBB2", isActive: false, lockedAmount: 0n, lastUpdateTime: 20 },
+      { regionId: 3, name: "East Ridge", manager: "0xCCC3", isActive: true, lockedAmount: 900n, lastUpdateTime: 10 },
+    ];
+    const ids = (list) => list.map((region) => region.regionId);
+
+    it("Should search names and manager addresses, ignoring case", function () {
+      expect(ids(filterRegions(regions, { search: "valley" }))).to.deep.equal([1]);
+      expect(ids(filterRegions(regions, { search: " 0xbbb" }))).to.deep.equal([2]);
+      expect(ids(filterRegions(regions, { search: "" }))).to.deep.equal([1, 2, 3]);
+    });
+
+    it("Should filter on active status", function () {
+      expect(ids(filterRegions(regions, { status: "active" }))).to.deep.equal([1, 3]);
+      expect(ids(filterRegions(regions, { status: "inactive" }))).to.deep.equal([2]);
+      expect(() => filterRegions(regions, { status: "paused" })).to.throw("Unknown status filter \"paused\"");
+    });
+
+    it("Should sort by any column in either direction without changing the input", function () {
+      expect(ids(filterRegions(regions, { sortBy: "name" }))).to.deep.equal([3, 1, 2]);
+      expect(ids(filterRegions(regions, { sortBy: "lockedAmount", descending: true }))).to.deep.equal([1, 3, 2]);
+      expect(ids(filterRegions(regions, { sortBy: "lastUpdateTime" }))).to.deep.equal([3, 2, 1]);
+      expect(ids(regions)).to.deep.equal([1, 2, 3]);
+      expect(() => filterRegions(regions, { sortBy: "priority" })).to.throw("Cannot sort regions by \"priority\"");
+    });
+  });
+
+  describe("on chain", function () {
+    before(function () {
+      if (!hre.fhevm || !hre.fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    async function deployDirectoryFixture() {
+      const [authority, alice, bob] = await ethers.getSigners();
+
+      const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+      const contract = await WaterResourceManager.deploy();
+      const receipt = await contract.deploymentTransaction().wait();
+      const fromBlock = receipt.blockNumber;
+
+      const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+        encryptor: createMockEncryptor(hre),
+      });
+      await client.registerRegion("North Valley", 5, alice.address);
+      await client.registerRegion("South Plains", 7, bob.address);
+      await client.startAllocationPeriod(10000, 1);
+      await client.withRunner(alice).submitWaterRequest(4000, 80);
+      await client.processAllocation();
+      await new MockGateway(client, createMockOracle(hre), { fromBlock, provider: ethers.provider }).pollOnce();
+      await client.deactivateRegion(2);
+
+      return { client, fromBlock, alice, bob };
+    }
+
+    it("Should list every region, including deactivated ones", async function () {
+      const { client, alice, bob } = await loadFixture(deployDirectoryFixture);
+
+      const regions = await loadRegions(client);
+
+      expect(regions.map((region) => [region.regionId, region.name, region.manager, region.isActive])).to.deep.equal([
+        [1, "North Valley", alice.address, true],
+        [2, "South Plains", bob.address, false],
+      ]);
+      expect(regions[0].lockedAmount).to.equal(1000n);
+      expect(regions[0].lastUpdateTime).to.be.greaterThan(0);
+    });
+
+    it("Should list the periods a region requested water in", async function () {
+      const { client, fromBlock } = await loadFixture(deployDirectoryFixture);
+
+      const [request] = await loadRegionRequests(client, 1, { fromBlock });
+
+      expect(request).to.include({ periodId: 1, isProcessed: true, allocated: 1000, refunded: null });
+      expect(request.requestedAt).to.be.greaterThan(0);
+      expect(await loadRegionRequests(client, 2, { fromBlock })).to.deep.equal([]);
+    });
+  });
+});
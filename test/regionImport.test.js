@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { parseCsv, readRegionFile, validateRow, importRegions } = require("../lib/regionImport");
+
+describe("Region import", function () {
+  async function deployImportFixture() {
+    const [authority, alice, bob, carol, user] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority);
+
+    return { client, authority, alice, bob, carol, user };
+  }
+
+  function writeTempFile(name, contents) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "region-import-")), name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  describe("Parsing", function () {
+    it("Should parse quoted CSV fields and skip blank lines", function () {
+      const rows = parseCsv(["name,priority", "\"Basin, North\",7", "", "\"Say \"\"hi\"\"\",2"].join("\r\n"));
+
+      expect(rows).to.deep.equal([
+        ["name", "priority"],
+        ["Basin, North", "7"],
+        ["Say \"hi\"", "2"],
+      ]);
+    });
+
+    it("Should read CSV files by header name", function () {
+      const file = writeTempFile(
+        "regions.csv",
+        "manager,name,priority\n0x0000000000000000000000000000000000000001,North Basin,7\n"
+      );
+
+      expect(readRegionFile(file)).to.deep.equal([
+        { row: 1, name: "North Basin", priority: "7", manager: "0x0000000000000000000000000000000000000001" },
+      ]);
+    });
+
+    it("Should read JSON arrays and { regions } objects", function () {
+      const entry = { name: "North Basin", priority: 7, manager: "0x0000000000000000000000000000000000000001" };
+
+      expect(readRegionFile(writeTempFile("a.json", JSON.stringify([entry])))).to.deep.equal([{ row: 1, ...entry }]);
+      expect(readRegionFile(writeTempFile("b.json", JSON.stringify({ regions: [entry] })))).to.have.lengthOf(1);
+    });
+
+    it("Should reject CSV files without the required columns", function () {
+      const file = writeTempFile("regions.csv", "name,priority\nNorth Basin,7\n");
+
+      expect(() => readRegionFile(file)).to.throw("manager");
+    });
+  });
+
+  describe("Validation", function () {
+    const manager = "0x0000000000000000000000000000000000000001";
+
+    it("Should apply the contract's registerRegion rules", function () {
+      expect(validateRow({ name: "  ", priority: 5, manager }).error).to.equal("Invalid region name");
+      expect(validateRow({ name: "A", priority: 0, manager }).error).to.equal("Priority must be 1-10");
+      expect(validateRow({ name: "A", priority: "11", manager }).error).to.equal("Priority must be 1-10");
+      expect(validateRow({ name: "A", priority: "2.5", manager }).error).to.equal("Priority must be 1-10");
+      expect(validateRow({ name: "A", priority: 5, manager: ethers.ZeroAddress }).error).to.equal(
+        "Invalid manager address"
+      );
+      expect(validateRow({ name: " A ", priority: "10", manager })).to.deep.equal({ name: "A", priority: 10, manager });
+    });
+  });
+
+  describe("Import", function () {
+    it("Should register new rows and report their region IDs", async function () {
+      const { client, alice, bob } = await loadFixture(deployImportFixture);
+
+      const result = await importRegions(client, [
+        { row: 1, name: "North Basin", priority: "7", manager: alice.address },
+        { row: 2, name: "South Basin", priority: "4", manager: bob.address },
+      ]);
+
+      expect(result.summary).to.include({ total: 2, registered: 2 });
+      expect(result.rows.map((row) => row.regionId)).to.deep.equal([1, 2]);
+      expect(result.rows[0].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await client.getRegionInfo(2)).name).to.equal("South Basin");
+    });
+
+    it("Should skip registered names, duplicates and invalid rows", async function () {
+      const { client, alice, bob, carol } = await loadFixture(deployImportFixture);
+      await client.registerRegion("North Basin", 7, alice.address);
+
+      const result = await importRegions(client, [
+        { row: 1, name: "North Basin", priority: "7", manager: alice.address },
+        { row: 2, name: "East Basin", priority: "12", manager: bob.address },
+        { row: 3, name: "West Basin", priority: "3", manager: carol.address },
+        { row: 4, name: "West Basin", priority: "3", manager: carol.address },
+      ]);
+
+      expect(result.rows.map((row) => row.status)).to.deep.equal(["skipped", "invalid", "registered", "skipped"]);
+      expect(result.rows[0].regionId).to.equal(1);
+      expect(result.rows[2].regionId).to.equal(2);
+      expect(result.rows[3].reason).to.equal("Duplicate of row 3");
+      expect(await client.totalRegions()).to.equal(2);
+    });
+
+    it("Should not submit transactions in a dry run", async function () {
+      const { client, alice } = await loadFixture(deployImportFixture);
+
+      const result = await importRegions(
+        client,
+        [{ row: 1, name: "North Basin", priority: "7", manager: alice.address }],
+        { dryRun: true }
+      );
+
+      expect(result.rows[0].status).to.equal("pending");
+      expect(await client.totalRegions()).to.equal(0);
+    });
+
+    it("Should stop submitting after a failed transaction", async function () {
+      const { client, alice, bob, user } = await loadFixture(deployImportFixture);
+
+      const result = await importRegions(client.withRunner(user), [
+        { row: 1, name: "North Basin", priority: "7", manager: alice.address },
+        { row: 2, name: "South Basin", priority: "4", manager: bob.address },
+      ]);
+
+      expect(result.rows[0]).to.include({ status: "failed" });
+      expect(result.rows[0].reason).to.include("[WRM-101]");
+      expect(result.rows[1]).to.include({ status: "pending", reason: "Not submitted after an earlier failure" });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { SafeBatchBuilder, SafeBatchError, readBatch, verifyBatch } = require("../lib/safeBatch");
+
+describe("SafeBatch", function () {
+  async function deployBatchFixture() {
+    const [authority, alice, bob, user] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    // Records who each value was encrypted for instead of encrypting it
+    const encryptedFor = [];
+    const encryptor = {
+      encryptUint32: async (contractAddress, userAddress, values) => {
+        encryptedFor.push(userAddress);
+        return { handles: values.map(() => ethers.ZeroHash), inputProof: "0x" };
+      },
+    };
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, { encryptor });
+
+    return { client, encryptedFor, authority, alice, bob, user };
+  }
+
+  // An account stands in for the Safe and sends each call of the batch itself
+  async function execute(signer, batch) {
+    const receipts = [];
+    for (const transaction of batch.transactions) {
+      const tx = await signer.sendTransaction({ to: transaction.to, data: transaction.data });
+      receipts.push(await tx.wait());
+    }
+    return receipts;
+  }
+
+  describe("Building", function () {
+    it("Should write each call with its calldata, method and values", async function () {
+      const { client, authority, alice } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+
+      await builder.registerRegion("North Valley", 5, alice.address);
+      await builder.deactivateRegion(1);
+      const batch = builder.build(ethers, { name: "Spring regions", createdAt: 1700000000000 });
+
+      expect(batch).to.include({ version: "1.0", chainId: "31337", createdAt: 1700000000000 });
+      expect(batch.meta).to.include({ name: "Spring regions", createdFromSafeAddress: authority.address });
+      expect(batch.transactions).to.have.lengthOf(2);
+      expect(batch.transactions[0]).to.deep.include({
+        to: client.address,
+        value: "0",
+        data: client.interface.encodeFunctionData("registerRegion", ["North Valley", 5, alice.address]),
+        contractInputsValues: { name: "North Valley", _priorityLevel: "5", _manager: alice.address },
+      });
+      expect(batch.transactions[0].contractMethod).to.deep.equal({
+        inputs: [
+          { internalType: "string", name: "name", type: "string" },
+          { internalType: "uint32", name: "_priorityLevel", type: "uint32" },
+          { internalType: "address", name: "_manager", type: "address" },
+        ],
+        name: "registerRegion",
+        payable: false,
+      });
+    });
+
+    it("Should encrypt values for the Safe rather than the account building the batch", async function () {
+      const { client, encryptedFor, alice } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: alice.address, chainId: 31337 });
+
+      await builder.startAllocationPeriod(1000, 24);
+      await builder.emergencyWaterAllocation(1, 50);
+
+      expect(encryptedFor).to.deep.equal([alice.address, alice.address]);
+      expect(builder.transactions.map((transaction) => transaction.contractMethod.name)).to.deep.equal([
+        "startAllocationPeriod",
+        "emergencyWaterAllocation",
+      ]);
+    });
+
+    it("Should only add authority functions", async function () {
+      const { client, authority } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+
+      expect(() => builder.add("claimDecryptionTimeout", [1])).to.throw(SafeBatchError, "not an authority function");
+      expect(() => builder.build(ethers)).to.throw(SafeBatchError, "no transactions");
+      expect(() => new SafeBatchBuilder(client, { safeAddress: "0x1234", chainId: 1 })).to.throw(SafeBatchError);
+    });
+
+    it("Should tell whether the Safe is the contract's authority", async function () {
+      const { client, authority, alice } = await loadFixture(deployBatchFixture);
+
+      expect(await new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 1 }).isAuthority()).to.be
+        .true;
+      expect(await new SafeBatchBuilder(client, { safeAddress: alice.address, chainId: 1 }).isAuthority()).to.be.false;
+    });
+  });
+
+  describe("Reading", function () {
+    it("Should accept its own batches and reject edited ones or ones for another chain or contract", async function () {
+      const { client, authority, alice } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+      await builder.registerRegion("North Valley", 5, alice.address);
+      const batch = JSON.parse(JSON.stringify(builder.build(ethers)));
+
+      expect(readBatch(ethers, batch, { contractAddress: client.address, chainId: 31337n })).to.equal(batch);
+      // The checksum leaves the name out, so a batch can be renamed
+      expect(() => readBatch(ethers, { ...batch, meta: { ...batch.meta, name: "Renamed" } })).to.not.throw();
+
+      const edited = JSON.parse(JSON.stringify(batch));
+      edited.transactions[0].contractInputsValues._manager = authority.address;
+      expect(() => readBatch(ethers, edited)).to.throw(SafeBatchError, "checksum mismatch");
+      expect(() => readBatch(ethers, batch, { chainId: 11155111 })).to.throw(SafeBatchError, "chain 31337");
+      expect(() => readBatch(ethers, batch, { contractAddress: alice.address })).to.throw(SafeBatchError, "calls");
+      expect(() => readBatch(ethers, { transactions: [] })).to.throw(SafeBatchError, "Not a");
+    });
+  });
+
+  describe("Verifying", function () {
+    it("Should match every call of an executed batch to its execution", async function () {
+      const { client, authority, alice, bob, user } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+      await builder.registerRegion("North Valley", 5, alice.address);
+      await builder.registerRegion("South Basin", 3, bob.address);
+      await builder.updateRegionManager(1, user.address);
+      await builder.deactivateRegion(2);
+      const batch = builder.build(ethers);
+
+      const receipts = await execute(authority, batch);
+      const result = await verifyBatch(client, batch, receipts);
+
+      expect(result.executed).to.be.true;
+      expect(result.transactions.map((transaction) => transaction.status)).to.deep.equal([
+        "executed",
+        "executed",
+        "executed",
+        "executed",
+      ]);
+      expect(result.transactions[0]).to.deep.include({
+        index: 1,
+        method: "registerRegion",
+        transactionHash: receipts[0].hash,
+        details: { regionId: 1 },
+      });
+      expect(result.transactions[1].details).to.deep.equal({ regionId: 2 });
+      expect(result.transactions[3]).to.include({ method: "deactivateRegion", transactionHash: receipts[3].hash });
+    });
+
+    it("Should report calls the execution did not carry out", async function () {
+      const { client, authority, alice } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+      await builder.registerRegion("North Valley", 5, alice.address);
+      await builder.deactivateRegion(1);
+      const batch = builder.build(ethers);
+
+      // Only the registration is executed
+      const receipts = await execute(authority, { transactions: batch.transactions.slice(0, 1) });
+      const result = await verifyBatch(client, batch, receipts);
+
+      expect(result.executed).to.be.false;
+      expect(result.transactions.map((transaction) => transaction.status)).to.deep.equal(["executed", "missing"]);
+    });
+
+    it("Should decode entries that only carry the method and its values", async function () {
+      const { client, authority, alice } = await loadFixture(deployBatchFixture);
+      const builder = new SafeBatchBuilder(client, { safeAddress: authority.address, chainId: 31337 });
+      await builder.registerRegion("North Valley", 5, alice.address);
+      const batch = builder.build(ethers);
+
+      const receipts = await execute(authority, batch);
+      const withoutData = { ...batch, transactions: batch.transactions.map((tx) => ({ ...tx, data: null })) };
+      const [transaction] = (await verifyBatch(client, withoutData, receipts)).transactions;
+
+      expect(transaction).to.include({ method: "registerRegion", status: "executed" });
+      expect(transaction.args).to.deep.equal(["North Valley", 5, alice.address]);
+    });
+  });
+});
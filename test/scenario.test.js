@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { ScenarioError, ScenarioRunner, loadScenario, findScenarioFiles } = require("../lib/scenario");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+
+describe("Scenario files", function () {
+  function writeScenario(contents, extension = ".yaml") {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "scenario-")), `test${extension}`);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  async function runScenario(scenario) {
+    if (hasMockOracle()) {
+      // Earlier suites revert snapshots, which the mock coprocessor does not follow
+      await syncMockCoprocessor(hre);
+    }
+    const [authority, ...signers] = await ethers.getSigners();
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+    const client = new WaterResourceClient(contract, { encryptor: createMockEncryptor(hre) });
+    const gateway = hasMockOracle() ? new MockGateway(client, createMockOracle(hre)) : null;
+
+    const runner = new ScenarioRunner(scenario, {
+      client,
+      authority,
+      signers,
+      increaseTime: (seconds) => time.increase(seconds),
+      fulfillDecryption: gateway ? (mode) => gateway.fulfillPending(mode) : undefined,
+    });
+    return runner.run();
+  }
+
+  function hasMockOracle() {
+    return Boolean(hre.fhevm && hre.fhevm.isMock);
+  }
+
+  describe("Bundled scenarios", function () {
+    for (const file of findScenarioFiles(path.join(__dirname, "..", "scenarios"))) {
+      it(`Should pass ${path.basename(file)}`, async function () {
+        const scenario = loadScenario(file);
+        if (scenario.steps.some((step) => step.action === "fulfillDecryption") && !hasMockOracle()) {
+          this.skip();
+        }
+        const result = await runScenario(scenario);
+        const failures = result.steps.flatMap((step) => step.failures.map((f) => `${step.index}: ${f}`));
+
+        expect(failures).to.deep.equal([]);
+        expect(result.passed).to.be.true;
+      });
+    }
+  });
+
+  describe("Runner", function () {
+    it("Should report failed expectations without stopping", async function () {
+      const file = writeScenario(
+        JSON.stringify({
+          accounts: ["alice"],
+          regions: { north: { name: "North", priority: 5, manager: "alice" } },
+          steps: [
+            { action: "registerRegion", region: "north", expect: { revert: "NotAuthorized" } },
+            { action: "startPeriod", water: 100, hours: 0 },
+            { action: "emergencyAllocation", region: "north", amount: 10, expect: { region: { region: "north", isActive: false } } },
+          ],
+        }),
+        ".json"
+      );
+
+      const result = await runScenario(loadScenario(file));
+
+      expect(result.passed).to.be.false;
+      expect(result.steps.map((step) => step.passed)).to.deep.equal([false, false, false]);
+      expect(result.steps[0].failures[0]).to.include("but the transaction succeeded");
+      expect(result.steps[1].failures[0]).to.include("[WRM-303] A duration of 0 hours is out of range");
+      expect(result.steps[2].failures[0]).to.equal("region north.isActive: expected false, got true");
+    });
+
+    it("Should check the request status of a deactivated region", async function () {
+      const file = writeScenario(
+        JSON.stringify({
+          accounts: ["alice"],
+          regions: { north: { name: "North", priority: 5, manager: "alice" } },
+          steps: [
+            { action: "registerRegion", region: "north" },
+            { action: "startPeriod", water: 100, hours: 1 },
+            { action: "submitRequest", region: "north", amount: 10, score: 50 },
+            {
+              action: "deactivateRegion",
+              region: "north",
+              expect: { requestStatus: { region: "north", hasSubmittedRequest: true, isProcessed: false } },
+            },
+          ],
+        }),
+        ".json"
+      );
+
+      const result = await runScenario(loadScenario(file));
+
+      expect(result.steps.map((step) => step.failures)).to.deep.equal([[], [], [], []]);
+      expect(result.passed).to.be.true;
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should reject unknown actions and expectations", function () {
+      expect(() => loadScenario(writeScenario("steps:\n  - action: flood\n"))).to.throw(ScenarioError, "unknown action");
+      expect(() =>
+        loadScenario(writeScenario("steps:\n  - action: processAllocation\n    expect: { balance: 1 }\n"))
+      ).to.throw(ScenarioError, "unknown expectation");
+      expect(() =>
+        loadScenario(writeScenario("steps:\n  - { action: fulfillDecryption, mode: late }\n"))
+      ).to.throw(ScenarioError, "mode must be one of relay, zero, drop");
+    });
+
+    it("Should reject missing parameters and undeclared names", function () {
+      expect(() => loadScenario(writeScenario("steps:\n  - action: startPeriod\n    water: 5\n"))).to.throw(
+        ScenarioError,
+        "missing hours"
+      );
+      expect(() => loadScenario(writeScenario("steps:\n  - { action: registerRegion, region: north }\n"))).to.throw(
+        ScenarioError,
+        "unknown region"
+      );
+      expect(() =>
+        loadScenario(writeScenario("regions:\n  north: { name: North, priority: 5, manager: bob }\nsteps: []\n"))
+      ).to.throw(ScenarioError, "not a declared account");
+    });
+  });
+});
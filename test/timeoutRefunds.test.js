@@ -0,0 +1,311 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { MockGateway, createMockOracle, syncMockCoprocessor } = require("../lib/MockGateway");
+
+// Transactions sent at an exact timestamp skip the gas estimate, which would run at another time
+const AT_TIMESTAMP = { gasLimit: 1000000 };
+
+describe("Timeout and refund lifecycle", function () {
+  before(function () {
+    // Every path starts from processAllocation, which needs the mocked decryption oracle
+    if (!hre.fhevm || !hre.fhevm.isMock) {
+      this.skip();
+    }
+  });
+
+  // Alice and Bob request water in period 1 and the authority asks for the decryption;
+  // Carol's region takes no part. Each test gets a fresh contract and gateway rather than a
+  // loadFixture snapshot: the gateway remembers the requests it answered, and the mock
+  // coprocessor does not follow a revert.
+  async function deployRequestedPeriod() {
+    await syncMockCoprocessor(hre);
+    const [authority, alice, bob, carol, stranger] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    const client = WaterResourceClient.connect(ethers, await contract.getAddress(), authority, {
+      encryptor: createMockEncryptor(hre),
+    });
+    await client.registerRegion("North Valley", 5, alice.address);
+    await client.registerRegion("South Plains", 7, bob.address);
+    await client.registerRegion("East Ridge", 3, carol.address);
+    await client.startAllocationPeriod(10000, 24);
+    const submissions = [
+      await client.withRunner(alice).submitWaterRequest(4000, 80),
+      await client.withRunner(bob).submitWaterRequest(3000, 60),
+    ];
+    const processed = await client.processAllocation();
+
+    const gateway = new MockGateway(client, createMockOracle(hre), {
+      fromBlock: receipt.blockNumber,
+      provider: ethers.provider,
+    });
+    return {
+      client,
+      contract,
+      gateway,
+      alice,
+      bob,
+      carol,
+      stranger,
+      requestId: processed.requestId,
+      requestTime: await blockTime(processed),
+      submittedAt: await Promise.all(submissions.map(blockTime)),
+      timeouts: await client.getTimeouts(),
+    };
+  }
+
+  async function blockTime(result) {
+    return (await ethers.provider.getBlock(result.blockNumber)).timestamp;
+  }
+
+  function eventsOf(result) {
+    return result.events.map(({ name, args }) => ({ name, args }));
+  }
+
+  function refund(regionId, periodId) {
+    return { name: "RefundProcessed", args: { regionId, periodId, amount: 0n } };
+  }
+
+  async function requestState(client, periodId, regionId) {
+    const { isProcessed, refundClaimed } = await client.getWaterRequest(periodId, regionId);
+    return { isProcessed, refundClaimed };
+  }
+
+  describe("Request deadlines", function () {
+    it("Should expose the timeouts and stamp each request with its REQUEST_TIMEOUT deadline", async function () {
+      const { client, submittedAt, timeouts } = await deployRequestedPeriod();
+
+      expect(timeouts).to.deep.equal({ decryptionTimeout: 24 * 60 * 60, requestTimeout: 7 * 24 * 60 * 60 });
+      expect(await client.getRegionRequestStatus(1, 1)).to.deep.equal({
+        regionId: 1,
+        periodId: 1,
+        hasSubmittedRequest: true,
+        isProcessed: false,
+        refundClaimed: false,
+        timestamp: submittedAt[0],
+        requestTimeout: submittedAt[0] + timeouts.requestTimeout,
+      });
+      expect((await client.getRegionRequestStatus(3, 1)).hasSubmittedRequest).to.be.false;
+    });
+
+    it("Should report no decryption for a period that never requested one", async function () {
+      const { client, contract } = await deployRequestedPeriod();
+
+      expect(await client.getDecryptionStatus(2)).to.deep.equal({
+        periodId: 2,
+        requestTime: 0,
+        timeSinceRequest: 0,
+        timedOut: false,
+        decryptionFailed: false,
+      });
+      await expect(client.claimDecryptionTimeout(2))
+        .to.be.revertedWithCustomError(contract, "NoDecryptionRequest")
+        .withArgs(2);
+    });
+  });
+
+  describe("Successful decryption", function () {
+    it("Should distribute the total and record the decryption as completed", async function () {
+      const { client, gateway, requestId, requestTime } = await deployRequestedPeriod();
+
+      const callback = await gateway.fulfillPending("relay");
+
+      // Each participant gets a tenth of the water left when its turn comes
+      expect(eventsOf(callback)).to.deep.equal([
+        { name: "DecryptionFulfilled", args: { requestID: requestId } },
+        { name: "WaterAllocated", args: { regionId: 1, periodId: 1, amount: 1000 } },
+        { name: "WaterAllocated", args: { regionId: 2, periodId: 1, amount: 900 } },
+        { name: "AllocationCompleted", args: { periodId: 1, totalRegions: 2 } },
+      ]);
+      expect(await client.getPeriod(1)).to.include({ distributionCompleted: true, decryptionFailed: false });
+      expect((await client.getDecryptionRequest(requestId)).completed).to.be.true;
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: true, refundClaimed: false });
+      expect(await requestState(client, 1, 2)).to.deep.equal({ isProcessed: true, refundClaimed: false });
+      expect((await client.getRegionInfo(2)).lockedAmount).to.equal(900n);
+      expect(await client.getDecryptionStatus(1)).to.include({
+        requestTime,
+        timedOut: false,
+        decryptionFailed: false,
+      });
+    });
+
+    it("Should refuse both refunds once the period is distributed, even after the timeout", async function () {
+      const { client, contract, gateway, alice, requestTime, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("relay");
+      await time.increaseTo(requestTime + timeouts.decryptionTimeout + 60);
+
+      expect((await client.getDecryptionStatus(1)).timedOut).to.be.true;
+      // canClaimTimeoutRefund only looks at the clock and the claim flag; lib/refundAssistant.js
+      // checks distributionCompleted itself
+      expect(await client.canClaimTimeoutRefund(1, alice.address)).to.be.true;
+      await expect(client.claimDecryptionTimeout(1))
+        .to.be.revertedWithCustomError(contract, "DistributionAlreadyCompleted")
+        .withArgs(1);
+      await expect(client.withRunner(alice).claimDecryptionFailureRefund(1))
+        .to.be.revertedWithCustomError(contract, "NoDecryptionFailure")
+        .withArgs(1);
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: true, refundClaimed: false });
+    });
+  });
+
+  describe("Zero-result failure", function () {
+    it("Should fail the period without allocating anything", async function () {
+      const { client, gateway, requestId } = await deployRequestedPeriod();
+
+      const callback = await gateway.fulfillPending("zero");
+
+      expect(eventsOf(callback)).to.deep.equal([
+        { name: "DecryptionFulfilled", args: { requestID: requestId } },
+        { name: "DecryptionFailed", args: { periodId: 1, timestamp: await blockTime(callback) } },
+      ]);
+      expect(await client.getPeriod(1)).to.include({ distributionCompleted: false, decryptionFailed: true });
+      expect((await client.getDecryptionRequest(requestId)).completed).to.be.true;
+      expect((await client.getDecryptionStatus(1)).decryptionFailed).to.be.true;
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: false, refundClaimed: false });
+    });
+
+    it("Should refund each participant once", async function () {
+      const { client, contract, gateway, alice, bob, stranger } = await deployRequestedPeriod();
+      await gateway.fulfillPending("zero");
+
+      const aliceRefund = await client.withRunner(alice).claimDecryptionFailureRefund(1);
+      const bobRefund = await client.withRunner(bob).claimDecryptionFailureRefund(1);
+
+      expect(eventsOf(aliceRefund)).to.deep.equal([refund(1, 1)]);
+      expect(eventsOf(bobRefund)).to.deep.equal([refund(2, 1)]);
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: false, refundClaimed: true });
+      await expect(client.withRunner(alice).claimDecryptionFailureRefund(1))
+        .to.be.revertedWithCustomError(contract, "RefundAlreadyClaimed")
+        .withArgs(1, 1);
+      await expect(client.withRunner(stranger).claimDecryptionFailureRefund(1))
+        .to.be.revertedWithCustomError(contract, "NotRegisteredRegionManager")
+        .withArgs(stranger.address);
+      await expect(client.withRunner(alice).claimDecryptionFailureRefund(2))
+        .to.be.revertedWithCustomError(contract, "InvalidPeriodId")
+        .withArgs(2);
+    });
+
+    it("Should let the timeout claim refund only the participants that have not claimed yet", async function () {
+      const { client, gateway, alice, requestTime, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("zero");
+      await client.withRunner(alice).claimDecryptionFailureRefund(1);
+      await time.increaseTo(requestTime + timeouts.decryptionTimeout);
+
+      const claim = await client.claimDecryptionTimeout(1);
+
+      expect(eventsOf(claim)).to.deep.equal([
+        refund(2, 1),
+        { name: "TimeoutProtectionTriggered", args: { periodId: 1 } },
+      ]);
+      expect(await requestState(client, 1, 2)).to.deep.equal({ isProcessed: false, refundClaimed: true });
+    });
+  });
+
+  describe("Gateway timeout", function () {
+    it("Should keep the period waiting until DECRYPTION_TIMEOUT has passed", async function () {
+      const { client, contract, gateway, alice, requestTime, timeouts } = await deployRequestedPeriod();
+      gateway.setMode("drop");
+      const [record] = await gateway.pollOnce();
+      expect(record.status).to.equal("dropped");
+
+      await time.increaseTo(requestTime + timeouts.decryptionTimeout - 60);
+      const status = await client.getDecryptionStatus(1);
+      expect(status).to.include({ requestTime, timedOut: false, decryptionFailed: false });
+      expect(status.timeSinceRequest).to.be.closeTo(timeouts.decryptionTimeout - 60, 1);
+      expect(await client.canClaimTimeoutRefund(1, alice.address)).to.be.false;
+
+      const timeoutAt = requestTime + timeouts.decryptionTimeout;
+      await time.setNextBlockTimestamp(timeoutAt - 1);
+      await expect(client.claimDecryptionTimeout(1, AT_TIMESTAMP))
+        .to.be.revertedWithCustomError(contract, "DecryptionTimeoutNotReached")
+        .withArgs(1, timeoutAt);
+      expect(await client.getPeriod(1)).to.include({ distributionCompleted: false, decryptionFailed: false });
+
+      await time.increaseTo(timeoutAt);
+      expect((await client.getDecryptionStatus(1)).timedOut).to.be.true;
+      expect(await client.canClaimTimeoutRefund(1, alice.address)).to.be.true;
+    });
+
+    it("Should refund every participant when the timeout is claimed", async function () {
+      const { client, gateway, alice, bob, carol, requestId, requestTime, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("drop");
+
+      // Anyone can claim it, from the second the timeout is reached
+      await time.setNextBlockTimestamp(requestTime + timeouts.decryptionTimeout);
+      const claim = await client.withRunner(carol).claimDecryptionTimeout(1, AT_TIMESTAMP);
+
+      expect(eventsOf(claim)).to.deep.equal([
+        refund(1, 1),
+        refund(2, 1),
+        { name: "TimeoutProtectionTriggered", args: { periodId: 1 } },
+      ]);
+      expect(await client.getPeriod(1)).to.include({ distributionCompleted: false, decryptionFailed: true });
+      // The gateway never answered, so the request itself stays open
+      expect((await client.getDecryptionRequest(requestId)).completed).to.be.false;
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: false, refundClaimed: true });
+      expect(await requestState(client, 1, 2)).to.deep.equal({ isProcessed: false, refundClaimed: true });
+      expect((await client.getRegionRequestStatus(3, 1)).refundClaimed).to.be.false;
+      expect(await client.canClaimTimeoutRefund(1, alice.address)).to.be.false;
+      expect(await client.canClaimTimeoutRefund(1, bob.address)).to.be.false;
+    });
+
+    it("Should not refund anyone twice", async function () {
+      const { client, contract, gateway, alice, requestTime, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("drop");
+      await time.increaseTo(requestTime + timeouts.decryptionTimeout);
+      await client.claimDecryptionTimeout(1);
+
+      const again = await client.claimDecryptionTimeout(1);
+
+      expect(eventsOf(again)).to.deep.equal([{ name: "TimeoutProtectionTriggered", args: { periodId: 1 } }]);
+      await expect(client.withRunner(alice).claimDecryptionFailureRefund(1))
+        .to.be.revertedWithCustomError(contract, "RefundAlreadyClaimed")
+        .withArgs(1, 1);
+    });
+  });
+
+  describe("Request expiry", function () {
+    it("Should leave expired requests out of the timeout claim", async function () {
+      const { client, gateway, submittedAt, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("drop");
+
+      // Alice's request expires at this second; Bob submitted after her, so his has not
+      await time.setNextBlockTimestamp(submittedAt[0] + timeouts.requestTimeout);
+      const claim = await client.claimDecryptionTimeout(1, AT_TIMESTAMP);
+
+      expect(eventsOf(claim)).to.deep.equal([
+        refund(2, 1),
+        { name: "TimeoutProtectionTriggered", args: { periodId: 1 } },
+      ]);
+      expect(await requestState(client, 1, 1)).to.deep.equal({ isProcessed: false, refundClaimed: false });
+      expect(await requestState(client, 1, 2)).to.deep.equal({ isProcessed: false, refundClaimed: true });
+    });
+
+    it("Should refund an expired request through the failure refund once the period has failed", async function () {
+      const { client, contract, gateway, alice, bob, submittedAt, timeouts } = await deployRequestedPeriod();
+      await gateway.fulfillPending("drop");
+      await time.increaseTo(submittedAt[1] + timeouts.requestTimeout);
+
+      // Both requests have expired: the claim only fails the period
+      const claim = await client.claimDecryptionTimeout(1);
+      expect(eventsOf(claim)).to.deep.equal([{ name: "TimeoutProtectionTriggered", args: { periodId: 1 } }]);
+      expect((await client.getPeriod(1)).decryptionFailed).to.be.true;
+
+      const aliceRefund = await client.withRunner(alice).claimDecryptionFailureRefund(1);
+      const bobRefund = await client.withRunner(bob).claimDecryptionFailureRefund(1);
+
+      expect(eventsOf(aliceRefund)).to.deep.equal([refund(1, 1)]);
+      expect(eventsOf(bobRefund)).to.deep.equal([refund(2, 1)]);
+      await expect(client.withRunner(bob).claimDecryptionFailureRefund(1))
+        .to.be.revertedWithCustomError(contract, "RefundAlreadyClaimed")
+        .withArgs(2, 1);
+    });
+  });
+});
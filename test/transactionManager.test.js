@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const WaterResourceClient = require("../lib/WaterResourceClient");
+const { createMockEncryptor } = require("../lib/encryptedInput");
+const { TransactionError, TransactionManager, createMemoryStorage } = require("../lib/transactionManager");
+
+describe("TransactionManager", function () {
+  async function deployManagerFixture() {
+    const [authority, alice, user] = await ethers.getSigners();
+
+    const WaterResourceManager = await ethers.getContractFactory("WaterResourceManager");
+    const contract = await WaterResourceManager.deploy();
+    await contract.waitForDeployment();
+
+    const storage = createMemoryStorage();
+    const manager = new TransactionManager({ provider: ethers.provider, storage });
+    const client = WaterResourceClient.connect(
+      ethers,
+      await contract.getAddress(),
+      authority,
+      manager.clientOptions({ encryptor: createMockEncryptor(hre) })
+    );
+
+    return { client, manager, storage, authority, alice, user };
+  }
+
+  describe("Sending", function () {
+    it("Should stop a write that would revert before it is sent, with guidance", async function () {
+      const { client, manager, user, alice } = await loadFixture(deployManagerFixture);
+
+      const error = await client
+        .withRunner(user)
+        .registerRegion("North Valley", 5, alice.address)
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(TransactionError);
+      expect(error).to.include({ method: "registerRegion", code: "WRM-101", errorName: "NotAuthorized" });
+      expect(error.args).to.deep.equal({ caller: user.address });
+      expect(error.message).to.contain("authority account");
+      expect(manager.entries).to.deep.equal([]);
+    });
+
+    it("Should queue sent transactions with their gas estimate until they are mined", async function () {
+      const { client, manager, storage, alice } = await loadFixture(deployManagerFixture);
+
+      const result = await client.registerRegion("North Valley", 5, alice.address);
+      await manager.refresh();
+
+      expect(manager.entries).to.have.lengthOf(1);
+      const [entry] = manager.entries;
+      expect(entry).to.include({ hash: result.hash, method: "registerRegion", status: "confirmed" });
+      expect(entry.blockNumber).to.equal(result.blockNumber);
+      expect(BigInt(entry.gasUsed) <= BigInt(entry.gasEstimate)).to.be.true;
+      expect(BigInt(entry.estimatedCost) > 0n).to.be.true;
+
+      // A new page load reads the same queue back
+      expect(new TransactionManager({ storage }).entries).to.deep.equal(manager.entries);
+    });
+  });
+
+  describe("Following transactions after a reload", function () {
+    function pendingEntry(overrides = {}) {
+      return {
+        hash: "0xaaa",
+        method: "submitWaterRequest",
+        from: "0xManager",
+        nonce: 4,
+        status: "pending",
+        submittedAt: Date.now(),
+        gasEstimate: "210000",
+        estimatedCost: null,
+        blockNumber: null,
+        gasUsed: null,
+        replacedBy: null,
+        error: null,
+        ...overrides,
+      };
+    }
+
+    // Knows no receipt or transaction for the queued hash, and reports the given mined nonce count
+    function managerFor(entry, minedCount, options = {}) {
+      const storage = createMemoryStorage();
+      storage.setItem("waterResourceTransactions", JSON.stringify([entry]));
+      const provider = {
+        getTransactionReceipt: async () => null,
+        getTransaction: async () => null,
+        getTransactionCount: async () => minedCount,
+      };
+      return new TransactionManager({ provider, storage, ...options });
+    }
+
+    it("Should mark a transaction whose nonce was used by another one as replaced", async function () {
+      const manager = managerFor(pendingEntry(), 5);
+
+      await manager.refresh();
+
+      expect(manager.entries[0].status).to.equal("replaced");
+    });
+
+    it("Should mark a transaction the node forgot as dropped once it is old enough", async function () {
+      const fresh = managerFor(pendingEntry(), 4);
+      const stale = managerFor(pendingEntry({ submittedAt: Date.now() - 60000 }), 4, { dropAfter: 30000 });
+
+      await fresh.refresh();
+      await stale.refresh();
+
+      expect(fresh.entries[0].status).to.equal("pending");
+      expect(stale.entries[0].status).to.equal("dropped");
+    });
+
+    it("Should record reverted receipts as failed and clear settled entries", async function () {
+      const storage = createMemoryStorage();
+      storage.setItem("waterResourceTransactions", JSON.stringify([pendingEntry(), pendingEntry({ hash: "0xbbb" })]));
+      const provider = {
+        getTransactionReceipt: async (hash) => (hash === "0xaaa" ? { status: 0, blockNumber: 9, gasUsed: 50000n } : null),
+        getTransaction: async () => ({ hash: "0xbbb" }),
+      };
+      const manager = new TransactionManager({ provider, storage });
+
+      await manager.refresh();
+      expect(manager.entries[0]).to.include({ status: "failed", blockNumber: 9, gasUsed: "50000" });
+
+      manager.clearSettled();
+      expect(manager.entries.map((entry) => entry.hash)).to.deep.equal(["0xbbb"]);
+    });
+  });
+});
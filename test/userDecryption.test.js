@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { EMPTY_HANDLE, createDecryptor, createMockDecryptor } = require("../lib/userDecryption");
+
+describe("userDecryption", function () {
+  const HANDLE_A = "0x" + "aa".repeat(32);
+  const HANDLE_B = "0x" + "bb".repeat(32);
+
+  // Stands in for an FHEVM instance and records the decryption requests it gets
+  function fakeInstance(values) {
+    const requests = [];
+    return {
+      requests,
+      generateKeypair: () => ({ publicKey: "0xpublic", privateKey: "0xprivate" }),
+      createEIP712: (publicKey, contractAddresses, startTime, durationDays) => ({
+        domain: { name: "Decryption" },
+        types: { EIP712Domain: [], UserDecryptRequestVerification: [{ name: "publicKey", type: "bytes" }] },
+        message: { publicKey, contractAddresses, startTime, durationDays },
+      }),
+      async userDecrypt(
+        pairs,
+        privateKey,
+        publicKey,
+        signature,
+        contractAddresses,
+        userAddress,
+        startTime,
+        durationDays
+      ) {
+        requests.push({ pairs, privateKey, signature, contractAddresses, userAddress, startTime, durationDays });
+        return Object.fromEntries(pairs.map(({ handle }) => [handle, values[handle]]));
+      },
+    };
+  }
+
+  function fakeSigner(method) {
+    const signed = [];
+    return {
+      signed,
+      getAddress: async () => "0xManager",
+      provider: { getBlock: async () => ({ timestamp: 1700000000 }) },
+      [method]: async (domain, types, message) => {
+        signed.push({ domain, types, message });
+        return "0xsignature";
+      },
+    };
+  }
+
+  it("Should sign one request and decrypt each distinct handle once", async function () {
+    const instance = fakeInstance({ [HANDLE_A]: 4000n, [HANDLE_B]: 1000n });
+    const signer = fakeSigner("signTypedData");
+
+    const values = await createDecryptor(instance).decryptUint32("0xContract", signer, [
+      HANDLE_A,
+      HANDLE_B.toUpperCase().replace("0X", "0x"),
+      HANDLE_A,
+      EMPTY_HANDLE,
+    ]);
+
+    expect(values).to.deep.equal({ [HANDLE_A]: 4000, [HANDLE_B]: 1000 });
+    expect(signer.signed).to.have.lengthOf(1);
+    expect(Object.keys(signer.signed[0].types)).to.deep.equal(["UserDecryptRequestVerification"]);
+    expect(instance.requests).to.deep.equal([
+      {
+        pairs: [
+          { handle: HANDLE_A, contractAddress: "0xContract" },
+          { handle: HANDLE_B, contractAddress: "0xContract" },
+        ],
+        privateKey: "0xprivate",
+        signature: "signature",
+        contractAddresses: ["0xContract"],
+        userAddress: "0xManager",
+        startTime: 1700000000,
+        durationDays: 1,
+      },
+    ]);
+  });
+
+  it("Should sign with ethers v5 signers", async function () {
+    const signer = fakeSigner("_signTypedData");
+
+    const values = await createDecryptor(fakeInstance({ [HANDLE_A]: 7n })).decryptUint32("0xContract", signer, [
+      HANDLE_A,
+    ]);
+
+    expect(values).to.deep.equal({ [HANDLE_A]: 7 });
+    expect(signer.signed).to.have.lengthOf(1);
+  });
+
+  it("Should not ask for a signature when every handle is empty", async function () {
+    let setups = 0;
+    const decryptor = createDecryptor(async () => {
+      setups++;
+      return fakeInstance({});
+    });
+    const signer = fakeSigner("signTypedData");
+
+    expect(await decryptor.decryptUint32("0xContract", signer, [EMPTY_HANDLE])).to.deep.equal({});
+    expect(setups).to.equal(0);
+    expect(signer.signed).to.deep.equal([]);
+  });
+
+  it("Should refuse the mock decryptor outside mock mode", function () {
+    expect(() => createMockDecryptor({})).to.throw("mock mode");
+  });
+});
@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react';
+import EventFeedLib from '../../lib/eventFeed';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import { useI18n } from './I18n';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type Feed = InstanceType<typeof EventFeedLib.EventFeed>;
+type FeedEvent = Feed['events'][number];
+type FeedStatus = Feed['status'];
+
+interface EventFeedProps {
+  client: Client | null;
+  // Block the contract was deployed in; 0 loads only the most recent blocks
+  fromBlock: number;
+  // Called with events that arrived after the feed first went live, including backfilled ones
+  onEvents: (events: FeedEvent[]) => void;
+}
+
+const STATUS_BADGES: Record<string, string> = {
+  connecting: 'badge-secondary',
+  live: 'badge-success',
+  reconnecting: 'badge-warning',
+  stopped: 'badge-secondary',
+};
+
+function formatArgs(args: Record<string, unknown>) {
+  return Object.entries(args)
+    .map(([name, value]) => `${name}: ${String(value)}`)
+    .join(', ');
+}
+
+export default function EventFeed({ client, fromBlock, onEvents }: EventFeedProps) {
+  const { t, formatTime } = useI18n();
+  const [events, setEvents] = useState<FeedEvent[]>([]);
+  const [status, setStatus] = useState<FeedStatus | null>(null);
+  const [name, setName] = useState('all');
+  const [regionId, setRegionId] = useState('');
+  const [search, setSearch] = useState('');
+  const feedRef = useRef<Feed | null>(null);
+  // Read through a ref so a new callback does not restart the feed
+  const onEventsRef = useRef(onEvents);
+  onEventsRef.current = onEvents;
+
+  useEffect(() => {
+    setEvents([]);
+    setStatus(null);
+    if (!client) return;
+
+    // The first load is history the panels already show; only later events trigger refreshes
+    let live = false;
+    const feed = new EventFeedLib.EventFeed(client, {
+      fromBlock: fromBlock > 0 ? fromBlock : undefined,
+      onEvents: (added, all) => {
+        setEvents(all);
+        if (live) onEventsRef.current(added);
+      },
+      onStatus: (next) => {
+        if (next.state === 'live') live = true;
+        setStatus(next);
+      },
+    });
+    feedRef.current = feed;
+    feed.start();
+    return () => feed.stop();
+  }, [client, fromBlock]);
+
+  if (!client) {
+    return <p className="text-muted">{t('common.connectFirst')}</p>;
+  }
+
+  const toggle = () => {
+    const feed = feedRef.current;
+    if (!feed) return;
+    if (feed.running) {
+      feed.stop();
+    } else {
+      feed.start();
+    }
+  };
+
+  const visible = EventFeedLib.filterEvents(events, {
+    names: name === 'all' ? [] : [name],
+    regionId: regionId ? Number(regionId) : undefined,
+    search,
+  });
+  const state = status ? status.state : 'connecting';
+
+  return (
+    <div>
+      <p>
+        <span className={`status-badge ${STATUS_BADGES[state]}`}>{t(`feed.status.${state}`)}</span>{' '}
+        {status && status.lastBlock !== null && (
+          <span className="text-muted">{t('feed.upToBlock', { blockNumber: status.lastBlock })}</span>
+        )}
+        {status && status.state === 'reconnecting' && (
+          <span className="text-muted">
+            {' '}
+            {t('feed.retrying', { error: status.error, seconds: Math.ceil(status.retryIn / 1000) })}
+          </span>
+        )}
+      </p>
+      <div className="row">
+        <div className="col-md-4">
+          <select className="form-control" value={name} onChange={(e) => setName(e.target.value)}>
+            <option value="all">{t('feed.allEvents')}</option>
+            {WaterResourceClient.EVENT_NAMES.map((eventName: string) => (
+              <option key={eventName} value={eventName}>
+                {eventName}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <input
+            type="number"
+            className="form-control"
+            placeholder={t('common.regionId')}
+            value={regionId}
+            onChange={(e) => setRegionId(e.target.value)}
+          />
+        </div>
+        <div className="col-md-5">
+          <input
+            type="text"
+            className="form-control"
+            placeholder={t('feed.search')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+      </div>
+      <button className="btn btn-sm btn-outline-primary mt-2" onClick={toggle}>
+        {status && status.state === 'stopped' ? t('feed.resume') : t('feed.pause')}
+      </button>
+      {visible.length === 0 ? (
+        <p className="text-muted mt-3">
+          {events.length === 0 ? t('feed.empty') : t('feed.noMatch')}
+        </p>
+      ) : (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th>{t('columns.time')}</th>
+              <th>{t('columns.block')}</th>
+              <th>{t('columns.event')}</th>
+              <th>{t('columns.details')}</th>
+              <th>{t('columns.transaction')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((event) => (
+              <tr key={event.id}>
+                <td>{event.blockTimestamp ? formatTime(new Date(event.blockTimestamp * 1000)) : '-'}</td>
+                <td>{event.blockNumber}</td>
+                <td>{event.name}</td>
+                <td>{formatArgs(event.args)}</td>
+                <td title={event.transactionHash}>{`${event.transactionHash.slice(0, 10)}...`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { createContext, useContext, useState, useEffect, useMemo, ReactNode } from 'react';
+import I18nLib from '../../lib/i18n';
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+
+type Translator = ReturnType<typeof I18nLib.createTranslator>;
+
+interface I18nValue extends Translator {
+  setLocale: (locale: string) => void;
+}
+
+const BUNDLES: Record<string, Record<string, string>> = { en, es };
+
+// Shown in the language switcher in their own language
+export const LANGUAGES: { code: string; label: string }[] = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+];
+
+const STORAGE_KEY = 'locale';
+
+const I18nContext = createContext<I18nValue>({
+  ...I18nLib.createTranslator(BUNDLES, I18nLib.DEFAULT_LOCALE),
+  setLocale: () => {},
+});
+
+export function I18nProvider({ children }: { children: ReactNode }) {
+  // The server renders the default locale; the saved or browser locale is applied once mounted
+  const [locale, setLocaleState] = useState<string>(I18nLib.DEFAULT_LOCALE);
+
+  useEffect(() => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const available = Object.keys(BUNDLES);
+    setLocaleState(saved && BUNDLES[saved] ? saved : I18nLib.negotiateLocale([...navigator.languages], available));
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      ...I18nLib.createTranslator(BUNDLES, locale),
+      setLocale: (next: string) => {
+        localStorage.setItem(STORAGE_KEY, next);
+        setLocaleState(next);
+      },
+    }),
+    [locale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+export function LanguageSwitcher() {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <label className="language-switcher">
+      {t('language.label')}{' '}
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {LANGUAGES.map(({ code, label }) => (
+          <option key={code} value={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import MyAllocationLoader from '../../lib/myAllocation';
+import UserDecryption from '../../lib/userDecryption';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import { useI18n } from './I18n';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type Allocation = Awaited<ReturnType<typeof MyAllocationLoader.loadMyAllocation>>;
+
+interface MyAllocationProps {
+  client: Client | null;
+  signer: ethers.Signer | null;
+  onError: (message: string) => void;
+}
+
+export default function MyAllocation({ client, signer, onError }: MyAllocationProps) {
+  const { t, formatNumber, formatTimestamp } = useI18n();
+  const [allocation, setAllocation] = useState<Allocation | null>(null);
+  const [loading, setLoading] = useState(false);
+  // One relayer instance per page; it is only set up on the first decryption
+  const decryptor = useMemo(() => UserDecryption.createRelayerDecryptor(), []);
+
+  useEffect(() => {
+    setAllocation(null);
+  }, [client, signer]);
+
+  const decrypt = async () => {
+    if (!client || !signer) return;
+
+    setLoading(true);
+    try {
+      setAllocation(await MyAllocationLoader.loadMyAllocation(client, decryptor, signer));
+    } catch (error) {
+      console.error('Failed to decrypt allocation:', error);
+      onError(t('allocation.failed', { error: (error as Error).message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!client || !signer) {
+    return <p className="text-muted">{t('common.connectFirst')}</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-muted">{t('allocation.description')}</p>
+      {allocation && allocation.periods.length === 0 && (
+        <p className="text-muted">{t('allocation.noRequest', { regionId: allocation.regionId })}</p>
+      )}
+      {allocation && allocation.periods.length > 0 && (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t('columns.period')}</th>
+              <th>{t('columns.requestedAt')}</th>
+              <th>{t('columns.requested')}</th>
+              <th>{t('columns.allocated')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {allocation.periods.map((period) => (
+              <tr key={period.periodId}>
+                <td>{period.periodId}</td>
+                <td>{formatTimestamp(period.requestedAt)}</td>
+                {period.decryptable ? (
+                  <>
+                    <td>{period.demand !== null ? formatNumber(period.demand) : '-'}</td>
+                    <td>
+                      {period.allocation !== null
+                        ? formatNumber(period.allocation)
+                        : period.isProcessed
+                          ? formatNumber(0)
+                          : t('allocation.pending')}
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={2} className="text-muted">
+                    {t('allocation.previousManager')}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="btn btn-info mt-3" onClick={decrypt} disabled={loading}>
+        {loading ? t('allocation.decrypting') : allocation ? t('allocation.decryptAgain') : t('allocation.decrypt')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react';
+import PeriodHistoryLoader from '../../lib/periodHistory';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import { useI18n } from './I18n';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type History = Awaited<ReturnType<typeof PeriodHistoryLoader.loadPeriodHistory>>;
+type PeriodDetail = Awaited<ReturnType<typeof PeriodHistoryLoader.loadPeriodDetail>>;
+
+interface PeriodHistoryProps {
+  client: Client | null;
+  // Block the contract was deployed in; events are searched from there
+  fromBlock: number;
+  // Bumped when new events change the list; reloads it without closing an open detail view
+  refreshKey: number;
+  onError: (message: string) => void;
+}
+
+const STATUS_BADGES: Record<string, string> = {
+  open: 'badge-success',
+  closed: 'badge-secondary',
+  decrypting: 'badge-secondary',
+  'timed-out': 'badge-warning',
+  failed: 'badge-warning',
+  distributed: 'badge-success',
+};
+
+function StatusBadge({ status }: { status: string }) {
+  const { t } = useI18n();
+  return <span className={`status-badge ${STATUS_BADGES[status]}`}>{t(`history.status.${status}`)}</span>;
+}
+
+export default function PeriodHistory({ client, fromBlock, refreshKey, onError }: PeriodHistoryProps) {
+  const { t, formatNumber, formatTimestamp } = useI18n();
+  const [history, setHistory] = useState<History | null>(null);
+  const [detail, setDetail] = useState<PeriodDetail | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    if (!client) {
+      setHistory(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setHistory(await PeriodHistoryLoader.loadPeriodHistory(client, { fromBlock }));
+    } catch (error) {
+      console.error('Failed to load period history:', error);
+      onError(t('history.loadFailed', { error: (error as Error).message }));
+    } finally {
+      setLoading(false);
+    }
+  }, [client, fromBlock, onError, refreshKey, t]);
+
+  const openPeriod = async (periodId: number) => {
+    if (!client) return;
+
+    setLoading(true);
+    try {
+      setDetail(await PeriodHistoryLoader.loadPeriodDetail(client, periodId, { fromBlock }));
+    } catch (error) {
+      console.error('Failed to load period:', error);
+      onError(t('history.periodFailed', { periodId, error: (error as Error).message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setDetail(null);
+  }, [client]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  if (!client) {
+    return <p className="text-muted">{t('common.connectFirst')}</p>;
+  }
+
+  if (detail) {
+    return (
+      <div>
+        <div className="row">
+          <div className="col-md-3">
+            <strong>{t('labels.periodId')}</strong> {detail.periodId}
+          </div>
+          <div className="col-md-3">
+            <strong>{t('labels.status')}</strong> <StatusBadge status={detail.status} />
+          </div>
+          <div className="col-md-3">
+            <strong>{t('labels.participants')}</strong> {formatNumber(detail.participants.length)}
+          </div>
+          <div className="col-md-3">
+            <strong>{t('history.totalAllocated')}</strong> {formatNumber(detail.totalAllocated)}
+          </div>
+        </div>
+        <div className="row mt-3">
+          <div className="col-md-6">
+            <strong>{t('labels.startTime')}</strong> {formatTimestamp(detail.startTime)}
+          </div>
+          <div className="col-md-6">
+            <strong>{t('labels.endTime')}</strong> {formatTimestamp(detail.endTime)}
+          </div>
+          <div className="col-md-6">
+            <strong>{t('history.decryptionRequested')}</strong> {formatTimestamp(detail.decryptionRequestTime)}
+          </div>
+        </div>
+        {detail.regions.length === 0 ? (
+          <p className="text-muted mt-3">{t('history.noRegions')}</p>
+        ) : (
+          <table className="table mt-3">
+            <thead>
+              <tr>
+                <th>{t('columns.region')}</th>
+                <th>{t('columns.name')}</th>
+                <th>{t('columns.requested')}</th>
+                <th>{t('columns.processed')}</th>
+                <th>{t('columns.allocated')}</th>
+                <th>{t('columns.refunded')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.regions.map((region) => (
+                <tr key={region.regionId}>
+                  <td>{region.regionId}</td>
+                  <td>
+                    {region.name}
+                    {!region.isActive && <span className="text-muted"> {t('history.inactive')}</span>}
+                  </td>
+                  <td>{formatTimestamp(region.requestedAt)}</td>
+                  <td>{region.isProcessed ? t('common.yes') : t('common.no')}</td>
+                  <td>{region.allocated !== null ? formatNumber(region.allocated) : '-'}</td>
+                  <td>{region.refunded !== null ? formatNumber(region.refunded) : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <button className="btn btn-sm btn-outline-primary mt-3" onClick={() => setDetail(null)}>
+          {t('history.back')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {history && history.periods.length === 0 && <p className="text-muted">{t('history.empty')}</p>}
+      {history && history.periods.length > 0 && (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t('columns.period')}</th>
+              <th>{t('columns.start')}</th>
+              <th>{t('columns.end')}</th>
+              <th>{t('columns.regions')}</th>
+              <th>{t('columns.status')}</th>
+              <th>{t('columns.allocated')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.periods.map((period) => (
+              <tr key={period.periodId}>
+                <td>{period.periodId}</td>
+                <td>{formatTimestamp(period.startTime)}</td>
+                <td>{formatTimestamp(period.endTime)}</td>
+                <td>{period.participants.join(', ') || '-'}</td>
+                <td>
+                  <StatusBadge status={period.status} />
+                </td>
+                <td>
+                  {period.allocations.length > 0
+                    ? period.allocations
+                        .map((allocation) => `#${allocation.regionId}: ${formatNumber(allocation.amount)}`)
+                        .join(', ')
+                    : '-'}
+                </td>
+                <td>
+                  <button className="btn btn-sm btn-outline-primary" onClick={() => openPeriod(period.periodId)}>
+                    {t('common.details')}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="btn btn-warning mt-3" onClick={loadHistory} disabled={loading}>
+        {loading ? t('common.loading') : t('history.refresh')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useState, useEffect, useCallback } from 'react';
+import RegionDirectoryLoader from '../../lib/regionDirectory';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import { useI18n } from './I18n';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type RegionEntry = Awaited<ReturnType<typeof RegionDirectoryLoader.loadRegions>>[number];
+type RegionRequests = Awaited<ReturnType<typeof RegionDirectoryLoader.loadRegionRequests>>;
+
+interface RegionDirectoryProps {
+  client: Client | null;
+  // Block the contract was deployed in; events are searched from there
+  fromBlock: number;
+  // Bumped when new events change the list; reloads it without closing an open detail view
+  refreshKey: number;
+  onError: (message: string) => void;
+}
+
+export default function RegionDirectory({ client, fromBlock, refreshKey, onError }: RegionDirectoryProps) {
+  const { t, formatNumber, formatTimestamp } = useI18n();
+  const [regions, setRegions] = useState<RegionEntry[] | null>(null);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [sortBy, setSortBy] = useState('regionId');
+  const [descending, setDescending] = useState(false);
+  const [selected, setSelected] = useState<RegionEntry | null>(null);
+  const [requests, setRequests] = useState<RegionRequests | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadRegions = useCallback(async () => {
+    if (!client) {
+      setRegions(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setRegions(await RegionDirectoryLoader.loadRegions(client));
+    } catch (error) {
+      console.error('Failed to load regions:', error);
+      onError(t('directory.loadFailed', { error: (error as Error).message }));
+    } finally {
+      setLoading(false);
+    }
+  }, [client, onError, refreshKey, t]);
+
+  const openRegion = async (region: RegionEntry) => {
+    if (!client) return;
+
+    setLoading(true);
+    try {
+      setRequests(await RegionDirectoryLoader.loadRegionRequests(client, region.regionId, { fromBlock }));
+      setSelected(region);
+    } catch (error) {
+      console.error('Failed to load region requests:', error);
+      onError(t('directory.requestsFailed', { regionId: region.regionId, error: (error as Error).message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSelected(null);
+  }, [client]);
+
+  useEffect(() => {
+    loadRegions();
+  }, [loadRegions]);
+
+  if (!client) {
+    return <p className="text-muted">{t('common.connectFirst')}</p>;
+  }
+
+  if (selected && requests) {
+    return (
+      <div>
+        <p>
+          <strong>{t('directory.region', { regionId: selected.regionId })}</strong> {selected.name}{' '}
+          <span className={`status-badge ${selected.isActive ? 'badge-success' : 'badge-secondary'}`}>
+            {selected.isActive ? t('common.active') : t('common.inactive')}
+          </span>
+        </p>
+        <p className="contract-address">{selected.manager}</p>
+        {requests.length === 0 ? (
+          <p className="text-muted">{t('directory.noRequests')}</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{t('columns.period')}</th>
+                <th>{t('columns.requested')}</th>
+                <th>{t('columns.processed')}</th>
+                <th>{t('columns.allocated')}</th>
+                <th>{t('columns.refund')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map((request) => (
+                <tr key={request.periodId}>
+                  <td>{request.periodId}</td>
+                  <td>{formatTimestamp(request.requestedAt)}</td>
+                  <td>{request.isProcessed ? t('common.yes') : t('common.no')}</td>
+                  <td>{request.allocated !== null ? formatNumber(request.allocated) : '-'}</td>
+                  <td>
+                    {request.refunded !== null
+                      ? formatNumber(request.refunded)
+                      : request.refundClaimed
+                        ? t('directory.claimed')
+                        : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <button className="btn btn-sm btn-outline-primary mt-3" onClick={() => setSelected(null)}>
+          {t('directory.back')}
+        </button>
+      </div>
+    );
+  }
+
+  const visible = regions
+    ? RegionDirectoryLoader.filterRegions(regions, { search, status, sortBy, descending })
+    : [];
+
+  return (
+    <div>
+      <div className="row">
+        <div className="col-md-6">
+          <input
+            type="text"
+            className="form-control"
+            placeholder={t('directory.search')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <div className="col-md-3">
+          <select className="form-control" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="all">{t('directory.filter.all')}</option>
+            <option value="active">{t('directory.filter.active')}</option>
+            <option value="inactive">{t('directory.filter.inactive')}</option>
+          </select>
+        </div>
+        <div className="col-md-3">
+          <select className="form-control" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {RegionDirectoryLoader.SORT_FIELDS.map((field) => (
+              <option key={field} value={field}>
+                {t('directory.sortBy', { field: t(`directory.sort.${field}`) })}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button className="btn btn-sm btn-outline-primary mt-2" onClick={() => setDescending(!descending)}>
+        {descending ? t('directory.descending') : t('directory.ascending')}
+      </button>
+      {regions && visible.length === 0 && (
+        <p className="text-muted mt-3">
+          {regions.length === 0 ? t('directory.empty') : t('directory.noMatch')}
+        </p>
+      )}
+      {visible.length > 0 && (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th>{t('columns.region')}</th>
+              <th>{t('columns.name')}</th>
+              <th>{t('columns.manager')}</th>
+              <th>{t('columns.status')}</th>
+              <th>{t('columns.lockedAmount')}</th>
+              <th>{t('columns.lastUpdate')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((region) => (
+              <tr key={region.regionId}>
+                <td>{region.regionId}</td>
+                <td>{region.name}</td>
+                <td title={region.manager}>{`${region.manager.slice(0, 10)}...`}</td>
+                <td>
+                  <span className={`status-badge ${region.isActive ? 'badge-success' : 'badge-secondary'}`}>
+                    {region.isActive ? t('common.active') : t('common.inactive')}
+                  </span>
+                </td>
+                <td>{formatNumber(region.lockedAmount)}</td>
+                <td>{formatTimestamp(region.lastUpdateTime)}</td>
+                <td>
+                  <button className="btn btn-sm btn-outline-primary" onClick={() => openRegion(region)}>
+                    {t('directory.requestHistory')}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="btn btn-warning mt-3" onClick={loadRegions} disabled={loading}>
+        {loading ? t('common.loading') : t('directory.refresh')}
+      </button>
+    </div>
+  );
+}
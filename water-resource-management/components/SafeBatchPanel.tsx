@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import SafeBatchLib from '../../lib/safeBatch';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import { useI18n } from './I18n';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type Builder = InstanceType<typeof SafeBatchLib.SafeBatchBuilder>;
+type BatchTransaction = Builder['transactions'][number];
+type Verification = Awaited<ReturnType<typeof SafeBatchLib.verifyBatch>>;
+
+interface SafeBatchPanelProps {
+  client: Client | null;
+  // Reads the receipts of the transactions that executed a batch
+  provider: ethers.providers.Provider | null;
+  chainId: string;
+  // Batch being built; authority actions go into it instead of being sent while it is set
+  batch: Builder | null;
+  transactions: BatchTransaction[];
+  onStart: (safeAddress: string) => void;
+  onStop: () => void;
+  onError: (message: string) => void;
+}
+
+const STATUS_BADGES: Record<string, string> = {
+  executed: 'badge-success',
+  applied: 'badge-secondary',
+  missing: 'badge-warning',
+};
+
+function formatValues(transaction: BatchTransaction) {
+  return Object.entries(transaction.contractInputsValues)
+    .map(([name, value]) => `${name}: ${value.length > 20 ? `${value.slice(0, 10)}...` : value}`)
+    .join(', ');
+}
+
+export default function SafeBatchPanel({
+  client,
+  provider,
+  chainId,
+  batch,
+  transactions,
+  onStart,
+  onStop,
+  onError,
+}: SafeBatchPanelProps) {
+  const { t } = useI18n();
+  const [safeAddress, setSafeAddress] = useState('');
+  const [batchFile, setBatchFile] = useState<File | null>(null);
+  const [executionHashes, setExecutionHashes] = useState('');
+  const [verification, setVerification] = useState<Verification | null>(null);
+  const [verifying, setVerifying] = useState(false);
+
+  if (!client || !provider) {
+    return <p className="text-muted">{t('common.connectFirst')}</p>;
+  }
+
+  const start = () => {
+    if (!ethers.utils.isAddress(safeAddress.trim())) {
+      onError(t('safe.invalidAddress'));
+      return;
+    }
+    onStart(safeAddress.trim());
+  };
+
+  const download = () => {
+    if (!batch) return;
+    const file = new Blob([JSON.stringify(batch.build(ethers), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = `safe-batch-${chainId}-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const verify = async () => {
+    if (!batchFile || !executionHashes.trim()) {
+      onError(t('common.fillAllFields'));
+      return;
+    }
+
+    setVerifying(true);
+    setVerification(null);
+    try {
+      const read = SafeBatchLib.readBatch(ethers, JSON.parse(await batchFile.text()), {
+        contractAddress: client.address,
+        chainId,
+      });
+      const receipts = [];
+      for (const hash of executionHashes.split(',').map((value) => value.trim())) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (!receipt) {
+          throw new Error(t('safe.notMined', { hash }));
+        }
+        receipts.push(receipt);
+      }
+      setVerification(await SafeBatchLib.verifyBatch(client, read, receipts));
+    } catch (error) {
+      console.error('Failed to verify Safe batch:', error);
+      onError(t('safe.verifyFailed', { error: (error as Error).message }));
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-muted">{t('safe.description')}</p>
+      {batch ? (
+        <div>
+          <div className="alert alert-info">{t('safe.building', { address: batch.safeAddress })}</div>
+          {transactions.length === 0 ? (
+            <p className="text-muted">{t('safe.empty')}</p>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>{t('columns.action')}</th>
+                  <th>{t('columns.details')}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((transaction, index) => (
+                  <tr key={index}>
+                    <td>{index + 1}</td>
+                    <td>{transaction.contractMethod.name}</td>
+                    <td>{formatValues(transaction)}</td>
+                    <td>
+                      <button className="btn btn-sm btn-outline-primary" onClick={() => batch.remove(index)}>
+                        {t('safe.remove')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button className="btn btn-success" onClick={download} disabled={transactions.length === 0}>
+            {t('safe.download')}
+          </button>
+          <button className="btn btn-warning" style={{ marginLeft: '10px' }} onClick={onStop}>
+            {t('safe.stop')}
+          </button>
+        </div>
+      ) : (
+        <div>
+          <div className="mb-3">
+            <input
+              type="text"
+              className="form-control"
+              placeholder={t('safe.addressPlaceholder')}
+              value={safeAddress}
+              onChange={(e) => setSafeAddress(e.target.value)}
+            />
+          </div>
+          <button className="btn btn-primary" onClick={start}>
+            {t('safe.start')}
+          </button>
+        </div>
+      )}
+
+      <h6 className="mt-3">{t('safe.verifyTitle')}</h6>
+      <div className="mb-3">
+        <input
+          type="file"
+          className="form-control"
+          accept="application/json,.json"
+          onChange={(e) => setBatchFile(e.target.files && e.target.files[0] ? e.target.files[0] : null)}
+        />
+      </div>
+      <div className="mb-3">
+        <input
+          type="text"
+          className="form-control"
+          placeholder={t('safe.transactionPlaceholder')}
+          value={executionHashes}
+          onChange={(e) => setExecutionHashes(e.target.value)}
+        />
+      </div>
+      <button className="btn btn-info" onClick={verify} disabled={verifying}>
+        {verifying ? t('common.loading') : t('safe.verify')}
+      </button>
+      {verification && (
+        <div className="mt-3">
+          <div className={`alert ${verification.executed ? 'alert-success' : 'alert-warning'}`}>
+            {verification.executed ? t('safe.verified') : t('safe.incomplete')}
+          </div>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>{t('columns.action')}</th>
+                <th>{t('columns.status')}</th>
+                <th>{t('columns.transaction')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {verification.transactions.map((transaction) => (
+                <tr key={transaction.index}>
+                  <td>{transaction.index}</td>
+                  <td>{transaction.method}</td>
+                  <td>
+                    <span className={`status-badge ${STATUS_BADGES[transaction.status]}`}>
+                      {t(`safe.status.${transaction.status}`)}
+                    </span>
+                  </td>
+                  <td title={transaction.transactionHash || undefined}>
+                    {transaction.transactionHash ? `${transaction.transactionHash.slice(0, 10)}...` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+import TransactionManagerLib from '../../lib/transactionManager';
+import { useI18n } from './I18n';
+
+type Manager = InstanceType<typeof TransactionManagerLib.TransactionManager>;
+type QueueEntry = Manager['entries'][number];
+
+interface TransactionQueueProps {
+  entries: QueueEntry[];
+  onClear: () => void;
+}
+
+const STATUS_BADGES: Record<string, string> = {
+  pending: 'badge-secondary',
+  confirmed: 'badge-success',
+  failed: 'badge-warning',
+  replaced: 'badge-warning',
+  dropped: 'badge-warning',
+};
+
+function shortHash(hash: string) {
+  return `${hash.slice(0, 10)}...`;
+}
+
+export default function TransactionQueue({ entries, onClear }: TransactionQueueProps) {
+  const { t, formatNumber, formatTime } = useI18n();
+
+  const formatGas = (entry: QueueEntry) => {
+    if (entry.gasUsed) return t('queue.gasUsed', { gas: formatNumber(entry.gasUsed) });
+    return entry.gasEstimate ? `~${formatNumber(entry.gasEstimate)}` : '-';
+  };
+
+  if (entries.length === 0) {
+    return <p className="text-muted">{t('queue.empty')}</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-muted">{t('queue.description')}</p>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>{t('columns.sent')}</th>
+            <th>{t('columns.action')}</th>
+            <th>{t('columns.status')}</th>
+            <th>{t('columns.gas')}</th>
+            <th>{t('columns.estimatedCost')}</th>
+            <th>{t('columns.transaction')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.hash}>
+              <td>{formatTime(new Date(entry.submittedAt))}</td>
+              <td>{entry.method}</td>
+              <td>
+                <span className={`status-badge ${STATUS_BADGES[entry.status]}`} title={entry.error || undefined}>
+                  {t(`queue.status.${entry.status}`)}
+                </span>
+                {entry.blockNumber !== null && (
+                  <span className="text-muted"> {t('queue.inBlock', { blockNumber: entry.blockNumber })}</span>
+                )}
+              </td>
+              <td>{formatGas(entry)}</td>
+              <td>{entry.estimatedCost ? `${ethers.utils.formatEther(entry.estimatedCost)} ETH` : '-'}</td>
+              <td title={entry.hash}>
+                {shortHash(entry.hash)}
+                {entry.replacedBy && (
+                  <span className="text-muted"> {t('queue.replacedBy', { hash: shortHash(entry.replacedBy) })}</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button className="btn btn-sm btn-outline-primary" onClick={onClear}>
+        {t('queue.clear')}
+      </button>
+    </div>
+  );
+}
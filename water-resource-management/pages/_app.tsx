@@ -1,5 +1,7 @@
 import type { AppProps } from 'next/app';
 import Head from 'next/head';
+import Script from 'next/script';
+import { I18nProvider } from '../components/I18n';
 import '../styles/globals.css';
 
 export default function App({ Component, pageProps }: AppProps) {
@@ -10,7 +12,11 @@ export default function App({ Component, pageProps }: AppProps) {
         <meta name="viewport" content="width=device-width, initial-scale=1.0" />
         <link rel="icon" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>💧</text></svg>" />
       </Head>
-      <Component {...pageProps} />
+      {/* Zama relayer SDK, used by lib/encryptedInput.js to encrypt inputs client-side */}
+      <Script src="https://cdn.zama.ai/relayer-sdk-js/0.2.0/relayer-sdk-js.umd.cjs" strategy="afterInteractive" />
+      <I18nProvider>
+        <Component {...pageProps} />
+      </I18nProvider>
     </>
   );
 }
@@ -1,30 +1,31 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import Head from 'next/head';
 import { ethers } from 'ethers';
-
-// Contract ABI for WaterResourceManager
-const contractABI = [
-  "function authority() view returns (address)",
-  "function currentAllocationPeriod() view returns (uint32)",
-  "function totalRegions() view returns (uint32)",
-  "function nextRegionId() view returns (uint32)",
-  "function registerRegion(string calldata name, uint32 _priorityLevel, address _manager) external returns (uint32)",
-  "function startAllocationPeriod(uint32 _totalAvailableWater, uint256 _durationHours) external",
-  "function submitWaterRequest(uint32 _requestedAmount, uint32 _justificationScore) external",
-  "function processAllocation() external",
-  "function emergencyWaterAllocation(uint32 regionId, uint32 emergencyAmount) external",
-  "function deactivateRegion(uint32 regionId) external",
-  "function updateRegionManager(uint32 regionId, address newManager) external",
-  "function getRegionInfo(uint32 regionId) view returns (string memory name, bool isActive, uint256 lastUpdateTime, address manager)",
-  "function getCurrentPeriodInfo() view returns (uint32 periodId, uint256 startTime, uint256 endTime, bool distributionCompleted, uint32 participatingRegions, bool isActive)",
-  "function getRegionRequestStatus(uint32 regionId) view returns (bool hasSubmittedRequest, bool isProcessed, uint256 timestamp)",
-  "function isAllocationPeriodActive() view returns (bool)",
-  "event RegionRegistered(uint32 indexed regionId, string name, address manager)",
-  "event AllocationPeriodStarted(uint32 indexed periodId, uint256 startTime)",
-  "event WaterRequested(uint32 indexed regionId, uint32 indexed periodId, address requester)",
-  "event WaterAllocated(uint32 indexed regionId, uint32 indexed periodId, uint32 amount)",
-  "event AllocationCompleted(uint32 indexed periodId, uint32 totalRegions)",
-  "event EmergencyAllocation(uint32 indexed regionId, uint32 amount)"
-];
+import ContractConfig from '../../lib/contractConfig';
+import WaterResourceClient from '../../lib/WaterResourceClient';
+import EncryptedInput from '../../lib/encryptedInput';
+import RefundAssistant from '../../lib/refundAssistant';
+import TransactionManagerLib from '../../lib/transactionManager';
+import ErrorCatalog from '../../lib/errorCatalog';
+import PeriodHistory from '../components/PeriodHistory';
+import RegionDirectory from '../components/RegionDirectory';
+import MyAllocation from '../components/MyAllocation';
+import EventFeed from '../components/EventFeed';
+import TransactionQueue from '../components/TransactionQueue';
+import SafeBatchPanel from '../components/SafeBatchPanel';
+import { useI18n, LanguageSwitcher } from '../components/I18n';
+import EventFeedLib from '../../lib/eventFeed';
+import SafeBatchLib from '../../lib/safeBatch';
+
+type Client = InstanceType<typeof WaterResourceClient>;
+type RefundScan = Awaited<ReturnType<typeof RefundAssistant.scanRefunds>>;
+type QueueEntry = InstanceType<typeof TransactionManagerLib.TransactionManager>['entries'][number];
+type RegionInfo = Awaited<ReturnType<Client['getRegionInfo']>>;
+type RequestStatus = Awaited<ReturnType<Client['getRegionRequestStatus']>>;
+type SafeBatchBuilder = InstanceType<typeof SafeBatchLib.SafeBatchBuilder>;
+type BatchTransaction = SafeBatchBuilder['transactions'][number];
+
+const { formatError } = ErrorCatalog;
 
 interface LogEntry {
   message: string;
@@ -33,28 +34,33 @@ interface LogEntry {
 }
 
 interface PeriodInfo {
-  periodId: ethers.BigNumber;
-  startTime: ethers.BigNumber;
-  endTime: ethers.BigNumber;
+  periodId: number;
+  startTime: number;
+  endTime: number;
   distributionCompleted: boolean;
-  participatingRegions: ethers.BigNumber;
+  participatingRegions: number;
   isActive: boolean;
+  decryptionFailed: boolean;
+  decryptionRequestId: bigint;
 }
 
 export default function Home() {
+  const { t, formatNumber, formatTimestamp, formatTime } = useI18n();
   const [provider, setProvider] = useState<ethers.providers.Web3Provider | null>(null);
   const [signer, setSigner] = useState<ethers.providers.JsonRpcSigner | null>(null);
-  const [contract, setContract] = useState<ethers.Contract | null>(null);
+  const [client, setClient] = useState<Client | null>(null);
   const [userAddress, setUserAddress] = useState<string>('');
   const [contractAddress, setContractAddress] = useState<string>('');
   const [isAdmin, setIsAdmin] = useState<boolean>(false);
   const [isRegionManager, setIsRegionManager] = useState<boolean>(false);
   const [isConnected, setIsConnected] = useState<boolean>(false);
-  const [networkName, setNetworkName] = useState<string>('Not Connected');
+  // Empty until a wallet is connected
+  const [networkName, setNetworkName] = useState<string>('');
   const [chainId, setChainId] = useState<string>('-');
   const [logs, setLogs] = useState<LogEntry[]>([]);
   const [periodInfo, setPeriodInfo] = useState<PeriodInfo | null>(null);
-  const [workflowStatus, setWorkflowStatus] = useState<string>('Please connect your wallet first');
+  // Translation key, so the status follows language changes
+  const [workflowStatus, setWorkflowStatus] = useState<string>('workflow.status.connectWallet');
 
   // Form states
   const [regionName, setRegionName] = useState('');
@@ -69,88 +75,169 @@ export default function Home() {
   const [deactivateRegionId, setDeactivateRegionId] = useState('');
   const [viewRegionId, setViewRegionId] = useState('');
   const [statusRegionId, setStatusRegionId] = useState('');
-  const [regionInfo, setRegionInfo] = useState<string>('');
-  const [requestStatus, setRequestStatus] = useState<string>('');
+  const [statusPeriodId, setStatusPeriodId] = useState('');
+  const [regionInfo, setRegionInfo] = useState<RegionInfo | null>(null);
+  const [regionInfoError, setRegionInfoError] = useState<string>('');
+  const [requestStatus, setRequestStatus] = useState<RequestStatus | null>(null);
+  const [requestStatusError, setRequestStatusError] = useState<string>('');
+  const [refundScan, setRefundScan] = useState<RefundScan | null>(null);
   const [contractAddressInput, setContractAddressInput] = useState('');
+  const [regionsRefreshKey, setRegionsRefreshKey] = useState(0);
+  const [periodsRefreshKey, setPeriodsRefreshKey] = useState(0);
+  const [transactions, setTransactions] = useState<QueueEntry[]>([]);
+  // While a Safe batch is being built, authority actions are added to it instead of being sent
+  const [safeBatch, setSafeBatch] = useState<SafeBatchBuilder | null>(null);
+  const [batchTransactions, setBatchTransactions] = useState<BatchTransaction[]>([]);
+
+  // Simulates every write before it is sent and keeps the queue of sent transactions in localStorage
+  const transactionManager = useMemo(
+    () => new TransactionManagerLib.TransactionManager({ onChange: setTransactions }),
+    []
+  );
 
   // Initialize contract address on mount
   useEffect(() => {
     const savedAddress = localStorage.getItem('contractAddress');
-    const defaultAddress = '0x4E2c3faE5165E4d5f9E2dEcFEA50e84399157b76';
-    const address = savedAddress || defaultAddress;
+    const address = savedAddress || ContractConfig.addressFor() || '';
     setContractAddressInput(address);
     setContractAddress(address);
   }, []);
 
   const addLog = useCallback((message: string, type: LogEntry['type'] = 'info') => {
-    const timestamp = new Date().toLocaleTimeString();
+    const timestamp = formatTime();
     setLogs(prev => [{ message, type, timestamp }, ...prev.slice(0, 9)]);
-  }, []);
+  }, [formatTime]);
+
+  const logError = useCallback((message: string) => addLog(message, 'error'), [addLog]);
+
+  // Search events from the deployment block when the address is the recorded deployment
+  const deployment = ContractConfig.deploymentFor(chainId);
+  const deploymentBlock =
+    deployment && deployment.address.toLowerCase() === contractAddress.toLowerCase() ? deployment.blockNumber || 0 : 0;
+
+  const createClient = useCallback((address: string, runner: ethers.Signer) =>
+    WaterResourceClient.connect(ethers, address, runner, transactionManager.clientOptions({
+      onSubmitted: () => addLog(t('common.transactionSent'), 'info'),
+      // Water amounts and scores are encrypted in the browser with the wallet's provider
+      encryptor: EncryptedInput.createRelayerEncryptor(),
+    })), [addLog, t, transactionManager]);
+
+  // A batch is built for one contract
+  useEffect(() => {
+    setSafeBatch(null);
+    setBatchTransactions([]);
+  }, [client]);
+
+  const startSafeBatch = async (safeAddress: string) => {
+    if (!client) return;
+
+    const builder = new SafeBatchLib.SafeBatchBuilder(client, {
+      safeAddress,
+      chainId,
+      onChange: setBatchTransactions,
+    });
+    setSafeBatch(builder);
+    setBatchTransactions([]);
+    try {
+      if (!(await builder.isAuthority())) {
+        addLog(t('safe.notAuthority'), 'warning');
+      }
+    } catch (error) {
+      console.error('Failed to read the authority:', error);
+    }
+  };
+
+  const stopSafeBatch = () => {
+    setSafeBatch(null);
+    setBatchTransactions([]);
+  };
+
+  // Show the queue saved by earlier visits and follow its pending transactions once a wallet is connected
+  useEffect(() => {
+    setTransactions(transactionManager.entries);
+    transactionManager.provider = provider;
+    if (!provider) return;
+
+    transactionManager.refresh().catch((error) => console.warn('Failed to refresh transactions:', error));
+    return transactionManager.watch();
+  }, [transactionManager, provider]);
 
   const updateWorkflowStatus = useCallback(async () => {
-    if (!contract) {
-      setWorkflowStatus('Contract not connected. Please set contract address.');
+    if (!client) {
+      setWorkflowStatus('workflow.status.noContract');
       return;
     }
 
     try {
-      const isActive = await contract.isAllocationPeriodActive();
-      const currentPeriod = await contract.currentAllocationPeriod();
+      const isActive = await client.isAllocationPeriodActive();
+      const currentPeriod = await client.currentAllocationPeriod();
 
-      if (isAdmin && currentPeriod.eq(0)) {
-        setWorkflowStatus('Admin Action Required: Register regions and start first allocation period');
+      if (isAdmin && currentPeriod === 0) {
+        setWorkflowStatus('workflow.status.registerAndStart');
       } else if (isAdmin && !isActive) {
-        setWorkflowStatus('Admin Action Required: Start new allocation period');
+        setWorkflowStatus('workflow.status.startNew');
       } else if (isActive) {
-        setWorkflowStatus('Active Allocation Period: Region managers can submit water requests');
+        setWorkflowStatus('workflow.status.active');
       } else {
-        setWorkflowStatus('Waiting: No active allocation period');
+        setWorkflowStatus('workflow.status.waiting');
       }
     } catch (error) {
-      setWorkflowStatus('Error: Unable to check contract status');
+      setWorkflowStatus('workflow.status.error');
     }
-  }, [contract, isAdmin]);
+  }, [client, isAdmin]);
 
   const loadPeriodInfo = useCallback(async () => {
-    if (!contract) {
+    if (!client) {
       setPeriodInfo(null);
       return;
     }
 
     try {
-      const info = await contract.getCurrentPeriodInfo();
+      const info = await client.getCurrentPeriodInfo();
       setPeriodInfo(info);
       updateWorkflowStatus();
     } catch (error) {
       console.error('Failed to load period info:', error);
       setPeriodInfo(null);
     }
-  }, [contract, updateWorkflowStatus]);
+  }, [client, updateWorkflowStatus]);
+
+  // Refresh the panels that the live feed's new events affect
+  const handleFeedEvents = useCallback((events: { name: string }[]) => {
+    const targets = EventFeedLib.refreshTargets(events);
+    if (targets.period) {
+      loadPeriodInfo();
+      setPeriodsRefreshKey(key => key + 1);
+    }
+    if (targets.regions) {
+      setRegionsRefreshKey(key => key + 1);
+    }
+  }, [loadPeriodInfo]);
 
   const checkUserRole = useCallback(async () => {
-    if (!contract || !userAddress) return;
+    if (!client || !userAddress) return;
 
     try {
-      const authority = await contract.authority();
+      const authority = await client.authority();
       setIsAdmin(authority.toLowerCase() === userAddress.toLowerCase());
       setIsRegionManager(true); // Allow all users to act as region managers for testing
       updateWorkflowStatus();
     } catch (error) {
       console.error('Failed to check user role:', error);
-      addLog('Failed to check user role: ' + (error as Error).message, 'warning');
+      addLog(t('connection.roleFailed', { error: formatError(error as Error) }), 'warning');
     }
-  }, [contract, userAddress, addLog, updateWorkflowStatus]);
+  }, [client, userAddress, addLog, t, updateWorkflowStatus]);
 
   const handleSetContractAddress = () => {
     const inputAddress = contractAddressInput.trim();
 
     if (!inputAddress) {
-      addLog('Please enter a contract address', 'warning');
+      addLog(t('network.enterAddress'), 'warning');
       return;
     }
 
     if (!ethers.utils.isAddress(inputAddress)) {
-      addLog('Invalid contract address format', 'error');
+      addLog(t('network.invalidAddress'), 'error');
       return;
     }
 
@@ -159,17 +246,16 @@ export default function Home() {
 
     // Re-initialize contract if wallet is connected
     if (signer) {
-      const newContract = new ethers.Contract(inputAddress, contractABI, signer);
-      setContract(newContract);
+      setClient(createClient(inputAddress, signer));
     }
 
-    addLog('Contract address set successfully', 'success');
+    addLog(t('network.addressSet'), 'success');
   };
 
   const connectWallet = async () => {
     try {
       if (typeof window.ethereum === 'undefined') {
-        throw new Error('Please install MetaMask wallet');
+        throw new Error(t('connection.installMetaMask'));
       }
 
       const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
@@ -183,17 +269,25 @@ export default function Home() {
 
       // Get network info
       const network = await web3Provider.getNetwork();
-      setNetworkName(network.name || 'Unknown');
+      setNetworkName(network.name || t('network.unknown'));
       setChainId(network.chainId.toString());
 
+      // Unless an address was entered, use the deployment on the wallet's chain
+      let activeAddress = contractAddress;
+      const chainAddress = ContractConfig.addressFor(network.chainId);
+      if (chainAddress && !localStorage.getItem('contractAddress')) {
+        activeAddress = chainAddress;
+        setContractAddressInput(chainAddress);
+        setContractAddress(chainAddress);
+      }
+
       // Initialize contract if address is set
-      if (contractAddress) {
-        const newContract = new ethers.Contract(contractAddress, contractABI, web3Signer);
-        setContract(newContract);
+      if (activeAddress) {
+        setClient(createClient(activeAddress, web3Signer));
       }
 
       setIsConnected(true);
-      addLog('Wallet connected successfully', 'success');
+      addLog(t('connection.success'), 'success');
 
       // Listen for account changes
       window.ethereum.on('accountsChanged', (accounts: string[]) => {
@@ -210,312 +304,343 @@ export default function Home() {
       });
     } catch (error) {
       console.error('Failed to connect wallet:', error);
-      addLog('Failed to connect wallet: ' + (error as Error).message, 'error');
+      addLog(t('connection.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   // Load user role and period info when contract is ready
   useEffect(() => {
-    if (contract && userAddress) {
+    if (client && userAddress) {
       checkUserRole();
       loadPeriodInfo();
     }
-  }, [contract, userAddress, checkUserRole, loadPeriodInfo]);
+  }, [client, userAddress, checkUserRole, loadPeriodInfo]);
 
   const registerRegion = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!regionName || !priorityLevel || !managerAddress) {
-        throw new Error('Please fill all fields');
+        throw new Error(t('common.fillAllFields'));
       }
 
       if (!ethers.utils.isAddress(managerAddress)) {
-        throw new Error('Invalid manager address');
+        throw new Error(t('register.invalidManager'));
       }
 
-      addLog('Registering region...', 'info');
-      const tx = await contract.registerRegion(regionName, parseInt(priorityLevel), managerAddress);
-
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      if (safeBatch) {
+        await safeBatch.registerRegion(regionName, parseInt(priorityLevel), managerAddress);
+        addLog(t('safe.added', { method: 'registerRegion' }), 'success');
+      } else {
+        addLog(t('register.pending'), 'info');
+        const result = await client.registerRegion(regionName, parseInt(priorityLevel), managerAddress);
 
-      addLog(`Region "${regionName}" registered successfully`, 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+        addLog(t('register.success', { name: regionName, regionId: result.regionId }), 'success');
+        addLog(t('common.transactionHash', { hash: result.hash }), 'info');
+      }
 
       setRegionName('');
       setPriorityLevel('');
       setManagerAddress('');
     } catch (error) {
       console.error('Failed to register region:', error);
-      addLog('Failed to register region: ' + (error as Error).message, 'error');
+      addLog(t('register.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   const startAllocationPeriod = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!totalWaterAmount || !durationHours) {
-        throw new Error('Please fill all fields');
+        throw new Error(t('common.fillAllFields'));
       }
 
-      addLog('Starting allocation period...', 'info');
-      const tx = await contract.startAllocationPeriod(parseInt(totalWaterAmount), parseInt(durationHours));
-
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      if (safeBatch) {
+        await safeBatch.startAllocationPeriod(parseInt(totalWaterAmount), parseInt(durationHours));
+        addLog(t('safe.added', { method: 'startAllocationPeriod' }), 'success');
+      } else {
+        addLog(t('startPeriod.pending'), 'info');
+        const result = await client.startAllocationPeriod(parseInt(totalWaterAmount), parseInt(durationHours));
 
-      addLog('Allocation period started successfully', 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+        addLog(t('startPeriod.success', { periodId: result.periodId }), 'success');
+        addLog(t('common.transactionHash', { hash: result.hash }), 'info');
+        await loadPeriodInfo();
+      }
 
       setTotalWaterAmount('');
       setDurationHours('');
-      await loadPeriodInfo();
     } catch (error) {
       console.error('Failed to start allocation period:', error);
-      addLog('Failed to start allocation period: ' + (error as Error).message, 'error');
+      addLog(t('startPeriod.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   const submitWaterRequest = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
-      const isActive = await contract.isAllocationPeriodActive();
+      const isActive = await client.isAllocationPeriodActive();
       if (!isActive) {
-        addLog('Cannot submit request: No active allocation period. Please wait for admin to start an allocation period.', 'error');
+        addLog(t('request.noActivePeriod'), 'error');
         updateWorkflowStatus();
         return;
       }
 
       if (!requestAmount || !justificationScore) {
-        throw new Error('Please fill all fields');
+        throw new Error(t('common.fillAllFields'));
       }
 
       const score = parseInt(justificationScore);
       if (score < 1 || score > 100) {
-        throw new Error('Urgency score must be between 1 and 100');
+        throw new Error(t('request.invalidScore'));
       }
 
-      addLog('Submitting water request...', 'info');
-      const tx = await contract.submitWaterRequest(parseInt(requestAmount), score);
-
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      addLog(t('request.pending'), 'info');
+      const result = await client.submitWaterRequest(parseInt(requestAmount), score);
 
-      addLog('Water request submitted successfully', 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+      addLog(t('request.success'), 'success');
+      addLog(t('common.transactionHash', { hash: result.hash }), 'info');
 
       setRequestAmount('');
       setJustificationScore('');
       updateWorkflowStatus();
     } catch (error) {
       console.error('Failed to submit water request:', error);
-      let errorMessage = (error as Error).message;
-
-      if (errorMessage.includes('Not during allocation period')) {
-        errorMessage = 'Cannot submit request: No active allocation period. Admin must start allocation period first.';
-      } else if (errorMessage.includes('Not a registered region manager')) {
-        errorMessage = 'You are not registered as a region manager. Please contact the admin.';
-      } else if (errorMessage.includes('Region already submitted request')) {
-        errorMessage = 'Your region has already submitted a request for this allocation period.';
-      }
-
-      addLog('Failed to submit water request: ' + errorMessage, 'error');
+      addLog(t('request.failed', { error: formatError(error as Error) }), 'error');
       updateWorkflowStatus();
     }
   };
 
   const processAllocation = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
-      addLog('Processing water allocation...', 'info');
-      const tx = await contract.processAllocation();
+      if (safeBatch) {
+        await safeBatch.processAllocation();
+        addLog(t('safe.added', { method: 'processAllocation' }), 'success');
+        return;
+      }
 
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      addLog(t('process.pending'), 'info');
+      const result = await client.processAllocation();
 
-      addLog('Water allocation processed successfully', 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+      addLog(t('process.success', { requestId: result.requestId }), 'success');
+      addLog(t('common.transactionHash', { hash: result.hash }), 'info');
 
       await loadPeriodInfo();
     } catch (error) {
       console.error('Failed to process allocation:', error);
-      addLog('Failed to process allocation: ' + (error as Error).message, 'error');
+      addLog(t('process.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   const emergencyAllocation = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!emergencyRegionId || !emergencyAmount) {
-        throw new Error('Please fill all fields');
+        throw new Error(t('common.fillAllFields'));
       }
 
-      addLog('Processing emergency allocation...', 'info');
-      const tx = await contract.emergencyWaterAllocation(parseInt(emergencyRegionId), parseInt(emergencyAmount));
-
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      if (safeBatch) {
+        await safeBatch.emergencyWaterAllocation(parseInt(emergencyRegionId), parseInt(emergencyAmount));
+        addLog(t('safe.added', { method: 'emergencyWaterAllocation' }), 'success');
+      } else {
+        addLog(t('emergency.pending'), 'info');
+        const result = await client.emergencyWaterAllocation(parseInt(emergencyRegionId), parseInt(emergencyAmount));
 
-      addLog(`Emergency allocation for region ${emergencyRegionId} completed`, 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+        addLog(t('emergency.success', { regionId: emergencyRegionId }), 'success');
+        addLog(t('common.transactionHash', { hash: result.hash }), 'info');
+      }
 
       setEmergencyRegionId('');
       setEmergencyAmount('');
     } catch (error) {
       console.error('Failed to process emergency allocation:', error);
-      addLog('Failed to process emergency allocation: ' + (error as Error).message, 'error');
+      addLog(t('emergency.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   const deactivateRegion = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!deactivateRegionId) {
-        throw new Error('Please enter region ID');
+        throw new Error(t('common.enterRegionId'));
       }
 
-      addLog('Deactivating region...', 'info');
-      const tx = await contract.deactivateRegion(parseInt(deactivateRegionId));
-
-      addLog('Transaction sent, waiting for confirmation...', 'info');
-      const receipt = await tx.wait();
+      if (safeBatch) {
+        await safeBatch.deactivateRegion(parseInt(deactivateRegionId));
+        addLog(t('safe.added', { method: 'deactivateRegion' }), 'success');
+      } else {
+        addLog(t('deactivate.pending'), 'info');
+        const result = await client.deactivateRegion(parseInt(deactivateRegionId));
 
-      addLog(`Region ${deactivateRegionId} deactivated successfully`, 'success');
-      addLog(`Transaction hash: ${receipt.transactionHash}`, 'info');
+        addLog(t('deactivate.success', { regionId: deactivateRegionId }), 'success');
+        addLog(t('common.transactionHash', { hash: result.hash }), 'info');
+      }
 
       setDeactivateRegionId('');
     } catch (error) {
       console.error('Failed to deactivate region:', error);
-      addLog('Failed to deactivate region: ' + (error as Error).message, 'error');
+      addLog(t('deactivate.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   const viewRegionInfo = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!viewRegionId) {
-        throw new Error('Please enter region ID');
+        throw new Error(t('common.enterRegionId'));
       }
 
-      const info = await contract.getRegionInfo(parseInt(viewRegionId));
-
-      const html = `
-        <div class="alert alert-info">
-          <strong>Region Name:</strong> ${info.name}<br>
-          <strong>Active:</strong> ${info.isActive ? 'Yes' : 'No'}<br>
-          <strong>Manager:</strong> ${info.manager}<br>
-          <strong>Last Update:</strong> ${new Date(info.lastUpdateTime.toNumber() * 1000).toLocaleString()}
-        </div>
-      `;
-
-      setRegionInfo(html);
+      setRegionInfo(await client.getRegionInfo(parseInt(viewRegionId)));
+      setRegionInfoError('');
     } catch (error) {
       console.error('Failed to get region info:', error);
-      setRegionInfo(`<div class="alert alert-danger">Failed to load region info: ${(error as Error).message}</div>`);
+      setRegionInfo(null);
+      setRegionInfoError(formatError(error as Error));
     }
   };
 
   const viewRequestStatus = async () => {
-    if (!contract) {
-      addLog('Please connect wallet and set contract address first', 'error');
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
       return;
     }
 
     try {
       if (!statusRegionId) {
-        throw new Error('Please enter region ID');
+        throw new Error(t('common.enterRegionId'));
       }
 
-      const status = await contract.getRegionRequestStatus(parseInt(statusRegionId));
+      const periodId = statusPeriodId ? parseInt(statusPeriodId) : await client.currentAllocationPeriod();
+      setRequestStatus(await client.getRegionRequestStatus(parseInt(statusRegionId), periodId));
+      setRequestStatusError('');
+    } catch (error) {
+      console.error('Failed to get request status:', error);
+      setRequestStatus(null);
+      setRequestStatusError(formatError(error as Error));
+    }
+  };
 
-      const html = `
-        <div class="alert alert-info">
-          <strong>Has Submitted Request:</strong> ${status.hasSubmittedRequest ? 'Yes' : 'No'}<br>
-          <strong>Is Processed:</strong> ${status.isProcessed ? 'Yes' : 'No'}<br>
-          <strong>Timestamp:</strong> ${status.timestamp.gt(0) ? new Date(status.timestamp.toNumber() * 1000).toLocaleString() : 'Not available'}
-        </div>
-      `;
+  const scanRefunds = async () => {
+    if (!client) {
+      addLog(t('common.connectFirst'), 'error');
+      return;
+    }
 
-      setRequestStatus(html);
+    try {
+      const scan = await RefundAssistant.scanRefunds(client, userAddress);
+      setRefundScan(scan);
+      addLog(t('refunds.found', { count: scan.eligible.length, regionId: scan.regionId }), 'info');
     } catch (error) {
-      console.error('Failed to get request status:', error);
-      setRequestStatus(`<div class="alert alert-danger">Failed to load request status: ${(error as Error).message}</div>`);
+      console.error('Failed to scan refunds:', error);
+      setRefundScan(null);
+      addLog(t('refunds.scanFailed', { error: formatError(error as Error) }), 'error');
+    }
+  };
+
+  const claimRefunds = async () => {
+    if (!client || !refundScan) {
+      addLog(t('refunds.scanFirst'), 'error');
+      return;
+    }
+
+    try {
+      addLog(t('refunds.claiming'), 'info');
+      const result = await RefundAssistant.claimRefunds(client, refundScan, {
+        onClaim: (claim) => {
+          if (claim.status === 'refunded') {
+            addLog(t('refunds.processed', { periodId: claim.periodId }), 'success');
+            addLog(t('common.transactionHash', { hash: claim.transactions.join(', ') }), 'info');
+          } else {
+            addLog(t('refunds.claimFailed', { periodId: claim.periodId, error: claim.error }), 'error');
+          }
+        },
+      });
+      addLog(t('refunds.recorded', { count: result.refunds.length }), 'success');
+      setRefundScan(await RefundAssistant.scanRefunds(client, userAddress));
+    } catch (error) {
+      console.error('Failed to claim refunds:', error);
+      addLog(t('refunds.failed', { error: formatError(error as Error) }), 'error');
     }
   };
 
   return (
     <div className="container">
+      <Head>
+        <title>{t('app.title')}</title>
+      </Head>
+      <div className="text-end mb-3">
+        <LanguageSwitcher />
+      </div>
       <div className="text-center mb-5">
         <div className="water-icon">💧</div>
-        <h1 className="display-4">Water Resource Management System</h1>
-        <p className="lead">FHE-based Privacy-Preserving Water Resource Allocation Platform</p>
+        <h1 className="display-4">{t('app.title')}</h1>
+        <p className="lead">{t('app.subtitle')}</p>
       </div>
 
       {/* Workflow Guide */}
       <div className="row mb-4">
         <div className="col-12">
           <div className="card">
-            <h5 className="card-title">System Workflow Guide</h5>
+            <h5 className="card-title">{t('workflow.title')}</h5>
             <div className="row">
               <div className="col-md-3">
                 <div className="text-center">
                   <div style={{ fontSize: '2em', color: '#00d4ff' }}>1</div>
-                  <h6>Connect Wallet</h6>
-                  <p className="small">Connect your MetaMask wallet to interact with the system</p>
+                  <h6>{t('workflow.step1.title')}</h6>
+                  <p className="small">{t('workflow.step1.text')}</p>
                 </div>
               </div>
               <div className="col-md-3">
                 <div className="text-center">
                   <div style={{ fontSize: '2em', color: '#00ff88' }}>2</div>
-                  <h6>Admin: Register Regions</h6>
-                  <p className="small">Authority registers regions and their managers</p>
+                  <h6>{t('workflow.step2.title')}</h6>
+                  <p className="small">{t('workflow.step2.text')}</p>
                 </div>
               </div>
               <div className="col-md-3">
                 <div className="text-center">
                   <div style={{ fontSize: '2em', color: '#ff6b6b' }}>3</div>
-                  <h6>Admin: Start Period</h6>
-                  <p className="small">Authority starts allocation period with total water amount</p>
+                  <h6>{t('workflow.step3.title')}</h6>
+                  <p className="small">{t('workflow.step3.text')}</p>
                 </div>
               </div>
               <div className="col-md-3">
                 <div className="text-center">
                   <div style={{ fontSize: '2em', color: '#7c4dff' }}>4</div>
-                  <h6>Managers: Submit Requests</h6>
-                  <p className="small">Region managers submit water requests during active period</p>
+                  <h6>{t('workflow.step4.title')}</h6>
+                  <p className="small">{t('workflow.step4.text')}</p>
                 </div>
               </div>
             </div>
             <div className="alert alert-info mt-3">
-              <strong>Current Status:</strong> {workflowStatus}
+              <strong>{t('workflow.currentStatus')}</strong> {t(workflowStatus)}
             </div>
           </div>
         </div>
@@ -525,24 +650,24 @@ export default function Home() {
       <div className="row mb-4">
         <div className="col-12">
           <div className="card">
-            <h5 className="card-title">Network & Contract Information</h5>
+            <h5 className="card-title">{t('network.title')}</h5>
             <div className="row">
               <div className="col-md-6">
-                <p><strong>Network:</strong> {networkName}</p>
-                <p><strong>Chain ID:</strong> {chainId}</p>
+                <p><strong>{t('network.network')}</strong> {networkName || t('network.notConnected')}</p>
+                <p><strong>{t('network.chainId')}</strong> {chainId}</p>
               </div>
               <div className="col-md-6">
-                <p><strong>Contract Address:</strong></p>
-                <p className="contract-address">{contractAddress || 'Not Set'}</p>
+                <p><strong>{t('network.contractAddress')}</strong></p>
+                <p className="contract-address">{contractAddress || t('network.notSet')}</p>
                 <input
                   type="text"
                   className="form-control form-control-sm"
-                  placeholder="Enter contract address"
+                  placeholder={t('network.addressPlaceholder')}
                   value={contractAddressInput}
                   onChange={(e) => setContractAddressInput(e.target.value)}
                 />
                 <button className="btn btn-sm btn-outline-primary mt-2" onClick={handleSetContractAddress}>
-                  Set Contract
+                  {t('network.setContract')}
                 </button>
               </div>
             </div>
@@ -555,33 +680,35 @@ export default function Home() {
         <div className="col-12">
           <div className="card">
             <div className="text-center">
-              <h5 className="card-title">Connection Status</h5>
+              <h5 className="card-title">{t('connection.title')}</h5>
               <p className="mb-3">
                 {isConnected ? (
-                  <span className="badge-success status-badge">Connected: {userAddress.slice(0, 10)}...</span>
+                  <span className="badge-success status-badge">
+                    {t('connection.connectedAs', { address: userAddress.slice(0, 10) })}
+                  </span>
                 ) : (
-                  <span className="badge-warning status-badge">Not Connected</span>
+                  <span className="badge-warning status-badge">{t('connection.notConnected')}</span>
                 )}
               </p>
               <button className="btn btn-primary" onClick={connectWallet} disabled={isConnected}>
-                {isConnected ? 'Connected' : 'Connect Wallet'}
+                {isConnected ? t('connection.connected') : t('connection.connect')}
               </button>
             </div>
           </div>
         </div>
       </div>
 
-      {/* Admin Functions */}
-      {isAdmin && (
+      {/* Admin Functions, also shown while building a Safe batch from another account */}
+      {(isAdmin || safeBatch) && (
         <div className="row mb-4">
           <div className="col-md-6">
             <div className="card">
-              <h5 className="card-title">Register New Region</h5>
+              <h5 className="card-title">{t('register.title')}</h5>
               <div className="mb-3">
                 <input
                   type="text"
                   className="form-control"
-                  placeholder="Region Name"
+                  placeholder={t('register.name')}
                   value={regionName}
                   onChange={(e) => setRegionName(e.target.value)}
                 />
@@ -590,7 +717,7 @@ export default function Home() {
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Priority Level (1-10)"
+                  placeholder={t('register.priority')}
                   min="1"
                   max="10"
                   value={priorityLevel}
@@ -601,24 +728,24 @@ export default function Home() {
                 <input
                   type="text"
                   className="form-control"
-                  placeholder="Manager Address"
+                  placeholder={t('register.manager')}
                   value={managerAddress}
                   onChange={(e) => setManagerAddress(e.target.value)}
                 />
               </div>
               <button className="btn btn-success" onClick={registerRegion}>
-                Register Region
+                {t('register.submit')}
               </button>
             </div>
           </div>
           <div className="col-md-6">
             <div className="card">
-              <h5 className="card-title">Start Allocation Period</h5>
+              <h5 className="card-title">{t('startPeriod.title')}</h5>
               <div className="mb-3">
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Total Water Amount"
+                  placeholder={t('startPeriod.totalWater')}
                   value={totalWaterAmount}
                   onChange={(e) => setTotalWaterAmount(e.target.value)}
                 />
@@ -627,7 +754,7 @@ export default function Home() {
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Duration (Hours)"
+                  placeholder={t('startPeriod.duration')}
                   min="1"
                   max="168"
                   value={durationHours}
@@ -635,18 +762,18 @@ export default function Home() {
                 />
               </div>
               <button className="btn btn-primary" onClick={startAllocationPeriod}>
-                Start Allocation
+                {t('startPeriod.submit')}
               </button>
             </div>
           </div>
           <div className="col-md-6">
             <div className="card">
-              <h5 className="card-title">Emergency Allocation</h5>
+              <h5 className="card-title">{t('emergency.title')}</h5>
               <div className="mb-3">
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Region ID"
+                  placeholder={t('common.regionId')}
                   value={emergencyRegionId}
                   onChange={(e) => setEmergencyRegionId(e.target.value)}
                 />
@@ -655,49 +782,70 @@ export default function Home() {
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Emergency Amount"
+                  placeholder={t('emergency.amount')}
                   value={emergencyAmount}
                   onChange={(e) => setEmergencyAmount(e.target.value)}
                 />
               </div>
               <button className="btn btn-warning" onClick={emergencyAllocation}>
-                Emergency Allocation
+                {t('emergency.submit')}
               </button>
             </div>
           </div>
           <div className="col-md-6">
             <div className="card">
-              <h5 className="card-title">Region Management</h5>
+              <h5 className="card-title">{t('deactivate.title')}</h5>
               <div className="mb-3">
                 <input
                   type="number"
                   className="form-control"
-                  placeholder="Region ID to Deactivate"
+                  placeholder={t('deactivate.regionId')}
                   value={deactivateRegionId}
                   onChange={(e) => setDeactivateRegionId(e.target.value)}
                 />
               </div>
               <button className="btn btn-danger" onClick={deactivateRegion}>
-                Deactivate Region
+                {t('deactivate.submit')}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Safe Batch */}
+      {isConnected && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="card">
+              <h5 className="card-title">{t('safe.title')}</h5>
+              <SafeBatchPanel
+                client={client}
+                provider={provider}
+                chainId={chainId}
+                batch={safeBatch}
+                transactions={batchTransactions}
+                onStart={startSafeBatch}
+                onStop={stopSafeBatch}
+                onError={logError}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Region Manager Functions */}
       {isRegionManager && (
         <div className="row mb-4">
           <div className="col-12">
             <div className="card">
-              <h5 className="card-title">Submit Water Request</h5>
+              <h5 className="card-title">{t('request.title')}</h5>
               <div className="row">
                 <div className="col-md-6">
                   <div className="mb-3">
                     <input
                       type="number"
                       className="form-control"
-                      placeholder="Requested Amount"
+                      placeholder={t('request.amount')}
                       value={requestAmount}
                       onChange={(e) => setRequestAmount(e.target.value)}
                     />
@@ -708,7 +856,7 @@ export default function Home() {
                     <input
                       type="number"
                       className="form-control"
-                      placeholder="Urgency Score (1-100)"
+                      placeholder={t('request.score')}
                       min="1"
                       max="100"
                       value={justificationScore}
@@ -718,8 +866,44 @@ export default function Home() {
                 </div>
               </div>
               <button className="btn btn-success" onClick={submitWaterRequest}>
-                Submit Request
+                {t('request.submit')}
+              </button>
+            </div>
+          </div>
+          <div className="col-12">
+            <div className="card">
+              <h5 className="card-title">{t('refunds.title')}</h5>
+              <p className="text-muted">{t('refunds.description')}</p>
+              {refundScan && (
+                refundScan.eligible.length === 0 ? (
+                  <div className="alert alert-info">
+                    {t('refunds.none', { regionId: refundScan.regionId, currentPeriod: refundScan.currentPeriod })}
+                  </div>
+                ) : (
+                  <div className="alert alert-warning">
+                    {refundScan.eligible.map((period) => (
+                      <div key={period.periodId}>
+                        <strong>{t('refunds.period', { periodId: period.periodId })}</strong>{' '}
+                        {period.decryptionFailed ? t('refunds.decryptionFailed') : t('refunds.decryptionTimedOut')}
+                      </div>
+                    ))}
+                  </div>
+                )
+              )}
+              <button className="btn btn-info" onClick={scanRefunds}>
+                {t('refunds.scan')}
               </button>
+              {refundScan && refundScan.eligible.length > 0 && (
+                <button className="btn btn-warning" style={{ marginLeft: '10px' }} onClick={claimRefunds}>
+                  {t('refunds.claim')}
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="col-12">
+            <div className="card">
+              <h5 className="card-title">{t('allocation.title')}</h5>
+              <MyAllocation client={client} signer={signer} onError={logError} />
             </div>
           </div>
         </div>
@@ -729,38 +913,73 @@ export default function Home() {
       <div className="row mb-4">
         <div className="col-md-6">
           <div className="card">
-            <h5 className="card-title">Region Information</h5>
+            <h5 className="card-title">{t('regionInfo.title')}</h5>
             <div className="mb-3">
               <input
                 type="number"
                 className="form-control"
-                placeholder="Region ID"
+                placeholder={t('common.regionId')}
                 value={viewRegionId}
                 onChange={(e) => setViewRegionId(e.target.value)}
               />
             </div>
             <button className="btn btn-info" onClick={viewRegionInfo}>
-              View Region
+              {t('regionInfo.view')}
             </button>
-            {regionInfo && <div className="mt-3" dangerouslySetInnerHTML={{ __html: regionInfo }} />}
+            {regionInfo && (
+              <div className="alert alert-info mt-3">
+                <strong>{t('regionInfo.name')}</strong> {regionInfo.name}<br />
+                <strong>{t('regionInfo.active')}</strong> {regionInfo.isActive ? t('common.yes') : t('common.no')}<br />
+                <strong>{t('regionInfo.manager')}</strong> {regionInfo.manager}<br />
+                <strong>{t('regionInfo.lastUpdate')}</strong> {formatTimestamp(regionInfo.lastUpdateTime)}<br />
+                <strong>{t('regionInfo.lockedAmount')}</strong> {formatNumber(regionInfo.lockedAmount)}
+              </div>
+            )}
+            {regionInfoError && (
+              <div className="alert alert-danger mt-3">{t('regionInfo.failed', { error: regionInfoError })}</div>
+            )}
           </div>
         </div>
         <div className="col-md-6">
           <div className="card">
-            <h5 className="card-title">Request Status</h5>
+            <h5 className="card-title">{t('requestStatus.title')}</h5>
             <div className="mb-3">
               <input
                 type="number"
                 className="form-control"
-                placeholder="Region ID"
+                placeholder={t('common.regionId')}
                 value={statusRegionId}
                 onChange={(e) => setStatusRegionId(e.target.value)}
               />
             </div>
+            <div className="mb-3">
+              <input
+                type="number"
+                className="form-control"
+                placeholder={t('requestStatus.periodPlaceholder')}
+                value={statusPeriodId}
+                onChange={(e) => setStatusPeriodId(e.target.value)}
+              />
+            </div>
             <button className="btn btn-info" onClick={viewRequestStatus}>
-              View Status
+              {t('requestStatus.view')}
             </button>
-            {requestStatus && <div className="mt-3" dangerouslySetInnerHTML={{ __html: requestStatus }} />}
+            {requestStatus && (
+              <div className="alert alert-info mt-3">
+                <strong>{t('requestStatus.period')}</strong> {requestStatus.periodId}<br />
+                <strong>{t('requestStatus.submitted')}</strong>{' '}
+                {requestStatus.hasSubmittedRequest ? t('common.yes') : t('common.no')}<br />
+                <strong>{t('requestStatus.processed')}</strong>{' '}
+                {requestStatus.isProcessed ? t('common.yes') : t('common.no')}<br />
+                <strong>{t('requestStatus.refundClaimed')}</strong>{' '}
+                {requestStatus.refundClaimed ? t('common.yes') : t('common.no')}<br />
+                <strong>{t('requestStatus.timestamp')}</strong>{' '}
+                {requestStatus.timestamp > 0 ? formatTimestamp(requestStatus.timestamp) : t('common.notAvailable')}
+              </div>
+            )}
+            {requestStatusError && (
+              <div className="alert alert-danger mt-3">{t('requestStatus.failed', { error: requestStatusError })}</div>
+            )}
           </div>
         </div>
       </div>
@@ -769,62 +988,102 @@ export default function Home() {
       <div className="row mb-4">
         <div className="col-12">
           <div className="card">
-            <h5 className="card-title">Current Allocation Period Status</h5>
+            <h5 className="card-title">{t('currentPeriod.title')}</h5>
             {periodInfo ? (
               <div>
                 <div className="row">
                   <div className="col-md-3">
-                    <strong>Period ID:</strong> {periodInfo.periodId.toString()}
+                    <strong>{t('labels.periodId')}</strong> {periodInfo.periodId.toString()}
                   </div>
                   <div className="col-md-3">
-                    <strong>Status:</strong>{' '}
+                    <strong>{t('labels.status')}</strong>{' '}
                     <span className={`status-badge ${periodInfo.isActive ? 'badge-success' : 'badge-secondary'}`}>
-                      {periodInfo.isActive ? 'Active' : 'Inactive'}
+                      {periodInfo.isActive ? t('common.active') : t('common.inactive')}
                     </span>
                   </div>
                   <div className="col-md-3">
-                    <strong>Participating Regions:</strong> {periodInfo.participatingRegions.toString()}
+                    <strong>{t('labels.participants')}</strong> {formatNumber(periodInfo.participatingRegions)}
                   </div>
                   <div className="col-md-3">
-                    <strong>Distribution Completed:</strong>{' '}
+                    <strong>{t('currentPeriod.distributed')}</strong>{' '}
                     <span className={`status-badge ${periodInfo.distributionCompleted ? 'badge-success' : 'badge-warning'}`}>
-                      {periodInfo.distributionCompleted ? 'Yes' : 'No'}
+                      {periodInfo.distributionCompleted ? t('common.yes') : t('common.no')}
                     </span>
                   </div>
                 </div>
-                {periodInfo.periodId.gt(0) && (
+                {periodInfo.periodId > 0 && (
                   <div className="row mt-3">
                     <div className="col-md-6">
-                      <strong>Start Time:</strong> {new Date(periodInfo.startTime.toNumber() * 1000).toLocaleString()}
+                      <strong>{t('labels.startTime')}</strong> {formatTimestamp(periodInfo.startTime)}
                     </div>
                     <div className="col-md-6">
-                      <strong>End Time:</strong> {new Date(periodInfo.endTime.toNumber() * 1000).toLocaleString()}
+                      <strong>{t('labels.endTime')}</strong> {formatTimestamp(periodInfo.endTime)}
                     </div>
                   </div>
                 )}
               </div>
             ) : (
-              <p className="text-muted">Please connect wallet and set contract address first</p>
+              <p className="text-muted">{t('common.connectFirst')}</p>
             )}
             <button className="btn btn-warning mt-3" onClick={loadPeriodInfo}>
-              Refresh Status
+              {t('currentPeriod.refresh')}
             </button>
-            {periodInfo && periodInfo.isActive && !periodInfo.distributionCompleted && isAdmin && (
+            {periodInfo && periodInfo.isActive && !periodInfo.distributionCompleted && (isAdmin || safeBatch) && (
               <button className="btn btn-primary mt-3" style={{ marginLeft: '10px' }} onClick={processAllocation}>
-                Process Allocation
+                {t('process.submit')}
               </button>
             )}
           </div>
         </div>
       </div>
 
+      {/* Live Event Feed */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <div className="card">
+            <h5 className="card-title">{t('feed.title')}</h5>
+            <EventFeed client={client} fromBlock={deploymentBlock} onEvents={handleFeedEvents} />
+          </div>
+        </div>
+      </div>
+
+      {/* Region Directory */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <div className="card">
+            <h5 className="card-title">{t('directory.title')}</h5>
+            <RegionDirectory client={client} fromBlock={deploymentBlock} refreshKey={regionsRefreshKey} onError={logError} />
+          </div>
+        </div>
+      </div>
+
+      {/* Allocation Period History */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <div className="card">
+            <h5 className="card-title">{t('history.title')}</h5>
+            <PeriodHistory client={client} fromBlock={deploymentBlock} refreshKey={periodsRefreshKey} onError={logError} />
+          </div>
+        </div>
+      </div>
+
+      {/* Transaction Queue */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <div className="card">
+            <h5 className="card-title">{t('queue.title')}</h5>
+            <TransactionQueue entries={transactions} onClear={() => transactionManager.clearSettled()} />
+          </div>
+        </div>
+      </div>
+
       {/* Operation History */}
       <div className="row">
         <div className="col-12">
           <div className="card">
-            <h5 className="card-title">Operation History</h5>
+            <h5 className="card-title">{t('log.title')}</h5>
             {logs.length === 0 ? (
-              <p className="text-muted">No operations recorded</p>
+              <p className="text-muted">{t('log.empty')}</p>
             ) : (
               logs.map((log, index) => (
                 <div key={index} className={`alert alert-${log.type}`}>